@@ -0,0 +1,118 @@
+'use strict';
+
+const { fetchPage } = require('./httpFetch');
+const { htmlToText } = require('./feedParser');
+
+// ── Article text ──────────────────────────────────────────────
+// The readable text of a news article page, for the generation prompt and
+// for fact-checking questions against their source. Pages are nested —
+// story cards inside the <article>, ad and figure <div>s inside the body
+// container — so containers are matched by counting their opening and
+// closing tags rather than stopping at the first closing tag.
+//
+// The text comes from, in order of preference:
+//   - the longest <article> (less any story cards nested in it), else the
+//     longest <main>, else the whole page
+//   - narrowed to the longest *-body container inside that (article-body,
+//     story-body, entry-body …) if it has at least MIN_EXCERPT_CHARS of text
+// with scripts, styles, navigation, page headers and footers and asides
+// taken out first.
+
+const MIN_EXCERPT_CHARS = 100;
+const REMOVED_TAGS = ['nav', 'header', 'footer', 'aside'];
+const BODY_CLASS_RE = /<([a-z][a-z0-9]*)\b[^>]*\bclass="[^"]*(?:article|story|content|post|entry)-body[^"]*"[^>]*>/gi;
+
+// The whole element whose opening tag starts at `start`, nested elements
+// of the same name included. An element never closed runs to the end.
+function elementAt(html, start, tag) {
+  const re = new RegExp(`<(/?)${tag}(?=[\\s>/])[^>]*>`, 'gi');
+  re.lastIndex = start;
+  let depth = 0;
+  let m;
+  while ((m = re.exec(html))) {
+    if (!m[1] && m[0].endsWith('/>')) continue;
+    depth += m[1] ? -1 : 1;
+    if (depth === 0) return html.slice(start, re.lastIndex);
+  }
+  return html.slice(start);
+}
+
+function elementsNamed(html, tag) {
+  const found = [];
+  const re = new RegExp(`<${tag}(?=[\\s>])[^>]*>`, 'gi');
+  let m;
+  while ((m = re.exec(html))) found.push(elementAt(html, m.index, tag));
+  return found;
+}
+
+function bodyContainers(html) {
+  const found = [];
+  let m;
+  BODY_CLASS_RE.lastIndex = 0;
+  while ((m = BODY_CLASS_RE.exec(html))) found.push(elementAt(html, m.index, m[1]));
+  return found;
+}
+
+// Takes out every `tag` element. One never closed loses only its opening
+// tag, not the rest of the page.
+function removeElements(html, tag) {
+  const re = new RegExp(`<${tag}(?=[\\s>])[^>]*>`, 'i');
+  const closed = new RegExp(`</${tag}\\s*>$`, 'i');
+  let m;
+  while ((m = re.exec(html))) {
+    const element = elementAt(html, m.index, tag);
+    const end = m.index + (closed.test(element) ? element.length : m[0].length);
+    html = html.slice(0, m.index) + ' ' + html.slice(end);
+  }
+  return html;
+}
+
+// Every tag becomes a space, so text either side of one stays apart
+const toText = html => htmlToText(html.replace(/<\/?[A-Za-z][^>]*>/g, ' '));
+
+// The candidate with the most text, as { html, text }, or null
+function longest(candidates) {
+  let best = null;
+  for (const html of candidates) {
+    const text = toText(html);
+    if (!best || text.length > best.text.length) best = { html, text };
+  }
+  return best;
+}
+
+function extractArticleText(html) {
+  let page = html
+    .replace(/<script[\s\S]*?<\/script>/gi, '')
+    .replace(/<style[\s\S]*?<\/style>/gi, '')
+    .replace(/<!--[\s\S]*?-->/g, '');
+  for (const tag of REMOVED_TAGS) page = removeElements(page, tag);
+
+  // Story cards nested in an article ("Read more: …") aren't part of it
+  const articles = elementsNamed(page, 'article').map(el => removeElements(el.slice(el.indexOf('>') + 1), 'article'));
+  const scope = longest(articles) || longest(elementsNamed(page, 'main')) || { html: page, text: toText(page) };
+  const body = longest(bodyContainers(scope.html));
+  return body && body.text.length >= MIN_EXCERPT_CHARS ? body.text : scope.text;
+}
+
+// Resolves { ok: true, excerpt } with the first maxChars of the article's
+// text, or { ok: false, reason, excerpt: '' } — never rejects. 1500 chars
+// by default: enough to write a good question from, and keeps the prompt
+// lean; the fact check asks for more.
+async function fetchArticleExcerpt(url, { maxChars = 1500 } = {}) {
+  try {
+    const text = extractArticleText(await fetchPage(url));
+    if (text.length < MIN_EXCERPT_CHARS) {
+      console.warn(`[Article] Only ${text.length} chars of text (paywall or unrecognised layout): ${url}`);
+      return { ok: false, reason: `paywall or insufficient content (${text.length} chars)`, excerpt: '' };
+    }
+    return { ok: true, excerpt: text.slice(0, maxChars) };
+  } catch (e) {
+    return { ok: false, reason: e.message, excerpt: '' };
+  }
+}
+
+module.exports = {
+  MIN_EXCERPT_CHARS,
+  extractArticleText,
+  fetchArticleExcerpt
+};
@@ -0,0 +1,98 @@
+'use strict';
+
+// ── Hot-path latency benchmark ────────────────────────────────
+// Times the requests every finishing player makes — POST /api/progress and
+// POST /api/scores — and the leaderboard reads that follow them, against
+// one or more running servers, and prints the latencies side by side.
+//
+//   node bench-hot-paths.js --date 2026-10-18 http://localhost:3001 http://localhost:3000
+//
+// To compare two versions, run each against its own copy of the same
+// database (it writes players named "bench-…" for --date) and pass both
+// URLs, older first. --date must have a published quiz on every server.
+//
+//   --date         quiz date to play (required)
+//   --requests     requests per endpoint, default 200
+//   --concurrency  requests in flight at once, default 10
+
+function parseArgs(argv) {
+  const opts = { urls: [], requests: 200, concurrency: 10, date: null };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--date') opts.date = argv[++i];
+    else if (arg === '--requests') opts.requests = parseInt(argv[++i], 10);
+    else if (arg === '--concurrency') opts.concurrency = parseInt(argv[++i], 10);
+    else opts.urls.push(arg.replace(/\/$/, ''));
+  }
+  if (!opts.date || !opts.urls.length || !(opts.requests > 0) || !(opts.concurrency > 0)) {
+    console.error('Usage: node bench-hot-paths.js --date YYYY-MM-DD [--requests N] [--concurrency N] <base URL>...');
+    process.exit(1);
+  }
+  return opts;
+}
+
+async function call(base, method, path, body) {
+  const res = await fetch(base + path, {
+    method,
+    headers: body ? { 'Content-Type': 'application/json' } : {},
+    body: body ? JSON.stringify(body) : undefined
+  });
+  await res.arrayBuffer();
+  if (!res.ok) throw new Error(`${method} ${path} → ${res.status}`);
+}
+
+// Runs request(i) for i = 0..count-1, `concurrency` at a time, and
+// returns each one's duration in ms
+async function timeRequests(count, concurrency, request) {
+  const durations = [];
+  let next = 0;
+  async function worker() {
+    while (next < count) {
+      const i = next++;
+      const start = process.hrtime.bigint();
+      await request(i);
+      durations.push(Number(process.hrtime.bigint() - start) / 1e6);
+    }
+  }
+  await Promise.all(Array.from({ length: concurrency }, worker));
+  return durations.sort((a, b) => a - b);
+}
+
+function summarize(durations) {
+  const at = p => durations[Math.min(durations.length - 1, Math.floor(p * durations.length))];
+  const mean = durations.reduce((sum, d) => sum + d, 0) / durations.length;
+  return { mean, p50: at(0.5), p95: at(0.95), max: durations[durations.length - 1] };
+}
+
+// A finished quiz: option 0 on all six questions, so it grades on any quiz
+const ANSWERS = Object.fromEntries([0, 1, 2, 3, 4, 5].map(i => ['q' + i, { chosen: 0 }]));
+
+function endpoints(date) {
+  const playerName = i => `bench-${i}`;
+  return [
+    ['POST /api/progress', (base, i) => call(base, 'POST', '/api/progress', {
+      playerName: playerName(i), date, progress: { answers: ANSWERS, completed: true, currentQ: 6 }
+    })],
+    ['POST /api/scores', (base, i) => call(base, 'POST', '/api/scores', { playerName: playerName(i), date, score: 0, completed: true })],
+    ['GET /api/progress', base => call(base, 'GET', `/api/progress?date=${date}`)],
+    ['GET /api/scores', base => call(base, 'GET', '/api/scores')]
+  ];
+}
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  const fmt = n => n.toFixed(1).padStart(8);
+  console.log(`${opts.requests} requests per endpoint, ${opts.concurrency} at a time, quiz ${opts.date}\n`);
+  console.log(`${'endpoint'.padEnd(20)} ${'server'.padEnd(28)} ${'mean'.padStart(8)} ${'p50'.padStart(8)} ${'p95'.padStart(8)} ${'max'.padStart(8)}  (ms)`);
+  for (const [name, request] of endpoints(opts.date)) {
+    for (const base of opts.urls) {
+      const s = summarize(await timeRequests(opts.requests, opts.concurrency, i => request(base, i)));
+      console.log(`${name.padEnd(20)} ${base.padEnd(28)} ${fmt(s.mean)} ${fmt(s.p50)} ${fmt(s.p95)} ${fmt(s.max)}`);
+    }
+  }
+}
+
+main().catch(e => {
+  console.error('[bench]', e.message);
+  process.exit(1);
+});
@@ -0,0 +1,179 @@
+'use strict';
+
+const { getKey, setKey, listQuestionOutcomes } = require('./store');
+
+// ── Difficulty model ──────────────────────────────────────────
+// Predicts the share of players who will answer a question correctly,
+// learned from how every published question actually played (the
+// question_outcomes tallies). It's a small logistic regression over
+// features of the question's wording — length, whether the answer is a
+// number or a name, whether the question gives the answer away — fitted
+// with each question weighted by how many players answered it.
+//
+// The model knows nothing about position: it scores the question itself.
+// `targets` is the historical correct rate for each slot, so a draft can
+// be compared against the ramp the quiz is meant to follow (Q1–2 easy,
+// Q3–4 medium, Q5 hard, then the bonus).
+//
+// The fitted model is cached in the `difficultyModel` key and refitted
+// when it's older than MODEL_MAX_AGE_MS — cheap, a few thousand rows at
+// most.
+
+const MODEL_VERSION = 1;
+const MODEL_MAX_AGE_MS = 6 * 60 * 60 * 1000;
+const MIN_ANSWERS = 5;     // a question answered fewer times than this is noise
+const MIN_QUESTIONS = 12;  // below this the model just echoes the average
+const SLOT_COUNT = 6;
+const L2 = 1;              // ridge penalty — keeps a thin history near the average
+const ITERATIONS = 400;
+const LEARNING_RATE = 0.3;
+
+const LOCAL_TERMS = /\b(baltimore|maryland|annapolis|towson|harford|howard county|anne arundel|orioles|ravens|mta)\b/i;
+const NUMBER_QUESTION = /\b(how many|how much|what percent(age)?|what year|by how)\b/i;
+const PERSON_QUESTION = /^(who\b|which (official|person|lawmaker|leader|coach|player|candidate|executive))/i;
+const NEGATION = /\b(not|except|never)\b/i;
+const STOPWORDS = new Set(['the', 'a', 'an', 'of', 'in', 'on', 'at', 'to', 'for', 'and', 'or', 'its', 'their', 'with', 'by', 'from']);
+
+const words = s => String(s || '').toLowerCase().match(/[a-z0-9$%']+/g) || [];
+const contentWords = s => words(s).filter(w => !STOPWORDS.has(w));
+
+const FEATURES = [
+  ['questionLength', q => words(q.question).length / 20],
+  ['optionLength', q => q.options.reduce((n, o) => n + words(o).length, 0) / q.options.length / 5],
+  ['numericAnswer', q => (/\d/.test(q.options[q.correctIndex]) ? 1 : 0)],
+  ['numericOptions', q => q.options.filter(o => /\d/.test(o)).length / q.options.length],
+  ['longestIsCorrect', q => {
+    const lengths = q.options.map(o => String(o).length);
+    return lengths[q.correctIndex] === Math.max(...lengths) ? 1 : 0;
+  }],
+  ['answerInQuestion', q => {
+    const answer = contentWords(q.options[q.correctIndex]);
+    if (!answer.length) return 0;
+    const asked = new Set(contentWords(q.question));
+    return answer.filter(w => asked.has(w)).length / answer.length;
+  }],
+  ['properNameAnswer', q => (/\b[A-Z][a-z]+ [A-Z][a-z]+/.test(q.options[q.correctIndex]) ? 1 : 0)],
+  ['localTopic', q => (LOCAL_TERMS.test(q.question) ? 1 : 0)],
+  ['asksNumber', q => (NUMBER_QUESTION.test(q.question) ? 1 : 0)],
+  ['asksPerson', q => (PERSON_QUESTION.test(q.question.trim()) ? 1 : 0)],
+  ['negation', q => (NEGATION.test(q.question) ? 1 : 0)]
+];
+
+const usable = q => !!q && typeof q.question === 'string' && Array.isArray(q.options) && q.options.length > 1 &&
+  Number.isInteger(q.correctIndex) && q.options[q.correctIndex] !== undefined;
+
+const featuresOf = q => FEATURES.map(([, fn]) => fn(q));
+const sigmoid = z => 1 / (1 + Math.exp(-z));
+const logit = p => Math.log(p / (1 - p));
+const round2 = x => Math.round(x * 100) / 100;
+
+// Fits the model to [{ question, correct, wrong, qIdx }] outcomes. Always
+// returns a model; with too little history it has ready: false and
+// predicts nothing.
+function train(outcomes) {
+  const rows = outcomes
+    .filter(o => usable(o.question) && o.correct + o.wrong >= MIN_ANSWERS)
+    .map(o => ({ x: featuresOf(o.question), n: o.correct + o.wrong, rate: o.correct / (o.correct + o.wrong), qIdx: o.qIdx }));
+  const answers = rows.reduce((n, r) => n + r.n, 0);
+  const baseRate = answers ? rows.reduce((n, r) => n + r.rate * r.n, 0) / answers : null;
+
+  const targets = Array.from({ length: SLOT_COUNT }, (_, i) => {
+    const slot = rows.filter(r => r.qIdx === i);
+    const n = slot.reduce((s, r) => s + r.n, 0);
+    return n ? round2(slot.reduce((s, r) => s + r.rate * r.n, 0) / n) : null;
+  });
+
+  const model = {
+    version: MODEL_VERSION,
+    trainedAt: new Date().toISOString(),
+    ready: rows.length >= MIN_QUESTIONS,
+    questions: rows.length,
+    answers,
+    baseRate: baseRate === null ? null : round2(baseRate),
+    targets,
+    features: FEATURES.map(([name]) => name)
+  };
+  if (!model.ready) return model;
+
+  // Standardise so one learning rate and one penalty suit every feature
+  const k = FEATURES.length;
+  const means = Array.from({ length: k }, (_, j) => rows.reduce((s, r) => s + r.x[j] * r.n, 0) / answers);
+  const stds = Array.from({ length: k }, (_, j) =>
+    Math.sqrt(rows.reduce((s, r) => s + (r.x[j] - means[j]) ** 2 * r.n, 0) / answers) || 1);
+  const z = rows.map(r => r.x.map((v, j) => (v - means[j]) / stds[j]));
+
+  // Weighted binomial log-loss with a ridge penalty, by gradient descent.
+  // The intercept starts at the overall rate and isn't penalised.
+  const clamped = Math.min(Math.max(baseRate, 0.02), 0.98);
+  let bias = logit(clamped);
+  const weights = new Array(k).fill(0);
+  for (let it = 0; it < ITERATIONS; it++) {
+    let gBias = 0;
+    const g = new Array(k).fill(0);
+    rows.forEach((r, i) => {
+      const p = sigmoid(bias + z[i].reduce((s, v, j) => s + v * weights[j], 0));
+      const err = (p - r.rate) * r.n;
+      gBias += err;
+      for (let j = 0; j < k; j++) g[j] += err * z[i][j];
+    });
+    bias -= LEARNING_RATE * gBias / answers;
+    for (let j = 0; j < k; j++) weights[j] -= LEARNING_RATE * (g[j] / answers + L2 * weights[j] / rows.length);
+  }
+
+  const fitted = { ...model, means, stds, bias, weights };
+  // In-sample error next to always guessing the average — if the first
+  // isn't clearly lower, the predictions aren't worth much yet.
+  const mae = rows.reduce((s, r) => s + Math.abs(predictRate(fitted, null, r.x) - r.rate) * r.n, 0) / answers;
+  const baselineMae = rows.reduce((s, r) => s + Math.abs(baseRate - r.rate) * r.n, 0) / answers;
+  return { ...fitted, mae: round2(mae), baselineMae: round2(baselineMae) };
+}
+
+function predictRate(model, question, x = featuresOf(question)) {
+  const score = x.reduce((s, v, j) => s + ((v - model.means[j]) / model.stds[j]) * model.weights[j], model.bias);
+  return sigmoid(score);
+}
+
+// Expected correct rate (0–1, two decimals) for a question, or null when
+// the model isn't ready or the question is incomplete.
+function predict(model, question) {
+  if (!model || !model.ready || !usable(question)) return null;
+  return round2(predictRate(model, question));
+}
+
+async function retrain() {
+  const model = train(await listQuestionOutcomes());
+  await setKey('difficultyModel', model);
+  console.log(`[Difficulty] Model trained on ${model.questions} question(s), ${model.answers} answer(s)` +
+    (model.ready ? ` — MAE ${model.mae} vs ${model.baselineMae} guessing the average` : ' — not enough history yet'));
+  return model;
+}
+
+// The cached model, refitted first when it's stale or from an older version.
+async function currentModel() {
+  const model = await getKey('difficultyModel');
+  const age = model ? Date.now() - Date.parse(model.trainedAt) : Infinity;
+  if (!model || model.version !== MODEL_VERSION || !(age < MODEL_MAX_AGE_MS)) return retrain();
+  return model;
+}
+
+// What the draft preview shows: { ready, trainedOn, baseRate, targets,
+// predictions }, predictions being [{ question, expectedCorrectRate }] in
+// order (rates null when the model isn't ready) and targets the
+// historical rate per slot.
+function predictDraft(model, questions) {
+  return {
+    ready: !!(model && model.ready),
+    trainedOn: model ? model.questions : 0,
+    baseRate: model ? model.baseRate : null,
+    targets: model ? model.targets : [],
+    predictions: questions.map(q => ({ question: q.question, expectedCorrectRate: predict(model, q) }))
+  };
+}
+
+module.exports = {
+  train,
+  predict,
+  predictDraft,
+  retrain,
+  currentModel
+};
@@ -0,0 +1,163 @@
+'use strict';
+
+const { getKey, updateKey } = require('./store');
+
+// ── Feed health ───────────────────────────────────────────────
+// What every refresh did with every feed, kept in the feedHealth key so a
+// broken feed shows up as a pattern instead of one `RSS FAIL:` line. The
+// key holds
+//   { feeds:   { [feedUrl]: { sourceId, lastSuccessAt, lastFailureAt, lastError, consecutiveFailures, runs } },
+//     sources: { [sourceId]: { emptyRuns, emptySince, lastUsableAt, alertedAt } } }
+// where runs is the feed's reads from the last HISTORY_DAYS, oldest first:
+//   { at, ok, error, notModified, total, local, medianAgeHours }
+// total being what the feed listed (its cached items when it answered
+// 304 — notModified), local what survived the filters and
+// medianAgeHours the median age of its dated items at the time.
+//
+// A source whose feeds yield no usable story in a refresh has an empty
+// run; emptySince is the first of the current streak. Once a source with
+// priority ALERT_MIN_PRIORITY or more has had nothing usable for
+// ALERT_AFTER_HOURS, recordRefresh() reports it — once, until it produces
+// something again. Both windows are in hours and days rather than
+// refreshes, so they mean the same whatever RSS_REFRESH_MINUTES is: 48
+// hours is three 6am refreshes in a row.
+
+const HOUR_MS = 60 * 60 * 1000;
+const HISTORY_DAYS = 7;
+const ALERT_AFTER_HOURS = parseInt(process.env.FEED_ALERT_AFTER_HOURS, 10) || 48;
+const ALERT_MIN_PRIORITY = Number.isNaN(parseInt(process.env.FEED_ALERT_MIN_PRIORITY, 10))
+  ? 1 : parseInt(process.env.FEED_ALERT_MIN_PRIORITY, 10);
+
+// Whole hours from `since` to `at` (ISO strings), or 0 without a since
+const hoursBetween = (since, at) => since ? Math.floor((Date.parse(at) - Date.parse(since)) / HOUR_MS) : 0;
+
+function median(values) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Median age in hours (one decimal) of the items that carry a date, or null
+function medianAgeHours(items, now = Date.now()) {
+  const ages = items.map(i => Date.parse(i.published || i.pubDate)).filter(t => !isNaN(t)).map(t => (now - t) / HOUR_MS);
+  const m = median(ages);
+  return m === null ? null : Math.round(m * 10) / 10;
+}
+
+// Files one refresh: results is fetchFeeds()'s feeds list, sources the
+// whole registry. Feeds and sources no longer in the registry are
+// dropped. Resolves with the sources that just crossed the alert line,
+// as [{ source, emptyRuns, quietHours, feeds }].
+async function recordRefresh(sources, results, at = new Date().toISOString()) {
+  const alerts = [];
+  const keepFrom = new Date(Date.parse(at) - HISTORY_DAYS * 24 * HOUR_MS).toISOString();
+  await updateKey('feedHealth', health => {
+    const prev = health || {};
+    const feeds = {};
+    const bySource = {};
+    for (const source of sources) {
+      for (const feedUrl of source.feedUrls) {
+        const old = (prev.feeds || {})[feedUrl];
+        feeds[feedUrl] = old ? { ...old, sourceId: source.id } : {
+          sourceId: source.id, lastSuccessAt: null, lastFailureAt: null, lastError: null, consecutiveFailures: 0, runs: []
+        };
+      }
+      bySource[source.id] = (prev.sources || {})[source.id] || { emptyRuns: 0, emptySince: null, lastUsableAt: null, alertedAt: null };
+    }
+
+    for (const r of results) {
+      const feed = feeds[r.feedUrl];
+      if (!feed) continue;
+      feed.runs = [...feed.runs, { at, ok: !r.error, error: r.error || null, notModified: !!r.notModified, total: r.total || 0, local: r.local || 0, medianAgeHours: r.medianAgeHours ?? null }]
+        .filter(run => run.at >= keepFrom);
+      if (r.error) {
+        feed.lastFailureAt = at;
+        feed.lastError = r.error;
+        feed.consecutiveFailures++;
+      } else {
+        feed.lastSuccessAt = at;
+        feed.consecutiveFailures = 0;
+      }
+    }
+
+    for (const source of sources) {
+      const read = results.filter(r => r.sourceId === source.id);
+      if (!read.length) continue; // disabled — not read this time
+      const state = bySource[source.id];
+      if (read.some(r => r.local > 0)) {
+        bySource[source.id] = { emptyRuns: 0, emptySince: null, lastUsableAt: at, alertedAt: null };
+        continue;
+      }
+      state.emptyRuns++;
+      state.emptySince = state.emptySince || at;
+      const quietHours = hoursBetween(state.emptySince, at);
+      if (quietHours >= ALERT_AFTER_HOURS && !state.alertedAt && (source.priority || 0) >= ALERT_MIN_PRIORITY) {
+        state.alertedAt = at;
+        alerts.push({ source, emptyRuns: state.emptyRuns, quietHours, feeds: source.feedUrls.map(feedUrl => ({ feedUrl, ...feeds[feedUrl] })) });
+      }
+    }
+    return { feeds, sources: bySource };
+  });
+  return alerts;
+}
+
+// How a feed is doing, judged from its runs
+function feedStatus(feed) {
+  const last = feed.runs[feed.runs.length - 1];
+  if (!last) return 'unchecked';
+  if (!last.ok) return 'failing';
+  return last.local > 0 ? 'ok' : 'empty';
+}
+
+// The admin health table: one row per source, highest priority first,
+// each with its feeds. A feed that hasn't worked in ALERT_AFTER_HOURS of
+// reads while another feed of the same source has is marked redundant —
+// usually a guessed /feed/ or /rss that only doubles the requests.
+async function healthReport(sources, now = new Date().toISOString()) {
+  const health = (await getKey('feedHealth')) || {};
+  return sources.map(source => {
+    const state = (health.sources || {})[source.id] || { emptyRuns: 0, emptySince: null, lastUsableAt: null, alertedAt: null };
+    const feeds = source.feedUrls.map(feedUrl => {
+      const feed = (health.feeds || {})[feedUrl] || { lastSuccessAt: null, lastFailureAt: null, lastError: null, consecutiveFailures: 0, runs: [] };
+      const last = feed.runs[feed.runs.length - 1] || null;
+      return {
+        feedUrl,
+        status: feedStatus(feed),
+        lastSuccessAt: feed.lastSuccessAt,
+        lastFailureAt: feed.lastFailureAt,
+        lastError: feed.lastError,
+        consecutiveFailures: feed.consecutiveFailures,
+        lastTotal: last ? last.total : null,
+        lastLocal: last ? last.local : null,
+        lastNotModified: !!(last && last.notModified),
+        medianAgeHours: median(feed.runs.map(r => r.medianAgeHours).filter(h => h !== null)),
+        reads: feed.runs.length,
+        firstReadAt: feed.runs.length ? feed.runs[0].at : null,
+        worked: feed.runs.some(r => r.ok && r.total > 0)
+      };
+    });
+    for (const feed of feeds) {
+      feed.redundant = hoursBetween(feed.firstReadAt, now) >= ALERT_AFTER_HOURS && !feed.worked && feeds.some(f => f.worked);
+    }
+    return {
+      id: source.id,
+      name: source.name,
+      priority: source.priority,
+      enabled: source.enabled,
+      emptyRuns: state.emptyRuns,
+      quietHours: hoursBetween(state.emptySince, now),
+      lastUsableAt: state.lastUsableAt,
+      alertedAt: state.alertedAt,
+      feeds
+    };
+  });
+}
+
+module.exports = {
+  ALERT_AFTER_HOURS,
+  ALERT_MIN_PRIORITY,
+  medianAgeHours,
+  recordRefresh,
+  healthReport
+};
@@ -0,0 +1,461 @@
+'use strict';
+
+// ── Feed parser ───────────────────────────────────────────────
+// Reads RSS 2.0, RSS 1.0 (RDF) and Atom into one item shape:
+//   { title, link, guid, description, pubDate, published, author, authors, categories, image }
+// link is the story's canonical URL (Atom's rel="alternate", FeedBurner's
+// origLink, or the guid when it's a permalink) with tracking parameters
+// dropped; published is an ISO timestamp, or null when the feed's date
+// doesn't parse, and pubDate the date as the feed wrote it. author is
+// authors joined, for older callers.
+//
+// It's a small tokenizer rather than a regex over <item>: CDATA, comments
+// and entities are handled where they occur, so a CDATA block split in two
+// or an &amp; in a link comes out right. Input can arrive in pieces —
+// createFeedParser().write(chunk) holds back an unfinished tag until the
+// rest arrives — and each item is handed to onItem and then dropped, so a
+// long feed isn't kept whole in memory. Feeds are often not quite XML
+// (bare & in titles, unclosed <br> in descriptions); the parser keeps
+// going rather than rejecting them.
+
+const DESCRIPTION_LIMIT = 2000;
+
+// Namespace URIs → the prefix this parser knows them by, whatever the
+// feed calls them. '' is plain RSS 2.0, which has no namespace.
+const NAMESPACES = {
+  'http://www.w3.org/2005/Atom': 'atom',
+  'http://purl.org/atom/ns#': 'atom',
+  'http://purl.org/rss/1.0/': 'rss',
+  'http://my.netscape.com/rdf/simple/0.9/': 'rss',
+  'http://www.w3.org/1999/02/22-rdf-syntax-ns#': 'rdf',
+  'http://purl.org/dc/elements/1.1/': 'dc',
+  'http://purl.org/rss/1.0/modules/content/': 'content',
+  'http://search.yahoo.com/mrss/': 'media',
+  'http://search.yahoo.com/mrss': 'media',
+  'http://rssnamespace.org/feedburner/ext/1.0': 'feedburner',
+  'http://www.itunes.com/dtds/podcast-1.0.dtd': 'itunes'
+};
+const XML_NS = 'http://www.w3.org/XML/1998/namespace';
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+// Named HTML entities that turn up in feed text, escaped once more or not
+// at all. Anything else is left as written.
+const HTML_ENTITIES = {
+  ...XML_ENTITIES, nbsp: ' ', rsquo: '’', lsquo: '‘', rdquo: '”', ldquo: '“',
+  ndash: '–', mdash: '—', hellip: '…', bull: '•', middot: '·', copy: '©',
+  reg: '®', trade: '™', deg: '°', frac12: '½', eacute: 'é', egrave: 'è',
+  aacute: 'á', iacute: 'í', oacute: 'ó', uacute: 'ú', ntilde: 'ñ', uuml: 'ü',
+  ouml: 'ö', ccedil: 'ç', cent: '¢', pound: '£', euro: '€', times: '×'
+};
+
+function decodeEntities(text, table) {
+  return text.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z][a-z0-9]*);/gi, (whole, ref) => {
+    if (ref[0] === '#') {
+      const code = ref[1] === 'x' || ref[1] === 'X' ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : whole;
+    }
+    const ch = table[ref] !== undefined ? table[ref] : table[ref.toLowerCase()];
+    return ch !== undefined ? ch : whole;
+  });
+}
+
+const decodeXml = text => decodeEntities(text, XML_ENTITIES);
+
+// Feed text that may hold HTML — descriptions, and titles that escape
+// their entities twice — as plain text
+function htmlToText(html) {
+  const text = html
+    .replace(/<(script|style)[\s>][\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<br\s*\/?>|<\/p>|<\/div>|<\/li>/gi, ' ')
+    .replace(/<\/?[A-Za-z!][^>]*>/g, '');
+  return decodeEntities(text, HTML_ENTITIES).replace(/[\s ]+/g, ' ').trim();
+}
+
+const ATTR_RE = /([^\s=\/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+
+function parseAttrs(source) {
+  const attrs = {};
+  let m;
+  ATTR_RE.lastIndex = 0;
+  while ((m = ATTR_RE.exec(source)) !== null) {
+    const value = m[2] !== undefined ? m[2] : m[3] !== undefined ? m[3] : m[4] !== undefined ? m[4] : '';
+    attrs[m[1]] = decodeXml(value);
+  }
+  return attrs;
+}
+
+// Index of the '>' that ends the tag starting at buf[from], skipping any
+// inside quoted attribute values; -1 if it hasn't arrived yet
+function tagEnd(buf, from) {
+  let quote = null;
+  for (let i = from; i < buf.length; i++) {
+    const c = buf[i];
+    if (quote) { if (c === quote) quote = null; }
+    else if (c === '"' || c === "'") quote = c;
+    else if (c === '>') return i;
+  }
+  return -1;
+}
+
+// ── Element tree ──────────────────────────────────────────────
+// Only items (and the channel's own title and link) are kept as trees:
+// { ns, name, attrs, children, base } where children holds elements and
+// text strings in document order.
+const isElement = node => typeof node === 'object';
+
+function textOf(el) {
+  if (!el) return '';
+  return el.children.map(c => (isElement(c) ? textOf(c) : c)).join('');
+}
+
+// HTML that arrived as markup instead of escaped or in CDATA, rebuilt so
+// htmlToText and the image search see it the same way
+function markupOf(el) {
+  return el.children.map(c => {
+    if (!isElement(c)) return c;
+    const attrs = Object.entries(c.attrs).map(([k, v]) => ` ${k}="${v.replace(/"/g, '&quot;')}"`).join('');
+    return `<${c.name}${attrs}>${markupOf(c)}</${c.name}>`;
+  }).join('');
+}
+
+const matches = (el, ns, name) => isElement(el) && el.name === name && (ns === '*' || el.ns === ns);
+const children = (el, ns, name) => el.children.filter(c => matches(c, ns, name));
+const child = (el, ns, name) => el.children.find(c => matches(c, ns, name)) || null;
+
+// First non-empty text among [ns, name] pairs, in order
+function firstText(el, ...specs) {
+  for (const [ns, name] of specs) {
+    for (const c of children(el, ns, name)) {
+      const text = textOf(c).trim();
+      if (text) return text;
+    }
+  }
+  return '';
+}
+
+// ── Normalizing an item ───────────────────────────────────────
+const TRACKING_PARAMS = /^(utm_[a-z]+|fbclid|gclid|mc_cid|mc_eid|cmpid|cmp|ref|src)$/i;
+
+// Absolute, with tracking parameters and the fragment dropped; '' if it
+// isn't an http(s) URL
+function canonicalUrl(href, base) {
+  if (!href) return '';
+  let url;
+  try { url = new URL(href.trim(), base || undefined); } catch (e) { return ''; }
+  if (!/^https?:$/.test(url.protocol)) return '';
+  for (const key of [...url.searchParams.keys()]) {
+    if (TRACKING_PARAMS.test(key)) url.searchParams.delete(key);
+  }
+  url.hash = '';
+  return url.toString();
+}
+
+function itemLink(item, base) {
+  const orig = firstText(item, ['feedburner', 'origLink']);
+  if (orig) return canonicalUrl(orig, base);
+  // Atom: rel="alternate" (or no rel) is the story; self, edit, enclosure and replies aren't
+  const atomLinks = children(item, '*', 'link').filter(l => l.attrs.href);
+  const alternate = atomLinks.filter(l => !l.attrs.rel || l.attrs.rel === 'alternate');
+  const html = alternate.find(l => !l.attrs.type || /html/i.test(l.attrs.type)) || alternate[0];
+  if (html) return canonicalUrl(html.attrs.href, item.base || base);
+  const link = firstText(item, ['', 'link'], ['rss', 'link']);
+  if (link) return canonicalUrl(link, base);
+  const guid = child(item, '', 'guid');
+  if (guid && guid.attrs.isPermaLink !== 'false') {
+    const href = canonicalUrl(textOf(guid), base);
+    if (href) return href;
+  }
+  return canonicalUrl(item.attrs['rdf:about'] || '', base);
+}
+
+// "jdoe@example.com (Jane Doe)" → "Jane Doe"; "By Jane Doe and John Roe" → both
+function splitAuthors(text) {
+  const named = text.match(/^\S+@\S+\s*\((.+)\)$/);
+  const value = (named ? named[1] : text).replace(/^by\s+/i, '').trim();
+  if (!value || /^\S+@\S+$/.test(value)) return [];
+  // A comma separates names only when every piece is a full name — not
+  // "Doe, Jane" or "John Roe, Jr."
+  return value.split(/\s*;\s*|\s+and\s+|\s+&\s+/i).flatMap(part => {
+    const pieces = part.split(/\s*,\s*/);
+    return pieces.every(p => /\S\s+\S/.test(p)) ? pieces : [part];
+  }).map(s => s.trim()).filter(Boolean);
+}
+
+function itemAuthors(item) {
+  const names = [
+    ...children(item, 'dc', 'creator').map(textOf),
+    ...children(item, '', 'author').map(textOf),
+    ...children(item, 'atom', 'author').map(a => firstText(a, ['atom', 'name']) || firstText(a, ['atom', 'email'])),
+    ...children(item, 'atom', 'contributor').map(a => firstText(a, ['atom', 'name'])),
+    ...children(item, 'media', 'credit').filter(c => !c.attrs.role || /author|reporter|writer/i.test(c.attrs.role)).map(textOf)
+  ].flatMap(n => splitAuthors(htmlToText(n)));
+  const seen = new Set();
+  return names.filter(n => !seen.has(n.toLowerCase()) && seen.add(n.toLowerCase()));
+}
+
+function itemCategories(item) {
+  const terms = [
+    ...children(item, '', 'category').map(textOf),
+    ...children(item, 'rss', 'category').map(textOf),
+    ...children(item, 'atom', 'category').map(c => c.attrs.label || c.attrs.term || ''),
+    ...children(item, 'dc', 'subject').map(textOf)
+  ].map(t => htmlToText(t)).filter(Boolean);
+  const seen = new Set();
+  return terms.filter(t => !seen.has(t.toLowerCase()) && seen.add(t.toLowerCase()));
+}
+
+const IMAGE_EXT = /\.(jpe?g|png|gif|webp|avif)(\?|$)/i;
+const isImage = el => el.attrs.medium === 'image' || /^image\//i.test(el.attrs.type || '') ||
+  (!el.attrs.medium && !el.attrs.type && IMAGE_EXT.test(el.attrs.url || el.attrs.href || ''));
+
+// The lead image: the widest media:content image (in or out of a
+// media:group), then media:thumbnail, an image enclosure, itunes:image,
+// and last the first <img> in the story's HTML
+function itemImage(item, html, base) {
+  const groups = [item, ...children(item, 'media', 'group')];
+  const media = groups.flatMap(g => children(g, 'media', 'content')).filter(c => c.attrs.url && isImage(c));
+  if (media.length) {
+    media.sort((a, b) => (parseInt(b.attrs.width, 10) || 0) - (parseInt(a.attrs.width, 10) || 0));
+    return canonicalUrl(media[0].attrs.url, base);
+  }
+  const thumb = groups.flatMap(g => children(g, 'media', 'thumbnail')).find(c => c.attrs.url);
+  if (thumb) return canonicalUrl(thumb.attrs.url, base);
+  const enclosure = [...children(item, '', 'enclosure'), ...children(item, 'atom', 'link').filter(l => l.attrs.rel === 'enclosure')]
+    .find(e => isImage(e) && (e.attrs.url || e.attrs.href));
+  if (enclosure) return canonicalUrl(enclosure.attrs.url || enclosure.attrs.href, base);
+  const itunes = child(item, 'itunes', 'image');
+  if (itunes && itunes.attrs.href) return canonicalUrl(itunes.attrs.href, base);
+  const img = html.match(/<img\b[^>]*?\ssrc\s*=\s*(?:"([^"]+)"|'([^']+)')/i);
+  return img ? canonicalUrl(decodeEntities(img[1] || img[2], HTML_ENTITIES), base) : '';
+}
+
+// Text of the first element present, as HTML: CDATA and escaped HTML come
+// through textOf, raw markup through markupOf
+function firstHtml(item, ...specs) {
+  for (const [ns, name] of specs) {
+    const el = child(item, ns, name);
+    if (!el) continue;
+    const html = el.children.some(isElement) ? markupOf(el) : textOf(el);
+    if (html.trim()) return html;
+  }
+  return '';
+}
+
+function parseDate(text) {
+  if (!text) return null;
+  // RFC 822 dates with a single-letter or unknown zone, and "ET", trip up Date.parse
+  const cleaned = text.trim().replace(/\s+(?:UT|Z)$/i, ' GMT').replace(/\s+ET$/i, ' EST');
+  const t = Date.parse(cleaned);
+  return isNaN(t) ? null : new Date(t).toISOString();
+}
+
+function normalizeItem(item, base) {
+  const summary = firstHtml(item, ['', 'description'], ['rss', 'description'], ['atom', 'summary']);
+  const content = firstHtml(item, ['content', 'encoded'], ['atom', 'content']);
+  const pubDate = firstText(item, ['', 'pubDate'], ['atom', 'published'], ['dc', 'date'], ['atom', 'updated'], ['atom', 'issued'], ['atom', 'modified']);
+  const authors = itemAuthors(item);
+  const link = itemLink(item, base);
+  return {
+    title:       htmlToText(firstText(item, ['', 'title'], ['rss', 'title'], ['atom', 'title'], ['dc', 'title'])),
+    link,
+    guid:        firstText(item, ['', 'guid'], ['atom', 'id']) || item.attrs['rdf:about'] || link,
+    description: htmlToText(summary || content).slice(0, DESCRIPTION_LIMIT),
+    pubDate,
+    published:   parseDate(pubDate),
+    author:      authors.join(', '),
+    authors,
+    categories:  itemCategories(item),
+    image:       itemImage(item, content + summary, base)
+  };
+}
+
+// ── Parser ────────────────────────────────────────────────────
+// createFeedParser({ onItem }) → { write(chunk), end() }. end() returns
+// { title, link, items } — items is empty when onItem took them.
+function createFeedParser({ onItem = null } = {}) {
+  let buf = '';
+  // Open elements, outermost first: { ns, name, qname, nsMap, base, node, root }
+  // where node is the tree being kept (inside an item, or the channel's
+  // title and link) and null elsewhere
+  const stack = [{ nsMap: { xml: XML_NS }, base: null, node: null }];
+  const feed = { title: '', link: '', items: [] };
+  let channelDepth = -1;
+
+  const top = () => stack[stack.length - 1];
+
+  function resolve(qname, nsMap, isAttr) {
+    const colon = qname.indexOf(':');
+    const prefix = colon === -1 ? '' : qname.slice(0, colon);
+    const local = colon === -1 ? qname : qname.slice(colon + 1);
+    if (isAttr && !prefix) return { ns: '', name: local };
+    const uri = nsMap[prefix];
+    const ns = uri === undefined ? prefix : (NAMESPACES[uri] !== undefined ? NAMESPACES[uri] : prefix);
+    return { ns, name: local };
+  }
+
+  // An <entry> with no namespace is Atom written carelessly
+  const isItem = ({ ns, name }) => (name === 'item' && (ns === '' || ns === 'rss')) || (name === 'entry' && (ns === 'atom' || ns === ''));
+  const isChannel = ({ ns, name }) => (name === 'channel' && (ns === '' || ns === 'rss')) || (name === 'feed' && ns === 'atom');
+
+  function text(str) {
+    const node = top().node;
+    if (node && str) node.children.push(str);
+  }
+
+  function open(qname, attrSource, selfClosing) {
+    const parent = top();
+    const rawAttrs = parseAttrs(attrSource);
+    const nsMap = { ...parent.nsMap };
+    for (const [k, v] of Object.entries(rawAttrs)) {
+      if (k === 'xmlns') nsMap[''] = v;
+      else if (k.startsWith('xmlns:')) nsMap[k.slice(6)] = v;
+    }
+    const { ns, name } = resolve(qname, nsMap, false);
+    const attrs = {};
+    for (const [k, v] of Object.entries(rawAttrs)) {
+      if (k === 'xmlns' || k.startsWith('xmlns:')) continue;
+      const a = resolve(k, nsMap, true);
+      attrs[a.ns ? `${a.ns}:${a.name}` : a.name] = v;
+    }
+    let base = parent.base;
+    if (attrs['xml:base']) { try { base = new URL(attrs['xml:base'], base || undefined).toString(); } catch (e) { /* keep the outer base */ } }
+
+    // root: this element starts a kept tree (an item, or the channel's title or link)
+    let node = null;
+    let root = false;
+    if (parent.node) {
+      node = { ns, name, attrs, children: [], base };
+      parent.node.children.push(node);
+    } else if (isItem({ ns, name }) ||
+        (channelDepth === stack.length - 1 && (name === 'title' || name === 'link') && ['', 'rss', 'atom'].includes(ns))) {
+      node = { ns, name, attrs, children: [], base };
+      root = true;
+    }
+    if (isChannel({ ns, name }) && channelDepth === -1) channelDepth = stack.length;
+
+    stack.push({ ns, name, qname, nsMap, base, node, root });
+    if (selfClosing) close(qname);
+  }
+
+  function finish(frame) {
+    const { node } = frame;
+    if (!frame.root) return;
+    if (isItem(frame)) {
+      const item = normalizeItem(node, feed.link || null);
+      if (!item.title) return;
+      if (onItem) onItem(item);
+      else feed.items.push(item);
+      return;
+    }
+    if (node.name === 'title' && !feed.title) feed.title = htmlToText(textOf(node));
+    if (node.name === 'link' && !feed.link) {
+      const href = node.attrs.href && (!node.attrs.rel || node.attrs.rel === 'alternate') ? node.attrs.href : textOf(node).trim();
+      feed.link = canonicalUrl(href, node.base);
+    }
+  }
+
+  // Closes up to the matching open element; a stray close tag is ignored
+  // and elements it skips over (an unclosed <br>) close with it
+  function close(qname) {
+    let i = stack.length - 1;
+    while (i > 0 && stack[i].qname !== qname) i--;
+    if (i === 0) return;
+    while (stack.length > i) {
+      const frame = stack.pop();
+      if (channelDepth === stack.length) channelDepth = -1;
+      finish(frame);
+    }
+  }
+
+  // Consumes whatever complete tokens buf holds; final flushes trailing text
+  function drain(final) {
+    let pos = 0;
+    while (pos < buf.length) {
+      const lt = buf.indexOf('<', pos);
+      if (lt === -1) {
+        if (!final) break;
+        text(decodeXml(buf.slice(pos)));
+        pos = buf.length;
+        break;
+      }
+      if (lt > pos) text(decodeXml(buf.slice(pos, lt)));
+      pos = lt;
+
+      let end;
+      if (buf.startsWith('<![CDATA[', pos)) {
+        end = buf.indexOf(']]>', pos + 9);
+        if (end === -1) break;
+        text(buf.slice(pos + 9, end));
+        pos = end + 3;
+      } else if (buf.startsWith('<!--', pos)) {
+        end = buf.indexOf('-->', pos + 4);
+        if (end === -1) break;
+        pos = end + 3;
+      } else if (buf.startsWith('<?', pos)) {
+        end = buf.indexOf('?>', pos + 2);
+        if (end === -1) break;
+        pos = end + 2;
+      } else if (buf.startsWith('<!', pos)) {
+        // DOCTYPE, possibly with an internal subset in [ ]
+        const bracket = buf.indexOf('[', pos);
+        const gt = buf.indexOf('>', pos);
+        end = bracket !== -1 && (gt === -1 || bracket < gt) ? buf.indexOf(']>', bracket) : gt;
+        if (end === -1) break;
+        pos = end + (buf[end] === ']' ? 2 : 1);
+      } else if (pos + 1 >= buf.length) {
+        if (!final) break;
+        text('<');
+        pos++;
+      } else if (!/[A-Za-z_\/]/.test(buf[pos + 1])) {
+        // A bare '<' in text — not a tag
+        text('<');
+        pos++;
+      } else {
+        end = tagEnd(buf, pos + 1);
+        if (end === -1) break;
+        const body = buf.slice(pos + 1, end);
+        pos = end + 1;
+        if (body[0] === '/') {
+          close(body.slice(1).trim());
+        } else {
+          const selfClosing = body.endsWith('/');
+          const inner = selfClosing ? body.slice(0, -1) : body;
+          const m = inner.match(/^([^\s\/>]+)([\s\S]*)$/);
+          open(m[1], m[2], selfClosing);
+        }
+      }
+    }
+    buf = buf.slice(pos);
+  }
+
+  return {
+    write(chunk) {
+      buf += chunk;
+      drain(false);
+    },
+    end() {
+      drain(true);
+      // An item the feed never closed was cut off — its title may be too
+      while (stack.length > 1) {
+        const frame = stack.pop();
+        if (!isItem(frame)) finish(frame);
+      }
+      return feed;
+    }
+  };
+}
+
+// The whole feed in one go: { title, link, items }
+function parseFeed(xml) {
+  const parser = createFeedParser();
+  parser.write(String(xml || ''));
+  return parser.end();
+}
+
+module.exports = {
+  createFeedParser,
+  parseFeed,
+  canonicalUrl,
+  parseDate,
+  htmlToText
+};
@@ -0,0 +1,213 @@
+'use strict';
+
+const https = require('https');
+const http  = require('http');
+const zlib  = require('zlib');
+
+// ── HTTP fetch layer ──────────────────────────────────────────
+// Every outside page the app reads — feeds and article pages — comes
+// through fetchText(). It
+//   - sends If-None-Match / If-Modified-Since when given the validators
+//     from the last fetch, so an unchanged feed costs a 304 and no body
+//   - follows at most MAX_REDIRECTS redirects, and stops at a loop
+//   - gives up on a body over maxBytes (after decompression)
+//   - asks for gzip / deflate / brotli and decodes whichever comes back
+//   - decodes text in the charset the server or the XML declaration names
+//   - runs at most HOST_CONCURRENCY requests per host at once, starting
+//     them at least HOST_DELAY_MS apart, so a refresh doesn't hit one
+//     outlet with all its feeds in the same instant
+//
+// fetchText resolves { status, url, body, etag, lastModified, notModified }
+// for any response that isn't a redirect — 4xx and 5xx included; callers
+// decide what a status means. It rejects on network errors, timeouts,
+// redirect trouble and oversized bodies.
+//
+// fetchPage() adds a small in-process cache for article pages, which a
+// single generation run reads twice (once for the prompt, once to
+// fact-check the answers).
+
+const USER_AGENT = 'Mozilla/5.0 (compatible; NewsQuizBot/1.0)';
+const TIMEOUT_MS = 10000;
+const MAX_REDIRECTS = 5;
+const DEFAULT_MAX_BYTES = 5 * 1024 * 1024;
+const HOST_CONCURRENCY = parseInt(process.env.HTTP_HOST_CONCURRENCY, 10) || 2;
+const HOST_DELAY_MS = Number.isNaN(parseInt(process.env.HTTP_HOST_DELAY_MS, 10))
+  ? 500 : parseInt(process.env.HTTP_HOST_DELAY_MS, 10);
+
+// ── Per-host gate ─────────────────────────────────────────────
+// host → { active, waiting, nextStart, timer }
+const hosts = new Map();
+
+function pump(host, gate) {
+  if (gate.timer || !gate.waiting.length || gate.active >= HOST_CONCURRENCY) return;
+  const wait = gate.nextStart - Date.now();
+  if (wait > 0) {
+    gate.timer = setTimeout(() => { gate.timer = null; pump(host, gate); }, wait);
+    return;
+  }
+  gate.active++;
+  gate.nextStart = Date.now() + HOST_DELAY_MS;
+  const start = gate.waiting.shift();
+  let released = false;
+  start(() => {
+    if (released) return;
+    released = true;
+    gate.active--;
+    if (!gate.active && !gate.waiting.length && !gate.timer && Date.now() >= gate.nextStart) hosts.delete(host);
+    else pump(host, gate);
+  });
+  pump(host, gate);
+}
+
+// Resolves with a release function once a request to host may start
+function acquire(host) {
+  let gate = hosts.get(host);
+  if (!gate) {
+    gate = { active: 0, waiting: [], nextStart: 0, timer: null };
+    hosts.set(host, gate);
+  }
+  return new Promise(resolve => {
+    gate.waiting.push(resolve);
+    pump(host, gate);
+  });
+}
+
+// ── One request ───────────────────────────────────────────────
+const DECODERS = { gzip: zlib.createGunzip, 'x-gzip': zlib.createGunzip, deflate: zlib.createInflate, br: zlib.createBrotliDecompress };
+
+// Charset from the Content-Type header, else the XML declaration or a
+// <meta charset>, else UTF-8
+function decodeBody(buf, contentType) {
+  const declared = (/charset=["']?([\w-]+)/i.exec(contentType || '') || [])[1]
+    || (/^<\?xml[^>]*encoding=["']([\w-]+)/i.exec(buf.subarray(0, 200).toString('latin1')) || [])[1]
+    || (/<meta[^>]+charset=["']?([\w-]+)/i.exec(buf.subarray(0, 2048).toString('latin1')) || [])[1]
+    || 'utf-8';
+  let decoder;
+  try { decoder = new TextDecoder(declared.toLowerCase()); } catch (e) { decoder = new TextDecoder('utf-8'); }
+  return decoder.decode(buf);
+}
+
+function request(url, { etag, lastModified, maxBytes, timeoutMs, accept }) {
+  return new Promise((resolve, reject) => {
+    const headers = { 'User-Agent': USER_AGENT, 'Accept-Encoding': 'gzip, deflate, br' };
+    if (accept) headers.Accept = accept;
+    if (etag) headers['If-None-Match'] = etag;
+    if (lastModified) headers['If-Modified-Since'] = lastModified;
+    const protocol = url.protocol === 'https:' ? https : http;
+    const req = protocol.get(url, { headers, timeout: timeoutMs }, res => {
+      const result = {
+        status: res.statusCode,
+        location: res.headers.location || null,
+        etag: res.headers.etag || null,
+        lastModified: res.headers['last-modified'] || null,
+        body: ''
+      };
+      if ((res.statusCode >= 300 && res.statusCode < 400) || res.statusCode === 204) {
+        res.resume();
+        return resolve(result);
+      }
+      const declared = parseInt(res.headers['content-length'], 10);
+      if (declared > maxBytes && !res.headers['content-encoding']) {
+        req.destroy();
+        return reject(new Error(`Response larger than ${maxBytes} bytes`));
+      }
+      const makeDecoder = DECODERS[(res.headers['content-encoding'] || '').trim().toLowerCase()];
+      const stream = makeDecoder ? res.pipe(makeDecoder()) : res;
+      const chunks = [];
+      let size = 0;
+      stream.on('data', chunk => {
+        size += chunk.length;
+        if (size > maxBytes) {
+          req.destroy();
+          stream.destroy();
+          reject(new Error(`Response larger than ${maxBytes} bytes`));
+          return;
+        }
+        chunks.push(chunk);
+      });
+      stream.on('end', () => {
+        result.body = decodeBody(Buffer.concat(chunks), res.headers['content-type']);
+        resolve(result);
+      });
+      stream.on('error', reject);
+    });
+    req.on('error', reject);
+    req.on('timeout', () => { req.destroy(); reject(new Error('Timeout')); });
+  });
+}
+
+// ── fetchText ─────────────────────────────────────────────────
+// options: { etag, lastModified, maxBytes, maxRedirects, timeoutMs, accept }
+// — etag and lastModified as a previous fetchText returned them. They're
+// only sent to the URL asked for, not to wherever it redirects.
+async function fetchText(href, options = {}) {
+  const {
+    maxBytes = DEFAULT_MAX_BYTES,
+    maxRedirects = MAX_REDIRECTS,
+    timeoutMs = TIMEOUT_MS,
+    accept = null
+  } = options;
+  let url = new URL(href);
+  const seen = new Set();
+  for (let hops = 0; ; hops++) {
+    if (!/^https?:$/.test(url.protocol)) throw new Error(`Unsupported protocol ${url.protocol}`);
+    seen.add(url.toString());
+    const conditional = hops === 0 ? { etag: options.etag, lastModified: options.lastModified } : {};
+    const release = await acquire(url.host);
+    let res;
+    try {
+      res = await request(url, { ...conditional, maxBytes, timeoutMs, accept });
+    } finally {
+      release();
+    }
+
+    if (res.status === 304) {
+      return { status: 304, url: url.toString(), body: '', etag: res.etag || options.etag || null, lastModified: res.lastModified || options.lastModified || null, notModified: true };
+    }
+    if (res.status >= 300 && res.status < 400 && res.location) {
+      const next = new URL(res.location, url);
+      if (seen.has(next.toString())) throw new Error(`Redirect loop at ${next}`);
+      if (hops >= maxRedirects) throw new Error(`More than ${maxRedirects} redirects`);
+      url = next;
+      continue;
+    }
+    return { status: res.status, url: url.toString(), body: res.body, etag: res.etag, lastModified: res.lastModified, notModified: false };
+  }
+}
+
+// ── Article page cache ────────────────────────────────────────
+// Recently read pages by URL, least recently used first. Within
+// PAGE_FRESH_MS a page is served as is; after that it's revalidated with
+// its validators and re-read only if it changed.
+const PAGE_CACHE_SIZE = 40;
+const PAGE_FRESH_MS = 15 * 60 * 1000;
+const PAGE_MAX_BYTES = 3 * 1024 * 1024;
+const pageCache = new Map();
+
+// The page's body, whatever its status — the article fetcher copes with
+// error pages the same way it copes with pages that have no article
+async function fetchPage(href) {
+  const cached = pageCache.get(href);
+  if (cached) pageCache.delete(href);
+  if (cached && Date.now() - cached.checkedAt < PAGE_FRESH_MS) {
+    pageCache.set(href, cached);
+    return cached.body;
+  }
+  const res = await fetchText(href, {
+    maxBytes: PAGE_MAX_BYTES,
+    etag: cached && cached.etag,
+    lastModified: cached && cached.lastModified
+  });
+  const body = res.notModified ? cached.body : res.body;
+  if (res.status < 400) {
+    pageCache.set(href, { body, etag: res.etag, lastModified: res.lastModified, checkedAt: Date.now() });
+    while (pageCache.size > PAGE_CACHE_SIZE) pageCache.delete(pageCache.keys().next().value);
+  }
+  return body;
+}
+
+module.exports = {
+  DEFAULT_MAX_BYTES,
+  fetchText,
+  fetchPage
+};
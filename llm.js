@@ -0,0 +1,262 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+
+// ── LLM provider ──────────────────────────────────────────────
+// Every Claude call in the app goes through here: complete() for the
+// server's own prompts, createMessage() for the raw admin proxy. One place
+// for model choice, timeouts, retries, and token and cost accounting.
+//
+// LLM_PROVIDER picks where calls go:
+//   anthropic  (default) the Messages API at ANTHROPIC_API_URL
+//   fake       no network — replies come from fixture files
+//   record     real calls, each reply also saved as a fixture for `fake`
+//
+// Fixtures live in LLM_FIXTURES (default ./fixtures/llm). A request is
+// matched by the hash of its body first (<hash>.json, what record mode
+// writes), then by task (<task>.json). The checked-in task fixtures give
+// every AI path a canned, deterministic answer.
+
+// Model per task. LLM_MODEL_<TASK> overrides one, e.g.
+// LLM_MODEL_TEASERS=claude-sonnet-4-6 or LLM_MODEL_REPORTER_EMAIL=….
+const TASK_MODELS = {
+  screen:           'claude-sonnet-4-6',          // pre-screening RSS headlines
+  questions:        'claude-sonnet-4-6',          // writing the day's questions
+  refine:           'claude-sonnet-4-6',          // rewriting weak questions
+  replace:          'claude-sonnet-4-6',          // one-off replacement from the admin panel
+  verify:           'claude-sonnet-4-6',          // fact-checking answers against their articles
+  teasers:          'claude-haiku-4-5-20251001',  // email teaser phrases
+  'bank-tags':      'claude-haiku-4-5-20251001',  // tagging published questions for the bank
+  topics:           'claude-sonnet-4-6',          // outreach topic extraction
+  'outreach-post':  'claude-sonnet-4-6',          // suggested social replies
+  'reporter-email': 'claude-sonnet-4-6'           // notes to reporters
+};
+
+// Calls that can be skipped when the spend budget is exceeded — each
+// caller already has a fallback (no teasers, keyword topics or tags, no draft).
+// Quiz generation and the editor's replacements always go through.
+const NON_ESSENTIAL_TASKS = new Set(['teasers', 'bank-tags', 'topics', 'outreach-post', 'reporter-email']);
+
+// USD per million tokens, [input, output]. Calls to a model missing here
+// are counted in tokens but not dollars.
+const MODEL_PRICES = {
+  'claude-sonnet-4-6': [3, 15],
+  'claude-haiku-4-5-20251001': [1, 5]
+};
+
+const RETRYABLE_STATUS = new Set([408, 429, 500, 502, 503, 504, 529]);
+
+const config = {
+  provider: (process.env.LLM_PROVIDER || 'anthropic').trim().toLowerCase(),
+  baseUrl: process.env.ANTHROPIC_API_URL || 'https://api.anthropic.com',
+  apiKey: null, // falls back to ANTHROPIC_API_KEY at call time
+  fixturesDir: path.resolve(process.env.LLM_FIXTURES || path.join(__dirname, 'fixtures', 'llm')),
+  // async task → reason string to refuse a non-essential call, or null
+  budgetGuard: null
+};
+
+// Overrides for scripts and local stand-ins: { provider, baseUrl, apiKey,
+// fixturesDir, budgetGuard }.
+function configure(options) {
+  Object.assign(config, options);
+  if (options.fixturesDir) config.fixturesDir = path.resolve(options.fixturesDir);
+}
+
+function modelFor(task) {
+  const override = process.env['LLM_MODEL_' + String(task).toUpperCase().replace(/-/g, '_')];
+  return override || TASK_MODELS[task] || TASK_MODELS.questions;
+}
+
+const providerName = () => config.provider;
+const isConfigured = () => config.provider === 'fake' || !!(config.apiKey || process.env.ANTHROPIC_API_KEY);
+
+// ── Usage accounting ──────────────────────────────────────────
+// Running totals per task since the process started, plus a hook for
+// anything that wants each call as it happens.
+const usage = { since: new Date().toISOString(), byTask: {} };
+const usageListeners = [];
+
+function costOf(model, inputTokens, outputTokens) {
+  const price = MODEL_PRICES[model];
+  if (!price) return null;
+  return (inputTokens * price[0] + outputTokens * price[1]) / 1e6;
+}
+
+function recordUsage(task, model, apiUsage, latencyMs) {
+  const inputTokens = (apiUsage.input_tokens || 0) + (apiUsage.cache_creation_input_tokens || 0) + (apiUsage.cache_read_input_tokens || 0);
+  const outputTokens = apiUsage.output_tokens || 0;
+  const costUsd = costOf(model, inputTokens, outputTokens);
+  const entry = { ts: new Date().toISOString(), task, model, inputTokens, outputTokens, latencyMs, costUsd, provider: config.provider };
+
+  const t = usage.byTask[task] || (usage.byTask[task] = { calls: 0, inputTokens: 0, outputTokens: 0, costUsd: 0 });
+  t.calls++;
+  t.inputTokens += inputTokens;
+  t.outputTokens += outputTokens;
+  t.costUsd += costUsd || 0;
+  console.log(`[LLM] ${task} ${model} — ${inputTokens} in / ${outputTokens} out, ${latencyMs}ms` + (costUsd !== null ? `, $${costUsd.toFixed(4)}` : ''));
+
+  for (const fn of usageListeners) {
+    try { fn(entry); } catch (e) { console.error('[LLM] Usage listener failed:', e.message); }
+  }
+  return entry;
+}
+
+const onUsage = fn => { usageListeners.push(fn); };
+const usageSummary = () => JSON.parse(JSON.stringify(usage));
+
+// ── Transport ─────────────────────────────────────────────────
+// One HTTP attempt. Resolves with { status, data, retryAfter } for any
+// response; rejects only on network errors and timeouts.
+function postMessages(body, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const apiKey = config.apiKey || process.env.ANTHROPIC_API_KEY;
+    if (!apiKey) return reject(new Error('ANTHROPIC_API_KEY is not set in Railway Variables.'));
+    const payload = JSON.stringify(body);
+    const url = new URL('/v1/messages', config.baseUrl);
+    const req = (url.protocol === 'http:' ? http : https).request(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(payload),
+        'x-api-key': apiKey,
+        'anthropic-version': '2023-06-01'
+      }
+    }, res => {
+      let raw = '';
+      res.on('data', chunk => raw += chunk);
+      res.on('end', () => {
+        let data = null;
+        try { data = JSON.parse(raw); } catch (e) { /* non-JSON error page — status says enough */ }
+        resolve({ status: res.statusCode, data, retryAfter: Number(res.headers['retry-after']) || 0 });
+      });
+    });
+    req.on('error', reject);
+    req.setTimeout(timeoutMs, () => req.destroy(new Error(`Claude API timed out after ${Math.round(timeoutMs / 1000)}s`)));
+    req.end(payload);
+  });
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function postWithRetries(body, { timeoutMs, retries }) {
+  for (let attempt = 0; ; attempt++) {
+    let result, error;
+    try {
+      result = await postMessages(body, timeoutMs);
+    } catch (e) {
+      if (/ANTHROPIC_API_KEY/.test(e.message)) throw e;
+      error = e;
+    }
+    const retryable = error || RETRYABLE_STATUS.has(result.status);
+    if (!retryable || attempt >= retries) {
+      if (error) throw error;
+      return result;
+    }
+    // Honour Retry-After (capped), otherwise back off 1s, 2s, 4s…
+    const wait = result && result.retryAfter ? Math.min(result.retryAfter, 20) * 1000 : 1000 * 2 ** attempt;
+    console.warn(`[LLM] ${error ? error.message : 'HTTP ' + result.status} — retrying in ${wait / 1000}s (${attempt + 1}/${retries})`);
+    await sleep(wait);
+  }
+}
+
+// ── Fixtures ──────────────────────────────────────────────────
+const requestHash = body => crypto.createHash('sha256').update(JSON.stringify(body)).digest('hex').slice(0, 16);
+
+function readFixture(name) {
+  const file = path.join(config.fixturesDir, name + '.json');
+  if (!fs.existsSync(file)) return null;
+  return JSON.parse(fs.readFileSync(file, 'utf8')).response;
+}
+
+function replayFixture(task, body) {
+  const hash = requestHash(body);
+  const response = readFixture(hash) || readFixture(task);
+  if (!response) throw new Error(`No LLM fixture for task '${task}' (request ${hash}) in ${config.fixturesDir}`);
+  return { status: 200, data: response };
+}
+
+function saveFixture(task, body, response) {
+  try {
+    fs.mkdirSync(config.fixturesDir, { recursive: true });
+    const hash = requestHash(body);
+    fs.writeFileSync(path.join(config.fixturesDir, hash + '.json'), JSON.stringify({ task, request: body, response }, null, 2));
+    console.log(`[LLM] Recorded fixture ${hash} (${task})`);
+  } catch (e) {
+    console.error('[LLM] Could not record fixture:', e.message);
+  }
+}
+
+// ── Calls ─────────────────────────────────────────────────────
+// Sends a Messages API request body as-is (body.model defaults to the
+// task's model) and resolves with the raw { status, data } — for callers
+// that pass the API's answer straight through — plus the recorded usage
+// entry, or null if the reply carried none. Non-essential tasks are refused
+// with err.code 'BUDGET_EXCEEDED' while the budget guard objects.
+async function createMessage(body, { task = 'questions', timeoutMs = 90000, retries = 2 } = {}) {
+  if (config.budgetGuard && NON_ESSENTIAL_TASKS.has(task)) {
+    const reason = await config.budgetGuard(task);
+    if (reason) {
+      console.warn(`[LLM] ${task} call skipped: ${reason}`);
+      const err = new Error(`LLM budget exceeded — ${task} calls are paused (${reason})`);
+      err.code = 'BUDGET_EXCEEDED';
+      throw err;
+    }
+  }
+  body = { ...body, model: body.model || modelFor(task) };
+  const started = Date.now();
+  const result = config.provider === 'fake'
+    ? replayFixture(task, body)
+    : await postWithRetries(body, { timeoutMs, retries });
+  let usageEntry = null;
+  if (result.status < 300 && result.data) {
+    if (config.provider === 'record') saveFixture(task, body, result.data);
+    if (result.data.usage) usageEntry = recordUsage(task, result.data.model || body.model, result.data.usage, Date.now() - started);
+  }
+  return { status: result.status, data: result.data, usage: usageEntry };
+}
+
+// The usual call: resolves with { text, model, usage }, usage being the
+// recorded { inputTokens, outputTokens, costUsd } or null if the reply had
+// none. Rejects on API errors and empty replies, with err.status set when
+// the API answered.
+//   complete({ task: 'teasers', prompt, maxTokens: 150, timeoutMs: 15000 })
+//   complete({ task: 'outreach-post', messages, maxTokens: 200 })
+async function complete({ task, prompt, messages, system, maxTokens = 1000, model, timeoutMs = 90000, retries = 2 }) {
+  const body = {
+    model: model || modelFor(task),
+    max_tokens: maxTokens,
+    ...(system && { system }),
+    messages: messages || [{ role: 'user', content: prompt }]
+  };
+  const { status, data, usage: recorded } = await createMessage(body, { task, timeoutMs, retries });
+  if (!data || status >= 300 || data.error) {
+    const err = new Error(`API error: ${(data && data.error && data.error.message) || 'HTTP ' + status}`);
+    err.status = status;
+    throw err;
+  }
+  if (!data.content || !data.content.length) throw new Error('API returned empty content. Check your API key.');
+  return {
+    text: data.content.map(b => b.text || '').join(''),
+    model: data.model || body.model,
+    usage: recorded && { inputTokens: recorded.inputTokens, outputTokens: recorded.outputTokens, costUsd: recorded.costUsd }
+  };
+}
+
+module.exports = {
+  TASK_MODELS,
+  MODEL_PRICES,
+  NON_ESSENTIAL_TASKS,
+  configure,
+  modelFor,
+  providerName,
+  isConfigured,
+  complete,
+  createMessage,
+  onUsage,
+  usageSummary,
+  costOf
+};
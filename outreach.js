@@ -17,7 +17,7 @@ const crypto        = require('crypto');
 const { spawn }     = require('child_process');
 const axios         = require('axios');
 const nodemailer    = require('nodemailer');
-const Anthropic     = require('@anthropic-ai/sdk');
+const llm           = require('./llm');
 
 // ── Paths & constants ─────────────────────────────────────────
 const DIR           = __dirname;
@@ -90,7 +90,9 @@ function loadConfig() {
   // Fall back to environment variables for keys that may live in .env
   cfg.anthropicApiKey = cfg.anthropicApiKey || process.env.ANTHROPIC_API_KEY;
 
-  for (const k of ['braveApiKey', 'anthropicApiKey', 'gmailUser', 'gmailAppPassword']) {
+  const required = ['braveApiKey', 'anthropicApiKey', 'gmailUser', 'gmailAppPassword']
+    .filter(k => k !== 'anthropicApiKey' || llm.providerName() !== 'fake'); // LLM_PROVIDER=fake needs no key
+  for (const k of required) {
     if (!cfg[k]) { console.error(`[Outreach] Missing required config field: ${k}`); process.exit(1); }
   }
   return cfg;
@@ -108,16 +110,16 @@ async function fetchLatestQuiz() {
 }
 
 // ── Topic extraction ──────────────────────────────────────────
-async function extractTopics(questions, anthropic) {
+async function extractTopics(questions) {
   const list = questions
     .filter(q => q.question)
     .map((q, i) => `Q${i + 1}: ${q.question}`)
     .join('\n');
 
   try {
-    const msg = await anthropic.messages.create({
-      model: 'claude-sonnet-4-6',
-      max_tokens: 700,
+    const { text } = await llm.complete({
+      task: 'topics',
+      maxTokens: 700,
       messages: [{
         role: 'user',
         content: `Extract topics and named entities from these Baltimore news quiz questions for social media outreach.
@@ -153,7 +155,7 @@ searchPhrases: what someone might type to find online discussions about this top
       }]
     });
 
-    const clean  = msg.content[0].text.replace(/```json|```/g, '').trim();
+    const clean  = text.replace(/```json|```/g, '').trim();
     const parsed = JSON.parse(clean);
     return Array.isArray(parsed) ? parsed : [];
   } catch (e) {
@@ -486,7 +488,7 @@ const HEDGE_PHRASES = [
 function countWords(s) { return s.trim().split(/\s+/).length; }
 
 // ── Post drafting ─────────────────────────────────────────────
-async function draftPost(opp, quizTopics, cfg, anthropic, usedPhrases) {
+async function draftPost(opp, quizTopics, cfg, usedPhrases) {
   const voiceRaw = PLATFORM_VOICE[opp.platform] || PLATFORM_VOICE['Web/Forum'];
   const voice    = voiceRaw
     .replace('{xHandle}',         cfg.xHandle         || '@dconn')
@@ -542,26 +544,24 @@ Write ONLY the post text — no preamble, no quotes, no explanation.`;
 
   try {
     const messages = [{ role: 'user', content: prompt }];
-    const msg = await anthropic.messages.create({
-      model: 'claude-sonnet-4-6', max_tokens: 250, messages
-    });
-    let text = msg.content[0].text.trim();
+    const msg = await llm.complete({ task: 'outreach-post', maxTokens: 250, messages });
+    let text = msg.text.trim();
 
     // Respect SKIP signal
     if (text.toUpperCase().startsWith('SKIP')) return 'SKIP';
 
     // If over 75 words, ask Claude to rewrite — no truncation
     if (countWords(text) > 75) {
-      const retry = await anthropic.messages.create({
-        model: 'claude-sonnet-4-6',
-        max_tokens: 200,
+      const retry = await llm.complete({
+        task: 'outreach-post',
+        maxTokens: 200,
         messages: [
           ...messages,
           { role: 'assistant', content: text },
           { role: 'user', content: `That's ${countWords(text)} words — too long. Rewrite the entire post so it's 75 words or fewer. It must end on a complete sentence or thought — never cut off mid-sentence. Same voice, same quiz mention, just tighter. Write ONLY the revised post.` }
         ]
       });
-      text = retry.content[0].text.trim();
+      text = retry.text.trim();
       if (text.toUpperCase().startsWith('SKIP')) return 'SKIP';
     }
 
@@ -768,6 +768,34 @@ async function syncContactLogFromRailway(cfg) {
   }
 }
 
+// The site's LLM budget status — { status, reason, … } — or null when the
+// site isn't configured or can't be reached (drafting then goes ahead).
+async function fetchLlmBudget(cfg) {
+  if (!cfg.siteUrl || !cfg.siteToken) return null;
+  try {
+    const { data } = await axios.get(`${cfg.siteUrl}/api/outreach/llm-budget`, {
+      headers: { 'x-outreach-token': cfg.siteToken }, timeout: 10000
+    });
+    return data;
+  } catch (e) {
+    console.warn('[Outreach] Could not check LLM budget:', e.message);
+    return null;
+  }
+}
+
+// Send this run's Claude calls to the site so they show in the admin spend view
+async function reportLlmUsage(cfg, entries) {
+  if (!entries.length || !cfg.siteUrl || !cfg.siteToken) return;
+  try {
+    await axios.post(`${cfg.siteUrl}/api/outreach/llm-usage`, { entries }, {
+      headers: { 'x-outreach-token': cfg.siteToken }, timeout: 10000
+    });
+    console.log(`[Outreach] Reported ${entries.length} LLM call(s) to the site`);
+  } catch (e) {
+    console.warn('[Outreach] Could not report LLM usage:', e.message);
+  }
+}
+
 // Score a reporter's relevance to a specific story
 const MANAGEMENT_BEATS = new Set([
   'editor', 'managing editor', 'editor-in-chief', 'executive editor',
@@ -939,7 +967,7 @@ async function matchReporters(questions, topics, contacts) {
 }
 
 // Draft a personal email to a reporter using Claude
-async function draftReporterEmail(match, contactHistory, anthropic) {
+async function draftReporterEmail(match, contactHistory) {
   const { reporter, question, topic, storyUrl } = match;
   const priorContacts = (contactHistory && contactHistory.contacts) || [];
   const hasHistory    = priorContacts.length > 0;
@@ -975,11 +1003,8 @@ ${hasHistory ? '• Acknowledge the history naturally, e.g.: "I reached out a wh
 Write only the email body — no subject line, no extra explanation.`;
 
   try {
-    const msg = await anthropic.messages.create({
-      model: 'claude-sonnet-4-6', max_tokens: 200,
-      messages: [{ role: 'user', content: prompt }]
-    });
-    return msg.content[0].text.trim();
+    const msg = await llm.complete({ task: 'reporter-email', maxTokens: 200, prompt });
+    return msg.text.trim();
   } catch (e) {
     console.warn(`[Outreach] Reporter email draft failed (${reporter.email}):`, e.message);
     return null;
@@ -987,7 +1012,7 @@ Write only the email body — no subject line, no extra explanation.`;
 }
 
 // Orchestrate reporter matching and email drafting
-async function buildReporterEmails(questions, topics, contacts, anthropic) {
+async function buildReporterEmails(questions, topics, contacts) {
   const matches = await matchReporters(questions, topics, contacts);
   if (!matches.length) {
     console.log('[Outreach] No reporters matched today\'s quiz sources — skipping reporter emails');
@@ -1001,7 +1026,7 @@ async function buildReporterEmails(questions, topics, contacts, anthropic) {
   for (const match of matches) {
     await sleep(300);
     const history    = log.find(c => c.email === match.reporter.email) || null;
-    const draftEmail = await draftReporterEmail(match, history, anthropic);
+    const draftEmail = await draftReporterEmail(match, history);
     if (!draftEmail) continue;
     results.push({ reporter: match.reporter, topic: match.topic,
                    storyUrl: match.storyUrl, question: match.question,
@@ -1292,11 +1317,18 @@ async function main() {
   const { questions } = quizData.quiz;
   console.log(`[Outreach] Processing ${quizData.date} — ${questions.length} questions`);
 
-  const anthropic = new Anthropic({ apiKey: cfg.anthropicApiKey });
+  llm.configure({ apiKey: cfg.anthropicApiKey });
+  const llmUsage = [];
+  llm.onUsage(entry => llmUsage.push(entry));
+  // Every call below is non-essential: once the site's budget is spent,
+  // topics fall back to keywords and posts/emails go undrafted.
+  const budget = await fetchLlmBudget(cfg);
+  if (budget && budget.status === 'warn') console.warn('[Outreach] LLM spend is nearing the budget');
+  if (budget && budget.reason) llm.configure({ budgetGuard: async () => budget.reason });
 
   // 1. Extract topics + search phrases from quiz questions
   console.log('[Outreach] Extracting topics…');
-  const topics  = await extractTopics(questions, anthropic);
+  const topics  = await extractTopics(questions);
   console.log(`[Outreach] ${topics.length} topics extracted`);
 
   const phrases = [...new Set(
@@ -1325,7 +1357,7 @@ async function main() {
   const usedPhrases = new Set(); // track hedge phrases across the digest
   for (const opp of filtered) {
     await sleep(300);
-    const text = await draftPost(opp, context, cfg, anthropic, usedPhrases);
+    const text = await draftPost(opp, context, cfg, usedPhrases);
     if (!text || text === 'SKIP') {
       console.log(`\n[Outreach] Skipped ${opp.label || opp.platform} — ${!text ? 'API error' : 'quiz mention not natural'}`);
       continue;
@@ -1342,7 +1374,7 @@ async function main() {
   let reporterEmails = [];
   const contacts = loadContacts();
   if (contacts) {
-    reporterEmails = await buildReporterEmails(questions, topics, contacts, anthropic);
+    reporterEmails = await buildReporterEmails(questions, topics, contacts);
     console.log(`[Outreach] ${reporterEmails.length} reporter email(s) drafted`);
   } else {
     console.warn('[Outreach] outreach-contacts.json not found — skipping reporter emails');
@@ -1377,6 +1409,7 @@ async function main() {
 
   // 6. Email digest (always send — confirms script ran)
   await sendDigest(quizData.date, topics, withDrafts, reporterEmails, cfg);
+  await reportLlmUsage(cfg, llmUsage);
 
   // 7. Mark today as processed
   markRunDone();
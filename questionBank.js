@@ -0,0 +1,223 @@
+'use strict';
+
+const crypto = require('crypto');
+const store = require('./store');
+const llm = require('./llm');
+
+// ── Question bank ─────────────────────────────────────────────
+// Every question that has been published or starred, kept for good so a
+// strong evergreen question can run again long after its quiz is pruned.
+// An entry is:
+//   { id, question, data, tags, starred, note, uses, createdAt, updatedAt }
+// where data is the question object as it goes into a quiz, uses is
+// [{ date, qIdx }] (one per quiz it ran in) and tags is
+//   { topic, neighborhood, outlet, difficulty, shelfLife }
+// shelfLife being 'evergreen' or 'time-sensitive'. Entries are keyed by
+// their question text (see bankId), the same way starredQuestions is, so
+// a reworded question is a new entry.
+//
+// Tags come from a short Claude pass when a quiz is published; if that's
+// skipped (no key, budget) or fails, guessTags() fills them from keywords.
+// The editor can correct any of them from the bank panel.
+
+const TOPICS = ['politics', 'crime & courts', 'transit', 'schools', 'sports', 'business', 'development', 'health', 'environment', 'arts & culture', 'food', 'community'];
+const SHELF_LIVES = ['evergreen', 'time-sensitive'];
+const TAG_FIELDS = ['topic', 'neighborhood', 'outlet', 'difficulty', 'shelfLife'];
+
+const TOPIC_PATTERNS = [
+  ['politics', /\b(council|mayor|governor|legislat|senat|delegate|election|ballot|vote|commissioner|county executive|general assembly)/i],
+  ['crime & courts', /\b(police|shooting|arrest|charged|court|judge|jury|trial|sentenc|prosecutor|homicide|lawsuit)/i],
+  ['transit', /\b(mta|bus|light rail|metro|subway|commut|traffic|highway|bridge|port|airport|bwi|red line)/i],
+  ['schools', /\b(school|student|teacher|principal|universit|college|campus|graduat|classroom)/i],
+  ['sports', /\b(orioles|ravens|camden yards|m&t bank stadium|preakness|season|playoff|coach|quarterback|pitcher)/i],
+  ['business', /\b(compan|business|jobs|layoff|hiring|store|restaurant chain|retail|startup|economy|tax)/i],
+  ['development', /\b(develop|housing|apartment|rent|construction|redevelop|zoning|vacant|rowhome)/i],
+  ['health', /\b(hospital|health|hopkins|medic|covid|vaccine|overdose|clinic|patients?)\b/i],
+  ['environment', /\b(harbor|bay|chesapeake|climate|flood|storm|heat|pollut|tree|park|water)/i],
+  ['arts & culture', /\b(museum|artist|festival|music|theater|theatre|film|book|library|exhibit)/i],
+  ['food', /\b(restaurant|chef|crab|food|bakery|brewery|menu)/i]
+];
+
+// Neighborhoods and nearby places that show up in the news often enough
+// to be worth a filter. Matched whole-word, case-insensitively.
+const NEIGHBORHOODS = [
+  'Canton', 'Fells Point', 'Federal Hill', 'Mount Vernon', 'Hampden', 'Remington', 'Station North',
+  'Charles Village', 'Roland Park', 'Highlandtown', 'Patterson Park', 'Little Italy', 'Harbor East',
+  'Inner Harbor', 'Locust Point', 'Sandtown', 'West Baltimore', 'East Baltimore', 'Druid Hill',
+  'Pigtown', 'Hamilton', 'Lauraville', 'Waverly', 'Bolton Hill', 'Reservoir Hill', 'Curtis Bay',
+  'Brooklyn', 'Cherry Hill', 'Port Covington', 'Towson', 'Catonsville', 'Dundalk', 'Essex',
+  'Glen Burnie', 'Annapolis', 'Columbia', 'Ellicott City', 'Owings Mills', 'Pikesville'
+];
+const NEIGHBORHOOD_PATTERNS = NEIGHBORHOODS.map(n => [n, new RegExp('\\b' + n.replace(/ /g, '\\s+') + '\\b', 'i')]);
+
+// Words that tie a question to the week it ran
+const TIME_SENSITIVE = /\b(this (week|month|year|spring|summer|fall|winter|season|weekend)|last (week|month)|recently|yesterday|today|tonight|upcoming|will|plans? to|announced|just)\b/i;
+
+const normalizeText = s => String(s || '').trim().replace(/\s+/g, ' ').toLowerCase();
+const bankId = questionText => crypto.createHash('sha256').update(normalizeText(questionText)).digest('hex').slice(0, 16);
+
+function outletOf(url) {
+  try { return new URL(url).hostname.replace(/^www\./, ''); } catch (e) { return null; }
+}
+
+const questionBody = q => [q.question, ...(Array.isArray(q.options) ? q.options : []), q.explanation].filter(Boolean).join(' ');
+
+function guessTags(q) {
+  const text = questionBody(q);
+  const topic = (TOPIC_PATTERNS.find(([, re]) => re.test(text)) || ['community'])[0];
+  const neighborhood = (NEIGHBORHOOD_PATTERNS.find(([, re]) => re.test(text)) || [null])[0];
+  return {
+    topic,
+    neighborhood,
+    outlet: outletOf(q.sourceUrl),
+    difficulty: q.difficulty || null,
+    shelfLife: TIME_SENSITIVE.test(q.question) ? 'time-sensitive' : 'evergreen'
+  };
+}
+
+// Keeps only known tag fields, with topic and shelfLife from their lists.
+function cleanTags(tags, fallback) {
+  const out = { ...fallback };
+  for (const field of TAG_FIELDS) {
+    if (tags[field] === undefined) continue;
+    const v = tags[field] === null ? null : String(tags[field]).trim().slice(0, 60) || null;
+    if (field === 'topic' && v && !TOPICS.includes(v.toLowerCase())) continue;
+    if (field === 'shelfLife' && v && !SHELF_LIVES.includes(v)) continue;
+    out[field] = field === 'topic' && v ? v.toLowerCase() : v;
+  }
+  return out;
+}
+
+// Tags for a batch of questions, in order. Claude picks topic,
+// neighborhood and shelf life; outlet and difficulty come from the
+// question itself. Never rejects.
+async function tagQuestions(questions) {
+  const guesses = questions.map(guessTags);
+  if (!questions.length || !llm.isConfigured()) return guesses;
+  const list = questions.map((q, i) => `${i + 1}. ${q.question}\n   Answer: ${(q.options || [])[q.correctIndex] || ''}`).join('\n');
+  try {
+    const { text } = await llm.complete({
+      task: 'bank-tags',
+      maxTokens: 600,
+      timeoutMs: 20000,
+      retries: 1,
+      prompt: `Tag these Baltimore news quiz questions for a searchable archive.
+
+${list}
+
+For each question give:
+- topic: exactly one of ${TOPICS.map(t => `"${t}"`).join(', ')}
+- neighborhood: the Baltimore-area neighborhood or town the story is about, or null if it's citywide, statewide or unclear
+- shelfLife: "evergreen" if the question would still be fair to ask a year from now, "time-sensitive" if it depends on current events
+
+Return ONLY a JSON array, one object per question in order: [{"topic": "...", "neighborhood": null, "shelfLife": "evergreen"}]`
+    });
+    const clean = text.replace(/```json|```/g, '').trim();
+    const parsed = JSON.parse(clean.slice(clean.indexOf('['), clean.lastIndexOf(']') + 1));
+    return guesses.map((guess, i) => (parsed[i] && typeof parsed[i] === 'object'
+      ? cleanTags({ topic: parsed[i].topic, neighborhood: parsed[i].neighborhood, shelfLife: parsed[i].shelfLife }, guess)
+      : guess));
+  } catch (e) {
+    console.warn('[Bank] Tagging fell back to keywords:', e.message);
+    return guesses;
+  }
+}
+
+// What a quiz needs from a question — drafts carry review and UI fields
+// that don't belong in the bank.
+const QUESTION_FIELDS = ['question', 'image', 'options', 'correctIndex', 'explanation', 'sourceUrl', 'pubDate', 'difficulty'];
+const questionData = q => Object.fromEntries(QUESTION_FIELDS.filter(f => q[f] !== undefined).map(f => [f, q[f]]));
+
+function searchTextOf(entry) {
+  return [questionBody(entry.data), ...Object.values(entry.tags || {}), entry.note].filter(Boolean).join(' ');
+}
+
+function newEntry(q, tags, now) {
+  return { id: bankId(q.question), question: q.question, data: questionData(q), tags, starred: false, note: '', uses: [], createdAt: now, updatedAt: now };
+}
+
+async function saveEntry(entry) {
+  await store.putBankEntry({ ...entry, searchText: searchTextOf(entry) });
+}
+
+// Files a published quiz's questions under their date. A republish of the
+// same date (an edit or a fix) replaces that date's uses, and a question
+// edited out of the quiz loses its use — and its entry, if nothing else
+// (another date, a star, a note) was keeping it.
+async function recordPublishedQuiz(date, questions) {
+  const usable = (questions || []).filter(q => q && typeof q.question === 'string' && q.question.trim());
+  const ids = new Set(usable.map(q => bankId(q.question)));
+  for (const stale of await store.listBankEntriesUsedOn(date)) {
+    if (ids.has(stale.id)) continue;
+    const uses = stale.uses.filter(u => u.date !== date);
+    if (!uses.length && !stale.starred && !stale.note) await store.deleteBankEntry(stale.id);
+    else await saveEntry({ ...stale, uses, updatedAt: new Date().toISOString() });
+  }
+
+  const existing = await Promise.all(usable.map(q => store.getBankEntry(bankId(q.question))));
+  const fresh = usable.filter((q, i) => !existing[i]);
+  const tags = await tagQuestions(fresh);
+  const now = new Date().toISOString();
+  for (const [i, q] of usable.entries()) {
+    const entry = existing[i] || newEntry(q, tags[fresh.indexOf(q)], now);
+    const qIdx = questions.indexOf(q);
+    entry.data = questionData(q);
+    entry.tags = { ...entry.tags, difficulty: q.difficulty || entry.tags.difficulty || null, outlet: outletOf(q.sourceUrl) || entry.tags.outlet || null };
+    entry.uses = [...entry.uses.filter(u => u.date !== date), { date, qIdx }].sort((a, b) => a.date.localeCompare(b.date));
+    entry.updatedAt = now;
+    await saveEntry(entry);
+  }
+  console.log(`[Bank] ${usable.length} question(s) filed for ${date} (${fresh.length} new)`);
+}
+
+// Stars or unstars a question. Starring one the bank hasn't seen creates
+// an entry from whatever is known (the starred list keeps only the text,
+// answer and source).
+async function setStarred(q, starred) {
+  const entry = await store.getBankEntry(bankId(q.question));
+  if (entry) {
+    if (!starred && !entry.uses.length && !entry.note) return store.deleteBankEntry(entry.id);
+    return saveEntry({ ...entry, starred, updatedAt: new Date().toISOString() });
+  }
+  if (!starred) return;
+  const data = q.options ? q : { question: q.question, options: q.correctAnswer ? [q.correctAnswer] : [], correctIndex: 0, sourceUrl: q.sourceUrl || '' };
+  await saveEntry({ ...newEntry(data, guessTags(data), new Date().toISOString()), starred: true });
+}
+
+// One-time fill from what the store still remembers: the quizzes that
+// survived pruning, and the starred list. Keyword tags only — no burst of
+// Claude calls on a deploy.
+async function seedFromHistory() {
+  if (await store.getKey('questionBankSeeded')) return;
+  const dates = await store.listQuizDates();
+  let count = 0;
+  for (const date of dates) {
+    const quiz = await store.getQuiz(date);
+    for (const [qIdx, q] of ((quiz && quiz.questions) || []).entries()) {
+      if (!q || !q.question) continue;
+      const entry = (await store.getBankEntry(bankId(q.question))) || newEntry(q, guessTags(q), new Date().toISOString());
+      if (!entry.uses.some(u => u.date === date)) entry.uses.push({ date, qIdx });
+      await saveEntry(entry);
+      count++;
+    }
+  }
+  for (const s of (await store.getKey('starredQuestions')) || []) {
+    if (s && s.question) await setStarred(s, true);
+  }
+  await store.setKey('questionBankSeeded', new Date().toISOString());
+  console.log(`[Bank] Seeded from ${dates.length} stored quiz(zes): ${count} question use(s)`);
+}
+
+module.exports = {
+  TOPICS,
+  SHELF_LIVES,
+  TAG_FIELDS,
+  bankId,
+  cleanTags,
+  guessTags,
+  tagQuestions,
+  searchTextOf,
+  recordPublishedQuiz,
+  setStarred,
+  seedFromHistory
+};
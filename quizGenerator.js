@@ -0,0 +1,987 @@
+'use strict';
+
+const { getKeys } = require('./store');
+const llm = require('./llm');
+const difficultyModel = require('./difficultyModel');
+
+// ── Quiz generation pipeline ──────────────────────────────────
+// Turns the RSS cache, plus any hand-picked article URLs and pasted text,
+// into a draft quiz, start to finish on the server:
+//
+//   select    rank cached RSS articles and drop ones already used
+//   screen    Claude pre-screens the headlines, pairs up duplicates and
+//             rates interest
+//   fetch     full text for the top six articles and every hand-picked URL
+//   prompt    buildPromptProduction() assigns one article per question
+//   generate  Claude writes the questions; parseQuestions() and
+//             enforceQuizRules() clean them up
+//   audit     scoreQuestionQuality() flags weak questions; two or more get
+//             one targeted retry
+//
+// Claude calls go through llm.js (tasks screen, questions and refine).
+// Article fetching and the published-quiz archive live in server.js, which
+// passes them in along with an onProgress callback that gets
+// { stage, message } as each step starts.
+
+const toUrlList = v => (Array.isArray(v) ? v : String(v || '').split('\n'))
+  .map(u => String(u).trim()).filter(u => u.startsWith('http'));
+
+// Resolves with fallback instead of rejecting if `promise` takes too long.
+function withTimeout(promise, ms, fallback) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise(resolve => { timer = setTimeout(() => resolve(fallback), ms); })
+  ]).finally(() => clearTimeout(timer));
+}
+
+// ── Select: rank the RSS cache ────────────────────────────────
+// Sorts articles so outcome/decision stories float above process stories.
+// Nothing is dropped here except URLs already used in a quiz — the screener
+// and buildPromptProduction() do the rest.
+
+function freshnessBonus(pubDate) {
+  if (!pubDate) return 0;
+  try {
+    const hours = (Date.now() - new Date(pubDate).getTime()) / 3600000;
+    if (isNaN(hours)) return 0;
+    if (hours < 24) return 3;
+    if (hours < 48) return 2;
+    if (hours < 72) return 1;
+    return -3;
+  } catch (e) { return 0; }
+}
+
+function quizWorthiness(title, pubDate, link) {
+  const t = (title || '').toLowerCase();
+  let score = 0;
+  score += freshnessBonus(pubDate);
+  // Boost: concrete outcomes and decisions
+  if (/\b(approved?|passed?|signed|funded|launched|opened?|announced?|renamed?|awarded?|selected?|elected?|promoted?|hired?|fired?|broke ground|breaking ground|unveiled?)\b/.test(t)) score += 3;
+  // Boost: named places (Baltimore-specific stories)
+  if (/\b(baltimore|towson|annapolis|columbia|ellicott city|catonsville|fells point|inner harbor|dundalk|hampden|canton|federal hill|remington|charles village|pigtown|brooklyn|curtis bay)\b/.test(t)) score += 2;
+  // Boost: visible projects and community topics
+  if (/\b(park|bridge|school|project|festival|restaurant|stadium|transit|housing|development|museum|library|trail|renovation|concert|exhibit)\b/.test(t)) score += 2;
+  // Boost: named newsworthy people (not just titles)
+  if (/\b(mayor|governor|coach|director|ceo|founder|chef|artist|author|musician|athlete)\b/.test(t)) score += 1;
+  // Downweight: legislative process without outcome
+  if (/\b(committee|hearing|testimony|task force|amendment|debate|markup|session|proposal|consideration|discusses?|reviews?|weighs?|mulls?)\b/.test(t)) score -= 2;
+  // Downweight: individual incidents
+  if (/\b(shooting|homicide|stabbing|crash|arrest|charged?|indicted?|sentenced?)\b/.test(t)) score -= 3;
+  // Extra penalty: routine individual crime with no systemic angle
+  if (/\b(shooting|homicide|stabbing|gunshot|gun fire|gunman|killed|fatal|dead|murder|robbery|burglary|carjack|assault)\b/.test(t)) score -= 3;
+  // But restore some credit if it involves public officials or systemic significance
+  if (/\b(police officer|officer shot|officer killed|detective|commissioner|police chief|systemic|pattern|department)\b/.test(t)) score += 3;
+  // Downweight: opinion/analysis
+  if (/\b(opinion|editorial|commentary|analysis|column|perspective|why |how to)\b/.test(t)) score -= 4;
+  // Also penalize opinion/column URLs
+  if (/\/opinion\/|\/column\/|\/commentary\/|\/perspective\//.test(link || '')) score -= 3;
+  return score;
+}
+
+// Up to four articles per source, interleaved so Claude sees variety from
+// the start, minus anything already used, best-scoring first. A story's
+// score is its quizWorthiness plus its source's priority from the source
+// registry. Returns the prompt's ARTICLE blocks joined by '---'.
+function rankRssItems(items, archivedUrls) {
+  const bySource = {};
+  for (const item of items) {
+    const domain = item.source || 'unknown';
+    if (!bySource[domain]) bySource[domain] = [];
+    if (bySource[domain].length < 4) bySource[domain].push(item);
+  }
+  const sourceQueues = Object.values(bySource);
+  const interleaved = [];
+  let added = true;
+  while (added) {
+    added = false;
+    for (const queue of sourceQueues) {
+      if (queue.length > 0) { interleaved.push(queue.shift()); added = true; }
+    }
+  }
+
+  const used = new Set(archivedUrls);
+  const fresh = interleaved.filter(item => {
+    if (item.link && used.has(item.link)) {
+      console.log('[ArchiveFilter] Skipping previously used URL:', item.link);
+      return false;
+    }
+    return true;
+  });
+
+  // Sort by score descending, preserving source interleaving as a tiebreaker
+  const scored = fresh.map((item, i) => ({ item, score: quizWorthiness(item.title, item.published || item.pubDate, item.link) + (item.priority || 0), i }));
+  scored.sort((a, b) => b.score - a.score || a.i - b.i);
+
+  console.log('[QuizScore] Top 6 articles:');
+  scored.slice(0, 6).forEach(s => console.log(`  [${s.score > 0 ? '+' : ''}${s.score}] ${s.item.title}`));
+
+  return scored.map(({ item }, idx) =>
+    `ARTICLE ${idx + 1}:\nSOURCE: ${item.source}\nHEADLINE: ${item.title}\nSUMMARY: ${item.description}\nARTICLE_URL: ${item.link}\nDATE: ${item.published || item.pubDate}`
+  ).join('\n\n---\n\n');
+}
+
+const splitBlocks = content => (content || '').split('---').map(b => b.trim()).filter(Boolean);
+
+// ── Screen: Claude pre-screens the candidates ─────────────────
+function buildScreenPrompt(blocks, { summaries, archiveUrls, starredExamples }) {
+  const headlines = blocks.map((b, i) => {
+    const m = b.match(/HEADLINE: (.+)/);
+    const u = b.match(/ARTICLE_URL: (.+)/);
+    return `${i}: ${m ? m[1].trim() : '(no headline)'} | ${u ? u[1].trim() : ''}`;
+  }).join('\n');
+
+  const last12Summaries = summaries.slice(-12);
+  const olderSummaries = summaries.slice(-60, -12);
+
+  const recentSummaryNote = summaries.length > 0
+    ? 'COVERED IN THE LAST 48 HOURS — reject an article only if it reports on the SAME specific event, decision, or incident as one of these, even from a different outlet (a fresh development or new angle in an ongoing story is NOT a duplicate and should be accepted):\n' +
+      last12Summaries.map(s => '- ' + s).join('\n') + '\n\n' +
+      (olderSummaries.length > 0
+        ? 'ALSO COVERED IN THE LAST TWO WEEKS (reject only if it is the same specific event, not just a related topic):\n' + olderSummaries.map(s => '- ' + s).join('\n') + '\n\n'
+        : '')
+    : '';
+  const recentUrlNote = archiveUrls.length > 0
+    ? 'ALREADY USED RECENTLY (REJECT these exact URLs; reject other articles only if they cover the identical event, not just a related topic):\n' + archiveUrls.join('\n') + '\n\n'
+    : '';
+
+  const starredStoryNote = starredExamples.length > 0
+    ? 'EDITOR-APPROVED STORY EXAMPLES — the editor has previously starred these as strong quiz questions. Use them to calibrate what counts as an interesting, worthwhile story for this audience — favor accepting and rating highly any candidate article that resembles these in topic, scale, or civic significance:\n' +
+      starredExamples.slice(-15).map((q, i) => `${i + 1}. "${q.question}"${q.note ? ' — editor note: ' + q.note : ''}`).join('\n') + '\n\n'
+    : '';
+
+
+  return 'You are an editor screening articles for a Baltimore local news quiz. ' +
+    'For each article below, decide if it is suitable for a quiz question.\n\n' +
+    recentSummaryNote +
+    recentUrlNote +
+    starredStoryNote +
+    'REJECT only if clearly one of these:\n' +
+    '- Weather forecast or routine temperature update\n' +
+    '- DC team sports story (Nationals, Commanders, Capitals, Wizards) with no Baltimore/Maryland angle\n' +
+    '- Routine sports transaction, injury update, or spring training note\n' +
+    '- Sports story that an average Baltimore resident would not be expected to know about\n' +
+    '- Headline roundup or headlines digest article (morning, afternoon, evening, weekly, or any multi-story summary)\n' +
+    '- Named court case with no broader significance (individual sentencing, routine probation violation)\n' +
+    '- Obituary or memorial piece\n' +
+    '- Real estate listing or Hot House feature\n' +
+    '- Things to do events calendar\n' +
+    '- Individual incident story: house fire, car crash, single shooting, mall altercation, or isolated crime — unless it has broader public safety, policy, or multi-incident significance\n\n' +
+    'ACCEPT stories that involve meaningful local impact, decisions, policy, development, public institutions, or issues affecting many residents.\n' +
+    'Prefer to reject borderline stories, but ensure enough variety to produce at least 6 distinct quiz questions.\n' +
+    'When in doubt, balance quality with coverage — include enough strong and moderately strong stories to support a full 6-question quiz.\n\n' +
+    'EXTRA HINT: If an article URL contains \'headlines\' or \'roundup\' or \'digest\' in the path, it is almost certainly a multi-story summary — REJECT it.\n\n' +
+    'ARTICLES:\n' + headlines + '\n\n' +
+    'DUPLICATE DETECTION: After deciding accept/reject, also identify pairs of accepted articles that cover the same news event from different angles or outlets. Two articles are duplicates if a reader would say they are "about the same thing" — same incident, same decision, same person\'s action. Different takes on a developing story still count as duplicates.\n\n' +
+    'INTEREST RATING: For each accepted article, also rate how interesting it is to a general Baltimore-area reader (not a specialist)' +
+    (starredExamples.length > 0 ? ', calibrated against the EDITOR-APPROVED STORY EXAMPLES above' : '') + '. Use:\n' +
+    '3 = HIGH — a well-informed Baltimorean would mention this to a friend: major civic decision, significant development, compelling human story, notable public figure, clear community impact\n' +
+    '2 = MEDIUM — reasonably newsworthy but not especially compelling\n' +
+    '1 = LOW — accepted but dry: routine procedural item, minor agency update, niche topic most residents would not care about\n\n' +
+    'Respond with ONLY a JSON object in this exact format (no explanation):\n' +
+    '{"accepted": [0,2,4,7,9], "duplicates": [[2,7],[4,9]], "interest": {"0": 3, "2": 2, "4": 1, "7": 3, "9": 2}}\n' +
+    'If no duplicates found, return "duplicates": []\n' +
+    'interest keys are the original article indices. Every accepted index must appear in interest.';
+}
+
+// Asks Claude which candidates are worth a question. Returns the surviving
+// blocks, duplicates dropped and most interesting first — or the blocks
+// unchanged if the screen fails, since it's an optimisation, not a gate.
+async function screenArticles(blocks, context) {
+  try {
+    const { text: screenText } = await llm.complete({
+      task: 'screen',
+      maxTokens: 600,
+      prompt: buildScreenPrompt(blocks, context),
+      timeoutMs: 30000,
+      retries: 1
+    });
+    const parsed = JSON.parse(screenText.replace(/```json|```/g, '').trim());
+
+    // Handle both old format (array) and new format (object with accepted/duplicates/interest)
+    const acceptedIndices = Array.isArray(parsed) ? parsed : (parsed.accepted || []);
+    const duplicatePairs  = Array.isArray(parsed) ? [] : (parsed.duplicates || []);
+    const interestScores  = (!Array.isArray(parsed) && parsed.interest) ? parsed.interest : {};
+
+    // Build set of duplicate indices to suppress — keep only the first of each pair
+    const suppressedByDupe = new Set();
+    for (const pair of duplicatePairs) {
+      if (Array.isArray(pair) && pair.length >= 2) {
+        for (let i = 1; i < pair.length; i++) suppressedByDupe.add(pair[i]);
+        console.log(`[PreScreen] Duplicate suppressed: article ${pair[1]} is same event as article ${pair[0]}`);
+      }
+    }
+
+    console.log(`[PreScreen] Accepted ${acceptedIndices.length} of ${blocks.length} articles. Duplicates suppressed: ${suppressedByDupe.size}`);
+
+    // Sort by interest score (3=high → 1=low) so the most compelling stories get enriched and used first
+    const sortedIndices = acceptedIndices
+      .filter(i => i >= 0 && i < blocks.length && !suppressedByDupe.has(i))
+      .sort((a, b) => (interestScores[String(b)] || 2) - (interestScores[String(a)] || 2));
+
+    if (Object.keys(interestScores).length) {
+      console.log('[PreScreen] Interest scores:', sortedIndices.map(i => `${i}→${interestScores[String(i)] || 2}`).join(', '));
+    }
+    return sortedIndices.map(i => blocks[i]);
+  } catch (e) {
+    console.warn('[PreScreen] Screening step failed, proceeding with full RSS:', e.message);
+    return blocks;
+  }
+}
+
+// ── Fetch: full article text ──────────────────────────────────
+// Only the first six RSS articles are enriched — those are the ones Claude
+// actually uses, and fetching every candidate bloats the prompt. A paywall
+// or a slow site just leaves the RSS summary in place.
+const ARTICLE_FETCH_TIMEOUT_MS = 8000;
+
+async function fetchExcerpt(url, fetchArticle) {
+  try {
+    const result = await withTimeout(fetchArticle(url), ARTICLE_FETCH_TIMEOUT_MS, { ok: false, reason: 'timeout' });
+    if (result.ok && result.excerpt && result.excerpt.length > 200) return result.excerpt;
+    const reason = result.ok ? `only ${(result.excerpt || '').length} chars` : result.reason;
+    console.log(`[ArticleFetch] Paywall/failed (${reason}): ${url.slice(0, 60)}`);
+  } catch (e) {
+    console.log(`[ArticleFetch] Failed (${e.message}): ${url.slice(0, 60)}`);
+  }
+  return null;
+}
+
+async function enrichBlocks(blocks, fetchArticle) {
+  const enriched = await Promise.all(blocks.slice(0, 6).map(async block => {
+    const urlMatch = block.match(/ARTICLE_URL: (.+)/);
+    if (!urlMatch) return block;
+    const articleUrl = urlMatch[1].trim();
+    const excerpt = await fetchExcerpt(articleUrl, fetchArticle);
+    if (!excerpt) return block;
+    console.log(`[ArticleFetch] Full text retrieved: ${articleUrl.slice(0, 60)}`);
+    // Replace SUMMARY but keep the SOURCE, HEADLINE, ARTICLE_URL and DATE lines
+    const line = re => { const m = block.match(re); return m ? m[0] : ''; };
+    return [line(/SOURCE: .+/), line(/HEADLINE: .+/), `ARTICLE_URL: ${articleUrl}`, line(/DATE: .+/), 'FULL TEXT:', excerpt]
+      .filter(Boolean).join('\n');
+  }));
+  return [...enriched, ...blocks.slice(6)];
+}
+
+function fetchHandPicked(articleUrlList, fetchArticle) {
+  return Promise.all(articleUrlList.map(async (url, i) => {
+    const excerpt = await fetchExcerpt(url, fetchArticle);
+    if (excerpt) {
+      console.log(`[HandPick] Fetched content (${excerpt.length} chars): ${url.slice(0, 70)}`);
+      return `ARTICLE ${i + 1}:\nARTICLE_URL: ${url}\nFULL TEXT:\n${excerpt}`;
+    }
+    return `ARTICLE ${i + 1}:\nARTICLE_URL: ${url}`;
+  }));
+}
+
+// ── Audit: one targeted retry for weak questions ──────────────
+function buildRetryPrompt(weakQuestions, questions, rssContent) {
+  // URL → article block, so each replacement is written from its source
+  const retryBlockMap = {};
+  splitBlocks(rssContent).forEach(block => {
+    const m = block.match(/ARTICLE_URL:\s*(.+)/);
+    if (m) retryBlockMap[m[1].trim()] = block;
+  });
+
+  const weakDescriptions = weakQuestions.map(w => {
+    const q = questions[w.index];
+    const articleBlock = retryBlockMap[q.sourceUrl] || '';
+    return `Q${w.index + 1} ("${q.question.slice(0, 60)}…") — issues: ${w.flags.join(', ')}` +
+      (articleBlock ? `\n\nSOURCE ARTICLE:\n${articleBlock}` : '');
+  }).join('\n\n---\n\n');
+
+  return 'The following questions from a Baltimore news quiz need to be replaced. Each question is shown with the issues found and the original source article.\n\n' +
+    weakDescriptions + '\n\n' +
+    'For each question listed above, write a replacement that:\n' +
+    '- Tests the central hook of the story — the single fact a reader would remember when retelling it\n' +
+    '- Uses no banned openings (What does this reveal/demonstrate/suggest/show)\n' +
+    '- Avoids attendance figures, vehicle types, timing details, neighborhood-as-answer, publication references\n' +
+    '- Does NOT make an obscure person\'s name the correct answer — if naming a person, they must be publicly recognizable\n' +
+    '- Keeps the same difficulty and sourceUrl as the original\n\n' +
+    'Return ONLY a JSON array of replacement question objects (same schema as before), one per weak question listed. No preamble.';
+}
+
+// Asks Claude for a replacement for each weak question. Resolves with
+// [{ index, question }] — empty if the retry fails or can't be parsed, in
+// which case the originals stand and stay flagged.
+async function requestReplacements(questions, weakQuestions, rssContent) {
+  try {
+    const { text: retryText } = await llm.complete({
+      task: 'refine',
+      maxTokens: 2000,
+      prompt: buildRetryPrompt(weakQuestions, questions, rssContent)
+    });
+    console.log('[Retry response] length:', retryText.length);
+    const clean = retryText.replace(/```json|```/g, '').trim();
+    const start = clean.indexOf('[');
+    const end = clean.lastIndexOf(']');
+    if (start === -1 || end === -1) return [];
+    const replacements = JSON.parse(clean.slice(start, end + 1));
+    return replacements.slice(0, weakQuestions.length).map((rep, ri) => {
+      const index = weakQuestions[ri].index;
+      return { index, question: { ...questions[index], ...rep } };
+    });
+  } catch (e) {
+    console.warn('[Retry] Retry failed, keeping originals:', e.message);
+    return [];
+  }
+}
+
+// ── Verify: source-grounded fact check ────────────────────────
+// The quality audit above only looks at the wording. This pass re-reads
+// each question's source article and asks Claude whether the marked answer
+// is stated in, or follows from, the text — and whether any distractor is
+// also true. Every quote Claude offers as evidence is checked against the
+// article word-for-word; a verdict without a real quote counts for less.
+// Questions written from pasted text are checked against that text.
+const VERIFY_ARTICLE_CHARS = 6000;
+const FACT_CHECK_DOUBT_BELOW = 60; // confidence under this is flagged for the editor
+const VERIFY_VERDICTS = ['supported', 'partial', 'unsupported'];
+
+// Lowercase, straight quotes, single spaces — enough that a quote copied
+// out of the article still matches after Claude tidies its punctuation.
+const normalizeForMatch = s => String(s || '')
+  .toLowerCase()
+  .replace(/[‘’]/g, "'")
+  .replace(/[“”]/g, '"')
+  .replace(/[–—]/g, '-')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const quotedIn = (quote, text) => normalizeForMatch(quote).length >= 8 && normalizeForMatch(text).includes(normalizeForMatch(quote));
+
+function buildVerifyPrompt(items) {
+  const letters = ['A', 'B', 'C', 'D'];
+  const blocks = items.map(({ number, question, text }) =>
+    `Q${number}: ${question.question}\n` +
+    question.options.map((opt, oi) => `${letters[oi]}. ${opt}`).join('\n') + '\n' +
+    `MARKED CORRECT: ${letters[question.correctIndex]}\n\n` +
+    `ARTICLE${question.sourceUrl ? ` (${question.sourceUrl})` : ''}:\n${text}`
+  ).join('\n\n---\n\n');
+
+  return 'You are fact-checking a Baltimore news quiz against its source articles. Judge each question ONLY by the article printed with it — not by anything you know or assume.\n\n' +
+    'For each question decide:\n' +
+    '1. Is the marked correct answer stated in, or directly entailed by, the article? "supported" = stated or unmistakably implied; "partial" = consistent with the article but not clearly stated; "unsupported" = not in the article, or contradicted by it.\n' +
+    '2. Does the article also support any of the OTHER options? A distractor that the article makes true makes the question unfair.\n\n' +
+    'Evidence must be copied word-for-word from the article — whole sentences or clauses, no paraphrase, no ellipses. If the article says nothing about the answer, return no evidence rather than a near miss.\n\n' +
+    blocks + '\n\n' +
+    'Return ONLY a JSON array with one object per question, no preamble:\n' +
+    '[{"q": 1, "verdict": "supported", "confidence": 0-100, "evidence": ["exact quote"], "alsoTrue": [{"option": "B", "evidence": "exact quote"}], "note": "one short sentence"}]';
+}
+
+// Turns Claude's raw judgement for one question into what the draft
+// preview shows, keeping only evidence that is really in the article.
+function gradeCheck(raw, question, text) {
+  const letters = ['A', 'B', 'C', 'D'];
+  const claimed = (Array.isArray(raw.evidence) ? raw.evidence : []).filter(s => typeof s === 'string');
+  const evidence = claimed.filter(s => quotedIn(s, text)).slice(0, 3);
+  const alsoTrue = (Array.isArray(raw.alsoTrue) ? raw.alsoTrue : [])
+    .map(a => ({ index: letters.indexOf(String(a && a.option).trim().toUpperCase()), evidence: a && a.evidence }))
+    .filter(a => a.index >= 0 && a.index !== question.correctIndex && question.options[a.index])
+    .map(a => ({ option: question.options[a.index], evidence: quotedIn(a.evidence, text) ? a.evidence : null }));
+  const answer = normalizeForMatch(question.options[question.correctIndex]);
+  const answerInText = answer.length >= 4 && normalizeForMatch(text).includes(answer);
+
+  const verdict = VERIFY_VERDICTS.includes(raw.verdict) ? raw.verdict : 'unsupported';
+  let confidence = Math.max(0, Math.min(100, Math.round(Number(raw.confidence) || 0)));
+  const notes = raw.note ? [String(raw.note)] : [];
+  if (claimed.length && !evidence.length) notes.push('Quoted evidence does not appear in the article');
+  if (verdict !== 'unsupported' && !evidence.length && !answerInText) {
+    confidence = Math.min(confidence, 50);
+    if (!claimed.length) notes.push('No supporting quote');
+  }
+  if (verdict === 'partial') confidence = Math.min(confidence, 70);
+  if (verdict === 'unsupported') confidence = Math.min(confidence, 20);
+  if (alsoTrue.length) confidence = Math.min(confidence, 40);
+
+  return { question: question.question, verdict, confidence, evidence, alsoTrue, answerInText, note: notes.join(' · ') };
+}
+
+const unverifiable = (question, note) =>
+  ({ question: question.question, verdict: 'unverifiable', confidence: null, evidence: [], alsoTrue: [], answerInText: false, note });
+
+// Resolves with one check per question, in order:
+// { question, verdict: 'supported'|'partial'|'unsupported'|'unverifiable',
+//   confidence (0–100, null when unverifiable), evidence: [quote],
+//   alsoTrue: [{ option, evidence }], answerInText, note }.
+// Never rejects — a failed fetch or Claude call leaves questions unverifiable.
+async function verifyQuestions(questions, { fetchArticle, manualText = '' }) {
+  const articles = new Map();
+  const articleText = url => {
+    if (!articles.has(url)) {
+      articles.set(url, withTimeout(fetchArticle(url, { maxChars: VERIFY_ARTICLE_CHARS }), ARTICLE_FETCH_TIMEOUT_MS, { ok: false, reason: 'timeout' })
+        .catch(e => ({ ok: false, reason: e.message }))
+        .then(r => {
+          if (r.ok && r.excerpt) return r.excerpt;
+          console.warn(`[FactCheck] No article text to check against (${r.reason || 'empty excerpt'}): ${url}`);
+          return null;
+        }));
+    }
+    return articles.get(url);
+  };
+
+  const checks = questions.map(q => unverifiable(q, q.sourceUrl ? 'Source article could not be fetched' : 'No source article'));
+  const items = [];
+  await Promise.all(questions.map(async (question, index) => {
+    if (!Array.isArray(question.options) || !question.options[question.correctIndex]) return;
+    const text = question.sourceUrl ? await articleText(question.sourceUrl) : manualText.slice(0, VERIFY_ARTICLE_CHARS) || null;
+    if (text) items.push({ index, question, text });
+  }));
+  if (!items.length) return checks;
+  items.sort((a, b) => a.index - b.index);
+  items.forEach((item, i) => { item.number = i + 1; });
+
+  try {
+    const { text: reply } = await llm.complete({
+      task: 'verify',
+      maxTokens: 2500,
+      prompt: buildVerifyPrompt(items),
+      timeoutMs: 60000,
+      retries: 1
+    });
+    const clean = reply.replace(/```json|```/g, '').trim();
+    const start = clean.indexOf('[');
+    const end = clean.lastIndexOf(']');
+    const judged = start !== -1 && end !== -1 ? JSON.parse(clean.slice(start, end + 1)) : [];
+    for (const raw of Array.isArray(judged) ? judged : []) {
+      const item = raw && items.find(it => it.number === Number(raw.q));
+      if (item) checks[item.index] = gradeCheck(raw, item.question, item.text);
+    }
+    for (const item of items) {
+      if (checks[item.index].verdict === 'unverifiable') checks[item.index].note = 'Fact check returned no verdict';
+    }
+  } catch (e) {
+    console.warn('[FactCheck] Verification failed, questions left unchecked:', e.message);
+    for (const item of items) checks[item.index] = unverifiable(item.question, 'Fact check failed: ' + e.message);
+  }
+  const doubtful = checks.filter(c => c.confidence !== null && c.confidence < FACT_CHECK_DOUBT_BELOW).length;
+  console.log(`[FactCheck] ${items.length}/${questions.length} question(s) checked, ${doubtful} doubtful`);
+  return checks;
+}
+
+// ── Orchestrator ──────────────────────────────────────────────
+// input:    { urls, articleUrls, manualText, archive, refine } — urls and
+//           articleUrls may be arrays or newline-separated text; archive is
+//           an optional { urls, questions, slugs } the browser still
+//           remembers locally. refine is 'apply' (default: two or more weak
+//           questions are swapped for Claude's rewrites) or 'suggest' (any
+//           weak question gets a rewrite, returned in `replacements` for the
+//           editor to accept or ignore)
+// services: { fetchArticle(url, { maxChars }) → { ok, excerpt, reason },
+//             loadArchive() → { urls, questions, slugs, summaries },
+//             onProgress({ stage, message }) }
+//
+// Resolves with { questions, weakQuestions, replacements, factChecks,
+// difficulty, staleArticles, rawResponse, articleCount } — factChecks line
+// up with questions (see verifyQuestions); difficulty is the expected
+// correct rate of each (difficultyModel.predictDraft), or null. Rejects when there is nothing to write
+// about or Claude's answer yields no questions; err.rawResponse carries
+// the response if any.
+async function generateQuiz(input, services) {
+  const { fetchArticle, loadArchive } = services;
+  const progress = (stage, message) => { if (services.onProgress) services.onProgress({ stage, message }); };
+
+  const articleUrlList = toUrlList(input.articleUrls);
+  const urlList = toUrlList(input.urls);
+  const manualText = String(input.manualText || '').trim();
+
+  progress('select', 'Loading archive and articles…');
+  const [full, stored] = await Promise.all([
+    loadArchive().catch(e => {
+      console.warn('[Generate] Archive load failed, continuing without it:', e.message);
+      return {};
+    }),
+    getKeys(['archiveUrls', 'archiveQuestions', 'archiveSlugs', 'editorNotes', 'starredQuestions', 'topicBlocklist', 'rssCache'])
+  ]);
+  const local = input.archive || {};
+  const merge = (...lists) => [...new Set(lists.flatMap(l => (Array.isArray(l) ? l : [])).filter(Boolean))];
+  const allArchiveUrls = merge(full.urls, stored.archiveUrls, local.urls);
+  const allArchiveQuestions = merge(full.questions, stored.archiveQuestions, local.questions);
+  const allArchiveSlugs = merge(full.slugs, stored.archiveSlugs, local.slugs);
+  const allArchiveSummaries = merge(full.summaries);
+  const archiveNote = allArchiveQuestions.length > 0
+    ? `STRICT DEDUPLICATION — these topics have been covered in recent quizzes. Do NOT generate questions about ANY of these events, people, or decisions — even from a different article, outlet, or angle. If a new article covers the same real-world event as one listed below, skip it entirely:\n${allArchiveSummaries.length ? allArchiveSummaries.slice(-60).map((s, i) => `${i+1}. ${s}`).join('\n') : allArchiveQuestions.slice(-60).map((q, i) => `${i+1}. ${q}`).join('\n')}`
+    : '';
+  const editorNotes = stored.editorNotes || '';
+  const starredExamples = stored.starredQuestions || [];
+  const rssItems = (stored.rssCache && stored.rssCache.items) || [];
+
+  let rssContent = rssItems.length ? rankRssItems(rssItems, allArchiveUrls) : '';
+
+  if (rssContent) {
+    progress('screen', 'Evaluating articles…');
+    const accepted = await screenArticles(splitBlocks(rssContent),
+      { summaries: allArchiveSummaries, archiveUrls: allArchiveUrls, starredExamples });
+    rssContent = accepted.join('\n\n---\n\n');
+    console.log(`[PreScreen] RSS content filtered to ${accepted.length} articles after dupe removal`);
+  }
+
+  if (rssContent) {
+    progress('fetch', 'Fetching article content…');
+    rssContent = (await enrichBlocks(splitBlocks(rssContent), fetchArticle)).join('\n\n---\n\n');
+  }
+
+  let specificBlocks = articleUrlList.map((url, i) => `ARTICLE ${i + 1}:\nARTICLE_URL: ${url}`);
+  if (articleUrlList.length > 0) {
+    progress('fetch', 'Fetching hand-picked articles…');
+    specificBlocks = await fetchHandPicked(articleUrlList, fetchArticle);
+  }
+
+  // Abort before calling Claude if there's nothing to work with
+  const articleCount = splitBlocks(rssContent).length;
+  console.log('[Article pipeline]', {
+    rssArticles: articleCount,
+    assignedUrls: articleUrlList.length,
+    hasManual: !!manualText,
+    archiveUrlsLoaded: allArchiveUrls.length
+  });
+  if (articleCount === 0 && !articleUrlList.length && !manualText) {
+    throw new Error('No candidate articles available. Try refreshing the RSS feed, pasting article text manually, or checking your network connection.');
+  }
+
+  progress('prompt', 'Building prompt…');
+  const prompt = buildPromptProduction({
+    urlList, specificBlocks, manualText, archiveNote, rssContent,
+    allArchiveUrls, allArchiveSlugs, editorNotes, starredExamples,
+    topicBlocklist: stored.topicBlocklist || []
+  });
+  console.log('[Prompt diagnostics]', {
+    promptLength: prompt.length,
+    articleCount,
+    archiveUrlCount: allArchiveUrls.length,
+    archiveSlugCount: allArchiveSlugs.length,
+    hasManualText: !!manualText
+  });
+
+  progress('generate', 'Generating questions…');
+  const { text: rawResponse } = await llm.complete({
+    task: 'questions',
+    maxTokens: 4000,
+    prompt,
+    timeoutMs: 60000,
+    retries: 1
+  });
+  console.log('[Claude response] length:', rawResponse.length, 'chars');
+
+  let parsed;
+  try {
+    parsed = parseQuestions(rawResponse);
+  } catch (e) {
+    e.rawResponse = rawResponse;
+    throw e;
+  }
+  const { questions, staleArticles } = parsed;
+  if (questions.length === 0) {
+    const err = new Error('Claude returned a response but no questions were parsed. See Raw Response below.');
+    err.rawResponse = rawResponse;
+    throw err;
+  }
+
+  const weakQuestions = auditQuestions(questions);
+  let replacements = [];
+  if (input.refine === 'suggest' && weakQuestions.length > 0) {
+    progress('audit', 'Drafting alternatives for ' + weakQuestions.length + ' flagged question(s)…');
+    replacements = await requestReplacements(questions, weakQuestions, rssContent);
+  } else if (weakQuestions.length >= 2) {
+    console.warn(`[QualityFilter] ${weakQuestions.length} weak questions — triggering targeted retry`);
+    progress('audit', 'Refining ' + weakQuestions.length + ' questions…');
+    for (const { index, question } of await requestReplacements(questions, weakQuestions, rssContent)) {
+      console.log(`[Retry] Replacing Q${index + 1} with: "${question.question ? question.question.slice(0, 60) : '?'}"`);
+      questions[index] = question;
+    }
+  }
+
+  progress('verify', 'Checking answers against the source articles…');
+  const factChecks = await verifyQuestions(questions, { fetchArticle, manualText });
+
+  const difficulty = await difficultyModel.currentModel()
+    .then(model => difficultyModel.predictDraft(model, questions))
+    .catch(e => {
+      console.warn('[Difficulty] Prediction skipped:', e.message);
+      return null;
+    });
+
+  return { questions, weakQuestions, replacements, factChecks, difficulty, staleArticles, rawResponse, articleCount };
+}
+
+// ── Prompt ────────────────────────────────────────────────────
+function buildPromptProduction({ urlList = [], specificBlocks = [], manualText = '', archiveNote = '', rssContent = '', allArchiveUrls, allArchiveSlugs, editorNotes = '', starredExamples = [], topicBlocklist = [] }) {
+  allArchiveUrls = allArchiveUrls || [];
+  allArchiveSlugs = allArchiveSlugs || [];
+  const manualBlock = manualText
+    ? 'MANUALLY PROVIDED ARTICLE TEXT (use as additional source):\n' + manualText.slice(0, 4000)
+    : '';
+
+  const isSpecificArticles = specificBlocks.length > 0;
+  const specificUrls = specificBlocks.map(b => { const m = b.match(/ARTICLE_URL: (.+)/); return m ? m[1].trim() : ''; }).filter(Boolean);
+
+  const fallback = !rssContent && !manualBlock && !isSpecificArticles
+    ? 'Search for and read the most recent articles from these Baltimore news websites:\n' + urlList.join('\n')
+    : '';
+
+  const specificArticlesBlock = isSpecificArticles
+    ? 'EDITOR-PICKED ARTICLES (these are assigned to Q1–' + specificBlocks.length + ' — use ONLY these URLs for those questions, in order):\n' + specificUrls.join('\n') + '\n\nRemaining question slots will be filled from the RSS articles provided below.\n'
+    : '';
+
+  // ── Topic deduplication: pick 11 topically distinct articles ──
+  function topicWords(headline) {
+    const stop = new Set(['a', 'an', 'the', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'of', 'with',
+      'is', 'are', 'was', 'were', 'be', 'been', 'has', 'have', 'had', 'will', 'would', 'that', 'this', 'as',
+      'from', 'by', 'after', 'over', 'about', 'how', 'what', 'who', 'when', 'where', 'says', 'say', 'amid',
+      'new', 'more', 'year', 'week', 'day', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday',
+      'saturday', 'sunday', 'after', 'its', 'their', 'amid', 'into', 'than', 'some', 'could', 'local']);
+    return headline.toLowerCase().replace(/[^a-z0-9 ]/g, ' ').split(/\s+/)
+      .filter(w => w.length > 3 && !stop.has(w));
+  }
+
+  function topicsOverlap(h1, h2) {
+    // Named entity check: two or more shared proper nouns (capitalized word 4+
+    // chars, not a generic stop word) is a strong signal of same event on its own.
+    // A single shared name is too weak alone — two unrelated stories can easily
+    // mention the same person or place in passing — so it needs corroboration
+    // below from a shared topic word before counting as overlap.
+    const namedEntityStops = new Set(['Baltimore', 'Maryland', 'City', 'County', 'State', 'Federal', 'Local', 'North', 'South', 'East', 'West', 'Johns', 'Hopkins', 'Avenue', 'Street', 'Police', 'Officer']);
+    const namedEntities = h => (h.match(/\b[A-Z][a-z]{3,}\b/g) || []).filter(w => !namedEntityStops.has(w));
+    const e1 = new Set(namedEntities(h1));
+    const sharedEntities = namedEntities(h2).filter(w => e1.has(w));
+
+    // Hyphenated brand/company names (e.g. "coca-cola") are specific enough
+    // that a single match is a reliable same-event signal on its own.
+    const brands = h => (h.toLowerCase().match(/\b[a-z]+-[a-z]+\b/g) || []);
+    const b1 = new Set(brands(h1));
+    const sharedBrand = brands(h2).some(b => b1.has(b));
+
+    // Acronym check: catch shared all-caps abbreviations (ICE, DHS, MTA, etc.)
+    // These won't match the named entity regex since they're not Title Case.
+    // Also specific enough to trust on a single match.
+    const acronyms = h => (h.match(/\b[A-Z]{2,}\b/g) || []);
+    const a1 = new Set(acronyms(h1));
+    const sharedAcronym = acronyms(h2).some(a => a1.has(a));
+
+    if (sharedEntities.length >= 2 || sharedBrand || sharedAcronym) return true;
+
+    // Outcome verb exception: a story that has advanced (bill passed vs. bill
+    // considered) is fresh news, not a duplicate — unless a strong signal above
+    // already proved otherwise.
+    const outcomeVerbs = /\b(passed?|approved?|signed|enacted|launched|opened?|announced?|awarded?|funded|broke ground|breaking ground|unveiled?|elected?|appointed?|resigned?)\b/i;
+    if (outcomeVerbs.test(h1) || outcomeVerbs.test(h2)) return false;
+
+    const w1 = new Set(topicWords(h1));
+    const sharedTopicWords = topicWords(h2).filter(w => w1.has(w)).length;
+
+    // A single shared proper noun only counts as overlap if corroborated by
+    // at least one shared generic topic word too.
+    if (sharedEntities.length >= 1 && sharedTopicWords >= 1) return true;
+
+    return sharedTopicWords >= 3;
+  }
+
+  const difficulties = ['easy', 'easy', 'medium', 'medium', 'hard', 'bonus'];
+  const points = ['10', '10', '20', '20', '30', '50'];
+
+  let assignedArticles = '';
+  let articleCount = 6;
+
+  if (isSpecificArticles) {
+    // Specific articles go first, guaranteed. RSS fills remaining slots up to 11.
+    const chosenHeadlines = []; // track headlines from RSS fill to dedup
+    const rssBlocks = [];
+
+    if (rssContent) {
+      const blocks = rssContent.split('---').map(b => b.trim()).filter(Boolean);
+      const needed = 6 - specificBlocks.length;
+      console.log(`[TopicDedup] ${specificBlocks.length} specific articles, need ${needed} more from RSS`);
+      for (const block of blocks) {
+        if (rssBlocks.length >= needed) break;
+        const m = block.match(/HEADLINE: (.+)/);
+        if (!m) continue;
+        const headline = m[1].trim();
+        const overlap = chosenHeadlines.find(h => topicsOverlap(h, headline));
+        if (overlap) {
+          console.log(`[TopicDedup] SKIPPED (overlaps with "${overlap}"): ${headline}`);
+          continue;
+        }
+        chosenHeadlines.push(headline);
+        rssBlocks.push(block);
+        console.log(`[TopicDedup] RSS FILL (${rssBlocks.length}/${needed}): ${headline}`);
+      }
+    }
+
+    const allBlocks = [...specificBlocks, ...rssBlocks];
+    articleCount = allBlocks.length;
+    assignedArticles = allBlocks.map((block, i) => {
+      const label = i < specificBlocks.length ? ' [EDITOR PICK]' : '';
+      const urlMatch = block.match(/ARTICLE_URL: (.+)/);
+      const articleUrl = urlMatch ? urlMatch[1].trim() : '';
+      const urlReminder = articleUrl ? `\n      ⚠ sourceUrl MUST be: ${articleUrl}` : '';
+      return 'QUESTION ' + (i + 1) + ' (' + difficulties[i] + ', ' + points[i] + ' pts)' + label + ' — write exactly ONE question about THIS article:' + urlReminder + '\n' + block;
+    }).join('\n\n===\n\n');
+
+  } else if (rssContent) {
+    const blocks = rssContent.split('---').map(b => b.trim()).filter(Boolean);
+    const chosen = [];
+    const chosenHeadlines = [];
+    console.log(`[TopicDedup] Starting with ${blocks.length} article blocks`);
+    for (const block of blocks) {
+      const m = block.match(/HEADLINE: (.+)/);
+      if (!m) continue;
+      const headline = m[1].trim();
+      const overlap = chosenHeadlines.find(h => topicsOverlap(h, headline));
+      if (overlap) {
+        console.log(`[TopicDedup] SKIPPED (overlaps with "${overlap}"): ${headline}`);
+        continue;
+      }
+      chosenHeadlines.push(headline);
+      chosen.push(block);
+      console.log(`[TopicDedup] CHOSEN (${chosen.length}/11): ${headline}`);
+      if (chosen.length >= 6) break;
+    }
+    console.log(`[TopicDedup] Final count: ${chosen.length} articles assigned to Claude`);
+    articleCount = chosen.length;
+    assignedArticles = chosen.map((block, i) => {
+      const urlMatch = block.match(/ARTICLE_URL: (.+)/);
+      const articleUrl = urlMatch ? urlMatch[1].trim() : '';
+      const urlReminder = articleUrl ? `\n      ⚠ sourceUrl MUST be: ${articleUrl}` : '';
+      return 'QUESTION ' + (i + 1) + ' (' + difficulties[i] + ', ' + points[i] + ' pts) — write exactly ONE question about THIS article:' + urlReminder + '\n' + block;
+    }).join('\n\n===\n\n');
+  }
+
+  return 'You are writing questions for a LOCAL NEWS QUIZ about Baltimore and the Central Maryland region.\n\n' +
+    (specificArticlesBlock ? specificArticlesBlock + '\n\n' : '') +
+    (manualBlock ? manualBlock + '\n\n' : '') +
+    (fallback ? fallback + '\n\n' : '') +
+
+    (editorNotes ? 'EDITOR FEEDBACK — the editor has noted these patterns from recent quizzes. Follow these instructions carefully:\n' + editorNotes + '\n\n' : '') +
+    (starredExamples.length > 0 ? 'EXAMPLES OF STRONG QUESTIONS — model your questions after these in terms of style and approach:\n' + starredExamples.map((q, i) => `Example ${i+1}: "${q.question}"\nCorrect answer: "${q.correctAnswer}"\nWhy it works: ${q.note || 'concrete, outcome-focused, answerable from the headline'}`).join('\n\n') + '\n\n' : '') +
+
+    (archiveNote ? 'PREVIOUSLY USED TOPICS — do not repeat these:\n' + archiveNote + '\n\n' : '') +
+    (topicBlocklist.length > 0 ? 'BLOCKED TOPICS — the editor has explicitly blocked these topics from today\'s quiz. Do not generate any questions about these subjects under any circumstances:\n' + topicBlocklist.filter(t => !t.startsWith('http')).map(t => '- ' + t).join('\n') + (topicBlocklist.some(t => t.startsWith('http')) ? '\n\nBLOCKED URLS — do not use these source articles:\n' + topicBlocklist.filter(t => t.startsWith('http')).map(t => '- ' + t).join('\n') : '') + '\n\n' : '') +
+    (allArchiveUrls.length > 0 ? 'PREVIOUSLY USED SOURCE URLS — do not generate questions from these exact URLs, even if the article appears in the RSS feed today:\n' + allArchiveUrls.slice(-30).join('\n') + '\n\n' : '') +
+    (allArchiveSlugs.length > 0 ? 'RECENTLY COVERED TOPICS — do not ask about these subjects again today, even from a different article or outlet, UNLESS the new article contains a concrete new outcome (bill passed, project approved, person appointed, facility opened):\n' + allArchiveSlugs.slice(-42).map(s => '- ' + s).join('\n') + '\n\n' : '') +
+    'INSTRUCTIONS:\n' +
+    '- Write exactly one question per numbered article — use ONLY the assigned article for that question\n' +
+    '- Each article is used for exactly one question — do not reuse any article\n' +
+    '- If two articles cover the same event or person, only the first one appears below — ignore any duplicates\n' +
+    '- Use the exact URL from each article as the sourceUrl\n' +
+    '- Do NOT use training knowledge — only facts from the assigned article\n' +
+    '- Keep all questions appropriate for a general community audience\n' +
+    '- For articles touching national topics, frame the question around the Maryland/Baltimore local angle\n\n' +
+    'DO NOT CREATE QUESTIONS ABOUT:\n' +
+    '- Street names or exact addresses\n' +
+    '- Procedural court motions or legal filings\n' +
+    '- Minor individual defendants with no broader significance\n' +
+    '- Groundbreaking ceremony details (who held a shovel, what color the hard hats were)\n' +
+    '- Hyper-local trivia unless it has clear policy or economic impact\n' +
+    '- Dollar amounts, durations, unit counts, vote tallies, dates, or times — unless the number IS the entire headline (e.g. a record-breaking figure everyone is talking about)\n\n' +
+    'QUESTION DESIGN RULES:\n' +
+    'Q1 (easy, 10pts): FACTUAL. Ask what happened, who decided, or what was announced. Answerable from the headline alone.\n' +
+    'Q2 (easy, 10pts): DECISION OR ACTION. Ask what was decided, announced, approved, proposed, or done — or by which named organization or well-known public figure. Prefer "what" questions over "who" questions. If the correct answer is a person\'s name, that person must be publicly recognizable to a typical Baltimore news reader. NEVER write a question whose correct answer is the name of a minor official, agency staffer, or anyone a reader would have no way to recognize — reframe it around what they did or decided instead.\n' +
+    'GUARDRAIL for Q1+Q2: NEVER ask about exact dollar amounts, street addresses, specific years/dates, or minor officials. NEVER make an obscure person\'s name the correct answer — if the answer is an unknown name, rewrite the question around the action or decision.\n' +
+    'BAD: How much does the city earn from the marina? GOOD: Why did Baltimore choose private management for the marina?\n' +
+    'Q3 (medium, 20pts): CAUSE. Ask why something happened or what triggered a decision.\n' +
+    'Q4 (medium, 20pts): EFFECT. Ask what this means for a specific group, institution, or situation.\n' +
+    'Q5 (hard, 30pts): IMPLICATION. Ask what this reveals or signals. A non-obvious takeaway requiring analysis.\n' +
+    'Q6 (bonus, 50pts): THE MOST MEMORABLE STORY. Choose the article with the most surprising, distinctive, or shareable fact — something a reader would say "wait, really?" about. Frame the question around that hook. Do NOT make it hard by relying on obscure details or statistics. It should be the fact that makes the story stick.\n' +
+    'WRONG ANSWERS: Same category as correct answer. Plausible to someone who did NOT read the article. Never all dates/amounts/similar numbers.\n' +
+    'EXPLANATIONS: Q1/Q2 = plain fact only, no policy analysis. Q3/Q4 = one sentence of cause or effect. Q5/Q6 = analysis welcome.\n' +
+    'EXPLANATION STYLE: Write explanations as short news-style summaries of the story — what happened, who was involved, what it means. Do NOT refer to "the article", "the headline", "the summary", or "according to the source". Write as if briefing someone who missed the news.\n' +
+    'CRITICAL: Write explanation FIRST, then set correctIndex to match it exactly.\n' +
+    'QUESTION LENGTH: Keep questions under 20 words whenever possible. Prefer direct, specific questions over long descriptive ones.\n\n' +
+    'ARTICLE SELECTION FILTER — before writing a question, ask: would a well-informed Baltimore resident mention this to a friend over coffee? If no, skip it.\n' +
+    '- SKIP: routine sports transactions, injury updates, spring training notes. INCLUDE: sports stories that rise to civic significance — a record-breaking achievement, a major stadium decision, a championship result, a landmark signing that the average Baltimore resident would be expected to know about\n' +
+    '- SKIP: minor arts/culture items with no broader community impact\n' +
+    '- SKIP: individual incident stories — house fires, car crashes, single shootings — unless mass casualty, systemic pattern, or major public safety policy angle\n' +
+    '- SKIP: individual crime incidents (shootings, stabbings, robberies, burglaries, arrests, officer-involved shootings) unless a major public figure or systemic citywide pattern is central. The test: would a Baltimore resident who missed this story feel meaningfully less informed about their city? Individual crimes almost never pass this test.\n' +
+    '- SKIP: ALL weather stories unless a historic storm caused major documented damage\n' +
+    '- SKIP: anniversary or milestone articles unless a specific newsworthy development is the focus\n' +
+    '- SKIP: DC-area team stories (Nationals, Commanders, Capitals, Wizards) without explicit Baltimore/Maryland angle\n' +
+    '- USE: sports stories about record-breaking achievements, major roster decisions, or stadium/ownership news\n' +
+    '- USE: arts/culture stories involving major institutions (BSO, BMA, Center Stage) or nationally recognized figures\n' +
+    '- USE: anything involving public money, public safety, elections, housing, schools, or the local economy\n\n' +
+    `HERE ARE YOUR ${articleCount} ASSIGNED ARTICLES:\n\n` +
+    (assignedArticles || rssContent) + '\n\n' +
+    'QUESTION QUALITY CONSTRAINTS:\n' +
+    '- Every question must contain a specific factual anchor: a named person, a specific location or neighborhood, a concrete decision or outcome, or a number that IS the story (record-breaking, historic, etc.)\n' +
+    '- Questions must be answerable by an attentive reader of the article — not by someone with insider knowledge of local government. Prefer: who did something, what was approved, where something will happen, what changed.\n' +
+    '- Avoid procedural or bureaucratic trivia: committee names, zoning overlay codes, motion types, filing numbers, meeting agendas.\n' +
+    '- Use neighborhood names only when the article explains their significance. Never assume the reader knows where a neighborhood is or what it is known for.\n' +
+    '- Aim for topic diversity across the 6 questions: mix government, business/development, culture, transportation, education, sports, and community news where the articles allow.\n' +
+    '- Avoid multiple questions that feel like they are all about a meeting or officials discussing something. Prefer outcomes and decisions over process and proposals.\n' +
+    '- NEVER ask who wrote, authored, or contributed an article or commentary. The author byline is never a quiz-worthy fact. Ask about the substance — what was argued, what was proposed, what the implications are.\n' +
+    '- NEVER reference the publication, outlet, or writer in the question itself. Questions test news and events, not news coverage. Wrong: "A Baltimore Banner writer discovered...", "According to a Baltimore Sun report...", "What did a Fishbowl reporter find...". Right: frame the question around what happened in the world, not who covered it. Rare exception: if the story is explicitly about a publication or journalist as a newsmaker.\n' +
+    '- For opinion or commentary pieces, ask about the central concrete claim or proposal — not who wrote it, not why they argued it, not what impact their argument has. Test the substance: what specific change did they advocate for, what fact did they highlight, what outcome did they predict?\n' +
+    '- COLUMN/FEATURE ARTICLES: These often bury the news hook deep in the piece. Ignore scene-setting opening paragraphs and narrative framing. Look for the concrete civic fact — a decision, opening, development, or change — that the piece is ultimately reporting on. Ask about that fact, not the narrative wrapper around it.\n' +
+    '- AVOID questions framed as "Why does X argue...", "What does X reveal about...", "What does this mean for...", "What does X\'s approach show about...", "What does this analysis suggest...", "What impact does...", "What does X illustrate about..." — these produce vague interpretive answers with no single correct answer.\n' +
+    '- BANNED QUESTION WORDS: never use "analyze", "analysis", "impact", "reveal", "illustrate", "suggest", "significance", "implication", "reflect", "indicate" as the operative word in a question. If you catch yourself using these words, rewrite the question as a concrete factual one.\n' +
+    '- BANNED QUESTION OPENINGS: never begin a question with "What does this reveal", "What does this demonstrate", "What does this suggest", "What does this show", "What does this mean", "What does this say about", "What does X\'s decision reveal", or any variant of these. These produce interpretive answers with no single correct fact. Rewrite as a concrete factual question.\n' +
+    '- Prefer concrete, factual questions: "What did X propose?", "What did X announce?", "What specific change did X call for?", "What will replace X?", "Who attended X?", "How many X attended?", "What opened in X neighborhood?"\n' +
+    '- SAME-EVENT RULE: Do not generate multiple questions about the same news event, even if it appears in multiple articles or outlets. Treat coverage of the same legislation, announcement, decision, or incident from different sources as a single topic. One event = one question maximum.\n' +
+    '- DISTRACTOR QUALITY: Generate distractors deliberately — do not let them emerge randomly. Incorrect answers must be plausible alternatives in the same category as the correct answer:\n' +
+    '  * If the correct answer is a PERSON, wrong answers should be other real or plausible people (ideally others connected to Baltimore, Maryland, or the relevant field)\n' +
+    '  * If the correct answer is a PROJECT FEATURE or PROPOSAL, wrong answers should be other plausible features or proposals of the same type\n' +
+    '  * If the correct answer is a LOCATION, wrong answers should be other real locations\n' +
+    '  * If the correct answer is a NUMBER or AMOUNT, wrong answers should be other plausible numbers in the same range\n' +
+    '  * If the correct answer is an ORGANIZATION or AGENCY, wrong answers should be other real organizations\n' +
+    '- Never use obviously impossible or completely unrelated distractors. But wit and local flavor in wrong answers are welcome — see BALTIMORE WIT below.\n' +
+    '- BALTIMORE WIT: Aim for 1-2 questions per quiz that have at least one lightly humorous or affectionately quirky wrong answer. This is a feature of the quiz, not an exception. A Baltimore reader should immediately recognize the funny option as wrong but smile at it — it should feel like a clever local newspaper editor, not a stand-up comedian. Good examples of witty wrong answers: one that blames the Orioles bullpen, references the Preakness Stakes or Old Bay seasoning, invokes The Wire or a beloved Baltimore landmark, or makes a gentle nod to a local quirk the city would recognize. You may also occasionally write a question with a wry or lightly ironic framing — especially for Q6 (the most memorable story). Example: if a question is about a stadium renovation, one wrong answer could be "Install a roof over Camden Yards (finally)." If a question is about a new seafood restaurant, one wrong answer could be "Another Old Bay ice cream shop." The humor must be affectionate — never mocking toward specific individuals, institutions, or communities. HARD RULE: For stories involving deaths, serious injuries, violence, community trauma, or ongoing crises, keep the tone completely straight. No wit, no wry framing, no humorous distractors. Read the emotional register of the story first.\n' +
+    '- LENGTH GIVEAWAY: Do not make the correct answer noticeably longer, more detailed, or more specific than the other options. All four options should be similar in length and grammatical form. Readers often guess the longest option — avoid this.\n' +
+    '- For harder questions (Q4–Q6), use "Near-Miss" distractors: mention other real Baltimore entities or places that are currently in the news to make the choice less obvious.\n\n' +
+    '- CORE FACT STEP: Before writing each question, identify the central news fact of the story in one sentence. This must describe the main event or development reported — what actually happened. Only generate a question based on that core fact.\n' +
+    '  Valid core facts: "A Coca-Cola bottling facility explosion injured four workers in Baltimore." | "Baltimore County broke ground on Rockdale Park renovations." | "D.C. United hosted Inter Miami in a sold-out match at M&T Bank Stadium."\n' +
+    '  Invalid core facts (reject these): a specific vehicle someone used | a quote from a source | an attendance or crowd figure | a logistical detail like road closure timing | a descriptive detail not central to the story | the author\'s argument or framing in a column\n' +
+    '- SALIENT FACT TEST: Ask: would a reader likely remember this detail when summarizing the story to a friend? If not, find a more central fact.\n' +
+    '- NEWS VALUE TYPE: Each question must be based on one of these: a decision or approval, a new development or opening, a major event or milestone, a named person\'s notable action or statement, a visible change affecting the community, or a public controversy with clear local significance. Do not base questions on minor descriptive details.\n' +
+    '- BANNED DETAIL TYPES: Never write a question whose correct answer is primarily: an attendance figure or crowd count, an exact street closure schedule or timing, a specific vehicle or equipment type, a block number or address fragment, a menu item or food detail unless the story is fundamentally about that item, a neighborhood location unless that neighborhood IS the story.\n' +
+    '- BAD QUESTION PATTERNS — never use these framings: "What was the attendance at...", "In which neighborhood did someone find...", "What unusual timing did officials choose for...", "What type of vehicle did an official use...", "How much exactly was budgeted for...", "On which block did...", "What specific tool did..."\n' +
+    '- TOPIC BALANCE: Do not over-concentrate on state legislative politics even if it dominates the feeds. Prefer a mix of city life topics: development, transportation, schools, business openings, culture, community news, local government, sports.\n\n' +
+    'GENERATION PROCESS — work through these steps in your head before outputting anything:\nStep 1 — CORE FACT: For each article, identify one sentence: the central news fact (main event/development). Reject: incidental details, descriptive color, quotes, statistics, logistical details, column framing.\nStep 2 — NEWS VALUE CHECK: Confirm the core fact is: a decision/approval, new development/opening, major event/milestone, notable person action/statement, visible community change, or public controversy.\nStep 3 — QUESTION: Write a question testing the core fact only.\nDo all of this silently. Output ONLY the final JSON object — no preamble, no reasoning, no markdown. Your entire response must start with { and end with }.\nInclude a coreFacts array in the JSON (one sentence per question from Step 1) for debugging.\n\n' +
+    'OUTPUT: Respond with ONLY valid JSON. No preamble, no markdown. Start with { and end with }.\n\n' +
+    `IMPORTANT: Always write questions for ALL ${articleCount} assigned articles. Never return an empty questions array. Never write more than one question for the same article, even if fewer than 6 articles are assigned.\n` +
+    'Set staleWarning to true only if articles appear more than 3 days old.\n\n' +
+    'difficulty values: "easy" | "medium" | "hard" | "bonus"\n' +
+    'BONUS QUESTION: The bonus question should come from the most surprising or memorable story of the day. Prefer: major public events, celebrity or notable-person appearances, unusual civic developments, record-breaking or historic milestones, large public gatherings with local significance. Avoid: routine crime incidents, minor police blotter items, procedural government actions, or stories whose only hook is an obscure detail. The bonus tests something that would make a reader say "I didn\'t know that happened" — about the story itself, not a footnote within it.\n' +
+    'Include a "pubDate" field on each question, copied exactly from the DATE: field of the assigned article. This is used to label older stories for readers.\n' +
+    'correctIndex: MUST be the 0-based index of the option your explanation describes as correct. Write explanation FIRST, then set correctIndex to match.\n' +
+    'sourceUrl: copy ARTICLE_URL exactly. NEVER use a feed URL ending in /feed/ or /rss.\n' +
+    `Generate exactly ${articleCount} question${articleCount === 1 ? '' : 's'}, one per assigned article — never more than one question about the same article.`;
+}
+// ── Parse and quality checks ──────────────────────────────────
+function scoreQuestionQuality(q) {
+  const text = (q.question || '').toLowerCase();
+  const flags = [];
+
+  // Banned openings
+  const bannedOpenings = [
+    'what does this reveal', 'what does this demonstrate', 'what does this suggest',
+    'what does this show', 'what does this mean', 'what does this say about',
+    'what does x', 'what does the'
+  ];
+  if (bannedOpenings.some(p => text.startsWith(p))) {
+    flags.push('interpretive opening: "' + q.question.slice(0, 40) + '"');
+  }
+
+  // Banned detail types in question text
+  const bannedDetails = [
+    { pattern: /\attendance/, reason: 'attendance figure question' },
+    { pattern: /\how many (fans|people|attendees)/, reason: 'crowd count question' },
+    { pattern: /\what (type|kind) of vehicle/, reason: 'vehicle detail question' },
+    { pattern: /\which (block|street corner|address)/, reason: 'address detail question' },
+    { pattern: /\what (unusual )?timing/, reason: 'timing detail question' },
+    { pattern: /\which neighborhood did/, reason: 'neighborhood-as-answer question' },
+    { pattern: /\what specific tool/, reason: 'equipment detail question' },
+    { pattern: /\how much exactly/, reason: 'exact amount question' },
+    { pattern: /\battendance\b|\bcrowd\b/, reason: 'attendance/crowd detail' },
+    { pattern: /\bhow many (fans|people|attendees|voters)\b/, reason: 'count-based question' },
+    { pattern: /\bwhat (type|kind) of vehicle\b/, reason: 'vehicle detail' },
+    { pattern: /\bwhat (unusual )?timing\b/, reason: 'timing detail' },
+    { pattern: /\bwhich (block|street corner|address|high school|elementary|middle school)\b/i, reason: 'hyper-local/address detail' },
+    { pattern: /\bhow much( exactly)?\b|\bwhat amount\b|\b(grant|budget|cost|price|fee|worth)\b/i, reason: 'monetary/dollar figure' },
+    { pattern: /\b(official|spokesperson|representative|bureaucrat|witness|victim)\b/i, reason: 'minor person name' },
+    { pattern: /\b(reopen|opening|open|launch|start|begin)\b.*\b(on|in)\b/i, reason: 'timing/date trivia' },
+    { pattern: /\baccording to\b|\breporter\b|\bwriter\b|\bjournalist\b|\bbanner\b|\bfishbowl\b|\bsun\b|\bbrew\b|\bmatters\b/, reason: 'publication/writer reference' }
+  ];
+  for (const { pattern, reason } of bannedDetails) {
+    if (pattern.test(text)) flags.push(reason);
+  }
+
+  // Crime/incident bonus check
+  const crimeTerms = /(arrested?|shooting|homicide|stabbing|robbery|burglary|theft|stolen|murder|assault|crash|fire death)/i;
+  if (q.difficulty === 'bonus' && crimeTerms.test(q.question + ' ' + (q.explanation || ''))) {
+    flags.push('bonus question based on crime/incident story');
+  }
+
+  // Publication reference check
+  const pubRefs = /(banner|fishbowl|sun|brew|matters|reporter|writer|journalist|according to)/i;
+  if (pubRefs.test(text)) {
+    flags.push('references publication or writer in question');
+  }
+
+  // All-proper-names options — signals "who is [obscure person]" pattern
+  if (q.options && q.options.length === 4) {
+    const looksLikeName = opt => {
+      const words = String(opt || '').trim().split(/s+/);
+      return words.length >= 2 && words.length <= 4 &&
+             words.every(w => /^[A-Z][a-z]/.test(w));
+    };
+    if (q.options.every(looksLikeName)) {
+      flags.push('all four options are proper names — likely asks "who is [unknown person]"');
+    }
+  }
+
+  return { ok: flags.length === 0, flags };
+}
+
+function auditQuestions(questions) {
+  const results = questions.map((q, i) => {
+    const { ok, flags } = scoreQuestionQuality(q);
+    if (!ok) console.warn(`[QualityFilter] Q${i + 1} flagged:`, flags);
+    return { index: i, ok, flags };
+  });
+  const weak = results.filter(r => !r.ok);
+  console.log(`[QualityFilter] ${questions.length - weak.length}/${questions.length} questions passed. ${weak.length} flagged.`);
+  return weak;
+}
+
+function parseQuestions(text) {
+  // Strip markdown fences if present
+  const bt = String.fromCharCode(96); const fence = bt + bt + bt; let clean = text.split(fence + 'json').join('').split(fence).join('').trim();
+  // Find JSON object
+  const start = clean.indexOf('{');
+  const end = clean.lastIndexOf('}');
+  if (start === -1 || end === -1) {
+    console.warn('[parseQuestions] No JSON found. Response preview:', text.slice(0, 400));
+    throw new Error('No JSON found in response. Claude said: ' + text.slice(0, 120).replace(/\n/g, ' '));
+  }
+  clean = clean.slice(start, end + 1);
+  const parsed = JSON.parse(clean);
+
+  // Stale article warnings are advisory only — passed back for the admin UI
+  const staleArticles = parsed.staleWarning && Array.isArray(parsed.staleArticles) ? parsed.staleArticles : [];
+  if (staleArticles.length) console.warn('[Generate] Stale articles:', staleArticles);
+
+  return { questions: enforceQuizRules(parsed.questions || []), staleArticles, coreFacts: parsed.coreFacts || [] };
+}
+
+function enforceQuizRules(questions) {
+  // 1. Deduplicate — reject questions that are clearly about the same topic
+  // Use first 60 chars of question text as the key, not sourceUrl (which can be a generic feed URL)
+  const seenTopics = new Set();
+  const seenUrls = new Set();
+  const deduped = questions.filter(q => {
+    const topicKey = q.question.slice(0, 60).toLowerCase().replace(/[^a-z0-9]/g, '');
+    // Only reject on URL if it's a real article URL (not a generic feed URL)
+    const isFeedUrl = !q.sourceUrl || q.sourceUrl.endsWith('/feed/') || q.sourceUrl.endsWith('/feed');
+    if (!isFeedUrl && seenUrls.has(q.sourceUrl)) return false;
+    if (seenTopics.has(topicKey)) return false;
+    seenTopics.add(topicKey);
+    if (!isFeedUrl) seenUrls.add(q.sourceUrl);
+    return true;
+  });
+
+  // 2. Validate correctIndex, shuffle options, and strip feed URLs
+  const feedPatterns = ['/feed/', '/rss', 'outboundfeeds/rss'];
+  return deduped.map(q => {
+    let fixed = { ...q };
+
+    // Range check
+    if (fixed.correctIndex < 0 || fixed.correctIndex > 3) fixed.correctIndex = 0;
+
+    // Strip feed URLs
+    if (fixed.sourceUrl && feedPatterns.some(p => fixed.sourceUrl.includes(p))) {
+      fixed.sourceUrl = '';
+    }
+    return fixed;
+  });}
+
+module.exports = {
+  generateQuiz,
+  toUrlList,
+  buildPromptProduction,
+  parseQuestions,
+  enforceQuizRules,
+  scoreQuestionQuality,
+  auditQuestions,
+  verifyQuestions,
+  quizWorthiness,
+  FACT_CHECK_DOUBT_BELOW
+};
@@ -1,61 +1,61 @@
 'use strict';
 
-const https = require('https');
-const http  = require('http');
-const { readData, writeData } = require('./store');
+const { getKey, setKey, listNewsSources, getNewsSource, putNewsSource } = require('./store');
+const feedHealth = require('./feedHealth');
+const { parseFeed } = require('./feedParser');
+const { fetchText, fetchPage } = require('./httpFetch');
 
-// ── Raw HTTP fetcher ──────────────────────────────────────────
-// Fetches raw RSS/Atom XML from a URL, returns text.
+// ── RSS feeds ─────────────────────────────────────────────────
+// The one home for the news feeds: the source registry (which feeds to
+// read and how to treat each), fetching and parsing them, the recency /
+// locality / blacklist filters, and the rssCache key the quiz generator
+// reads. server.js mounts the routes (registerRoutes) and the refreshes
+// (startScheduler); the admin source routes live there too, since they
+// go through its trash and audit log. Requests go through httpFetch.js.
+//
+// Each step is a plain function that can be run on its own:
+//   parseRSS(xml)                     → [{ title, link, description, published, authors, image, … }]
+//   filterItems(items, source, now)   → { recent, local }
+//   dedupeItems(items, sources)       → one item per title, capped per source
+//   fetchFeeds(sources, { fetch, cache }) → { items, errors, feeds, cache } — fetch defaults to fetchFeed
+//   fetchAndCacheRSS()                → fetchFeeds() for the enabled sources, into rssCache,
+//                                       with each feed's result filed in feedHealth.js
+
+const FEED_TIMEOUT_MS = 8000;
+const RECENT_WINDOW_MS = 72 * 60 * 60 * 1000;
+const CACHE_LIMIT = 100;
+// Minutes between background refreshes, on top of the 6am one that drafts
+// the morning quiz; 0 leaves just the 6am refresh. Unchanged feeds answer
+// 304, so an hourly refresh is mostly cheap requests.
+const REFRESH_MINUTES = Number.isNaN(parseInt(process.env.RSS_REFRESH_MINUTES, 10))
+  ? 60 : parseInt(process.env.RSS_REFRESH_MINUTES, 10);
+const FEED_ACCEPT = 'application/rss+xml, application/atom+xml, application/rdf+xml, application/xml;q=0.9, text/xml;q=0.9, */*;q=0.5';
+
+// ── Fetchers ──────────────────────────────────────────────────
+// An article page's HTML, whatever its status — see fetchArticleExcerpt
+// in server.js. Recently read pages come from httpFetch's page cache.
 function fetchUrl(url) {
-  return new Promise((resolve, reject) => {
-    const protocol = url.startsWith('https') ? https : http;
-    const req = protocol.get(url, {
-      headers: { 'User-Agent': 'Mozilla/5.0 (compatible; NewsQuizBot/1.0)' },
-      timeout: 10000
-    }, (res) => {
-      // Follow redirects
-      if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
-        return fetchUrl(res.headers.location).then(resolve).catch(reject);
-      }
-      let data = '';
-      res.on('data', chunk => data += chunk);
-      res.on('end', () => resolve(data));
-    });
-    req.on('error', reject);
-    req.on('timeout', () => { req.destroy(); reject(new Error('Timeout')); });
-  });
+  return fetchPage(url);
+}
+
+// One feed, sent with the validators from its last read (cached is its
+// feedCache entry). Resolves fetchText()'s result; a 4xx or 5xx rejects.
+async function fetchFeed(feedUrl, cached = {}) {
+  const res = await fetchText(feedUrl, { etag: cached.etag, lastModified: cached.lastModified, accept: FEED_ACCEPT });
+  if (res.status >= 400) throw new Error(`HTTP ${res.status}`);
+  return res;
 }
 
 // ── RSS/Atom XML parser ───────────────────────────────────────
-// Extracts titles, descriptions, links, pubDates from raw XML.
+// The feed's items, normalized by feedParser.js — see there for the shape.
 function parseRSS(xml) {
-  const items = [];
-  const itemRegex = /<(?:item|entry)[\s>]([\s\S]*?)<\/(?:item|entry)>/gi;
-  let match;
-  while ((match = itemRegex.exec(xml)) !== null) {
-    const block = match[1];
-    const get = (tag) => {
-      const m = block.match(new RegExp(`<${tag}[^>]*><!\\[CDATA\\[([\\s\\S]*?)\\]\\]></${tag}>`, 'i'))
-        || block.match(new RegExp(`<${tag}[^>]*>([\\s\\S]*?)</${tag}>`, 'i'));
-      return m ? m[1].replace(/<[^>]+>/g, '').trim() : '';
-    };
-    const title       = get('title');
-    const description = get('description') || get('summary') || get('content');
-    const link        = get('link')
-      || (block.match(/<link[^>]+href="([^"]+)"/i)  || [])[1]
-      || (block.match(/<guid[^>]*>([^<]+)<\/guid>/i) || [])[1]
-      || (block.match(/href="(https?:\/\/[^"]+)"/)   || [])[1]
-      || '';
-    const pubDate = get('pubDate') || get('published') || get('updated') || '';
-
-    if (title) {
-      items.push({ title, description: description.slice(0, 2000), link, pubDate });
-    }
-  }
-  return items;
+  return parseFeed(xml).items;
 }
 
 // ── Known Baltimore RSS feed URLs ─────────────────────────────
+// Where suggestFeeds() looks first when a source is added without feed
+// URLs: a site containing one of these keys gets that feed, any other is
+// given <site>/feed/ and <site>/rss to try.
 const BALTIMORE_RSS_FEEDS = {
   // Pure local outlets — confirmed working
   'baltimoretimes-online.com':  'https://baltimoretimes-online.com/feed/',
@@ -81,26 +81,31 @@ const BALTIMORE_RSS_FEEDS = {
   'mytvbaltimore.com':          'https://foxbaltimore.com/rss',
   'cwbaltimore.com':            'https://www.wmar2news.com/rss',
   // Additional local sources
-  'marylandreporter.com':       'https://marylandreporter.com/feed',
-  'baltimore post-examiner':    'https://baltimorepostexaminer.com/feed/',
   'afro.com':                   'https://afro.com/feed/',
   'urbanleaguebaltimore.org':   'https://urbanleaguebaltimore.org/feed/',
   'baltimoremagazine.com':      'https://www.baltimoremagazine.com/feed/',
   'citypaper.com':              'https://www.citypaper.com/feed/',
 };
 
+function suggestFeeds(site) {
+  const known = Object.entries(BALTIMORE_RSS_FEEDS).find(([key]) => site.includes(key));
+  if (known) return [known[1]];
+  const base = site.replace(/\/$/, '');
+  return [base + '/feed/', base + '/rss'];
+}
+
 // ── Recency filter ────────────────────────────────────────────
-// Returns true if the item falls within the 72-hour window.
-function isRecent(pubDate) {
+// True if the item falls within the 72-hour window. Items with no date,
+// or one that doesn't parse, are kept.
+function isRecent(pubDate, now = Date.now()) {
   if (!pubDate) return true;
-  try {
-    const d = new Date(pubDate);
-    if (isNaN(d.getTime())) return true;
-    return (Date.now() - d.getTime()) < 72 * 60 * 60 * 1000;
-  } catch (e) { return true; }
+  const d = new Date(pubDate);
+  if (isNaN(d.getTime())) return true;
+  return (now - d.getTime()) < RECENT_WINDOW_MS;
 }
 
 // ── Locality keywords ─────────────────────────────────────────
+// Keywords that mark a story as local to Baltimore/Central Maryland
 const LOCAL_KEYWORDS = [
   'baltimore', 'maryland', ' md ', "md's", ' md:', 'annapolis', 'towson', 'bethesda', 'silver spring',
   'columbia', 'ellicott city', 'bowie', 'laurel', 'rockville', 'gaithersburg',
@@ -112,6 +117,27 @@ const LOCAL_KEYWORDS = [
   'kent county', 'queen anne', 'talbot', 'caroline', 'cecil county', 'calvert', 'charles county'
 ];
 
+// Hyper-local outlets — every story is Baltimore/Maryland specific, so a
+// source for one starts out trusted
+const PURE_LOCAL_SITES = [
+  'baltimorebrew', 'baltimoretimes', 'baltimorefishbowl', 'southbmore',
+  'bizjournals.com/baltimore', 'technical.ly', 'wypr.org', 'marylandmatters',
+  'baltimorebanner', 'thebanner.com', 'baltimoresun', 'afro.com',
+  'baltimoremagazine', 'citypaper.com'
+];
+
+// DC sports teams — in the Banner's sports section, no Baltimore relevance
+const DC_SPORTS_PATTERNS = [
+  '/nationals-mlb/', '/commanders-nfl/', '/capitals-nhl/', '/wizards-nba/',
+  'nationals spring training', 'washington nationals', 'washington commanders'
+];
+
+// Routine forecasts are dropped unless the headline suggests a major storm
+const WEATHER_PATTERNS = ['first alert', 'degrees', 'temperatures', 'forecast',
+  'rain and snow', 'showers', 'warmer', 'colder', 'milder', 'weekend weather'];
+const MAJOR_WEATHER = ['blizzard', 'hurricane', 'tornado', 'historic storm',
+  'state of emergency', 'major flooding', 'power outages'];
+
 // URLs that are too sensitive/graphic for a community quiz
 const BLACKLISTED_URLS = [
   'university-maryland-police-sexual-misconduct',
@@ -127,159 +153,343 @@ const BLACKLISTED_URLS = [
   'the-weight-we-carry-food-labor-and-black-womens-bodies-as-living-archives',
 ];
 
-// ── Local-story filter ────────────────────────────────────────
-function isLocalStory(item, site) {
-  // Skip CBS video pages — articles have more usable text for quiz generation
-  if (site.includes('cbsnews') && (item.link || '').includes('/video/')) return false;
+const isBlacklisted = link => BLACKLISTED_URLS.some(p => (link || '').includes(p));
 
-  // Filter DC sports teams — Nationals, Commanders, Capitals, Wizards
+// ── Local-story filter ────────────────────────────────────────
+function isLocalStory(item, source) {
   const itemLink  = (item.link  || '').toLowerCase();
   const itemTitle = (item.title || '').toLowerCase();
-  const dcSportsPatterns = [
-    '/nationals-mlb/', '/commanders-nfl/', '/capitals-nhl/', '/wizards-nba/',
-    'nationals spring training', 'washington nationals', 'washington commanders'
-  ];
-  if (dcSportsPatterns.some(p => itemLink.includes(p) || itemTitle.includes(p))) return false;
-
-  // Filter routine weather forecasts — keep only major storm coverage
-  const weatherPatterns = ['first alert', 'degrees', 'temperatures', 'forecast',
-    'rain and snow', 'showers', 'warmer', 'colder', 'milder', 'weekend weather'];
-  const majorWeather = ['blizzard', 'hurricane', 'tornado', 'historic storm',
-    'state of emergency', 'major flooding', 'power outages'];
-  if (weatherPatterns.some(p => itemTitle.includes(p)) &&
-      !majorWeather.some(p => itemTitle.includes(p))) return false;
-
-  // Hyper-local outlets — trust everything they publish
-  const pureLocalSites = [
-    'baltimorebrew', 'baltimoretimes', 'baltimorefishbowl', 'southbmore',
-    'bizjournals.com/baltimore', 'technical.ly', 'wypr.org', 'marylandmatters',
-    'baltimorebanner', 'thebanner.com', 'baltimoresun', 'afro.com',
-    'baltimoremagazine', 'citypaper.com'
-  ];
-  if (pureLocalSites.some(s => site.includes(s))) return true;
-
-  // Daily Record and TV stations mix local with national wire — require keyword in title
-  const title = (item.title || '').toLowerCase();
-  return LOCAL_KEYWORDS.some(kw => title.includes(kw)) || title.startsWith('md ');
+  // Skip CBS video pages — articles have more usable text for quiz generation
+  if (itemLink.includes('cbsnews.com') && itemLink.includes('/video/')) return false;
+
+  if (DC_SPORTS_PATTERNS.some(p => itemLink.includes(p) || itemTitle.includes(p))) return false;
+
+  if (WEATHER_PATTERNS.some(p => itemTitle.includes(p)) &&
+      !MAJOR_WEATHER.some(p => itemTitle.includes(p))) return false;
+
+  if (source.mode === 'trusted') return true;
+
+  // Keyword sources (the Daily Record, TV stations) mix local with national
+  // wire — require a Maryland keyword in the title
+  return LOCAL_KEYWORDS.some(kw => itemTitle.includes(kw)) || itemTitle.startsWith('md ');
 }
 
-// ── Main fetch + cache function ───────────────────────────────
-// Reads the saved site list, fetches all feeds, filters, deduplicates,
-// and writes the result to the rssCache key in the store.
-async function fetchAndCacheRSS() {
-  const data = await readData();
-  const savedSites = (data.sites || '').split('\n').map(s => s.trim()).filter(Boolean)
-    .filter(s => !s.includes('google.com') && !s.includes('therealnews.com'));
+// One feed's items through the filters: recent is what's within the
+// window, local what's left after the blacklist and locality checks.
+function filterItems(items, source, now = Date.now()) {
+  const recent = items.filter(item => isRecent(item.published || item.pubDate, now));
+  const local  = recent.filter(item => !isBlacklisted(item.link) && isLocalStory(item, source));
+  return { recent, local };
+}
 
-  if (!savedSites.length) {
-    console.log('RSS: No sites saved yet, skipping fetch.');
-    return;
+// Deduplicate by title, then hold each source to its cap so no one outlet
+// dominates. Items should arrive highest priority first — that source
+// keeps a story two outlets both ran.
+function dedupeItems(items, sources = []) {
+  const caps        = Object.fromEntries(sources.map(s => [s.id, s.cap]));
+  const seen        = new Set();
+  const sourceCount = {};
+  return items.filter(item => {
+    const titleKey = item.title.toLowerCase().trim();
+    if (seen.has(titleKey)) return false;
+    seen.add(titleKey);
+    const src = item.sourceId || item.source || 'unknown';
+    sourceCount[src] = (sourceCount[src] || 0) + 1;
+    return sourceCount[src] <= (caps[src] || DEFAULT_CAP);
+  });
+}
+
+// ── Source registry ───────────────────────────────────────────
+// The feeds the refresh reads are rows in news_sources, managed from the
+// admin panel. A source is
+//   { id, name, site, feedUrls, mode, cap, priority, enabled, notes, createdAt, updatedAt }
+// mode 'trusted' keeps every recent story (a hyper-local outlet), while
+// 'keyword' keeps only headlines that name a Maryland place or
+// institution. cap is how many of its stories the cache takes; priority
+// (-5 to 5) is read first when the cache fills and is added to each
+// story's quiz-worthiness score in rankRssItems. site is the outlet's
+// home page, which question generation also scrapes.
+const SOURCE_MODES = ['trusted', 'keyword'];
+const DEFAULT_CAP = 15;
+const MAX_CAP = 100;
+const MIN_PRIORITY = -5;
+const MAX_PRIORITY = 5;
+const MAX_FEEDS = 5;
+
+// Sites with no feed worth reading — seeded disabled rather than dropped,
+// so the editor can see why
+const NO_FEED_SITES = ['google.com', 'therealnews.com'];
+
+const withProtocol = url => (/^[a-z][a-z0-9+.-]*:\/\//i.test(url) ? url : 'https://' + url);
+
+function isHttpUrl(url) {
+  try { return /^https?:$/.test(new URL(url).protocol); } catch (e) { return false; }
+}
+
+// A stable id from the site's host and path: https://www.cbsnews.com/baltimore/ → cbsnews-com-baltimore
+function sourceIdFor(site) {
+  const url = new URL(withProtocol(site));
+  return (url.hostname.replace(/^www\./, '') + url.pathname).toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60);
+}
+
+// What's wrong with the fields for a new source (existing omitted) or an
+// edit, or null if they're fine.
+function sourceProblem(fields, existing = null) {
+  const f = fields || {};
+  if (!existing || f.site !== undefined) {
+    if (typeof f.site !== 'string' || !isHttpUrl(withProtocol(f.site.trim()))) return 'site must be a web address';
+  }
+  if (f.name !== undefined && (typeof f.name !== 'string' || f.name.length > 80)) return 'name must be text of at most 80 characters';
+  if (f.feedUrls !== undefined) {
+    if (!Array.isArray(f.feedUrls) || f.feedUrls.length > MAX_FEEDS) return `feedUrls must be a list of at most ${MAX_FEEDS} addresses`;
+    const bad = f.feedUrls.find(u => typeof u !== 'string' || !isHttpUrl(u.trim()));
+    if (bad !== undefined) return `Not a feed address: ${bad}`;
   }
+  if (f.mode !== undefined && !SOURCE_MODES.includes(f.mode)) return 'mode must be one of: ' + SOURCE_MODES.join(', ');
+  if (f.cap !== undefined && !(Number.isInteger(f.cap) && f.cap >= 1 && f.cap <= MAX_CAP)) return `cap must be a whole number from 1 to ${MAX_CAP}`;
+  if (f.priority !== undefined && !(Number.isInteger(f.priority) && f.priority >= MIN_PRIORITY && f.priority <= MAX_PRIORITY)) {
+    return `priority must be a whole number from ${MIN_PRIORITY} to ${MAX_PRIORITY}`;
+  }
+  if (f.enabled !== undefined && typeof f.enabled !== 'boolean') return 'enabled must be true or false';
+  if (f.notes !== undefined && (typeof f.notes !== 'string' || f.notes.length > 1000)) return 'notes must be text of at most 1000 characters';
+  return null;
+}
 
-  console.log(`RSS: Fetching feeds for ${savedSites.length} sites…`);
+// The source the fields describe, laid over existing for an edit. Call
+// sourceProblem() first. A new source with no feed URLs gets
+// suggestFeeds()'s guess, and a new trusted-outlet site starts trusted.
+function buildSource(fields, existing = null) {
+  const now  = new Date().toISOString();
+  const site = fields.site !== undefined ? withProtocol(fields.site.trim()) : existing.site;
+  const feedUrls = (fields.feedUrls || []).map(u => u.trim()).filter(Boolean);
+  const base = existing || {
+    id:        sourceIdFor(site),
+    name:      new URL(site).hostname.replace(/^www\./, ''),
+    site,
+    feedUrls:  suggestFeeds(site),
+    mode:      PURE_LOCAL_SITES.some(s => site.includes(s)) ? 'trusted' : 'keyword',
+    cap:       DEFAULT_CAP,
+    priority:  0,
+    enabled:   true,
+    notes:     '',
+    createdAt: now
+  };
+  return {
+    ...base,
+    site,
+    name:      fields.name !== undefined && fields.name.trim() ? fields.name.trim() : base.name,
+    feedUrls:  feedUrls.length ? feedUrls : (fields.feedUrls && existing ? suggestFeeds(site) : base.feedUrls),
+    mode:      fields.mode     !== undefined ? fields.mode     : base.mode,
+    cap:       fields.cap      !== undefined ? fields.cap      : base.cap,
+    priority:  fields.priority !== undefined ? fields.priority : base.priority,
+    enabled:   fields.enabled  !== undefined ? fields.enabled  : base.enabled,
+    notes:     fields.notes    !== undefined ? fields.notes.trim() : base.notes,
+    updatedAt: now
+  };
+}
 
-  const feedsToFetch = [];
-  for (const site of savedSites) {
-    let matched = false;
-    for (const [key, feedUrl] of Object.entries(BALTIMORE_RSS_FEEDS)) {
-      if (site.includes(key)) {
-        feedsToFetch.push({ site, feedUrl });
-        matched = true;
-        break;
-      }
+// One-time move from the old newline-separated `sites` key: each saved
+// site becomes a source with the feed, mode and cap the hard-coded rules
+// used to give it. Sites read from the same feed (the two Banner domains)
+// become one source.
+async function seedSources() {
+  if (await getKey('newsSourcesSeeded')) return;
+  const sites = ((await getKey('sites')) || '').split('\n').map(s => s.trim()).filter(Boolean);
+  const seeded = {};
+  for (const site of sites) {
+    if (!isHttpUrl(withProtocol(site))) continue;
+    const source = buildSource({ site });
+    if (/thebanner|thebaltimorebanner/.test(site)) source.cap = 30; // richest pure-local source
+    if (NO_FEED_SITES.some(s => site.includes(s))) {
+      source.enabled = false;
+      source.notes = 'No usable RSS feed.';
     }
-    if (!matched) {
-      const base = site.replace(/\/$/, '');
-      feedsToFetch.push({ site, feedUrl: base + '/feed/' });
-      feedsToFetch.push({ site, feedUrl: base + '/rss' });
+    if (!Object.values(seeded).some(s => s.id === source.id || s.feedUrls.includes(source.feedUrls[0]))) {
+      seeded[source.id] = source;
     }
   }
+  for (const source of Object.values(seeded)) {
+    if (!(await getNewsSource(source.id))) await putNewsSource(source);
+  }
+  await setKey('newsSourcesSeeded', new Date().toISOString());
+  console.log(`RSS: Seeded ${Object.keys(seeded).length} news source(s) from ${sites.length} saved site(s).`);
+}
 
-  const allItems = [];
-  const errors   = [];
+// Every source, highest priority first
+async function listSources() {
+  await seedSources();
+  return listNewsSources();
+}
+
+// Home pages of the enabled sources — what question generation scrapes
+// when it isn't handed a list of its own
+async function sourceSites() {
+  return (await listSources()).filter(s => s.enabled).map(s => s.site);
+}
 
-  const fetchWithTimeout = (site, feedUrl) => new Promise(async (resolve) => {
-    const timer = setTimeout(() => resolve(), 8000);
+// ── Fetching ──────────────────────────────────────────────────
+// Every feed of every enabled source, in parallel (httpFetch spaces out
+// requests to one host), each given FEED_TIMEOUT_MS. A feed that fails
+// or times out lands in errors; the rest still count. Items come back
+// highest priority first, tagged with their source's name, id and
+// priority; feeds is one
+// { sourceId, feedUrl, error?, notModified?, total, local, medianAgeHours } per feed read.
+//
+// cache is the feedCache key: { [feedUrl]: { etag, lastModified, items, fetchedAt } },
+// items being the feed's recent items as of fetchedAt. A feed that answers
+// 304 is read from there. The cache returned holds this run's feeds only;
+// a feed that failed keeps its old entry. fetch(feedUrl, cachedEntry) may
+// resolve a fetchText() result or just the body text.
+async function fetchFeeds(sources, { fetch = fetchFeed, now = Date.now(), cache = {} } = {}) {
+  const enabled = sources.filter(s => s.enabled)
+    .sort((a, b) => (b.priority || 0) - (a.priority || 0));
+  const feeds = enabled.flatMap(source => source.feedUrls.map(feedUrl => ({ source, feedUrl })));
+  const results = await Promise.all(feeds.map(async ({ source, feedUrl }) => {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error('Timeout')), FEED_TIMEOUT_MS);
+    });
+    const cached = cache[feedUrl] || null;
     try {
-      const xml    = await fetchUrl(feedUrl);
-      const parsed = parseRSS(xml);
-      const recent = parsed.filter(item => isRecent(item.pubDate));
-      const items  = recent.filter(item => isLocalStory(item, site));
-      console.log(`RSS OK: ${feedUrl} — ${parsed.length} total, ${recent.length} recent, ${items.length} local`);
+      const res = await Promise.race([fetch(feedUrl, cached || {}), timeout]);
+      const fetched = typeof res === 'string' ? { body: res } : res;
+      const notModified = !!fetched.notModified && !!cached;
+      const parsed = notModified ? cached.items : parseRSS(fetched.body);
+      const { recent, local } = filterItems(parsed, source, now);
+      console.log(`RSS OK${notModified ? ' (not modified)' : ''}: ${feedUrl} — ${parsed.length} total, ${recent.length} recent, ${local.length} local`);
       if (parsed.length > 0 && recent.length === 0) {
         console.log(`  oldest item date: ${parsed[parsed.length - 1].pubDate}`);
       }
-      items.forEach(item => allItems.push({ ...item, source: site }));
+      return {
+        items: local.map(item => ({ ...item, source: source.name, sourceId: source.id, priority: source.priority })),
+        feed:  { sourceId: source.id, feedUrl, notModified, total: parsed.length, local: local.length, medianAgeHours: feedHealth.medianAgeHours(parsed, now) },
+        cache: [feedUrl, {
+          etag:         fetched.etag || null,
+          lastModified: fetched.lastModified || null,
+          items:        recent,
+          fetchedAt:    notModified ? cached.fetchedAt : new Date(now).toISOString()
+        }]
+      };
     } catch (e) {
-      errors.push(`${feedUrl}: ${e.message}`);
       console.log(`RSS FAIL: ${feedUrl} — ${e.message}`);
+      return { error: `${feedUrl}: ${e.message}`, feed: { sourceId: source.id, feedUrl, error: e.message }, cache: cached && [feedUrl, cached] };
     } finally {
       clearTimeout(timer);
-      resolve();
     }
-  });
+  }));
 
-  await Promise.allSettled(feedsToFetch.map(({ site, feedUrl }) => fetchWithTimeout(site, feedUrl)));
+  return {
+    items:  dedupeItems(results.flatMap(r => r.items || []), enabled),
+    errors: results.filter(r => r.error).map(r => r.error),
+    feeds:  results.map(r => r.feed),
+    cache:  Object.fromEntries(results.filter(r => r.cache).map(r => r.cache))
+  };
+}
 
-  // Deduplicate by title, then cap per source
-  const seen        = new Set();
-  const sourceCount = {};
-  const unique = allItems.filter(item => {
-    const titleKey = item.title.toLowerCase().trim();
-    if (seen.has(titleKey)) return false;
-    seen.add(titleKey);
-    const src = item.source || 'unknown';
-    sourceCount[src] = (sourceCount[src] || 0) + 1;
-    // Baltimore Banner gets a higher cap — richest pure-local source
-    const cap = src.includes('thebanner') || src.includes('thebaltimorebanner') ? 30 : 15;
-    if (sourceCount[src] > cap) return false;
-    return true;
-  });
+// ── Cache ─────────────────────────────────────────────────────
+// Reads the source registry, fetches every enabled source's feeds, and
+// writes the result to the rssCache key in the store. Each feed's result
+// goes into its health history; a high-priority source that has gone
+// quiet is handed to the onFeedAlert() handler.
+let feedAlertHandler = null;
+
+// server.js registers the editor email here
+function onFeedAlert(handler) {
+  feedAlertHandler = handler;
+}
+
+// A refresh already running is shared rather than started twice — the
+// 6am refresh can land while an hourly one is still going.
+let refreshing = null;
 
-  const freshData = await readData();
-  freshData.rssCache = {
-    items:     unique.slice(0, 100),
+function fetchAndCacheRSS() {
+  if (!refreshing) refreshing = refreshFeeds().finally(() => { refreshing = null; });
+  return refreshing;
+}
+
+async function refreshFeeds() {
+  const registry = await listSources();
+  const sources = registry.filter(s => s.enabled);
+  if (!sources.length) {
+    console.log('RSS: No news sources enabled, skipping fetch.');
+    return;
+  }
+
+  console.log(`RSS: Fetching feeds for ${sources.length} sources…`);
+  const { items, errors, feeds, cache } = await fetchFeeds(sources, { cache: (await getKey('feedCache')) || {} });
+  await setKey('feedCache', cache);
+
+  await setKey('rssCache', {
+    items:     items.slice(0, CACHE_LIMIT),
     fetchedAt: new Date().toISOString(),
-    errors:    errors.length ? errors : []
-  };
-  await writeData(freshData);
-  console.log(`RSS: Cached ${unique.length} articles. Errors: ${errors.length}`);
+    errors
+  });
+  const unchanged = feeds.filter(f => f.notModified).length;
+  console.log(`RSS: Cached ${items.length} articles. Errors: ${errors.length}${unchanged ? `. Unchanged feeds: ${unchanged}` : ''}`);
+
+  const alerts = await feedHealth.recordRefresh(registry, feeds);
+  for (const alert of alerts) {
+    console.log(`RSS: ${alert.source.name} has produced nothing usable for ${alert.quietHours} hours (${alert.emptyRuns} refreshes).`);
+  }
+  if (alerts.length && feedAlertHandler) {
+    await Promise.resolve(feedAlertHandler(alerts)).catch(e => console.error('RSS: Feed alert failed:', e.message));
+  }
+}
+
+async function getCache() {
+  return (await getKey('rssCache')) || { items: [], fetchedAt: null, errors: [] };
 }
 
 // ── Daily scheduler ───────────────────────────────────────────
-// Call startScheduler() once from server.js after DB is ready.
-// Fires fetchAndCacheRSS() every day at 6am Eastern (11am UTC).
-function startScheduler() {
+// Call startScheduler() once from server.js after the store is ready.
+// Fires fetchAndCacheRSS() every day at 6am Eastern (11am UTC), then
+// afterRefresh — server.js drafts the morning quiz from the fresh cache.
+// If the refresh fails, the cache is yesterday's, so afterRefresh is
+// skipped and onRefreshFailed(error) runs instead.
+// In between, it refreshes every REFRESH_MINUTES.
+function startScheduler({ afterRefresh = null, onRefreshFailed = null } = {}) {
   function scheduleNextRefresh() {
     const now  = new Date();
     const next = new Date();
-    next.setUTCHours(11, 0, 0, 0); // 6am Eastern
+    next.setUTCHours(11, 0, 0, 0); // 6am Eastern = 11am UTC (EST)
     if (next <= now) next.setUTCDate(next.getUTCDate() + 1);
     const msUntil = next - now;
     console.log(`RSS: Next scheduled refresh in ${Math.round(msUntil / 60000)} minutes (6am Eastern).`);
     setTimeout(() => {
-      fetchAndCacheRSS();
+      fetchAndCacheRSS().then(
+        () => afterRefresh && Promise.resolve(afterRefresh())
+          .catch(e => console.error('RSS: After-refresh step failed:', e.message)),
+        e => {
+          console.error('RSS: Scheduled refresh failed:', e.message);
+          return onRefreshFailed && Promise.resolve(onRefreshFailed(e))
+            .catch(err => console.error('RSS: Refresh-failed step failed:', err.message));
+        });
       scheduleNextRefresh();
     }, msUntil);
   }
   scheduleNextRefresh();
-}
 
-// ── Express route handlers ────────────────────────────────────
-// Attach to app in server.js:  rssService.registerRoutes(app)
+  if (REFRESH_MINUTES > 0) {
+    console.log(`RSS: Refreshing every ${REFRESH_MINUTES} minutes.`);
+    setInterval(() => {
+      fetchAndCacheRSS().catch(e => console.error('RSS: Background refresh failed:', e.message));
+    }, REFRESH_MINUTES * 60 * 1000);
+  }
+}
 
-function registerRoutes(app) {
-  // Return cached articles
-  app.get('/api/rss', async (req, res) => {
-    const data  = await readData();
-    const cache = data.rssCache || { items: [], fetchedAt: null, errors: [] };
-    res.json(cache);
+// ── Express routes ────────────────────────────────────────────
+// Mounted from server.js:  rssService.registerRoutes(app, access)
+// — access is server.js's route policy factory.
+function registerRoutes(app, access) {
+  // ── GET /api/rss — return cached articles ───────────────────
+  app.get('/api/rss', access('public'), async (req, res) => {
+    res.json(await getCache());
   });
 
-  // Grouped debug view
-  app.get('/api/rss/debug', async (req, res) => {
-    const data  = await readData();
-    const cache = data.rssCache || { items: [], fetchedAt: null };
+  // ── GET /api/rss/debug — cached articles grouped by source ──
+  app.get('/api/rss/debug', access('quiz'), async (req, res) => {
+    const cache = await getCache();
     const bySource = {};
     for (const item of cache.items) {
       const src = item.source || 'unknown';
@@ -287,7 +497,7 @@ function registerRoutes(app) {
       bySource[src].push({ title: item.title, pubDate: item.pubDate, link: item.link });
     }
     res.json({
-      version:    '2.2-banner30',
+      version:    '2.3-sources',
       fetchedAt:  cache.fetchedAt,
       totalCount: cache.items.length,
       errors:     cache.errors || [],
@@ -295,11 +505,48 @@ function registerRoutes(app) {
     });
   });
 
-  // Manual refresh trigger
-  app.post('/api/rss/refresh', async (req, res) => {
+  // ── GET /api/rss/health — per-feed health, by source ────────
+  app.get('/api/rss/health', access('quiz'), async (req, res) => {
+    try {
+      res.json({
+        sources:          await feedHealth.healthReport(await listSources()),
+        alertAfterHours:  feedHealth.ALERT_AFTER_HOURS,
+        alertMinPriority: feedHealth.ALERT_MIN_PRIORITY
+      });
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  // ── POST /api/rss/refresh — manually trigger a fresh fetch ──
+  app.post('/api/rss/refresh', access('quiz'), async (req, res) => {
     res.json({ ok: true, message: 'RSS refresh started in background.' });
-    fetchAndCacheRSS(); // intentionally not awaited
+    fetchAndCacheRSS().catch(e => console.error('RSS: Manual refresh failed:', e.message)); // intentionally not awaited
   });
 }
 
-module.exports = { fetchAndCacheRSS, startScheduler, registerRoutes, fetchUrl };
+module.exports = {
+  BALTIMORE_RSS_FEEDS,
+  LOCAL_KEYWORDS,
+  BLACKLISTED_URLS,
+  SOURCE_MODES,
+  fetchUrl,
+  fetchFeed,
+  parseRSS,
+  suggestFeeds,
+  sourceProblem,
+  buildSource,
+  listSources,
+  sourceSites,
+  isRecent,
+  isBlacklisted,
+  isLocalStory,
+  filterItems,
+  dedupeItems,
+  fetchFeeds,
+  fetchAndCacheRSS,
+  onFeedAlert,
+  getCache,
+  startScheduler,
+  registerRoutes
+};
@@ -2,7 +2,6 @@ require('dotenv').config();
 const express = require('express');
 const https = require('https');
 const http = require('http');
-const { Pool } = require('pg')
 const path = require('path');
 const crypto = require('crypto');
 const webpush = require('web-push');
@@ -21,7 +20,25 @@ if (process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY) {
   console.warn('[Push] VAPID keys not set — push notifications disabled.');
 }
 
+// ── Outbound services ─────────────────────────────────────────
+// Resend's base URL comes from the environment so a local stand-in can take
+// its place; push goes through outbound.push, which can be swapped
+// in-process (web-push always talks https to whatever endpoint the browser
+// registered). Claude calls go through llm.js — ANTHROPIC_API_URL, or
+// LLM_PROVIDER=fake for canned replies.
+const outbound = {
+  resendUrl: process.env.RESEND_API_URL || 'https://api.resend.com',
+  push: (subscription, payload) => webpush.sendNotification(subscription, payload)
+};
+
+function outboundRequest(baseUrl, urlPath, options, callback) {
+  const url = new URL(urlPath, baseUrl);
+  return (url.protocol === 'http:' ? http : https).request(url, options, callback);
+}
+
 app.use(express.json({ limit: '2mb' }));
+// Behind Railway's proxy — req.ip is the player's address, not the proxy's
+app.set('trust proxy', 1);
 
 const escHtml = s => String(s || '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
 app.use('/images', express.static(path.join(__dirname, 'public', 'images')));
@@ -43,500 +60,749 @@ app.use((req, res, next) => {
   next();
 });
 
-// ── Postgres connection ───────────────────────────────────────
+// ── Storage ───────────────────────────────────────────────────
+// Connection, schema and all data access live in store/ — Postgres, or an
+// in-memory/file backend picked by STORE_BACKEND. getKey/setKey keep the
+// old blob shapes working (table-backed where it matters); the row-level
+// helpers are for hot paths that must not clobber each other.
+const store = require('./store');
+const { initDb, getKey, setKey } = store;
+const llm = require('./llm');
+const quizGenerator = require('./quizGenerator');
+const difficultyModel = require('./difficultyModel');
+const questionBank = require('./questionBank');
+const rssService = require('./rssService');
+const { fetchArticleExcerpt } = require('./articleText');
+const { fetchAndCacheRSS } = rssService;
+
+// ── Admin auth ────────────────────────────────────────────────
+// Editors sign in with a named account and get an httpOnly session cookie.
+// Accounts live in the adminUsers key (scrypt password hashes, failed-login
+// counters); sessions live in adminSessions, keyed by a SHA-256 of the
+// cookie value so the store never holds a usable token. The shared
+// x-admin-token header still works for scripts and for creating the first
+// account. ADMIN_TOKEN must be set in production; only local development
+// falls back to 'admin'.
+const IS_PRODUCTION = process.env.NODE_ENV === 'production';
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || (IS_PRODUCTION ? null : 'admin');
+const ADMIN_SESSION_COOKIE = 'dnq_admin_session';
+const ADMIN_SESSION_TTL_MS = 12 * 60 * 60 * 1000;
+const ADMIN_MAX_FAILED_LOGINS = 5;
+const ADMIN_LOCKOUT_MS = 15 * 60 * 1000;
+const ADMIN_MIN_PASSWORD_LENGTH = 10;
+
+// ── Roles & permissions ───────────────────────────────────────
+// Each admin route names the one permission it needs (access('…') below);
+// roles are just bundles of them. Owners hold every permission. Accounts
+// created before roles existed, and the x-admin-token header, count as
+// owners.
+//   quiz       generate, edit, schedule and publish quizzes; question archive
+//   community  message board posts, editor messages, player-name blocklist
+//   audience   subscribers, prospects, nudges, bulk and community emails,
+//              referrals and monthly winners
+//   owner      player merges and deletes, progress repair, stats
+//              exclusions, editor accounts
+const ADMIN_ROLES = {
+  owner: ['quiz', 'community', 'audience', 'owner'],
+  editor: ['quiz'],
+  moderator: ['community'],
+  audience: ['audience']
+};
 
-async function createPool() {
-  const base = {
-    ssl: { rejectUnauthorized: false },
-    connectionTimeoutMillis: 5000,
-    idleTimeoutMillis: 30000,
-    max: 20
-  };
-  // If individual PG* vars are present (Railway injects them; set them locally too),
-  // let pg read them directly — avoids URL-parsing issues with special chars in passwords.
-  if (process.env.PGHOST) return new Pool(base);
+const normAdminUsername = s => String(s || '').trim().toLowerCase();
+const hashSessionToken = token => crypto.createHash('sha256').update(token).digest('hex');
 
-  const url = process.env.DATABASE_URL;
-  if (!url) return new Pool(base);
-  try {
-    const withoutScheme = url.replace(/^postgres(?:ql)?:\/\//, '');
-    const atIdx = withoutScheme.lastIndexOf('@');
-    const userPass = withoutScheme.slice(0, atIdx);
-    const hostDb = withoutScheme.slice(atIdx + 1);
-    const colonIdx = userPass.indexOf(':');
-    const user = decodeURIComponent(userPass.slice(0, colonIdx));
-    const password = decodeURIComponent(userPass.slice(colonIdx + 1));
-    const slashIdx = hostDb.indexOf('/');
-    const [host, portStr] = hostDb.slice(0, slashIdx).split(':');
-    const database = hostDb.slice(slashIdx + 1).split('?')[0];
-    return new Pool({ ...base, user, password, host, port: portStr ? parseInt(portStr) : 5432, database });
-  } catch (e) {
-    return new Pool({ ...base, connectionString: url });
-  }
+function scryptHash(password, salt) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(String(password), salt, 64, (err, key) => err ? reject(err) : resolve(key));
+  });
 }
 
-let pool;
+async function hashAdminPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  return { salt, hash: (await scryptHash(password, salt)).toString('hex') };
+}
 
-// ── Key-value store backed by Postgres ───────────────────────
-// Single table: store(key TEXT PRIMARY KEY, value JSONB)
-// This mirrors the old await readData()/await writeData() pattern exactly.
+async function verifyAdminPassword(password, user) {
+  // Unknown usernames still pay for a hash, so timing doesn't reveal which exist.
+  const key = await scryptHash(password, user ? user.salt : 'no-such-user');
+  return !!user && crypto.timingSafeEqual(key, Buffer.from(user.hash, 'hex'));
+}
 
-async function initDb() {
-  await pool.query(`
-    CREATE TABLE IF NOT EXISTS store (
-      key TEXT PRIMARY KEY,
-      value JSONB NOT NULL
-    )
-  `);
-  console.log('DB: store table ready.');
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of String(header || '').split(';')) {
+    const eq = part.indexOf('=');
+    if (eq < 0) continue;
+    try { cookies[part.slice(0, eq).trim()] = decodeURIComponent(part.slice(eq + 1).trim()); } catch (e) {}
+  }
+  return cookies;
 }
 
-async function getKey(key) {
-  try {
-    const r = await pool.query('SELECT value FROM store WHERE key=$1', [key]);
-    return r.rows.length ? r.rows[0].value : null;
-  } catch(e) { console.error('getKey error', key, e.message); return null; }
+function adminSessionCookie(value, maxAgeMs) {
+  return `${ADMIN_SESSION_COOKIE}=${value}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${Math.floor(maxAgeMs / 1000)}`
+    + (IS_PRODUCTION ? '; Secure' : '');
 }
 
-async function setKey(key, value) {
+// Resolves who is making an /api request once, up front, so route handlers
+// can check isAdminRequest(req) / adminCan(req, …) synchronously.
+app.use('/api', async (req, res, next) => {
+  req.admin = null;
   try {
-    await pool.query(
-      'INSERT INTO store(key,value) VALUES($1,$2) ON CONFLICT(key) DO UPDATE SET value=$2',
-      [key, JSON.stringify(value)]
-    );
-    return true;
-  } catch(e) { console.error('setKey error', key, e.message); return false; }
+    const token = parseCookies(req.headers.cookie)[ADMIN_SESSION_COOKIE];
+    if (token) {
+      const { adminSessions, adminUsers } = await store.getKeys(['adminSessions', 'adminUsers']);
+      const session = (adminSessions || {})[hashSessionToken(token)];
+      const user = session && session.expiresAt > Date.now() && Object.hasOwn(adminUsers || {}, session.username)
+        ? adminUsers[session.username] : null;
+      if (user) req.admin = { username: user.username, role: user.role || 'owner', via: 'session' };
+    }
+    if (!req.admin && ADMIN_TOKEN && req.headers['x-admin-token'] === ADMIN_TOKEN) {
+      req.admin = { username: null, role: 'owner', via: 'token' };
+    }
+  } catch (e) {
+    console.error('[Admin] Session lookup failed:', e.message);
+  }
+  next();
+});
+
+function isAdminRequest(req) {
+  return !!req.admin;
 }
 
-// Legacy sync-style shims — kept so the rest of the code changes minimally.
-// All callers that used await readData()/await writeData() now use async versions below.
-async function readData() {
-  const keys = ['sites','rssCache','scores','dist','quizzes','archiveUrls',
-                 'archiveQuestions','archiveSlugs','posts','messages','subscribers','emailPaused','emailPausedSnapshot','topicBlocklist','cachedTeaserHtml','cachedTeaserDate','draftTeaserHtml','draftTeaserFingerprint','emailSentDates','prospects','prospectsPaused','statsExclusions','editorNotes','starredQuestions','communityMessage','communityMessageLastSent','communityImageUrl','forceGroupBUntil'];
-  const data = {};
-  await Promise.all(keys.map(async k => {
-    const v = await getKey(k);
-    if (v !== null) data[k] = v;
-  }));
-  return data;
+function adminCan(req, permission) {
+  return !!req.admin && (ADMIN_ROLES[req.admin.role] || []).includes(permission);
 }
 
-async function writeData(data) {
-  const keys = ['sites','rssCache','scores','dist','quizzes','archiveUrls',
-                 'archiveQuestions','archiveSlugs','posts','messages','subscribers','emailPaused','emailPausedSnapshot','topicBlocklist','cachedTeaserHtml','cachedTeaserDate','draftTeaserHtml','draftTeaserFingerprint','emailSentDates','prospects','prospectsPaused','statsExclusions','editorNotes','starredQuestions','communityMessage','communityMessageLastSent','communityImageUrl','forceGroupBUntil'];
-  await Promise.all(keys.map(async k => {
-    if (data[k] === null) await setKey(k, null);
-    else if (data[k] !== undefined) await setKey(k, data[k]);
-  }));
-  return true;
+// ── Route access policy ───────────────────────────────────────
+// Every route declares who may call it as its first handler:
+//
+//   app.get('/api/thing', access('quiz'), (req, res) => { … });
+//
+// The policy is 'public', 'outreach' (the x-outreach-token shared with
+// outreach.js) or one of the permissions in ADMIN_ROLES. Several
+// permissions — access('owner', 'community') — admit a role holding any
+// of them. Registering a route without a policy throws at startup, so a
+// new route can't ship open by accident. GET /api/admin/routes lists every
+// route with its policy.
+const ROUTE_POLICIES = new Set(['public', 'outreach', ...Object.values(ADMIN_ROLES).flat()]);
+
+function access(...policies) {
+  for (const policy of policies) {
+    if (!ROUTE_POLICIES.has(policy)) throw new Error(`Unknown route access policy '${policy}'`);
+  }
+  if (!policies.length || (policies.length > 1 && policies.some(p => p === 'public' || p === 'outreach'))) {
+    throw new Error(`Invalid route access policy '${policies.join(' ')}'`);
+  }
+  const [policy] = policies;
+  let check;
+  if (policy === 'public') {
+    check = (req, res, next) => next();
+  } else if (policy === 'outreach') {
+    check = (req, res, next) => {
+      const secret = process.env.OUTREACH_SECRET;
+      if (!secret || req.headers['x-outreach-token'] !== secret) return res.status(403).json({ error: 'Forbidden' });
+      next();
+    };
+  } else {
+    check = (req, res, next) => {
+      if (!policies.some(p => adminCan(req, p))) return res.status(403).json({ error: 'Forbidden' });
+      next();
+    };
+  }
+  check.accessPolicy = policies.join(' ');
+  return check;
 }
 
-// ── RSS feed fetcher ─────────────────────────────────────────
-// Fetches raw RSS/Atom XML from a URL, returns text
-function fetchUrl(url) {
-  return new Promise((resolve, reject) => {
-    const protocol = url.startsWith('https') ? https : http;
-    const req = protocol.get(url, {
-      headers: { 'User-Agent': 'Mozilla/5.0 (compatible; NewsQuizBot/1.0)' },
-      timeout: 10000
-    }, (res) => {
-      // Follow redirects
-      if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
-        return fetchUrl(res.headers.location).then(resolve).catch(reject);
-      }
-      let data = '';
-      res.on('data', chunk => data += chunk);
-      res.on('end', () => resolve(data));
+for (const method of ['get', 'post', 'put', 'patch', 'delete', 'all']) {
+  const register = app[method].bind(app);
+  app[method] = (routePath, ...handlers) => {
+    if (method === 'get' && handlers.length === 0) return register(routePath); // app.get(setting)
+    if (!handlers[0] || !handlers[0].accessPolicy) {
+      throw new Error(`[Admin] ${method.toUpperCase()} ${routePath} has no access policy — add access('public') or access('<permission>')`);
+    }
+    return register(routePath, ...handlers);
+  };
+}
+
+function listRoutePolicies() {
+  return app._router.stack
+    .filter(layer => layer.route)
+    .map(layer => {
+      const methods = Object.keys(layer.route.methods);
+      return {
+        method: methods.length === 1 ? methods[0].toUpperCase() : 'ALL', // app.all registers every verb
+        path: layer.route.path,
+        access: layer.route.stack[0].handle.accessPolicy
+      };
     });
-    req.on('error', reject);
-    req.on('timeout', () => { req.destroy(); reject(new Error('Timeout')); });
-  });
 }
 
-// Parse RSS/Atom XML — extracts titles, descriptions, links, pubDates
-function parseRSS(xml) {
-  const items = [];
-  // Match both RSS <item> and Atom <entry> tags
-  const itemRegex = /<(?:item|entry)[\s>]([\s\S]*?)<\/(?:item|entry)>/gi;
-  let match;
-  while ((match = itemRegex.exec(xml)) !== null) {
-    const block = match[1];
-    const get = (tag) => {
-      const m = block.match(new RegExp(`<${tag}[^>]*><!\\[CDATA\\[([\\s\\S]*?)\\]\\]></${tag}>`, 'i'))
-        || block.match(new RegExp(`<${tag}[^>]*>([\\s\\S]*?)</${tag}>`, 'i'));
-      return m ? m[1].replace(/<[^>]+>/g, '').trim() : '';
-    };
-    const title = get('title');
-    const description = get('description') || get('summary') || get('content');
-    const link = get('link')
-      || (block.match(/<link[^>]+href="([^"]+)"/i)||[])[1]
-      || (block.match(/<guid[^>]*>([^<]+)<\/guid>/i)||[])[1]
-      || (block.match(/href="(https?:\/\/[^"]+)"/)||[])[1]
-      || '';
-    const pubDate = get('pubDate') || get('published') || get('updated') || '';
-    const author = get('author') || get('dc:creator') || get('media:credit') || '';
-
-    if (title) {
-      items.push({ title, description: description.slice(0, 2000), link, pubDate, author });
+// ── Audit log ─────────────────────────────────────────────────
+// Destructive and audience-wide admin actions call audit() once they've
+// succeeded. Each entry records who did it, the request (passwords
+// stripped) and a field-by-field diff of the state it touched, and is
+// kept in the store rather than the console so it survives a restart.
+// A failed write is logged and otherwise ignored — the action itself has
+// already happened.
+const AUDIT_ACTIONS = [
+  'player.delete', 'player.merge', 'blocklist.add', 'blocklist.remove', 'topic-blocklist.update',
+  'quiz.schedule', 'quiz.unschedule', 'quiz.retract', 'quiz.restore',
+  'stats-exclusion.set', 'email.pause', 'email.resume', 'mug.award', 'message.bulk',
+  'post.delete', 'post.edit', 'subscriber.delete', 'subscriber.update', 'trash.restore', 'llm-budget.update',
+  'bank.delete', 'source.delete', 'quiz.publish', 'admin-user.create', 'admin-user.update', 'admin-user.delete'
+];
+const AUDIT_REDACT = new Set(['password', 'token', 'secret']);
+
+function auditPayload(req) {
+  const strip = v => Array.isArray(v) ? v.map(strip)
+    : v && typeof v === 'object'
+      ? Object.fromEntries(Object.entries(v).map(([k, x]) => [k, AUDIT_REDACT.has(k) ? '[redacted]' : strip(x)]))
+      : v;
+  const payload = {};
+  if (Object.keys(req.params || {}).length) payload.params = req.params;
+  if (Object.keys(req.query || {}).length) payload.query = strip(req.query);
+  if (req.body && Object.keys(req.body).length) payload.body = strip(req.body);
+  return payload;
+}
+
+// Leaf-level differences between two JSON values, as
+// [{ path: 'a.b', before, after }]. Arrays compare whole.
+function diffValues(before, after, path = '') {
+  const isObj = v => !!v && typeof v === 'object' && !Array.isArray(v);
+  if (isObj(before) && isObj(after)) {
+    const changes = [];
+    for (const k of new Set([...Object.keys(before), ...Object.keys(after)])) {
+      changes.push(...diffValues(before[k], after[k], path ? `${path}.${k}` : k));
     }
+    return changes;
   }
-  return items;
+  if (JSON.stringify(before) === JSON.stringify(after)) return [];
+  return [{ path, before: before ?? null, after: after ?? null }];
 }
 
-// Known RSS feeds for Baltimore news sites
-const BALTIMORE_RSS_FEEDS = {
-  // Pure local outlets — confirmed working
-  'baltimoretimes-online.com':  'https://baltimoretimes-online.com/feed/',
-  'marylandmatters.org':        'https://marylandmatters.org/feed/',
-  'thedailyrecord.com':         'https://thedailyrecord.com/feed/',
-  'baltimorefishbowl.com':      'https://baltimorefishbowl.com/feed/',
-  'southbmore.com':             'https://www.southbmore.com/feed/',
-  'cbsnews.com/baltimore':      'https://www.cbsnews.com/baltimore/latest/rss/main',
-  // Pure local — feed URLs need alternate versions
-  'baltimorebrew.com':          'https://baltimorebrew.com/feed/rss/',
-  'thebanner.com':              'https://www.thebaltimorebanner.com/arc/outboundfeeds/rss/',
-  'thebaltimorebanner.com':     'https://www.thebaltimorebanner.com/arc/outboundfeeds/rss/',
-  'wypr.org':                   'https://www.wypr.org/podcast/news/rss.xml',
-  'baltimoresun.com':           'https://www.baltimoresun.com/arc/outboundfeeds/rss/',
-  'bizjournals.com/baltimore':  'https://www.bizjournals.com/baltimore/feed/news/local.rss',
-  'technical.ly':               'https://technical.ly/baltimore/feed/',
-  'dailyvoice.com':             'https://dailyvoice.com/maryland/feed.rss',
-  // TV stations — keyword filtered
-  'foxbaltimore.com':           'https://foxbaltimore.com/rss',
-  'wbaltv.com':                 'https://www.wbaltv.com/rss',
-  'wmar2news.com':              'https://www.wmar2news.com/rss',
-  'wbal.com':                   'https://www.wbal.com/rss',
-  'mytvbaltimore.com':          'https://foxbaltimore.com/rss',
-  'cwbaltimore.com':            'https://www.wmar2news.com/rss',
-  // Additional local sources
-  'afro.com':                   'https://afro.com/feed/',
-  'urbanleaguebaltimore.org':   'https://urbanleaguebaltimore.org/feed/',
-  'baltimoremagazine.com':      'https://www.baltimoremagazine.com/feed/',
-  'citypaper.com':              'https://www.citypaper.com/feed/',
-};
-
-// Filter items to last 24 hours
-function isRecent(pubDate) {
-  if (!pubDate) return true; // include if no date
+async function audit(req, action, { target = null, before = null, after = null } = {}) {
   try {
-    const d = new Date(pubDate);
-    if (isNaN(d.getTime())) return true; // unparseable date — include it
-    return (Date.now() - d.getTime()) < 72 * 60 * 60 * 1000; // 72hr window
-  } catch(e) { return true; }
+    await store.logAuditEntry({
+      ts: new Date().toISOString(),
+      actor: req.admin ? (req.admin.username || 'admin token') : null,
+      role: req.admin ? req.admin.role : null,
+      action,
+      target,
+      payload: auditPayload(req),
+      changes: diffValues(before, after)
+    });
+  } catch (e) {
+    console.error(`[Audit] Failed to record ${action}:`, e.message);
+  }
 }
 
-// ── RSS cache ─────────────────────────────────────────────────
-// Articles are fetched in the background and cached in memory.
-// The cache is refreshed on startup and via the /api/rss/refresh endpoint.
+// ── POST /api/admin/login — start an editor session ───────────
+// Body: { username, password }. Five wrong passwords in a row lock the
+// account for 15 minutes.
+app.post('/api/admin/login', access('public'), async (req, res) => {
+  const username = normAdminUsername((req.body || {}).username);
+  const password = String((req.body || {}).password || '');
+  if (!username || !password) return res.status(400).json({ error: 'Username and password required.' });
+  try {
+    const users = (await getKey('adminUsers')) || {};
+    const user = Object.hasOwn(users, username) ? users[username] : null;
+    if (user && user.lockedUntil > Date.now()) {
+      const mins = Math.ceil((user.lockedUntil - Date.now()) / 60000);
+      return res.status(429).json({ error: `Too many failed attempts — try again in ${mins} minute${mins === 1 ? '' : 's'}.` });
+    }
+    const ok = await verifyAdminPassword(password, user);
+    if (!ok) {
+      if (user) {
+        await store.updateKey('adminUsers', all => {
+          const u = (all || {})[username];
+          if (!u) return all;
+          u.failedLogins = (u.failedLogins || 0) + 1;
+          if (u.failedLogins >= ADMIN_MAX_FAILED_LOGINS) {
+            u.lockedUntil = Date.now() + ADMIN_LOCKOUT_MS;
+            u.failedLogins = 0;
+            console.warn(`[Admin] Account "${username}" locked after ${ADMIN_MAX_FAILED_LOGINS} failed logins`);
+          }
+          return all;
+        });
+      }
+      return res.status(401).json({ error: 'Incorrect username or password.' });
+    }
 
-async function fetchAndCacheRSS() {
-  const data = await readData();
-  const savedSites = (data.sites || '').split('\n').map(s => s.trim()).filter(Boolean)
-    .filter(s => !s.includes('google.com') && !s.includes('therealnews.com')); // skip non-RSS sources
-  if (!savedSites.length) {
-    console.log('RSS: No sites saved yet, skipping fetch.');
-    return;
+    const token = crypto.randomBytes(32).toString('hex');
+    const now = Date.now();
+    await store.updateKey('adminUsers', all => {
+      const u = (all || {})[username];
+      if (u) { u.failedLogins = 0; u.lockedUntil = null; u.lastLoginAt = new Date(now).toISOString(); }
+      return all;
+    });
+    await store.updateKey('adminSessions', sessions => {
+      const live = Object.fromEntries(Object.entries(sessions || {}).filter(([, s]) => s.expiresAt > now));
+      live[hashSessionToken(token)] = { username, createdAt: now, expiresAt: now + ADMIN_SESSION_TTL_MS };
+      return live;
+    });
+    console.log(`[Admin] "${username}" signed in`);
+    res.setHeader('Set-Cookie', adminSessionCookie(token, ADMIN_SESSION_TTL_MS));
+    res.json({ ok: true, username });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
   }
+});
 
-  console.log(`RSS: Fetching feeds for ${savedSites.length} sites…`);
-
-  const feedsToFetch = [];
-  for (const site of savedSites) {
-    let matched = false;
-    for (const [key, feedUrl] of Object.entries(BALTIMORE_RSS_FEEDS)) {
-      if (site.includes(key)) {
-        feedsToFetch.push({ site, feedUrl });
-        matched = true;
-        break;
-      }
-    }
-    if (!matched) {
-      const base = site.replace(/\/$/, '');
-      feedsToFetch.push({ site, feedUrl: base + '/feed/' });
-      feedsToFetch.push({ site, feedUrl: base + '/rss' });
+// ── POST /api/admin/logout — end the current editor session ───
+app.post('/api/admin/logout', access('public'), async (req, res) => {
+  const token = parseCookies(req.headers.cookie)[ADMIN_SESSION_COOKIE];
+  try {
+    if (token) {
+      await store.updateKey('adminSessions', sessions => {
+        delete (sessions || {})[hashSessionToken(token)];
+        return sessions || {};
+      });
     }
+    res.setHeader('Set-Cookie', adminSessionCookie('', 0));
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
   }
+});
 
-  const allItems = [];
-  const errors = [];
-
-  // Keywords that indicate a story is local to Baltimore/Central Maryland
-  const LOCAL_KEYWORDS = [
-    'baltimore', 'maryland', ' md ', 'md\'s', ' md:', 'annapolis', 'towson', 'bethesda', 'silver spring',
-    'columbia', 'ellicott city', 'bowie', 'laurel', 'rockville', 'gaithersburg',
-    'hagerstown', 'frederick', 'salisbury', 'ocean city', 'chesapeake',
-    'orioles', 'ravens', 'terps', 'terrapins', 'shock trauma', 'jhu', 'johns hopkins',
-    'morgan state', 'loyola', 'umbc', 'umd', 'bge', 'mta maryland',
-    'harford', 'howard county', 'anne arundel', 'carroll county', 'prince george',
-    'washington county', 'wicomico', 'worcester', 'somerset', 'dorchester',
-    'kent county', 'queen anne', 'talbot', 'caroline', 'cecil county', 'calvert', 'charles county'
-  ];
-
-  // URLs that are too sensitive/graphic for a community quiz
-  const BLACKLISTED_URLS = [
-    'university-maryland-police-sexual-misconduct',
-    '/sponsored-content/',
-    '/advertorial/',
-    '/paid-content/',
-    // Persistent national wire stories with no Maryland angle
-    'us-rules-supreme-court-colorado-oil-climate-lawsuit',
-    'heres-what-to-know-about-the-dhs-funding-shutdown',
-    'supreme-court-nra-free-speech-ny-official',
-    'federal-rules-louisiana-ten-commandments-law-schools-appeals',
-    // Baltimore Times food article — Claude invariably asks about Atlanta conference detail
-    'the-weight-we-carry-food-labor-and-black-womens-bodies-as-living-archives',
-  ];
-
-  function isLocalStory(item, site) {
-    // Skip CBS video pages — articles have more usable text for quiz generation
-    if (site.includes('cbsnews') && (item.link || '').includes('/video/')) return false;
-
-    // Filter DC sports teams — Nationals, Commanders, Capitals, Wizards
-    // These appear in Banner's sports section but have no Baltimore relevance
-    const itemLink = (item.link || '').toLowerCase();
-    const itemTitle = (item.title || '').toLowerCase();
-    const dcSportsPatterns = [
-      '/nationals-mlb/', '/commanders-nfl/', '/capitals-nhl/', '/wizards-nba/',
-      'nationals spring training', 'washington nationals',
-      'washington commanders'
-    ];
-    if (dcSportsPatterns.some(p => itemLink.includes(p) || itemTitle.includes(p))) return false;
-
-    // Filter weather forecasts — only keep if headline suggests historic/major storm
-    const weatherPatterns = ['first alert', 'degrees', 'temperatures', 'forecast',
-      'rain and snow', 'showers', 'warmer', 'colder', 'milder', 'weekend weather'];
-    const majorWeather = ['blizzard', 'hurricane', 'tornado', 'historic storm',
-      'state of emergency', 'major flooding', 'power outages'];
-    if (weatherPatterns.some(p => itemTitle.includes(p)) &&
-        !majorWeather.some(p => itemTitle.includes(p))) return false;
-    // These outlets publish ONLY local Baltimore/Maryland content — trust everything
-    // Truly hyper-local outlets — every story is Baltimore/Maryland specific
-    // Hyper-local outlets — trust everything they publish
-    const pureLocalSites = [
-      'baltimorebrew', 'baltimoretimes', 'baltimorefishbowl', 'southbmore',
-      'bizjournals.com/baltimore', 'technical.ly', 'wypr.org', 'marylandmatters',
-      'baltimorebanner', 'thebanner.com', 'baltimoresun', 'afro.com',
-      'baltimoremagazine', 'citypaper.com'
-    ];
-    if (pureLocalSites.some(s => site.includes(s))) return true;
+// ── GET /api/admin/session — who is signed in (401 if nobody) ─
+app.get('/api/admin/session', access('public'), (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  if (!isAdminRequest(req)) return res.status(401).json({ error: 'Not signed in' });
+  const { username, role, via } = req.admin;
+  res.json({ ok: true, username, role, permissions: ADMIN_ROLES[role] || [], via });
+});
 
-    // Daily Record and TV stations mix local with national wire — require keyword in title
-    const title = (item.title || '').toLowerCase();
-    return LOCAL_KEYWORDS.some(kw => title.includes(kw)) || title.startsWith('md ');
+// ── GET /api/admin/users — list editor accounts ───────────────
+app.get('/api/admin/users', access('owner'), async (req, res) => {
+  try {
+    const users = (await getKey('adminUsers')) || {};
+    res.json({
+      users: Object.values(users).map(u => ({
+        username: u.username,
+        role: u.role || 'owner',
+        createdAt: u.createdAt || null,
+        lastLoginAt: u.lastLoginAt || null,
+        locked: u.lockedUntil > Date.now()
+      }))
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
   }
+});
 
-  const fetchWithTimeout = (site, feedUrl) => new Promise(async (resolve) => {
-    const timer = setTimeout(() => resolve(), 8000);
-    try {
-      const xml = await fetchUrl(feedUrl);
-      const parsed = parseRSS(xml);
-      const recent = parsed.filter(item => isRecent(item.pubDate));
-      const items = recent.filter(item => isLocalStory(item, site));
-      console.log(`RSS OK: ${feedUrl} — ${parsed.length} total, ${recent.length} recent, ${items.length} local`);
-      if (parsed.length > 0 && recent.length === 0) {
-        console.log(`  oldest item date: ${parsed[parsed.length-1].pubDate}`);
-      }
-      items.forEach(item => allItems.push({ ...item, source: site }));
-    } catch(e) {
-      errors.push(`${feedUrl}: ${e.message}`);
-      console.log(`RSS FAIL: ${feedUrl} — ${e.message}`);
-    } finally {
-      clearTimeout(timer);
-      resolve();
+// ── POST /api/admin/users — create an account, or change one ──
+// Body: { username, password?, role? }. New accounts need a password and
+// default to the editor role. For an existing account, a password resets
+// it (clearing any lockout and signing that editor out everywhere) and a
+// role changes it; omitted fields are left alone.
+app.post('/api/admin/users', access('owner'), async (req, res) => {
+  const username = normAdminUsername((req.body || {}).username);
+  const password = (req.body || {}).password === undefined ? null : String(req.body.password);
+  const role = (req.body || {}).role;
+  if (!/^[a-z0-9._-]{2,40}$/.test(username)) {
+    return res.status(400).json({ error: 'Username must be 2–40 letters, digits, dots, dashes or underscores.' });
+  }
+  if (password !== null && password.length < ADMIN_MIN_PASSWORD_LENGTH) {
+    return res.status(400).json({ error: `Password must be at least ${ADMIN_MIN_PASSWORD_LENGTH} characters.` });
+  }
+  if (role !== undefined && !Object.hasOwn(ADMIN_ROLES, role)) {
+    return res.status(400).json({ error: `Role must be one of: ${Object.keys(ADMIN_ROLES).join(', ')}.` });
+  }
+  try {
+    if (password === null && !Object.hasOwn((await getKey('adminUsers')) || {}, username)) {
+      return res.status(400).json({ error: 'A password is required for a new account.' });
     }
-  });
-
-  await Promise.allSettled(feedsToFetch.map(({ site, feedUrl }) => fetchWithTimeout(site, feedUrl)));
-
-  // Deduplicate by title, then cap per source at 10 articles
-  const seen = new Set();
-  const sourceCount = {};
-  const unique = allItems.filter(item => {
-    // Exact title dedup
-    const titleKey = item.title.toLowerCase().trim();
-    if (seen.has(titleKey)) return false;
-    seen.add(titleKey);
-    // Per-source cap — prevent any one source dominating
-    const src = item.source || 'unknown';
-    sourceCount[src] = (sourceCount[src] || 0) + 1;
-    // Baltimore Banner gets a higher cap since it's our richest pure-local source
-    const cap = src.includes('thebanner') || src.includes('thebaltimorebanner') ? 30 : 15;
-    if (sourceCount[src] > cap) return false;
-    return true;
-  });
-
-  // Save to data file
-  const freshData = await readData();
-  freshData.rssCache = {
-    items: unique.slice(0, 100),
-    fetchedAt: new Date().toISOString(),
-    errors: errors.length ? errors : []
-  };
-  await writeData(freshData);
-  console.log(`RSS: Cached ${unique.length} articles. Errors: ${errors.length}`);
-}
+    const credentials = password !== null ? await hashAdminPassword(password) : null;
+    let created = false;
+    let beforeRole = null;
+    await store.updateKey('adminUsers', users => {
+      users = users || {};
+      created = !Object.hasOwn(users, username);
+      if (created && !credentials) return users;
+      const user = created ? { username, role: 'editor', createdAt: new Date().toISOString() } : users[username];
+      if (!created) beforeRole = user.role || 'owner';
+      if (credentials) Object.assign(user, credentials, { failedLogins: 0, lockedUntil: null });
+      if (role !== undefined) user.role = role;
+      users[username] = user;
+      return users;
+    });
+    if (!created && credentials) await endAdminSessions(username);
+    const user = ((await getKey('adminUsers')) || {})[username] || {};
+    console.log(`[Admin] Account "${username}" ${created ? 'created' : 'updated'} (role: ${user.role || 'owner'})`);
+    await audit(req, created ? 'admin-user.create' : 'admin-user.update', {
+      target: username,
+      before: created ? null : { role: beforeRole, passwordReset: false },
+      after: { role: user.role || 'owner', passwordReset: !created && !!credentials }
+    });
+    res.json({ ok: true, username, role: user.role || 'owner', created });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
 
-// ── Email helper (Resend) ─────────────────────────────────────
+// ── DELETE /api/admin/users/:username — remove an account ─────
+app.delete('/api/admin/users/:username', access('owner'), async (req, res) => {
+  const username = normAdminUsername(req.params.username);
+  try {
+    let existed = null;
+    await store.updateKey('adminUsers', users => {
+      users = users || {};
+      existed = users[username] || null;
+      delete users[username];
+      return users;
+    });
+    if (!existed) return res.status(404).json({ error: 'No such account' });
+    await endAdminSessions(username);
+    console.log(`[Admin] Account "${username}" deleted`);
+    await audit(req, 'admin-user.delete', { target: username, before: { role: existed.role || 'owner', createdAt: existed.createdAt || null } });
+    res.json({ ok: true, deleted: username });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
 
-// Scheduled daily refresh at 6am Eastern time
-function scheduleNextRefresh() {
-  const now = new Date();
-  const next = new Date();
-  // 6am Eastern = 11am UTC (EST) or 10am UTC (EDT)
-  const utcHour = 11;
-  next.setUTCHours(utcHour, 0, 0, 0);
-  if (next <= now) next.setUTCDate(next.getUTCDate() + 1); // tomorrow if already past
-  const msUntil = next - now;
-  console.log(`RSS: Next scheduled refresh in ${Math.round(msUntil/60000)} minutes (6am Eastern).`);
-  setTimeout(() => {
-    fetchAndCacheRSS();
-    scheduleNextRefresh(); // schedule the next day's refresh
-  }, msUntil);
+async function endAdminSessions(username) {
+  await store.updateKey('adminSessions', sessions =>
+    Object.fromEntries(Object.entries(sessions || {}).filter(([, s]) => s.username !== username))
+  );
 }
-scheduleNextRefresh();
 
-// ── GET /api/rss/debug — show all cached articles grouped by source ──
-app.get('/api/rss/debug', async (req, res) => {
-  const data = await readData();
-  const cache = data.rssCache || { items: [], fetchedAt: null };
-  
-  // Group by source
-  const bySource = {};
-  for (const item of cache.items) {
-    const src = item.source || 'unknown';
-    if (!bySource[src]) bySource[src] = [];
-    bySource[src].push({ title: item.title, pubDate: item.pubDate, link: item.link });
-  }
-
-  res.json({
-    version: '2.2-banner30',
-    fetchedAt: cache.fetchedAt,
-    totalCount: cache.items.length,
-    errors: cache.errors || [],
-    bySource
-  });
+// ── GET /api/admin/audit — search the audit log ──────────────
+// Query (all optional): actor, action, q (free text over target, payload
+// and changes), since/until (YYYY-MM-DD or ISO, UTC), beforeId, limit (≤ 500).
+app.get('/api/admin/audit', access('owner'), async (req, res) => {
+  const { actor, action, q, since, until, beforeId } = req.query;
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 500);
+  try {
+    const entries = await store.listAuditEntries({
+      actor: actor || undefined,
+      action: action || undefined,
+      q: q || undefined,
+      since: since || undefined,
+      // A bare date means "through the end of that (UTC) day"
+      until: /^\d{4}-\d{2}-\d{2}$/.test(until || '')
+        ? new Date(Date.parse(until) + 86400000).toISOString().slice(0, 10)
+        : (until || undefined),
+      beforeId: parseInt(beforeId, 10) || undefined,
+      limit
+    });
+    res.json({ entries, actions: AUDIT_ACTIONS, more: entries.length === limit });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
 });
 
-// ── GET /api/rss — return cached articles ─────────────────────
-app.get('/api/rss', async (req, res) => {
-  const data = await readData();
-  const cache = data.rssCache || { items: [], fetchedAt: null, errors: [] };
-  res.json(cache);
+// ── GET /api/admin/routes — every route and who may call it ───
+app.get('/api/admin/routes', access('owner'), (req, res) => {
+  res.json({ routes: listRoutePolicies() });
 });
 
-// ── POST /api/rss/refresh — manually trigger a fresh fetch ────
-app.post('/api/rss/refresh', async (req, res) => {
-  res.json({ ok: true, message: 'RSS refresh started in background.' });
-  fetchAndCacheRSS(); // run in background, don't await
+// ── RSS feeds ─────────────────────────────────────────────────
+// Fetching, filtering and caching live in rssService.js; these are its
+// /api/rss routes.
+rssService.registerRoutes(app, access);
+
+// Tells the editor when a high-priority source has gone quiet for
+// FEED_ALERT_AFTER_HOURS — see feedHealth.js.
+rssService.onFeedAlert(async alerts => {
+  const editorEmail = process.env.EDITOR_EMAIL;
+  if (!editorEmail) { console.log('[FeedHealth] EDITOR_EMAIL not set — no alert email.'); return; }
+  const siteUrl = process.env.SITE_URL || 'https://dailydispatchquiz.com';
+  const items = alerts.map(({ source, emptyRuns, quietHours, feeds }) =>
+    `<li style="margin-bottom:10px;"><strong>${escHtml(source.name)}</strong> (priority ${source.priority}) — nothing usable for ${quietHours} hours (${emptyRuns} refreshes)` +
+    feeds.map(f => `<br><span style="font-size:12px;color:#666;">${escHtml(f.feedUrl)}: ` +
+      (f.consecutiveFailures ? `failing ${f.consecutiveFailures}× — ${escHtml(f.lastError || '')}` : 'reads fine, but no local stories') +
+      (f.lastSuccessAt ? `, last worked ${escHtml(f.lastSuccessAt.slice(0, 10))}` : '') + '</span>').join('') +
+    '</li>').join('');
+  await sendEmail(editorEmail,
+    alerts.length === 1 ? `News feed gone quiet: ${alerts[0].source.name}` : `${alerts.length} news feeds gone quiet`,
+    `<div style="font-family:Arial,sans-serif;font-size:14px;line-height:1.5;">
+       <p>These sources haven't given the quiz a usable story lately:</p>
+       <ul>${items}</ul>
+       <p><a href="${siteUrl}">Check the feeds in the admin panel</a> — fix the feed URL, or lower the source's priority to stop these alerts.</p>
+     </div>`);
 });
 
 // ── Redirect root to quiz ────────────────────────────────────
-app.get('/', async (req, res) => {
+app.get('/', access('public'), async (req, res) => {
   const qs = req.url.includes('?') ? req.url.slice(req.url.indexOf('?')) : '';
   res.redirect('/news-quiz.html' + qs);
 });
 
-// ── Save/load news sites ──────────────────────────────────────
-app.post('/api/sites', async (req, res) => {
-  const { sites } = req.body || {};
-  if (typeof sites !== 'string') return res.status(400).json({ error: 'sites must be a string' });
-  const data = await readData();
-  data.sites = sites;
-  await writeData(data);
-  res.json({ ok: true });
+// ── News sources ──────────────────────────────────────────────
+// The registry the RSS refresh reads — see rssService.js for what each
+// field does. Question generation also scrapes the enabled sources' sites
+// when it isn't given its own list.
+
+// GET /api/sources — every source, highest priority first
+app.get('/api/sources', access('quiz'), async (req, res) => {
+  try {
+    res.json({ sources: await rssService.listSources(), modes: rssService.SOURCE_MODES });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// POST /api/sources  { site, name?, feedUrls?, mode?, cap?, priority?, enabled?, notes? }
+// feedUrls and mode are guessed from the site when left out.
+app.post('/api/sources', access('quiz'), async (req, res) => {
+  const problem = rssService.sourceProblem(req.body);
+  if (problem) return res.status(400).json({ error: problem });
+  try {
+    const source = rssService.buildSource(req.body);
+    if (await store.getNewsSource(source.id)) return res.status(409).json({ error: `${source.site} is already a source` });
+    await store.putNewsSource(source);
+    console.log('[Admin] News source added:', source.id);
+    res.json({ ok: true, source });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// PATCH /api/sources/:id — any of the POST fields; feedUrls: [] re-guesses them
+app.patch('/api/sources/:id', access('quiz'), async (req, res) => {
+  try {
+    const existing = await store.getNewsSource(req.params.id);
+    if (!existing) return res.status(404).json({ error: 'No such news source' });
+    const problem = rssService.sourceProblem(req.body, existing);
+    if (problem) return res.status(400).json({ error: problem });
+    const source = rssService.buildSource(req.body, existing);
+    await store.putNewsSource(source);
+    console.log('[Admin] News source updated:', source.id);
+    res.json({ ok: true, source });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
 });
 
-app.get('/api/sites', async (req, res) => {
-  const data = await readData();
-  res.json({ sites: data.sites || '' });
+// DELETE /api/sources/:id — move a source into the trash
+app.delete('/api/sources/:id', access('quiz'), async (req, res) => {
+  try {
+    const source = await store.getNewsSource(req.params.id);
+    if (!source) return res.status(404).json({ error: 'No such news source' });
+    const trashed = await moveToTrash(req, 'news-source', source.id, source.name, source);
+    await store.deleteNewsSource(source.id);
+    console.log('[Admin] News source moved to trash:', source.id);
+    await audit(req, 'source.delete', { target: source.id, before: { name: source.name, site: source.site, feedUrls: source.feedUrls } });
+    res.json({ ok: true, id: source.id, trashId: trashed.id });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
 });
 
 // ── GET /api/article-urls — load hand-picked article URLs ──
-app.get('/api/article-urls', async (req, res) => {
-  const adminToken = process.env.ADMIN_TOKEN || 'admin';
-  if (req.headers['x-admin-token'] !== adminToken) return res.status(403).json({ error: 'Forbidden' });
+app.get('/api/article-urls', access('quiz'), async (req, res) => {
   const articleUrls = await getKey('articleUrls');
   res.json({ articleUrls: articleUrls || '' });
 });
 
 // ── POST /api/article-urls — save hand-picked article URLs ──
-app.post('/api/article-urls', async (req, res) => {
-  const adminToken = process.env.ADMIN_TOKEN || 'admin';
-  if (req.headers['x-admin-token'] !== adminToken) return res.status(403).json({ error: 'Forbidden' });
+app.post('/api/article-urls', access('quiz'), async (req, res) => {
   const { articleUrls } = req.body || {};
   await setKey('articleUrls', articleUrls || '');
   res.json({ ok: true });
 });
 
-// ── Answer distribution ──────────────────────────────────────
-app.post('/api/answers', async (req, res) => {
-  const { date, answers, playerName } = req.body || {};
-  if (!date || !Array.isArray(answers)) return res.status(400).json({ error: 'bad request' });
-  
-  const data = await readData();
-  const quiz = data.quizzes && data.quizzes[date];
-  if (!quiz) return res.status(404).json({ error: 'Quiz not found for this date' });
-
-  if (!data.dist) data.dist = {};
-  if (!data.dist[date]) data.dist[date] = {};
+// ── Server-side answer grading ────────────────────────────────
+// The server is the only authority on whether an answer is right and what
+// it's worth — clients send the option they picked (chosenIndex), never
+// their own correct/pts verdict. Point tiers mirror POINTS and
+// getDifficultyLabel() in news-quiz.html — keep both in sync. A wrong
+// answer earns 25% of the tier as participation credit, and the bonus
+// slot (index 5) is always worth the bonus tier regardless of its label.
+const QUESTION_POINTS = { easy: 10, medium: 20, hard: 30, bonus: 50 };
+const COMPLETION_BONUS = 10;
+const BONUS_Q_IDX = 5;
+const QUIZ_QUESTION_COUNT = 6;
+
+function pointsForQuestion(question, qIdx) {
+  if (qIdx === BONUS_Q_IDX || question.difficulty === 'bonus') return QUESTION_POINTS.bonus;
+  return QUESTION_POINTS[question.difficulty] || QUESTION_POINTS.easy;
+}
 
-// Server-side validation loop
-answers.forEach(({ qIdx, chosenIndex, correct }) => {
-  if (qIdx === 'completion') return;
+// Grades one submitted option against the stored quiz. Returns null when
+// the question or the chosen option doesn't exist — callers treat that as
+// a malformed payload rather than a wrong answer.
+function gradeAnswer(quiz, qIdx, chosenIndex) {
+  const question = quiz && Array.isArray(quiz.questions) ? quiz.questions[qIdx] : null;
+  if (!question) return null;
+  const optionCount = Array.isArray(question.options) ? question.options.length : 0;
+  if (!Number.isInteger(chosenIndex) || chosenIndex < 0 || chosenIndex >= optionCount) return null;
+  const correct = chosenIndex === question.correctIndex;
+  const fullPts = pointsForQuestion(question, qIdx);
+  return {
+    qIdx,
+    chosen: chosenIndex,
+    correct,
+    pts: correct ? fullPts : Math.round(fullPts * 0.25),
+    correctIndex: question.correctIndex,
+    explanation: question.explanation || ''
+  };
+}
 
-  const question = quiz.questions[qIdx];
-  if (!question) return;
+// Re-grades a progress.answers map ({ q0: { chosen, correct, pts }, … })
+// from the chosen options alone. Anything that can't be graded at all is
+// returned in `invalid` so the caller can reject the payload; a client
+// verdict that disagrees with the server's is overridden and noted in
+// `flags` so tampered (or just buggy) clients are visible in the logs.
+// `locked` is the answers map already on record (see POST /api/grade) —
+// a submitted answer can't be changed, and isn't lost if the client
+// leaves it out.
+function gradeProgressAnswers(quiz, answers, locked = {}) {
+  const graded = {};
+  const invalid = [];
+  const flags = [];
+  let score = 0;
+  const merged = { ...answers };
+  for (const [qKey, prior] of Object.entries(locked || {})) {
+    if (prior?.chosen === undefined) continue;
+    if (merged[qKey] && Number(merged[qKey].chosen) !== Number(prior.chosen)) {
+      flags.push(`${qKey}: client changed locked answer ${prior.chosen} to ${merged[qKey].chosen}`);
+    }
+    merged[qKey] = { ...merged[qKey], chosen: prior.chosen };
+  }
+  for (const [qKey, answer] of Object.entries(merged)) {
+    const qIdx = /^q\d+$/.test(qKey) ? parseInt(qKey.slice(1), 10) : NaN;
+    const result = Number.isNaN(qIdx) ? null : gradeAnswer(quiz, qIdx, Number(answer?.chosen));
+    if (!result) { invalid.push(qKey); continue; }
+    if (typeof answer.correct === 'boolean' && answer.correct !== result.correct) {
+      flags.push(`${qKey}: client claimed correct=${answer.correct}`);
+    }
+    if (answer.pts !== undefined && Number(answer.pts) !== result.pts) {
+      flags.push(`${qKey}: client claimed pts=${answer.pts}, graded ${result.pts}`);
+    }
+    graded[qKey] = { chosen: result.chosen, correct: result.correct, pts: result.pts };
+    score += result.pts;
+  }
+  return { graded, invalid, flags, score };
+}
 
-  let isActuallyCorrect;
+// What question_outcomes keeps of a question as it was played
+const outcomeSnapshot = q => ({
+  question: q.question, options: q.options, correctIndex: q.correctIndex,
+  difficulty: q.difficulty || null, sourceUrl: q.sourceUrl || null
+});
 
-  // New client payload: { qIdx, correct }
-  if (typeof correct === 'boolean') {
-    isActuallyCorrect = correct;
-  }
-  // Legacy payload: { qIdx, chosenIndex }
-  else if (typeof chosenIndex === 'number') {
-    isActuallyCorrect = (chosenIndex === question.correctIndex);
+// ── POST /api/grade — grade a single answer as it's submitted ──
+// Body: { date, qIdx, chosenIndex, playerName? }. Returns correctness,
+// points and the explanation so selectAnswer()/selectBonus() can render
+// feedback without the browser ever needing correctIndex up front.
+// With a playerName this is the player's submission: the first answer for
+// each question is locked into their progress record, so grading a
+// question doesn't let them probe for the right option and then post a
+// different one to /api/progress. Only past quizzes (archive plays) are
+// graded anonymously, without recording anything — for today's quiz an
+// anonymous grade would hand out the answers before anyone has played.
+app.post('/api/grade', access('public'), async (req, res) => {
+  const { date, qIdx, chosenIndex, playerName } = req.body || {};
+  if (!date || !Number.isInteger(qIdx)) return res.status(400).json({ error: 'date and qIdx required' });
+  const named = !!(playerName && playerName.trim());
+  if (!named && date >= easternToday()) {
+    return res.status(400).json({ error: "playerName required to grade today's quiz" });
   }
-  // Unknown payload shape: skip
-  else {
-    return;
+  try {
+    const quiz = await store.getQuiz(date);
+    if (!quiz) return res.status(404).json({ error: 'Quiz not found for this date' });
+    const result = gradeAnswer(quiz, qIdx, chosenIndex);
+    if (!result) return res.status(400).json({ error: 'Invalid question or option' });
+
+    if (named) {
+      if (await isBlocked(playerName)) {
+        return res.status(400).json({ error: 'This player name is reserved. Please create a new name.', blocked: true });
+      }
+      const key = normPlayerKey(playerName);
+      // Today's answers are only revealed to a player who has started the
+      // quiz (POST /api/quiz-start, rate-limited per address) — a made-up
+      // name gets nothing back and leaves no row behind.
+      if (date >= easternToday() && !(await store.getProgress(date, key))) {
+        return res.status(403).json({ error: "Start today's quiz before answering.", startRequired: true });
+      }
+      // Already submitted (e.g. a replay) — the answer is theirs to see,
+      // but the locked submission stands.
+      const locked = await store.lockAnswer(date, key, qIdx, result, normDisplayName(playerName));
+      // The permanent tally the difficulty model learns from (see
+      // difficultyModel.js) counts each player's locked answer once —
+      // never a replay, an archive play or a repeated post.
+      if (locked) {
+        try {
+          await store.recordQuestionOutcomes(date, [{ qIdx, correct: result.correct, question: outcomeSnapshot(quiz.questions[qIdx]) }]);
+        } catch (e) {
+          console.error('[grade] Could not record question outcome:', e.message);
+        }
+      }
+    }
+
+    res.json({ ok: true, ...result });
+  } catch (e) {
+    console.error('[grade] error:', e.message);
+    res.status(500).json({ error: e.message });
   }
+});
 
-  const k = 'q' + qIdx;
-  if (!data.dist[date][k]) data.dist[date][k] = { correct: 0, wrong: 0 };
+// ── Answer distribution ──────────────────────────────────────
+app.post('/api/answers', access('public'), async (req, res) => {
+  const { date, answers, playerName } = req.body || {};
+  if (!date || !Array.isArray(answers)) return res.status(400).json({ error: 'bad request' });
+  
+  const quiz = await store.getQuiz(date);
+  if (!quiz) return res.status(404).json({ error: 'Quiz not found for this date' });
 
-  if (isActuallyCorrect) data.dist[date][k].correct++;
-  else data.dist[date][k].wrong++;
+  let rejected = 0;
+  await store.updateKey('dist', dist => {
+    dist = dist || {};
+    if (!dist[date]) dist[date] = {};
+
+    // Server-side grading loop — only the chosen option is trusted. The old
+    // { qIdx, correct } payload let any client report its own verdict, so
+    // entries without a gradable chosenIndex are now counted and dropped.
+    answers.forEach(({ qIdx, chosenIndex }) => {
+      if (qIdx === 'completion') return;
+
+      const result = gradeAnswer(quiz, qIdx, chosenIndex);
+      if (!result) { rejected++; return; }
+
+      const k = 'q' + qIdx;
+      if (!dist[date][k]) dist[date][k] = { correct: 0, wrong: 0 };
+
+      // The client posts each answer as it's given and again with the
+      // finished quiz — a player's answer only counts the first time.
+      if (playerName && playerName.trim()) {
+        const key = normPlayerKey(playerName);
+        if (!dist[date].players) dist[date].players = {};
+        if (!dist[date].players[key]) {
+          dist[date].players[key] = { displayName: normDisplayName(playerName), answers: {} };
+        }
+        if (dist[date].players[key].answers[k] !== undefined) return;
+        dist[date].players[key].answers[k] = result.correct;
+      }
 
-  if (playerName && playerName.trim()) {
-    const key = normPlayerKey(playerName);
-    if (!data.dist[date].players) data.dist[date].players = {};
-    if (!data.dist[date].players[key]) {
-      data.dist[date].players[key] = { displayName: normDisplayName(playerName), answers: {} };
-    }
-    data.dist[date].players[key].answers[k] = isActuallyCorrect;
-  }
-});
+      if (result.correct) dist[date][k].correct++;
+      else dist[date][k].wrong++;
+    });
 
-  // Keep existing cleanup logic for old distribution data
-  const cutoff = new Date();
-  cutoff.setDate(cutoff.getDate() - 2);
-  Object.keys(data.dist).forEach(d => {
-    if (new Date(d) < cutoff) delete data.dist[d];
+    // Keep existing cleanup logic for old distribution data
+    const cutoff = new Date();
+    cutoff.setDate(cutoff.getDate() - 2);
+    Object.keys(dist).forEach(d => {
+      if (new Date(d) < cutoff) delete dist[d];
+    });
+    return dist;
   });
+  if (rejected) console.warn(`[answers] Rejected ${rejected} ungradable answer(s) for ${date}`);
 
-  await writeData(data);
-  res.json({ ok: true });
+  res.json({ ok: true, rejected });
 });
 
 // GET /api/answers?date=YYYY-MM-DD
-app.get('/api/answers', async (req, res) => {
+app.get('/api/answers', access('public'), async (req, res) => {
   const { date } = req.query;
   if (!date) return res.status(400).json({ error: 'date required' });
 
-  const data = await readData();
-  const distForDate = (data.dist && data.dist[date]) || {};
-  const excludedMap = (data.statsExclusions && data.statsExclusions[date]) || {};
+  const [dist, statsExclusions] = await Promise.all([getKey('dist'), getKey('statsExclusions')]);
+  const distForDate = (dist && dist[date]) || {};
+  const excludedMap = (statsExclusions && statsExclusions[date]) || {};
   const players = distForDate.players || {};
 
   // If there are no per-player answers stored, fall back to the raw distribution
@@ -565,20 +831,171 @@ app.get('/api/answers', async (req, res) => {
   res.json(rebuilt);
 });
 
+// ── Difficulty model ──────────────────────────────────────────
+// Expected correct rates for draft questions (see difficultyModel.js).
+// The generator attaches them to each new draft; the admin page asks
+// again after the editor edits, swaps or reorders questions.
+
+// POST /api/difficulty/predict  { questions } → { ready, baseRate, targets, predictions }
+app.post('/api/difficulty/predict', access('quiz'), async (req, res) => {
+  const { questions } = req.body || {};
+  if (!Array.isArray(questions)) return res.status(400).json({ error: 'questions array required' });
+  try {
+    res.json(difficultyModel.predictDraft(await difficultyModel.currentModel(), questions));
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// GET /api/admin/difficulty-model — what the model learned, and how well it fits
+app.get('/api/admin/difficulty-model', access('quiz'), async (req, res) => {
+  try {
+    const { means, stds, bias, ...model } = await difficultyModel.currentModel();
+    res.json(model);
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// POST /api/admin/difficulty-model/retrain — refit now rather than on the next stale read
+app.post('/api/admin/difficulty-model/retrain', access('quiz'), async (req, res) => {
+  try {
+    const { means, stds, bias, ...model } = await difficultyModel.retrain();
+    res.json({ ok: true, ...model });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// ── Question bank ─────────────────────────────────────────────
+// Every published or starred question, tagged and searchable (see
+// questionBank.js), so the editor can pull a proven one into a draft.
+// Each hit carries its answer stats summed over every quiz it ran in.
+
+// GET /api/bank?q=&topic=&neighborhood=&outlet=&difficulty=&shelfLife=&starred=&limit=&offset=
+app.get('/api/bank', access('quiz'), async (req, res) => {
+  const { q, starred } = req.query;
+  const filters = Object.fromEntries(questionBank.TAG_FIELDS.filter(f => req.query[f]).map(f => [f, String(req.query[f])]));
+  const limit = Math.min(parseInt(req.query.limit, 10) || 25, 100);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+  try {
+    const { entries, total } = await store.searchBank({
+      q: q ? String(q).trim() : undefined,
+      ...(starred === 'true' || starred === 'false' ? { starred: starred === 'true' } : {}),
+      ...filters,
+      limit,
+      offset
+    });
+    const outcomes = new Map((await store.listQuestionOutcomes()).map(o => [`${o.date}/${o.qIdx}`, o]));
+    const withStats = entries.map(entry => {
+      const played = entry.uses.map(u => outcomes.get(`${u.date}/${u.qIdx}`)).filter(Boolean);
+      const correct = played.reduce((n, o) => n + o.correct, 0);
+      const answered = correct + played.reduce((n, o) => n + o.wrong, 0);
+      return { ...entry, stats: { answered, correct, correctRate: answered ? Math.round(correct / answered * 100) / 100 : null } };
+    });
+    res.json({ entries: withStats, total, limit, offset });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// GET /api/bank/tags — the values in use per tag, for the filters
+app.get('/api/bank/tags', access('quiz'), async (req, res) => {
+  try {
+    res.json({ values: await store.listBankTagValues(), topics: questionBank.TOPICS, shelfLives: questionBank.SHELF_LIVES });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// PATCH /api/bank/:id  { tags?, note?, starred? } — correct tags or annotate
+app.patch('/api/bank/:id', access('quiz'), async (req, res) => {
+  const { tags, note, starred } = req.body || {};
+  try {
+    const entry = await store.getBankEntry(req.params.id);
+    if (!entry) return res.status(404).json({ error: 'Not in the question bank' });
+    const updated = {
+      ...entry,
+      tags: tags && typeof tags === 'object' ? questionBank.cleanTags(tags, entry.tags) : entry.tags,
+      note: typeof note === 'string' ? note.slice(0, 500) : entry.note,
+      starred: typeof starred === 'boolean' ? starred : entry.starred,
+      updatedAt: new Date().toISOString()
+    };
+    await store.putBankEntry({ ...updated, searchText: questionBank.searchTextOf(updated) });
+    console.log('[Admin] Question bank entry updated:', entry.id);
+    res.json({ ok: true, entry: updated });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// DELETE /api/bank/:id — move a question out of the bank and into the trash
+app.delete('/api/bank/:id', access('quiz'), async (req, res) => {
+  try {
+    const entry = await store.getBankEntry(req.params.id);
+    if (!entry) return res.status(404).json({ error: 'Not in the question bank' });
+    const trashed = await moveToTrash(req, 'bank-question', entry.id, entry.question.slice(0, 80), entry);
+    await store.deleteBankEntry(entry.id);
+    console.log('[Admin] Question bank entry moved to trash:', entry.id);
+    await audit(req, 'bank.delete', { target: entry.id, before: { question: entry.question, tags: entry.tags, uses: entry.uses } });
+    res.json({ ok: true, id: entry.id, trashId: trashed.id });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
 // ── Quiz start tracking ───────────────────────────────────────
 // Records when a player starts the quiz — used for completion rate.
-// POST /api/quiz-start  { date }
-app.post('/api/quiz-start', async (req, res) => {
-  const { date } = req.body || {};
+// POST /api/quiz-start  { date, playerName }
+// A named player gets their progress row for the date — /api/grade won't
+// reveal today's answers without one — and is counted once, however often
+// they reload. New names are limited to QUIZ_STARTS_PER_IP a day per
+// address.
+const QUIZ_STARTS_PER_IP = parseInt(process.env.QUIZ_STARTS_PER_IP, 10) || 10;
+const quizStartsByIp = new Map(); // `${date} ${ip}` → new players started today
+let quizStartsDay = null;
+
+function takeQuizStart(date, ip) {
+  const today = easternToday();
+  if (quizStartsDay !== today) {
+    quizStartsByIp.clear();
+    quizStartsDay = today;
+  }
+  const k = `${date} ${ip}`;
+  const count = quizStartsByIp.get(k) || 0;
+  if (count >= QUIZ_STARTS_PER_IP) return false;
+  quizStartsByIp.set(k, count + 1);
+  return true;
+}
+
+app.post('/api/quiz-start', access('public'), async (req, res) => {
+  const { date, playerName } = req.body || {};
   if (!date) return res.status(400).json({ error: 'date required' });
-  const starts = (await getKey('quizStarts')) || {};
-  starts[date] = (starts[date] || 0) + 1;
-  await setKey('quizStarts', starts);
+  if (playerName && playerName.trim()) {
+    if (await isBlocked(playerName)) {
+      return res.status(400).json({ error: 'This player name is reserved. Please create a new name.', blocked: true });
+    }
+    const key = normPlayerKey(playerName);
+    if (await store.getProgress(date, key)) return res.json({ ok: true, resumed: true });
+    if (!takeQuizStart(date, req.ip)) {
+      console.warn(`[quiz-start] Refused ${playerName} on ${date}: ${QUIZ_STARTS_PER_IP} new players from ${req.ip} already`);
+      return res.status(429).json({ error: 'Too many new players from this address today.' });
+    }
+    const now = new Date().toISOString();
+    await store.updateProgress(date, key, current => current || {
+      score: 0, currentQ: 0, completed: false, displayName: normDisplayName(playerName), startedAt: now, updatedAt: now
+    });
+  }
+  await store.updateKey('quizStarts', starts => {
+    starts = starts || {};
+    starts[date] = (starts[date] || 0) + 1;
+    return starts;
+  });
   res.json({ ok: true });
 });
 
 // GET /api/quiz-starts?date=YYYY-MM-DD
-app.get('/api/quiz-starts', async (req, res) => {
+app.get('/api/quiz-starts', access('audience'), async (req, res) => {
   const { date } = req.query;
   if (!date) return res.status(400).json({ error: 'date required' });
   const starts = (await getKey('quizStarts')) || {};
@@ -586,59 +1003,28 @@ app.get('/api/quiz-starts', async (req, res) => {
 });
 
 // ── Article text fetcher ──────────────────────────────────────
-// Fetches full article text for a given URL, stripping HTML tags.
-// Used to give Claude full article content instead of just RSS snippets.
-app.post('/api/fetch-article', async (req, res) => {
+// Full article text for a given URL (see articleText.js), to give Claude
+// more than the RSS snippet and — with a larger maxChars — to fact-check
+// questions against.
+app.post('/api/fetch-article', access('quiz'), async (req, res) => {
   const { url } = req.body  || {};
   if (!url) return res.status(400).json({ error: 'url required' });
-
-  try {
-    const html = await fetchUrl(url);
-
-    // Strip script/style blocks first
-    let text = html
-      .replace(/<script[\s\S]*?<\/script>/gi, '')
-      .replace(/<style[\s\S]*?<\/style>/gi, '')
-      .replace(/<nav[\s\S]*?<\/nav>/gi, '')
-      .replace(/<header[\s\S]*?<\/header>/gi, '')
-      .replace(/<footer[\s\S]*?<\/footer>/gi, '');
-
-    // Try to extract main article body — look for common content containers
-    const articleMatch = text.match(/<article[\s\S]*?<\/article>/i)
-      || text.match(/<main[\s\S]*?<\/main>/i)
-      || text.match(/class="[^"]*(?:article|story|content|post|entry)-body[^"]*"[\s\S]*?<\/div>/i);
-
-    if (articleMatch) text = articleMatch[0];
-
-    // Strip remaining HTML tags and decode entities
-    text = text
-      .replace(/<[^>]+>/g, ' ')
-      .replace(/&amp;/g, '&')
-      .replace(/&lt;/g, '<')
-      .replace(/&gt;/g, '>')
-      .replace(/&quot;/g, '"')
-      .replace(/&#39;/g, "'")
-      .replace(/&nbsp;/g, ' ')
-      .replace(/\s{2,}/g, ' ')
-      .trim();
-
-    // Cap at 1500 chars — enough for Claude to write a good question, keeps prompt lean
-    const excerpt = text.slice(0, 1500);
-
-    if (excerpt.length < 100) {
-      return res.json({ ok: false, reason: 'paywall or insufficient content', excerpt: '' });
-    }
-
-    res.json({ ok: true, excerpt });
-  } catch(e) {
-    res.json({ ok: false, reason: e.message, excerpt: '' });
-  }
+  res.json(await fetchArticleExcerpt(url));
 });
 
 // ── Canonical per-player quiz progress ───────────────────────
-// Stored as progress = { [date]: { [playerKey]: { displayName, score, currentQ, completed, answers, startedAt, updatedAt } } }
+// One daily_results row (+ answers rows) per player per date — see store.js.
+// getKey('progress') still returns the old shape:
+// { [date]: { [playerKey]: { displayName, score, currentQ, completed, answers, startedAt, updatedAt } } }
+
+// 'YYYY-MM-DD' for N days before today — cutoff for date-keyed pruning.
+function dateDaysAgo(days) {
+  const d = new Date();
+  d.setDate(d.getDate() - days);
+  return d.toLocaleDateString('en-CA');
+}
 
-app.get('/api/progress', async (req, res) => {
+app.get('/api/progress', access('public'), async (req, res) => {
   const { date, playerName } = req.query;
   if (!date) return res.status(400).json({ error: 'date required' });
   // Live per-player data (rank, distribution bars) — must never be cached
@@ -647,25 +1033,21 @@ app.get('/api/progress', async (req, res) => {
   res.set('Cache-Control', 'no-store');
 
   try {
-    // This looks into your Postgres 'store' table for the 'progress' key
-    const allProgress = await getKey('progress') || {}; 
-    const dayData = allProgress[date] || {};
-
     // If you're looking for one person: ?date=...&playerName=...
     if (playerName) {
-      const key = normPlayerKey(playerName);
-      return res.json(dayData[key] || { score: 0, completed: false });
+      const record = await store.getProgress(date, normPlayerKey(playerName));
+      return res.json(record || { score: 0, completed: false });
     }
 
     // If you're looking at the whole leaderboard: ?date=...
-    res.json(dayData);
+    res.json(await store.getProgressForDate(date));
   } catch (e) {
     console.error('Error in GET /api/progress:', e);
     res.status(500).json({ error: e.message });
   }
 });
 
-app.post('/api/progress', async (req, res) => {
+app.post('/api/progress', access('public'), async (req, res) => {
   const { playerName, date, progress } = req.body || {};
 
   if (!playerName || !date || !progress || typeof progress !== 'object') {
@@ -677,57 +1059,67 @@ app.post('/api/progress', async (req, res) => {
   }
 
   try {
-    const data = await readData();
+    const quiz = await store.getQuiz(date);
 
     console.log('[progress] incoming', {
       playerName,
       date,
       hasProgress: !!progress,
-      hasQuiz: !!(data.quizzes && data.quizzes[date])
-    });
-
-  // Recalculate score server-side from stored per-answer points,
-  // which already include full credit or partial credit as awarded.
-  let validatedScore = 0;
-
-  if (progress.answers && typeof progress.answers === 'object') {
-    Object.values(progress.answers).forEach(answer => {
-      validatedScore += Number(answer?.pts) || 0;
+      hasQuiz: !!quiz
     });
-  }
 
-  // Add the 10-point completion bonus only when completed
-  if (progress.completed) {
-    validatedScore += 10;
-  }
-    const allProgress = (await getKey('progress')) || {};
-    if (!allProgress[date]) allProgress[date] = {};
+    // Grade every answer server-side from the chosen option alone — the
+    // client's own correct/pts fields are ignored (and flagged if they
+    // disagree). A payload that references a question or option that
+    // doesn't exist is rejected outright rather than partially saved.
+    if (!quiz) return res.status(404).json({ error: 'Quiz not found for this date' });
 
     const key = normPlayerKey(playerName);
-    const existing = allProgress[date][key] || {};
-
-    // First-use display casing: once a player has a canonical displayName
-    // (in today's progress record already, or in their persistent scores
-    // record), it wins over whatever casing was just typed. Only a
-    // brand-new player's first-ever submission sets it.
-    const existingScores = (await getKey('scores')) || {};
-    const canonicalDisplayName = existing.displayName || existingScores[key]?.displayName || normDisplayName(playerName);
-
-    allProgress[date][key] = {
-      ...existing,
-      ...progress,
-      displayName: canonicalDisplayName,
-      updatedAt: new Date().toISOString(),
-      score: validatedScore,
-      synthetic: false
-    };
+    const player = await store.getPlayer(key);
+
+    // Grade and write under this player's row lock, so an answer locked by
+    // /api/grade while this request is in flight can't be overwritten.
+    let invalid = [];
+    let flags = [];
+    let validatedScore = 0;
+    await store.updateProgress(date, key, current => {
+      const existing = current || {};
+      const result = gradeProgressAnswers(quiz, progress.answers, existing.answers);
+      ({ invalid, flags } = result);
+      if (invalid.length) return null;
+
+      // The completion bonus is only earned once every question is answered,
+      // not merely because the client says completed: true.
+      const allAnswered = Object.keys(result.graded).length === QUIZ_QUESTION_COUNT;
+      if (progress.completed && !allAnswered) {
+        flags.push(`completed claimed with ${Object.keys(result.graded).length}/${QUIZ_QUESTION_COUNT} answers`);
+      }
+      validatedScore = result.score + (progress.completed && allAnswered ? COMPLETION_BONUS : 0);
+
+      // First-use display casing: once a player has a canonical displayName
+      // (in today's progress record already, or in their persistent scores
+      // record), it wins over whatever casing was just typed. Only a
+      // brand-new player's first-ever submission sets it.
+      const canonicalDisplayName = existing.displayName || player?.displayName || normDisplayName(playerName);
 
-    // Keep only last 2 days of progress
-    const cutoffDate = new Date();
-    cutoffDate.setDate(cutoffDate.getDate() - 5);
-    Object.keys(allProgress).forEach(d => {
-      if (new Date(d + 'T12:00:00') < cutoffDate) delete allProgress[d];
+      return {
+        ...existing,
+        ...progress,
+        answers: result.graded,
+        displayName: canonicalDisplayName,
+        updatedAt: new Date().toISOString(),
+        score: validatedScore,
+        synthetic: false,
+        gradingFlags: flags.length ? flags : undefined
+      };
     });
+    if (invalid.length) {
+      console.warn(`[progress] Rejected ungradable answers from ${playerName} on ${date}: ${invalid.join(', ')}`);
+      return res.status(400).json({ error: 'Invalid answers: ' + invalid.join(', ') });
+    }
+    if (flags.length) {
+      console.warn(`[progress] Client/server grading mismatch for ${playerName} on ${date}: ${flags.join('; ')}`);
+    }
 
     console.log('[progress] saving', {
       key,
@@ -738,55 +1130,20 @@ app.post('/api/progress', async (req, res) => {
       answerCount: Object.keys(progress.answers || {}).length
     });
 
-    // Prune detailed answer data from records older than 2 days
-    const pruneDate = new Date();
-    pruneDate.setDate(pruneDate.getDate() - 2);
-    Object.entries(allProgress).forEach(([d, players]) => {
-      if (new Date(d + 'T12:00:00') < pruneDate) {
-        Object.keys(players).forEach(pk => {
-          const p = players[pk];
-          players[pk] = {
-            score: p.score,
-            completed: p.completed,
-            displayName: p.displayName,
-            synthetic: p.synthetic || false
-          };
-        });
-      }
-    });
-
-    await setKey('progress', allProgress);
+    // Keep only the last 5 days of progress, and strip answer detail from
+    // records older than 2 days.
+    await store.pruneProgress({ dropBefore: dateDaysAgo(5), detailBefore: dateDaysAgo(2) });
 
     // ── Mirror to scores for leaderboard ───────────────────
-    // Uses scoped getKey/setKey on 'scores' only — NOT readData()/writeData(),
-    // which read and rewrite every stored key at once. Under concurrent
-    // requests (e.g. a burst of players finishing right after publication),
-    // a readData()/writeData() round trip here could hold a stale snapshot of
-    // the 'progress' key and silently overwrite another player's just-saved
-    // progress with it. Scoping to 'scores' alone eliminates that collateral
-    // damage — this can still lose a concurrent 'scores' update in the rare
-    // case two requests race on the exact same instant, but it can no longer
-    // touch 'progress' at all.
+    // Row-level write to this player's daily result only, so a burst of
+    // players finishing right after publication can't overwrite each
+    // other's scores or progress.
     try {
-      const scores = existingScores; // already fetched above for canonicalDisplayName
-
-      if (!scores[key]) {
-        scores[key] = {
-          displayName: normDisplayName(playerName),
-          allTime: 0,
-          dailyScores: {}
-        };
-      }
-      const prev = scores[key].dailyScores[date] || 0;
-
+      const prev = player?.dailyScores?.[date] || 0;
       if (progress.completed || validatedScore >= prev) {
-        scores[key].dailyScores[date] = validatedScore;
-        scores[key].allTime = Object.values(
-          scores[key].dailyScores
-        ).reduce((a, b) => a + b, 0);
-        // displayName intentionally not touched here — first-use casing is
-        // canonical once set (see creation above and canonicalDisplayName).
-        await setKey('scores', scores);
+        // displayName only applies if this creates the player — first-use
+        // casing is canonical once set (see canonicalDisplayName).
+        await store.recordDailyScore(key, date, validatedScore, { displayName: normDisplayName(playerName) });
       }
     } catch (e) {
       console.warn('[progress] scores mirror failed (non-fatal):', e.message);
@@ -802,7 +1159,7 @@ app.post('/api/progress', async (req, res) => {
 // ── Leaderboard ───────────────────────────────────────────────
 // Scores stored as data.scores = { playerKey: { displayName, allTime, dailyScores: {date: score} } }
 
-app.post('/api/scores', async (req, res) => {
+app.post('/api/scores', access('public'), async (req, res) => {
   const { playerName, date, score } = req.body  || {};
 
   if (playerName && await isBlocked(playerName)) {
@@ -825,76 +1182,68 @@ app.post('/api/scores', async (req, res) => {
   }
 
 try {
-    // Scoped getKey/setKey on 'scores' only — see the matching note in
-    // POST /api/progress. A readData()/writeData() round trip here would
-    // read and rewrite every stored key, risking a stale-snapshot overwrite
-    // of 'progress' if a concurrent request's progress write lands in between.
-    const data = { scores: (await getKey('scores')) || {} };
-
+    // Row-level write to this player's daily result only — see the
+    // matching note in POST /api/progress.
     const key = normPlayerKey(playerName);
 
-    if (!data.scores[key]) {
-      data.scores[key] = {
-        displayName: normDisplayName(playerName),
-        allTime: 0,
-        dailyScores: {}
-      };
+    // Never record more than the server has graded for this player/date —
+    // the client's running total is only a hint. POST /api/progress mirrors
+    // the graded score here too, so a clamped value catches up on next save.
+    // (Progress is the source of truth now, so nothing is mirrored back.)
+    const gradedProgress = await store.getProgress(date, key);
+    const gradedScore = Math.min(score, Number(gradedProgress?.score) || 0);
+    if (gradedScore !== score) {
+      console.warn(`[scores] Clamped ${playerName} on ${date} from ${score} to graded ${gradedScore}`);
     }
 
     // Always overwrite with latest score
-    const prev = data.scores[key].dailyScores[date] || 0;
-    data.scores[key].dailyScores[date] = score;
-
-    // Recompute all-time
-    data.scores[key].allTime = Object.values(
-      data.scores[key].dailyScores
-    ).reduce((a, b) => a + b, 0);
+    const before = await store.getPlayer(key);
+    const prev = before?.dailyScores?.[date] || 0;
+    const dailyScores = { ...(before?.dailyScores || {}), [date]: gradedScore };
 
     // Streak: current is computed live from dailyScores each time, not
     // stored, so it's always correct even if a gap day gets backfilled
     // later. maxStreak is persisted since it's a running best, not derivable
     // from a single read — noted for a future stats view per the brief.
-    const currentStreak = currentStreakFromDailyScores(data.scores[key].dailyScores, date);
-    data.scores[key].maxStreak = Math.max(
-      data.scores[key].maxStreak || 0,
-      longestStreakFromDailyScores(data.scores[key].dailyScores)
-    );
-
-    await setKey('scores', data.scores);
+    // allTime is recomputed from the daily rows by recordDailyScore().
+    const currentStreak = currentStreakFromDailyScores(dailyScores, date);
+    const player = await store.recordDailyScore(key, date, gradedScore, {
+      displayName: normDisplayName(playerName),
+      maxStreak: longestStreakFromDailyScores(dailyScores)
+    });
 
     // 🔍 Log success
     console.log('[scores] saved', {
       playerKey: key,
-      displayName: data.scores[key].displayName,
+      displayName: player.displayName,
       date,
       previousScore: prev,
-      newScore: score,
-      allTime: data.scores[key].allTime
+      newScore: gradedScore,
+      allTime: player.allTime
     });
 
    // Log completion event for A/B analytics — only on final score post from finishQuiz
     if (isCompleted) {
-      const subData = await readData();
-      const subRecord = subData.subscribers && Object.values(subData.subscribers).find(s =>
-        normPlayerKey(s.name) === key
-      );
+      const subRecord = await store.findSubscriberByPlayerKey(key);
       if (subRecord && subRecord.abGroup) {
-        logEmailEvent('quiz_completed', subRecord.email, date, { group: subRecord.abGroup, score });
+        logEmailEvent('quiz_completed', subRecord.email, date, { group: subRecord.abGroup, score: gradedScore });
       }
     }
 
     // ── Increment referral playCount ──────────────────────────
     try {
-      const allData = await readData();
-      for (const sub of Object.values(allData.subscribers || {})) {
-        if (!sub.referrals) continue;
-        const ref = sub.referrals.find(r =>
-          r.email === key || (r.name && normPlayerKey(r.name) === key)
-        );
-        if (ref) {
+      const referrer = await store.findReferrer(key);
+      if (referrer) {
+        let ref;
+        const sub = await store.updateSubscriber(referrer.email, sub => {
+          ref = sub && (sub.referrals || []).find(r =>
+            r.email === key || (r.name && normPlayerKey(r.name) === key)
+          );
+          if (!ref) return null;
           if (!ref.playCount) ref.playCount = 0;
           ref.playCount++;
-          await writeData(allData);
+        });
+        if (ref) {
           console.log(`[Referral] ${key} play count: ${ref.playCount} — referred by ${sub.email}`);
           // Check if this referrer just hit 3 confirmed referrals
           if (!sub.mugWon) {
@@ -903,38 +1252,17 @@ try {
               console.log(`[Referral] 🏆 ${sub.email} is now MUG ELIGIBLE`);
             }
           }
-          break;
         }
       }
     } catch (e) {
       console.warn('[Referral] playCount update failed (non-fatal):', e.message);
     }
 
-    // ── Mirror to progress for single source of truth ──────
-    try {
-      const allProgress = (await getKey('progress')) || {};
-      if (!allProgress[date]) allProgress[date] = {};
-      if (!allProgress[date][key] || (allProgress[date][key].synthetic && score > (allProgress[date][key].score || 0))) {
-        allProgress[date][key] = {
-          score,
-          completed: false,
-          answers: {},
-          currentQ: 0,
-          displayName: normDisplayName(playerName),
-          synthetic: true,
-          updatedAt: new Date().toISOString()
-        };
-        await setKey('progress', allProgress);
-      }
-    } catch (e) {
-      console.warn('[scores] progress mirror failed (non-fatal):', e.message);
-    }
-
     res.json({
       ok: true,
-      allTime: data.scores[key].allTime,
+      allTime: player.allTime,
       currentStreak,
-      maxStreak: data.scores[key].maxStreak
+      maxStreak: player.maxStreak
     });
 
   } catch (e) {
@@ -944,17 +1272,16 @@ try {
 });
 
 // ── DELETE /api/scores/:playerKey — admin delete a player ────
-app.delete('/api/scores/:playerKey', async (req, res) => {
-  const adminToken = process.env.ADMIN_TOKEN || 'admin';
-  if (req.headers['x-admin-token'] !== adminToken) return res.status(403).json({ error: 'Forbidden' });
+// The player's record goes to the trash and can be restored from there.
+app.delete('/api/scores/:playerKey', access('owner'), async (req, res) => {
   const key = normPlayerKey(req.params.playerKey);
-  const data = await readData();
-  if (!data.scores || !data.scores[key]) return res.status(404).json({ error: 'Player not found' });
-  const name = data.scores[key].displayName;
-  delete data.scores[key];
-  await writeData(data);
+  const deleted = await store.deletePlayer(key);
+  if (!deleted) return res.status(404).json({ error: 'Player not found' });
+  const name = deleted.displayName;
   console.log('[Admin] Deleted player:', key);
-  res.json({ ok: true, deleted: name });
+  const trashed = await moveToTrash(req, 'player', key, name, deleted);
+  await audit(req, 'player.delete', { target: key, before: deleted });
+  res.json({ ok: true, deleted: name, trashId: trashed.id });
 });
 
 // ── POST /api/admin/merge-players — merge two duplicate player records ──
@@ -964,74 +1291,219 @@ app.delete('/api/scores/:playerKey', async (req, res) => {
 // normalize them, so it can target a legacy non-lowercased key precisely
 // (unlike DELETE /api/scores/:playerKey, which always lowercases its param
 // and so can't address a key like "Sampson" distinctly from "sampson").
-// Unions dailyScores into toKey, recomputes allTime, deletes fromKey.
+// Unions dailyScores into toKey, recomputes allTime, deletes fromKey. The
+// pre-merge records go to the trash, where "undo merge" splits them back.
 // On a same-date conflict, keeps toKey's value and reports it rather than
 // silently overwriting. Optional displayName lets the caller set the
 // canonical display casing (e.g. per a first-use policy) explicitly.
-app.post('/api/admin/merge-players', async (req, res) => {
-  const adminToken = process.env.ADMIN_TOKEN || 'admin';
-  if (req.headers['x-admin-token'] !== adminToken) return res.status(403).json({ error: 'Forbidden' });
+app.post('/api/admin/merge-players', access('owner'), async (req, res) => {
   const { fromKey, toKey, displayName } = req.body || {};
   if (!fromKey || !toKey || fromKey === toKey) {
     return res.status(400).json({ error: 'fromKey and toKey required and must differ' });
   }
   try {
-    const scores = (await getKey('scores')) || {};
-    const from = scores[fromKey];
-    const to = scores[toKey];
-    if (!from) return res.status(404).json({ error: `fromKey "${fromKey}" not found` });
-    if (!to) return res.status(404).json({ error: `toKey "${toKey}" not found` });
-
-    const mergedDailyScores = { ...(to.dailyScores || {}) };
+    let missing = null;
+    let to;
+    let before;
     const conflicts = [];
-    for (const [date, score] of Object.entries(from.dailyScores || {})) {
-      if (mergedDailyScores[date] !== undefined && mergedDailyScores[date] !== score) {
-        conflicts.push({ date, keptScore: mergedDailyScores[date], discardedScore: score });
-        continue;
+    await store.updateKey('scores', scores => {
+      scores = scores || {};
+      const from = scores[fromKey];
+      to = scores[toKey];
+      if (!from) { missing = `fromKey "${fromKey}" not found`; return scores; }
+      if (!to) { missing = `toKey "${toKey}" not found`; return scores; }
+      before = structuredClone({ [fromKey]: from, [toKey]: to });
+
+      const mergedDailyScores = { ...(to.dailyScores || {}) };
+      for (const [date, score] of Object.entries(from.dailyScores || {})) {
+        if (mergedDailyScores[date] !== undefined && mergedDailyScores[date] !== score) {
+          conflicts.push({ date, keptScore: mergedDailyScores[date], discardedScore: score });
+          continue;
+        }
+        mergedDailyScores[date] = score;
       }
-      mergedDailyScores[date] = score;
-    }
 
-    to.dailyScores = mergedDailyScores;
-    to.allTime = Object.values(mergedDailyScores).reduce((a, b) => a + b, 0);
-    if (displayName) to.displayName = displayName;
-    delete scores[fromKey];
-
-    await setKey('scores', scores);
+      to.dailyScores = mergedDailyScores;
+      to.allTime = Object.values(mergedDailyScores).reduce((a, b) => a + b, 0);
+      if (displayName) to.displayName = displayName;
+      delete scores[fromKey];
+      return scores;
+    });
+    if (missing) return res.status(404).json({ error: missing });
     console.log('[Admin] Merged player scores:', { fromKey, toKey, conflicts });
-    res.json({ ok: true, merged: toKey, removed: fromKey, result: to, conflicts });
+    const trashed = await moveToTrash(req, 'merge', `${fromKey} → ${toKey}`, `${before[fromKey].displayName} merged into ${to.displayName}`, {
+      fromKey, toKey, displayName: displayName || null, from: before[fromKey], to: before[toKey]
+    });
+    await audit(req, 'player.merge', { target: `${fromKey} → ${toKey}`, before, after: { [fromKey]: null, [toKey]: to } });
+    res.json({ ok: true, merged: toKey, removed: fromKey, result: to, conflicts, trashId: trashed.id });
   } catch (e) {
     console.error('[Admin] merge-players error:', e.message);
     res.status(500).json({ error: e.message });
   }
 });
 
+// ── Trash ─────────────────────────────────────────────────────
+// Deleted players, posts, subscribers and bank questions, and player merges, land here
+// instead of disappearing: trash[] = { id, kind, key, label, deletedAt,
+// deletedBy, data }, where data is whatever restoring needs (the deleted
+// record, or both pre-merge records). purgeTrash() drops entries older than
+// TRASH_RETENTION_DAYS — only then is a post actually removed.
+// Each kind is restored by whoever may delete it.
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30;
+const TRASH_PERMISSIONS = { player: 'owner', merge: 'owner', post: 'community', subscriber: 'audience', 'bank-question': 'quiz', 'news-source': 'quiz' };
+
+const trashExpiresAt = entry => new Date(Date.parse(entry.deletedAt) + TRASH_RETENTION_DAYS * 86400000).toISOString();
+
+async function moveToTrash(req, kind, key, label, data) {
+  const entry = {
+    id: crypto.randomBytes(8).toString('hex'),
+    kind,
+    key,
+    label,
+    deletedAt: new Date().toISOString(),
+    deletedBy: req.admin ? (req.admin.username || 'admin token') : null,
+    data
+  };
+  await store.updateKey('trash', trash => [...(trash || []), entry]);
+  return entry;
+}
+
+async function purgeTrash() {
+  try {
+    const now = new Date().toISOString();
+    let expired = [];
+    await store.updateKey('trash', trash => {
+      expired = (trash || []).filter(e => trashExpiresAt(e) <= now);
+      return (trash || []).filter(e => trashExpiresAt(e) > now);
+    });
+    const postIds = new Set(expired.filter(e => e.kind === 'post').map(e => e.key));
+    if (postIds.size) await store.updateKey('posts', posts => (posts || []).filter(p => !(postIds.has(p.id) && p.deleted)));
+    if (expired.length) console.log(`[Trash] Purged ${expired.length} item(s) older than ${TRASH_RETENTION_DAYS} days`);
+  } catch (e) {
+    console.error('[Trash] Purge failed:', e.message);
+  }
+}
+
+// Each restorer puts an entry's data back, or returns why it can't
+// (something has taken its place since).
+const TRASH_RESTORERS = {
+  async player({ key, data }) {
+    let conflict = null;
+    await store.updateKey('scores', scores => {
+      scores = scores || {};
+      if (scores[key]) conflict = `A player "${scores[key].displayName}" exists again — merge or delete it first`;
+      else scores[key] = data;
+      return scores;
+    });
+    return conflict;
+  },
+
+  // Undo merge: fromKey comes back exactly as it was, and toKey loses the
+  // dates that only fromKey had. Anything toKey has scored since stays.
+  async merge({ data: { fromKey, toKey, displayName, from, to } }) {
+    let conflict = null;
+    await store.updateKey('scores', scores => {
+      scores = scores || {};
+      const current = scores[toKey];
+      if (scores[fromKey]) { conflict = `"${fromKey}" exists again — merge or delete it first`; return scores; }
+      if (!current) { conflict = `"${toKey}" no longer exists`; return scores; }
+      const dailyScores = { ...(current.dailyScores || {}) };
+      for (const date of Object.keys(from.dailyScores || {})) {
+        if (!(date in (to.dailyScores || {}))) delete dailyScores[date];
+      }
+      current.dailyScores = dailyScores;
+      current.allTime = Object.values(dailyScores).reduce((a, b) => a + b, 0);
+      if (displayName && current.displayName === displayName) current.displayName = to.displayName;
+      scores[fromKey] = from;
+      return scores;
+    });
+    return conflict;
+  },
+
+  async post({ key }) {
+    let found = false;
+    await store.updateKey('posts', posts => {
+      const post = (posts || []).find(p => p.id === key);
+      if (post) { delete post.deleted; found = true; }
+      return posts;
+    });
+    return found ? null : 'Post no longer exists';
+  },
+
+  async subscriber({ key, data }) {
+    if (await store.getSubscriber(key)) return `${key} has subscribed again since`;
+    await store.putSubscriber(key, data);
+    return null;
+  },
+
+  async 'bank-question'({ key, data }) {
+    if (await store.getBankEntry(key)) return 'The question is back in the bank since — edit that entry instead';
+    await store.putBankEntry({ ...data, searchText: questionBank.searchTextOf(data) });
+    return null;
+  },
+
+  async 'news-source'({ key, data }) {
+    if (await store.getNewsSource(key)) return `${data.site} has been added again since`;
+    await store.putNewsSource(data);
+    return null;
+  }
+};
+
+// ── GET /api/admin/trash — what can be restored ───────────────
+// Only the kinds the caller's role may restore.
+app.get('/api/admin/trash', access('owner', 'community', 'audience', 'quiz'), async (req, res) => {
+  try {
+    const trash = ((await getKey('trash')) || [])
+      .filter(e => adminCan(req, TRASH_PERMISSIONS[e.kind]))
+      .map(({ data, ...e }) => ({ ...e, expiresAt: trashExpiresAt(e) }))
+      .reverse();
+    res.json({ trash, retentionDays: TRASH_RETENTION_DAYS });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// ── POST /api/admin/trash/:id/restore — restore or undo merge ─
+app.post('/api/admin/trash/:id/restore', access('owner', 'community', 'audience', 'quiz'), async (req, res) => {
+  try {
+    const entry = ((await getKey('trash')) || []).find(e => e.id === req.params.id);
+    if (!entry) return res.status(404).json({ error: 'Not in the trash (it may have been purged)' });
+    if (!adminCan(req, TRASH_PERMISSIONS[entry.kind])) return res.status(403).json({ error: 'Forbidden' });
+    const conflict = await TRASH_RESTORERS[entry.kind](entry);
+    if (conflict) return res.status(409).json({ error: conflict });
+    await store.updateKey('trash', trash => (trash || []).filter(e => e.id !== entry.id));
+    console.log(`[Trash] Restored ${entry.kind} ${entry.key}`);
+    await audit(req, 'trash.restore', { target: `${entry.kind} ${entry.key}`, before: { inTrash: true }, after: { inTrash: false } });
+    res.json({ ok: true, restored: { kind: entry.kind, key: entry.key, label: entry.label } });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
 // ── Player name blocklist admin endpoints ─────────────────────
-app.get('/api/admin/blocklist', async (req, res) => {
-  const adminToken = process.env.ADMIN_TOKEN || 'admin';
-  if (req.headers['x-admin-token'] !== adminToken) return res.status(403).json({ error: 'Forbidden' });
+app.get('/api/admin/blocklist', access('community'), async (req, res) => {
   try {
     let list = await getKey('blocklist');
-    if (!list) {
-      list = ['david conn'];
-      await setKey('blocklist', list);
-    }
+    if (!list) list = await store.updateKey('blocklist', l => l || ['david conn']);
     res.json({ blocklist: list });
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
 });
 
-app.post('/api/admin/blocklist', async (req, res) => {
-  const adminToken = process.env.ADMIN_TOKEN || 'admin';
-  if (req.headers['x-admin-token'] !== adminToken) return res.status(403).json({ error: 'Forbidden' });
+app.post('/api/admin/blocklist', access('community'), async (req, res) => {
   const key = normPlayerKey((req.body || {}).name);
   if (!key) return res.status(400).json({ error: 'name required' });
   try {
-    let list = (await getKey('blocklist')) || [];
-    if (!list.includes(key)) list.push(key);
-    await setKey('blocklist', list);
+    let before;
+    const list = await store.updateKey('blocklist', list => {
+      list = list || [];
+      before = [...list];
+      if (!list.includes(key)) list.push(key);
+      return list;
+    });
     console.log('[Admin] Blocked player name:', key);
+    await audit(req, 'blocklist.add', { target: key, before: { blocklist: before }, after: { blocklist: list } });
     res.json({ blocklist: list });
   } catch (e) {
     res.status(500).json({ error: e.message });
@@ -1045,20 +1517,22 @@ app.post('/api/admin/blocklist', async (req, res) => {
 // signal. 'copy' is a real confirmation, since the clipboard write either
 // succeeds or the client never calls this.
 const SHARE_PLATFORMS = ['x', 'bluesky', 'whatsapp', 'sms', 'copy'];
-app.post('/api/share-click', async (req, res) => {
+app.post('/api/share-click', access('public'), async (req, res) => {
   const { platform, date, playerName } = req.body || {};
   if (!SHARE_PLATFORMS.includes(platform)) {
     return res.status(400).json({ error: 'platform must be one of: ' + SHARE_PLATFORMS.join(', ') });
   }
   try {
-    const clicks = (await getKey('shareClicks')) || [];
-    clicks.push({
-      platform,
-      date: typeof date === 'string' ? date : null,
-      playerName: typeof playerName === 'string' ? playerName.slice(0, 100) : '',
-      ts: new Date().toISOString()
+    await store.updateKey('shareClicks', clicks => {
+      clicks = clicks || [];
+      clicks.push({
+        platform,
+        date: typeof date === 'string' ? date : null,
+        playerName: typeof playerName === 'string' ? playerName.slice(0, 100) : '',
+        ts: new Date().toISOString()
+      });
+      return clicks;
     });
-    await setKey('shareClicks', clicks);
     res.json({ ok: true });
   } catch (e) {
     // Non-fatal — never let tracking failure surface to the player.
@@ -1068,9 +1542,7 @@ app.post('/api/share-click', async (req, res) => {
 });
 
 // ── GET /api/admin/share-clicks — totals + recent feed for admin panel ──
-app.get('/api/admin/share-clicks', async (req, res) => {
-  const adminToken = process.env.ADMIN_TOKEN || 'admin';
-  if (req.headers['x-admin-token'] !== adminToken) return res.status(403).json({ error: 'Forbidden' });
+app.get('/api/admin/share-clicks', access('audience'), async (req, res) => {
   try {
     const clicks = (await getKey('shareClicks')) || [];
     const today = easternToday();
@@ -1088,15 +1560,16 @@ app.get('/api/admin/share-clicks', async (req, res) => {
   }
 });
 
-app.delete('/api/admin/blocklist/:name', async (req, res) => {
-  const adminToken = process.env.ADMIN_TOKEN || 'admin';
-  if (req.headers['x-admin-token'] !== adminToken) return res.status(403).json({ error: 'Forbidden' });
+app.delete('/api/admin/blocklist/:name', access('community'), async (req, res) => {
   const key = normPlayerKey(req.params.name);
   try {
-    let list = (await getKey('blocklist')) || [];
-    list = list.filter(n => n !== key);
-    await setKey('blocklist', list);
+    let before;
+    const list = await store.updateKey('blocklist', list => {
+      before = list || [];
+      return before.filter(n => n !== key);
+    });
     console.log('[Admin] Unblocked player name:', key);
+    await audit(req, 'blocklist.remove', { target: key, before: { blocklist: before }, after: { blocklist: list } });
     res.json({ blocklist: list });
   } catch (e) {
     res.status(500).json({ error: e.message });
@@ -1109,7 +1582,7 @@ app.delete('/api/admin/blocklist/:name', async (req, res) => {
 // instead would work too (it enforces the same block) but would also
 // write a spurious zero-score "played today" record for anyone who just
 // types a name without ever finishing the quiz.
-app.get('/api/check-name', async (req, res) => {
+app.get('/api/check-name', access('public'), async (req, res) => {
   try {
     res.json({ blocked: await isBlocked(req.query.name || '') });
   } catch (e) {
@@ -1117,13 +1590,12 @@ app.get('/api/check-name', async (req, res) => {
   }
 });
 
-app.get('/api/scores', async (req, res) => {
+app.get('/api/scores', access('public'), async (req, res) => {
   res.set('Cache-Control', 'no-store'); // leaderboard data — always fresh, see /api/progress note
   try {
-    const data = await readData();
-    const scores = data.scores || {};
+    const [scores, statsExclusions] = await Promise.all([getKey('scores'), getKey('statsExclusions')]);
     const today = easternToday();
-    const excludedMap = (data.statsExclusions && data.statsExclusions[today]) || {};
+    const excludedMap = ((statsExclusions || {})[today]) || {};
 
     const filteredScores = Object.fromEntries(
       Object.entries(scores).filter(([playerKey]) => !excludedMap[playerKey])
@@ -1137,36 +1609,32 @@ app.get('/api/scores', async (req, res) => {
 });
 
 // ── GET /api/admin/migrate-progress — one-time migration ─────
-app.get('/api/admin/migrate-progress', async (req, res) => {
-  const adminToken = process.env.ADMIN_TOKEN || 'admin';
-  if (req.headers['x-admin-token'] !== adminToken) {
-    return res.status(403).json({ error: 'Forbidden' });
-  }
+app.get('/api/admin/migrate-progress', access('owner'), async (req, res) => {
   try {
-    const data = await readData();
-    const scores = data.scores || {};
-    const allProgress = (await getKey('progress')) || {};
+    const scores = (await getKey('scores')) || {};
     let created = 0;
 
-    for (const [playerKey, player] of Object.entries(scores)) {
-      for (const [date, score] of Object.entries(player.dailyScores || {})) {
-        if (!allProgress[date]) allProgress[date] = {};
-        if (!allProgress[date][playerKey]) {
-          allProgress[date][playerKey] = {
-            score,
-            completed: true,
-            answers: {},
-            currentQ: 5,
-            displayName: player.displayName || playerKey,
-            synthetic: true,
-            updatedAt: new Date().toISOString()
-          };
-          created++;
+    await store.updateKey('progress', allProgress => {
+      allProgress = allProgress || {};
+      for (const [playerKey, player] of Object.entries(scores)) {
+        for (const [date, score] of Object.entries(player.dailyScores || {})) {
+          if (!allProgress[date]) allProgress[date] = {};
+          if (!allProgress[date][playerKey]) {
+            allProgress[date][playerKey] = {
+              score,
+              completed: true,
+              answers: {},
+              currentQ: 5,
+              displayName: player.displayName || playerKey,
+              synthetic: true,
+              updatedAt: new Date().toISOString()
+            };
+            created++;
+          }
         }
       }
-    }
-
-    await setKey('progress', allProgress);
+      return allProgress;
+    });
     console.log(`[Migration] Created ${created} synthetic progress records`);
     res.json({ ok: true, created });
   } catch (e) {
@@ -1182,33 +1650,30 @@ app.get('/api/admin/migrate-progress', async (req, res) => {
 // score from answers, and does NOT touch the 'scores' key at all, so it
 // can't disturb data that's already correct there. Only fills gaps; never
 // overwrites an existing progress record.
-app.post('/api/admin/repair-progress', async (req, res) => {
-  const adminToken = process.env.ADMIN_TOKEN || 'admin';
-  if (req.headers['x-admin-token'] !== adminToken) return res.status(403).json({ error: 'Forbidden' });
+app.post('/api/admin/repair-progress', access('owner'), async (req, res) => {
   const { date, entries } = req.body || {};
   if (!date || !Array.isArray(entries)) return res.status(400).json({ error: 'date and entries[] required' });
   try {
-    const allProgress = (await getKey('progress')) || {};
-    if (!allProgress[date]) allProgress[date] = {};
     const restored = [];
     const skipped = [];
     for (const entry of entries) {
       const key = normPlayerKey(entry.playerKey);
       if (!key) continue;
-      if (allProgress[date][key]) { skipped.push(key); continue; }
-      allProgress[date][key] = {
-        score: Number(entry.score) || 0,
-        completed: !!entry.completed,
-        answers: entry.answers && typeof entry.answers === 'object' ? entry.answers : {},
-        currentQ: typeof entry.currentQ === 'number' ? entry.currentQ : 5,
-        displayName: entry.displayName || entry.playerKey,
-        synthetic: !!entry.synthetic,
-        updatedAt: new Date().toISOString(),
-        repairedAt: new Date().toISOString()
-      };
-      restored.push(key);
+      await store.updateProgress(date, key, existing => {
+        if (existing) { skipped.push(key); return null; }
+        restored.push(key);
+        return {
+          score: Number(entry.score) || 0,
+          completed: !!entry.completed,
+          answers: entry.answers && typeof entry.answers === 'object' ? entry.answers : {},
+          currentQ: typeof entry.currentQ === 'number' ? entry.currentQ : 5,
+          displayName: entry.displayName || entry.playerKey,
+          synthetic: !!entry.synthetic,
+          updatedAt: new Date().toISOString(),
+          repairedAt: new Date().toISOString()
+        };
+      });
     }
-    await setKey('progress', allProgress);
     console.log('[Repair] Restored progress records:', { date, restored, skipped });
     res.json({ ok: true, restored, skipped });
   } catch (e) {
@@ -1219,18 +1684,13 @@ app.post('/api/admin/repair-progress', async (req, res) => {
 
 // ── Admin stats exclusions ────────────────────────────────────
 
-app.get('/api/admin/stats-exclusions', async (req, res) => {
-  const adminToken = process.env.ADMIN_TOKEN || 'admin';
-  if (req.headers['x-admin-token'] !== adminToken) {
-    return res.status(403).json({ error: 'Forbidden' });
-  }
+app.get('/api/admin/stats-exclusions', access('owner'), async (req, res) => {
 
   const { date } = req.query;
   if (!date) return res.status(400).json({ error: 'date required' });
 
   try {
-    const data = await readData();
-    const all = data.statsExclusions || {};
+    const all = (await getKey('statsExclusions')) || {};
     res.json({ date, excluded: all[date] || {} });
   } catch (e) {
     console.error('[stats-exclusions] GET error:', e.message);
@@ -1238,11 +1698,7 @@ app.get('/api/admin/stats-exclusions', async (req, res) => {
   }
 });
 
-app.post('/api/admin/stats-exclusions', async (req, res) => {
-  const adminToken = process.env.ADMIN_TOKEN || 'admin';
-  if (req.headers['x-admin-token'] !== adminToken) {
-    return res.status(403).json({ error: 'Forbidden' });
-  }
+app.post('/api/admin/stats-exclusions', access('owner'), async (req, res) => {
 
   const { date, playerKey, excluded } = req.body || {};
   if (!date || !playerKey || typeof excluded !== 'boolean') {
@@ -1251,19 +1707,23 @@ app.post('/api/admin/stats-exclusions', async (req, res) => {
 
   try {
     const key = normPlayerKey(playerKey);
-    const data = await readData();
-
-    if (!data.statsExclusions) data.statsExclusions = {};
-    if (!data.statsExclusions[date]) data.statsExclusions[date] = {};
+    let wasExcluded;
+    await store.updateKey('statsExclusions', statsExclusions => {
+      statsExclusions = statsExclusions || {};
+      if (!statsExclusions[date]) statsExclusions[date] = {};
+      wasExcluded = !!statsExclusions[date][key];
 
-    if (excluded) data.statsExclusions[date][key] = true;
-    else delete data.statsExclusions[date][key];
+      if (excluded) statsExclusions[date][key] = true;
+      else delete statsExclusions[date][key];
 
-    if (Object.keys(data.statsExclusions[date]).length === 0) {
-      delete data.statsExclusions[date];
-    }
-
-    await writeData(data);
+      if (Object.keys(statsExclusions[date]).length === 0) {
+        delete statsExclusions[date];
+      }
+      return statsExclusions;
+    });
+    await audit(req, 'stats-exclusion.set', {
+      target: `${date} ${key}`, before: { excluded: wasExcluded }, after: { excluded }
+    });
     res.json({ ok: true, date, playerKey: key, excluded });
   } catch (e) {
     console.error('[stats-exclusions] POST error:', e.message);
@@ -1305,81 +1765,75 @@ function extractTopicSlug(question) {
 // Returns full question texts, source URLs, explanations and topic slugs,
 // computed live from data.quizzes so it's always accurate — never relies on
 // a separately-maintained side list that can silently fall out of sync.
-app.get('/api/archive/full', async (req, res) => {
-  try {
-    const data = await readData();
-    const quizzes = data.quizzes || {};
-    const dates = Object.keys(quizzes).sort();
-
-    const questions = [];
-    const urls = [];
-    const slugs = [];
-    const summaries = []; // question + explanation combined for richer dedup
-
-    for (const date of dates) {
-      const quiz = quizzes[date];
-      if (!quiz || !quiz.questions) continue;
-      for (const q of quiz.questions) {
-        if (q.question && !questions.includes(q.question)) questions.push(q.question);
-        if (q.sourceUrl && !urls.includes(q.sourceUrl)) urls.push(q.sourceUrl);
-        if (q.question) {
-          const slug = extractTopicSlug(q.question);
-          if (slug && !slugs.includes(slug)) slugs.push(slug);
-        }
-        // Combined summary includes key entities from the explanation
-        if (q.question && q.explanation) {
-          const summary = q.question + ' — ' + q.explanation.slice(0, 120);
-          summaries.push(summary);
-        }
+// Covers the last ARCHIVE_DEDUP_DAYS of quizzes (14 when unset; 0 = all of
+// them), the window generation checks new stories against; every quiz is
+// kept regardless. Admin-only: explanations give away today's answers.
+const ARCHIVE_DEDUP_DAYS = Number.isNaN(parseInt(process.env.ARCHIVE_DEDUP_DAYS, 10))
+  ? 14 : parseInt(process.env.ARCHIVE_DEDUP_DAYS, 10);
+
+async function loadFullArchive() {
+  const { quizzes } = await store.listQuizzes({
+    since: ARCHIVE_DEDUP_DAYS ? shiftDay(easternToday(), { days: -ARCHIVE_DEDUP_DAYS }) : null
+  });
+
+  const questions = [];
+  const urls = [];
+  const slugs = [];
+  const summaries = []; // question + explanation combined for richer dedup
+
+  for (const { quiz } of quizzes.reverse()) {
+    if (!quiz || !quiz.questions) continue;
+    for (const q of quiz.questions) {
+      if (q.question && !questions.includes(q.question)) questions.push(q.question);
+      if (q.sourceUrl && !urls.includes(q.sourceUrl)) urls.push(q.sourceUrl);
+      if (q.question) {
+        const slug = extractTopicSlug(q.question);
+        if (slug && !slugs.includes(slug)) slugs.push(slug);
+      }
+      // Combined summary includes key entities from the explanation
+      if (q.question && q.explanation) {
+        const summary = q.question + ' — ' + q.explanation.slice(0, 120);
+        summaries.push(summary);
       }
     }
+  }
 
-    res.json({ questions, urls, slugs, summaries, count: questions.length });
+  return { questions, urls, slugs, summaries, count: questions.length, windowDays: ARCHIVE_DEDUP_DAYS };
+}
+
+app.get('/api/archive/full', access('quiz'), async (req, res) => {
+  try {
+    res.json(await loadFullArchive());
   } catch (e) {
     console.error('[Archive/full] error:', e.message);
     res.status(500).json({ error: e.message });
   }
 });
 
-app.get('/api/archive', async (req, res) => {
-  const data = await readData();
+app.get('/api/archive', access('quiz'), async (req, res) => {
+  const data = await store.getKeys(['archiveUrls', 'archiveQuestions', 'archiveSlugs']);
   res.json({ urls: data.archiveUrls || [], questions: data.archiveQuestions || [], slugs: data.archiveSlugs || [] });
 });
 
-app.post('/api/archive', async (req, res) => {
+app.post('/api/archive', access('quiz'), async (req, res) => {
   const { urls, questions, slugs } = req.body;
-  const data = await readData();
-  if (!data.archiveUrls) data.archiveUrls = [];
-  if (!data.archiveQuestions) data.archiveQuestions = [];
-  if (!data.archiveSlugs) data.archiveSlugs = [];
-  if (urls) {
-    urls.forEach(u => { if (!data.archiveUrls.includes(u)) data.archiveUrls.push(u); });
-  }
-  if (questions) {
-    questions.forEach(q => { if (!data.archiveQuestions.includes(q)) data.archiveQuestions.push(q); });
-  }
-  if (slugs) {
-    slugs.forEach(s => { if (s && !data.archiveSlugs.includes(s)) data.archiveSlugs.push(s); });
-  }
-  // Keep last 60 entries (~1 week)
-  if (data.archiveUrls.length > 60) data.archiveUrls = data.archiveUrls.slice(-60);
-  if (data.archiveQuestions.length > 60) data.archiveQuestions = data.archiveQuestions.slice(-60);
-  if (data.archiveSlugs.length > 60) data.archiveSlugs = data.archiveSlugs.slice(-60);
-  await writeData(data);
+  // Append new entries and keep the last 60 (~1 week) of each list
+  const appendTo = (key, items, keep = () => true) => store.updateKey(key, list => {
+    list = list || [];
+    (items || []).forEach(x => { if (keep(x) && !list.includes(x)) list.push(x); });
+    return list.length > 60 ? list.slice(-60) : list;
+  });
+  await appendTo('archiveUrls', urls);
+  await appendTo('archiveQuestions', questions);
+  await appendTo('archiveSlugs', slugs, s => !!s);
   res.json({ ok: true });
 });
 
 // ── DELETE /api/archive — clear the legacy tracking list ──────
 // Does not touch data.quizzes — /api/archive/full always reflects real
 // published quiz history regardless of this list's state.
-app.delete('/api/archive', async (req, res) => {
-  const adminToken = process.env.ADMIN_TOKEN || 'admin';
-  if (req.headers['x-admin-token'] !== adminToken) return res.status(403).json({ error: 'Forbidden' });
-  const data = await readData();
-  data.archiveUrls = [];
-  data.archiveQuestions = [];
-  data.archiveSlugs = [];
-  await writeData(data);
+app.delete('/api/archive', access('quiz'), async (req, res) => {
+  await Promise.all(['archiveUrls', 'archiveQuestions', 'archiveSlugs'].map(k => setKey(k, [])));
   res.json({ ok: true });
 });
 
@@ -1389,15 +1843,14 @@ app.delete('/api/archive', async (req, res) => {
 // GET /api/prospect-invite — read-only landing page. Never mutates data itself (so link-scanning
 // email security software that prefetches this URL can't silently subscribe anyone) — the actual
 // subscribe move only happens via the confirm button's POST to /api/prospect-invite/confirm.
-app.get('/api/prospect-invite', async (req, res) => {
+app.get('/api/prospect-invite', access('public'), async (req, res) => {
   const { code } = req.query;
   if (!code) return res.status(400).send('Missing invite code.');
   try {
-    const data = await readData();
-    const prospectKey = Object.keys(data.prospects || {}).find(k => (data.prospects[k].referralCode === code));
-    const alreadySubscribed = Object.values(data.subscribers || {}).some(s => s.referralCode === code);
+    const prospect = await store.findProspect('referralCode', code);
+    const alreadySubscribed = !!(await store.findSubscriber('referralCode', code));
 
-    if (!prospectKey && !alreadySubscribed) {
+    if (!prospect && !alreadySubscribed) {
       return res.status(404).send(buildSubscribePageHtml({
         headline: 'Invite link not found',
         subline: 'This invite link has expired or is no longer valid.',
@@ -1443,29 +1896,23 @@ app.get('/api/prospect-invite', async (req, res) => {
 
 // POST /api/prospect-invite/confirm — the actual state-changing action, only ever reached
 // via a real click on the confirm button above (never triggered by a GET-only link prefetch/scan).
-app.post('/api/prospect-invite/confirm', async (req, res) => {
+app.post('/api/prospect-invite/confirm', access('public'), async (req, res) => {
   const code = req.body?.code;
   const siteUrl = process.env.SITE_URL || 'https://dailydispatchquiz.com';
   if (!code) return res.status(400).json({ error: 'Missing invite code.' });
   try {
-    const data = await readData();
-    const prospectKey = Object.keys(data.prospects || {}).find(k => (data.prospects[k].referralCode === code));
-    if (prospectKey) {
-      const prospect = data.prospects[prospectKey];
-      if (!data.subscribers) data.subscribers = {};
-      if (!data.subscribers[prospectKey]) {
-        data.subscribers[prospectKey] = {
-          email: prospect.email,
-          name: prospect.name || '',
-          subscribedAt: new Date().toISOString(),
-          active: true,
-          referralCode: code,
-          referrals: []
-        };
-        delete data.prospects[prospectKey];
-        await writeData(data);
-        console.log(`[ProspectInvite] Auto-subscribed ${prospectKey} via referral invite`);
-      }
+    const prospect = await store.findProspect('referralCode', code);
+    if (prospect) {
+      const prospectKey = prospect.email;
+      const moved = await store.promoteProspect(prospectKey, {
+        email: prospect.email,
+        name: prospect.name || '',
+        subscribedAt: new Date().toISOString(),
+        active: true,
+        referralCode: code,
+        referrals: []
+      });
+      if (moved) console.log(`[ProspectInvite] Auto-subscribed ${prospectKey} via referral invite`);
     }
     res.json({ ok: true, mailto: buildReferralMailto(siteUrl, code) });
   } catch (e) {
@@ -1475,25 +1922,29 @@ app.post('/api/prospect-invite/confirm', async (req, res) => {
 });
 
 // ── POST /api/referral — record a referral when a new player registers ──
-app.post('/api/referral', async (req, res) => {
+app.post('/api/referral', access('public'), async (req, res) => {
   const { referralCode, newPlayerEmail, newPlayerName } = req.body || {};
   if (!referralCode) return res.status(400).json({ error: 'referralCode required' });
   try {
-    const data = await readData();
-    const referrer = Object.values(data.subscribers || {}).find(s => s.referralCode === referralCode);
+    const found = await store.findSubscriber('referralCode', referralCode);
+    if (!found) return res.status(404).json({ error: 'Invalid referral code' });
+    if (newPlayerEmail && newPlayerEmail === found.email) return res.json({ ok: true, selfReferral: true });
+    let alreadyReferred = false;
+    const referrer = await store.updateSubscriber(found.email, referrer => {
+      if (!referrer) return null;
+      if (!referrer.referrals) referrer.referrals = [];
+      alreadyReferred = referrer.referrals.some(r => r.email === newPlayerEmail);
+      if (alreadyReferred) return null;
+      referrer.referrals.push({
+        email: newPlayerEmail || '',
+        name: newPlayerName || '',
+        referredAt: new Date().toISOString(),
+        playCount: 0,
+        hasSubscribed: false
+      });
+    });
     if (!referrer) return res.status(404).json({ error: 'Invalid referral code' });
-    if (newPlayerEmail && newPlayerEmail === referrer.email) return res.json({ ok: true, selfReferral: true });
-    if (!referrer.referrals) referrer.referrals = [];
-    const alreadyReferred = referrer.referrals.some(r => r.email === newPlayerEmail);
     if (alreadyReferred) return res.json({ ok: true, alreadyRecorded: true });
-    referrer.referrals.push({
-      email: newPlayerEmail || '',
-      name: newPlayerName || '',
-      referredAt: new Date().toISOString(),
-      playCount: 0,
-      hasSubscribed: false
-    });
-    await writeData(data);
     console.log(`[Referral] ${referrer.email} referred ${newPlayerEmail}`);
     res.json({ ok: true, referralCount: referrer.referrals.length });
   } catch (e) {
@@ -1501,36 +1952,34 @@ app.post('/api/referral', async (req, res) => {
   }
 });
 
-app.post('/api/subscribe', async (req, res) => {
+app.post('/api/subscribe', access('public'), async (req, res) => {
   const { name, email, referralCode } = req.body;
   if (!email || !email.includes('@')) return res.status(400).json({ error: 'Valid email required.' });
-  const data = await readData();
-  if (!data.subscribers) data.subscribers = {};
   const key = email.toLowerCase().trim();
 
-  const isNew = !data.subscribers[key] || data.subscribers[key].active !== true;
-
-  data.subscribers[key] = {
-    name: (name || '').trim().slice(0, 40),
-    email: key,
-    subscribedAt: data.subscribers[key]?.subscribedAt || new Date().toISOString(),
-    active: true
-  };
-  await writeData(data);
+  let isNew = true;
+  await store.updateSubscriber(key, existing => {
+    isNew = !existing || existing.active !== true;
+    return {
+      name: (name || '').trim().slice(0, 40),
+      email: key,
+      subscribedAt: existing?.subscribedAt || new Date().toISOString(),
+      active: true
+    };
+  });
 
   // ── Mark referral as subscribed if this person was referred ──
   try {
-    if (referralCode) {
-      const refData = await readData();
-      const referrer = Object.values(refData.subscribers || {}).find(s => s.referralCode === referralCode);
-      if (referrer && referrer.referrals) {
-        const ref = referrer.referrals.find(r => r.email === key);
-        if (ref && !ref.hasSubscribed) {
-          ref.hasSubscribed = true;
-          await writeData(refData);
-          console.log(`[Referral] Marked ${key} as subscribed — referred by ${referrer.email}`);
-        }
-      }
+    const referrer = referralCode && await store.findSubscriber('referralCode', referralCode);
+    if (referrer) {
+      let marked = false;
+      await store.updateSubscriber(referrer.email, referrer => {
+        const ref = (referrer?.referrals || []).find(r => r.email === key);
+        if (!ref || ref.hasSubscribed) return null;
+        ref.hasSubscribed = true;
+        marked = true;
+      });
+      if (marked) console.log(`[Referral] Marked ${key} as subscribed — referred by ${referrer.email}`);
     }
   } catch (e) {
     console.warn('[Referral] hasSubscribed update failed (non-fatal):', e.message);
@@ -1546,15 +1995,11 @@ app.post('/api/subscribe', async (req, res) => {
   res.json({ ok: true, alreadySubscribed: !isNew });
 });
 
-app.get('/api/unsubscribe', async (req, res) => {
+app.get('/api/unsubscribe', access('public'), async (req, res) => {
   const { email } = req.query;
   if (!email) return res.status(400).send('Missing email.');
-  const data = await readData();
   const key = decodeURIComponent(email).toLowerCase().trim();
-  if (data.subscribers && data.subscribers[key]) {
-    data.subscribers[key].active = false;
-    await writeData(data);
-  }
+  await store.patchSubscribers({ [key]: { active: false } });
   res.send(`
     <html><body style="font-family:Georgia,serif;max-width:500px;margin:60px auto;text-align:center;">
       <h2>You've been unsubscribed.</h2>
@@ -1596,10 +2041,10 @@ function countPlayerBylinesInMonth(bylines, playerKey, monthPrefix) {
 }
 
 async function awardBylinesForDate(date) {
-  const bylines = (await getKey('bylines')) || {};
-  if (bylines[date]) return; // already processed — idempotent no-op
+  const existing = (await getKey('bylines')) || {};
+  if (existing[date]) return; // already processed — idempotent no-op
 
-  const dayProgress = (await getKey('progress') || {})[date] || {};
+  const dayProgress = await store.getProgressForDate(date);
   const awarded = {};
   for (const [key, p] of Object.entries(dayProgress)) {
     if (p.completed && p.score === 150 && !p.synthetic) {
@@ -1608,12 +2053,19 @@ async function awardBylinesForDate(date) {
   }
 
   // Stored even when empty — that's the marker that prevents reprocessing.
-  bylines[date] = awarded;
-  await setKey('bylines', bylines);
+  // Re-checked under the lock so two overlapping runs can't both award.
+  let firstRun = false;
+  const bylines = await store.updateKey('bylines', bylines => {
+    bylines = bylines || {};
+    if (bylines[date]) return bylines;
+    firstRun = true;
+    bylines[date] = awarded;
+    return bylines;
+  });
+  if (!firstRun) return;
 
   if (Object.keys(awarded).length) {
     const monthPrefix = date.slice(0, 7);
-    const newshoundEvents = (await getKey('newshoundEvents')) || {};
     const dayEvents = {};
     for (const [key, info] of Object.entries(awarded)) {
       if (countPlayerBylinesInMonth(bylines, key, monthPrefix) === 10) {
@@ -1621,8 +2073,11 @@ async function awardBylinesForDate(date) {
       }
     }
     if (Object.keys(dayEvents).length) {
-      newshoundEvents[date] = dayEvents;
-      await setKey('newshoundEvents', newshoundEvents);
+      await store.updateKey('newshoundEvents', newshoundEvents => {
+        newshoundEvents = newshoundEvents || {};
+        newshoundEvents[date] = dayEvents;
+        return newshoundEvents;
+      });
     }
   }
 
@@ -1647,7 +2102,7 @@ async function processPendingBylines() {
 }
 
 // Public — same class of data as /api/scores and /api/progress.
-app.get('/api/bylines', async (req, res) => {
+app.get('/api/bylines', access('public'), async (req, res) => {
   res.set('Cache-Control', 'no-store');
   try {
     const month = /^\d{4}-\d{2}$/.test(req.query.month || '') ? req.query.month : easternToday().slice(0, 7);
@@ -1667,7 +2122,7 @@ app.get('/api/bylines', async (req, res) => {
     // reflects a perfect score the moment it happens, not the next day.
     const today = easternToday();
     if (today.startsWith(month) && !bylines[today]) {
-      const dayProgress = (await getKey('progress') || {})[today] || {};
+      const dayProgress = await store.getProgressForDate(today);
       for (const [key, p] of Object.entries(dayProgress)) {
         if (p.completed && p.score === 150 && !p.synthetic) {
           if (!byPlayer[key]) byPlayer[key] = { displayName: p.displayName || key, monthCount: 0, lifetimeCount: 0 };
@@ -1708,10 +2163,7 @@ function normDisplayName(name) {
 // editable from the admin panel's Player Management section).
 async function isBlocked(name) {
   let list = await getKey('blocklist');
-  if (!list) {
-    list = ['david conn'];
-    await setKey('blocklist', list);
-  }
+  if (!list) list = await store.updateKey('blocklist', l => l || ['david conn']);
   return list.includes(normPlayerKey(name));
 }
 
@@ -1760,10 +2212,9 @@ function longestStreakFromDailyScores(dailyScores) {
 }
 
 // ── GET /api/monthly-winners — return recent monthly winners ──
-app.get('/api/monthly-winners', async (req, res) => {
+app.get('/api/monthly-winners', access('public'), async (req, res) => {
   try {
-    const data = await readData();
-    const winners = (data.monthlyWinners || []).slice(-3); // last 3 months
+    const winners = ((await getKey('monthlyWinners')) || []).slice(-3); // last 3 months
     res.json({ winners });
   } catch (e) {
     res.status(500).json({ error: e.message });
@@ -1772,7 +2223,7 @@ app.get('/api/monthly-winners', async (req, res) => {
 
 // ── Monthly winner helper — shared by preview and announce ────
 async function getMonthlyWinnerCandidates(monthPrefix) {
-  const data = await readData();
+  const data = await store.getKeys(['scores', 'subscribers', 'prospects']);
   const scores = data.scores || {};
   const entries = [];
   for (const [playerKey, player] of Object.entries(scores)) {
@@ -1793,9 +2244,7 @@ async function getMonthlyWinnerCandidates(monthPrefix) {
 }
 
 // ── GET /api/admin/monthly-winner-preview — see who would win without sending ──
-app.get('/api/admin/monthly-winner-preview', async (req, res) => {
-  const adminToken = process.env.ADMIN_TOKEN || 'admin';
-  if (req.headers['x-admin-token'] !== adminToken) return res.status(403).json({ error: 'Forbidden' });
+app.get('/api/admin/monthly-winner-preview', access('audience'), async (req, res) => {
   try {
     const monthPrefix = req.query.month || (() => {
       const prev = new Date(); prev.setDate(1); prev.setMonth(prev.getMonth() - 1);
@@ -1818,9 +2267,7 @@ app.get('/api/admin/monthly-winner-preview', async (req, res) => {
 });
 
 // ── POST /api/admin/announce-monthly-winner — manual winner announcement ──
-app.post('/api/admin/announce-monthly-winner', async (req, res) => {
-  const adminToken = process.env.ADMIN_TOKEN || 'admin';
-  if (req.headers['x-admin-token'] !== adminToken) return res.status(403).json({ error: 'Forbidden' });
+app.post('/api/admin/announce-monthly-winner', access('audience'), async (req, res) => {
   try {
     const { month, force, winnerMessage, announcementMessage } = req.body || {};
     const monthPrefix = month || (() => {
@@ -1860,18 +2307,18 @@ app.post('/api/admin/announce-monthly-winner', async (req, res) => {
     const announcementBodyHtml = safeHtml(announcementMessageRaw).replace(/\[MUG\]/ig, mugImgHtml(160));
 
     // Mark mug won
-    for (const winner of winners) {
-      if (data.subscribers[winner.email]) {
-        data.subscribers[winner.email].mugWon = true;
-        data.subscribers[winner.email].mugWonAt = new Date().toISOString();
-        data.subscribers[winner.email].mugWonReason = `monthly_${monthPrefix}`;
+    await store.patchSubscribers(Object.fromEntries(winners.map(winner => [winner.email, {
+      mugWon: true,
+      mugWonAt: new Date().toISOString(),
+      mugWonReason: `monthly_${monthPrefix}`
+    }])));
+    await store.updateKey('monthlyWinners', monthlyWinners => {
+      monthlyWinners = monthlyWinners || [];
+      for (const winner of winners) {
+        monthlyWinners.push({ month: monthPrefix, monthName, playerName: winner.displayName, score: winner.monthlyScore, announcedAt: new Date().toISOString() });
       }
-    }
-    if (!data.monthlyWinners) data.monthlyWinners = [];
-    for (const winner of winners) {
-      data.monthlyWinners.push({ month: monthPrefix, monthName, playerName: winner.displayName, score: winner.monthlyScore, announcedAt: new Date().toISOString() });
-    }
-    await writeData(data);
+      return monthlyWinners;
+    });
 
     // Winner email(s)
     for (const winner of winners) {
@@ -1935,25 +2382,64 @@ app.post('/api/admin/announce-monthly-winner', async (req, res) => {
   }
 });
 
+// ── Player view of a quiz ─────────────────────────────────────
+// Only what a player needs to render the quiz, listed field by field so
+// nothing new on a quiz reaches players by default. correctIndex and
+// explanation only reach a player's browser through POST /api/grade or
+// GET /api/quiz/reveal, once that question has been submitted. Admin
+// views send x-admin-token and get the full object.
+const PLAYER_QUIZ_FIELDS = ['date', 'publishDate'];
+const PLAYER_QUESTION_FIELDS = ['question', 'options', 'image', 'sourceUrl', 'difficulty', 'pubDate'];
+const pickFields = (obj, fields) => Object.fromEntries(fields.filter(f => obj[f] !== undefined).map(f => [f, obj[f]]));
+
+function toPlayerQuiz(quiz) {
+  if (!quiz) return quiz;
+  return {
+    ...pickFields(quiz, PLAYER_QUIZ_FIELDS),
+    questions: (quiz.questions || []).map(question => pickFields(question, PLAYER_QUESTION_FIELDS))
+  };
+}
+
+// ── GET /api/quiz/reveal — answer for a question the player has submitted ──
+// Query: date, qIdx, playerName. Used to restore the reveal (and the
+// results breakdown) when a player resumes a quiz on another device or
+// after a reload. Refuses until the question is locked into the player's
+// progress by POST /api/grade.
+app.get('/api/quiz/reveal', access('public'), async (req, res) => {
+  const { date, playerName } = req.query;
+  const qIdx = parseInt(req.query.qIdx, 10);
+  if (!date || !playerName || Number.isNaN(qIdx)) {
+    return res.status(400).json({ error: 'date, qIdx and playerName required' });
+  }
+  try {
+    const question = (await store.getQuiz(date))?.questions?.[qIdx];
+    if (!question) return res.status(404).json({ error: 'Question not found' });
+    const record = await store.getProgress(date, normPlayerKey(playerName));
+    const submitted = record?.answers?.['q' + qIdx];
+    if (!submitted) return res.status(403).json({ error: 'Answer this question first' });
+    res.json({ ok: true, qIdx, correctIndex: question.correctIndex, explanation: question.explanation || '' });
+  } catch (e) {
+    console.error('[reveal] error:', e.message);
+    res.status(500).json({ error: e.message });
+  }
+});
+
 // ── GET /api/quiz/latest — return today's quiz only; null if not yet published ──
-app.get('/api/quiz/latest', async (req, res) => {
-  const data = await readData();
-  if (!data.quizzes) return res.json({ quiz: null });
-  const dates = Object.keys(data.quizzes).sort();
+app.get('/api/quiz/latest', access('public'), async (req, res) => {
+  const dates = await store.listQuizDates();
   if (dates.length === 0) return res.json({ quiz: null });
   const scheduled = await getKey('scheduledQuiz');
   if (scheduled) return res.json({ quiz: null, scheduled: true });
   const mostRecent = dates[dates.length - 1];
   const todayEastern = new Date().toLocaleDateString('en-CA', { timeZone: 'America/New_York' });
   if (mostRecent !== todayEastern) return res.json({ quiz: null });
-  res.json({ quiz: data.quizzes[mostRecent], date: mostRecent });
+  const quiz = await store.getQuiz(mostRecent);
+  res.json({ quiz: adminCan(req, 'quiz') ? quiz : toPlayerQuiz(quiz), date: mostRecent });
 });
 
 // ── POST /api/quiz/fix-date — copy most recent quiz to today's Eastern date ──
-app.post('/api/quiz/fix-date', async (req, res) => {
-  const data = await readData();
-  if (!data.quizzes) return res.status(404).json({ error: 'No quizzes found' });
-  const dates = Object.keys(data.quizzes).sort();
+app.post('/api/quiz/fix-date', access('quiz'), async (req, res) => {
+  const dates = await store.listQuizDates();
   if (dates.length === 0) return res.status(404).json({ error: 'No quizzes found' });
   const mostRecent = dates[dates.length - 1];
   // Get today in Eastern time
@@ -1962,8 +2448,10 @@ app.post('/api/quiz/fix-date', async (req, res) => {
     return res.json({ ok: true, message: 'Already stored under correct date', date: mostRecent });
   }
   // Copy to today's key
-  data.quizzes[todayEastern] = { ...data.quizzes[mostRecent], publishDate: todayEastern };
-  await writeData(data);
+  const quiz = { ...(await store.getQuiz(mostRecent)), publishDate: todayEastern };
+  await store.putQuiz(todayEastern, quiz);
+  questionBank.recordPublishedQuiz(todayEastern, quiz.questions)
+    .catch(e => console.error('[Bank] Filing quiz failed:', e.message));
   res.json({ ok: true, message: `Copied from ${mostRecent} to ${todayEastern}`, from: mostRecent, to: todayEastern });
 });
 
@@ -1977,11 +2465,9 @@ function fingerprintQuestions(questions) {
 
 // ── Generate teaser phrases for email ────────────────────────
 async function generateTeasers(questions) {
-  return new Promise((resolve) => {
-    const apiKey = process.env.ANTHROPIC_API_KEY;
-    if (!apiKey) { resolve([]); return; }
-    const questionList = questions.map((q, i) => `Q${i+1}: ${q.question}`).join('\n');
-    const prompt = `You are writing teaser lines for a Baltimore local news quiz email.
+  if (!llm.isConfigured()) return [];
+  const questionList = questions.map((q, i) => `Q${i+1}: ${q.question}`).join('\n');
+  const prompt = `You are writing teaser lines for a Baltimore local news quiz email.
 Here are today's quiz questions:
 ${questionList}
 
@@ -2000,43 +2486,14 @@ More good examples: "A soccer superstar arrives", "Cheese steaks cross state lin
 
 Respond with ONLY a JSON array of 3 strings. No preamble, no markdown.`;
 
-    const body = JSON.stringify({
-      model: 'claude-haiku-4-5-20251001',
-      max_tokens: 150,
-      messages: [{ role: 'user', content: prompt }]
-    });
-
-    const req = https.request({
-      hostname: 'api.anthropic.com',
-      path: '/v1/messages',
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': apiKey,
-        'anthropic-version': '2023-06-01',
-        'Content-Length': Buffer.byteLength(body)
-      }
-    }, (res) => {
-      let data = '';
-      res.on('data', chunk => data += chunk);
-      res.on('end', () => {
-        try {
-          const parsed = JSON.parse(data);
-          const text = (parsed.content || []).map(c => c.text || '').join('').trim();
-          const clean = text.replace(/```json|```/g, '').trim();
-          const teasers = JSON.parse(clean);
-          resolve(Array.isArray(teasers) ? teasers.slice(0, 3) : []);
-        } catch(e) {
-          console.warn('Teaser parse failed:', e.message);
-          resolve([]);
-        }
-      });
-    });
-    req.on('error', (e) => { console.warn('Teaser request failed:', e.message); resolve([]); });
-    req.setTimeout(15000, () => { req.destroy(); resolve([]); });
-    req.write(body);
-    req.end();
-  });
+  try {
+    const { text } = await llm.complete({ task: 'teasers', prompt, maxTokens: 150, timeoutMs: 15000, retries: 1 });
+    const teasers = JSON.parse(text.replace(/```json|```/g, '').trim());
+    return Array.isArray(teasers) ? teasers.slice(0, 3) : [];
+  } catch (e) {
+    console.warn('Teaser generation failed:', e.message);
+    return [];
+  }
 }
 
 function buildEditorMessageHtml(message, imageUrl) {
@@ -2254,137 +2711,125 @@ function buildResultsHtml(playerProgress, yesterdayQuiz) {
 }
 
 // ── GET /api/blocklist — fetch topic blocklist ───────────────
-app.get('/api/blocklist', async (req, res) => {
-  const data = await readData();
-  res.json({ blocklist: data.topicBlocklist || [] });
+app.get('/api/blocklist', access('quiz'), async (req, res) => {
+  res.json({ blocklist: (await getKey('topicBlocklist')) || [] });
 });
 
 // ── POST /api/blocklist — save topic blocklist ────────────────
-app.post('/api/blocklist', async (req, res) => {
-  const adminToken = process.env.ADMIN_TOKEN || 'admin';
-  if (req.headers['x-admin-token'] !== adminToken) return res.status(403).json({ error: 'Forbidden' });
-  const data = await readData();
-  data.topicBlocklist = Array.isArray(req.body.blocklist) ? req.body.blocklist : [];
-  await writeData(data);
-  console.log('[Admin] Topic blocklist updated: ' + data.topicBlocklist.length + ' item(s)');
-  res.json({ ok: true, blocklist: data.topicBlocklist });
+app.post('/api/blocklist', access('quiz'), async (req, res) => {
+  const topicBlocklist = Array.isArray(req.body.blocklist) ? req.body.blocklist : [];
+  const before = (await getKey('topicBlocklist')) || [];
+  await setKey('topicBlocklist', topicBlocklist);
+  console.log('[Admin] Topic blocklist updated: ' + topicBlocklist.length + ' item(s)');
+  await audit(req, 'topic-blocklist.update', { before: { blocklist: before }, after: { blocklist: topicBlocklist } });
+  res.json({ ok: true, blocklist: topicBlocklist });
 });
 
 // ── GET /api/editor-notes — fetch editor notes ───────────────
-app.get('/api/editor-notes', async (req, res) => {
-  const data = await readData();
-  res.json({ notes: data.editorNotes || '' });
+app.get('/api/editor-notes', access('quiz'), async (req, res) => {
+  res.json({ notes: (await getKey('editorNotes')) || '' });
 });
 // ── POST /api/editor-notes — save editor notes ────────────────
-app.post('/api/editor-notes', async (req, res) => {
-  const adminToken = process.env.ADMIN_TOKEN || 'admin';
-  if (req.headers['x-admin-token'] !== adminToken) return res.status(403).json({ error: 'Forbidden' });
-  const data = await readData();
-  data.editorNotes = typeof req.body.notes === 'string' ? req.body.notes : '';
-  await writeData(data);
-  console.log('[Admin] Editor notes updated (' + data.editorNotes.length + ' chars)');
-  res.json({ ok: true, notes: data.editorNotes });
+app.post('/api/editor-notes', access('quiz'), async (req, res) => {
+  const editorNotes = typeof req.body.notes === 'string' ? req.body.notes : '';
+  await setKey('editorNotes', editorNotes);
+  console.log('[Admin] Editor notes updated (' + editorNotes.length + ' chars)');
+  res.json({ ok: true, notes: editorNotes });
 });
 // ── GET /api/community-message — fetch community email message ───
-app.get('/api/community-message', async (req, res) => {
-  const data = await readData();
+app.get('/api/community-message', access('audience'), async (req, res) => {
+  const data = await store.getKeys(['communityMessage', 'communityMessageLastSent', 'communityImageUrl']);
   res.json({ message: data.communityMessage || '', lastSent: data.communityMessageLastSent || '', imageUrl: data.communityImageUrl || '' });
 });
 // ── POST /api/community-message — save community email message ───
-app.post('/api/community-message', async (req, res) => {
-  const adminToken = process.env.ADMIN_TOKEN || 'admin';
-  if (req.headers['x-admin-token'] !== adminToken) return res.status(403).json({ error: 'Forbidden' });
-  const data = await readData();
-  data.communityMessage = typeof req.body.message === 'string' ? req.body.message.trim() : '';
-  data.communityImageUrl = typeof req.body.imageUrl === 'string' ? req.body.imageUrl.trim() : '';
-  await writeData(data);
-  console.log('[Admin] Community message updated (' + data.communityMessage.length + ' chars)');
-  res.json({ ok: true, message: data.communityMessage, imageUrl: data.communityImageUrl });
+app.post('/api/community-message', access('audience'), async (req, res) => {
+  const communityMessage = typeof req.body.message === 'string' ? req.body.message.trim() : '';
+  const communityImageUrl = typeof req.body.imageUrl === 'string' ? req.body.imageUrl.trim() : '';
+  await setKey('communityMessage', communityMessage);
+  await setKey('communityImageUrl', communityImageUrl);
+  console.log('[Admin] Community message updated (' + communityMessage.length + ' chars)');
+  res.json({ ok: true, message: communityMessage, imageUrl: communityImageUrl });
 });
 
 // ── GET /api/starred-questions — fetch starred example questions ──
-app.get('/api/starred-questions', async (req, res) => {
-  const data = await readData();
-  res.json({ questions: data.starredQuestions || [] });
+app.get('/api/starred-questions', access('quiz'), async (req, res) => {
+  res.json({ questions: (await getKey('starredQuestions')) || [] });
 });
 // ── POST /api/starred-questions — save a starred question ────────
-app.post('/api/starred-questions', async (req, res) => {
-  const adminToken = process.env.ADMIN_TOKEN || 'admin';
-  if (req.headers['x-admin-token'] !== adminToken) return res.status(403).json({ error: 'Forbidden' });
-  const data = await readData();
-  if (!Array.isArray(data.starredQuestions)) data.starredQuestions = [];
+app.post('/api/starred-questions', access('quiz'), async (req, res) => {
   const { question, correctAnswer, sourceUrl, action } = req.body;
-  if (action === 'remove') {
-    data.starredQuestions = data.starredQuestions.filter(q => q.question !== question);
-    console.log('[Admin] Starred question removed');
-  } else if (action === 'update') {
-    const existing = data.starredQuestions.find(q => q.question === question);
-    if (existing) {
-      existing.note = typeof req.body.note === 'string' ? req.body.note : '';
-      console.log('[Admin] Starred question note updated');
-    }
-  } else {
-    // Avoid duplicates
-    if (!data.starredQuestions.find(q => q.question === question)) {
-      data.starredQuestions.push({ question, correctAnswer: correctAnswer || '', sourceUrl: sourceUrl || '', note: '' });
-      console.log('[Admin] Starred question added. Total: ' + data.starredQuestions.length);
+  const starredQuestions = await store.updateKey('starredQuestions', starredQuestions => {
+    if (!Array.isArray(starredQuestions)) starredQuestions = [];
+    if (action === 'remove') {
+      starredQuestions = starredQuestions.filter(q => q.question !== question);
+      console.log('[Admin] Starred question removed');
+    } else if (action === 'update') {
+      const existing = starredQuestions.find(q => q.question === question);
+      if (existing) {
+        existing.note = typeof req.body.note === 'string' ? req.body.note : '';
+        console.log('[Admin] Starred question note updated');
+      }
+    } else {
+      // Avoid duplicates
+      if (!starredQuestions.find(q => q.question === question)) {
+        starredQuestions.push({ question, correctAnswer: correctAnswer || '', sourceUrl: sourceUrl || '', note: '' });
+        console.log('[Admin] Starred question added. Total: ' + starredQuestions.length);
+      }
     }
+    return starredQuestions;
+  });
+  if (action === 'remove' || !action) {
+    questionBank.setStarred({ question, correctAnswer, sourceUrl }, action !== 'remove')
+      .catch(e => console.error('[Bank] Star sync failed:', e.message));
   }
-  await writeData(data);
-  res.json({ ok: true, questions: data.starredQuestions });
+  res.json({ ok: true, questions: starredQuestions });
 });
 
 
 // ── GET /api/email-pause — get current pause state ──────────
-app.get('/api/email-pause', async (req, res) => {
-  const data = await readData();
-  res.json({ paused: !!data.emailPaused });
+app.get('/api/email-pause', access('audience'), async (req, res) => {
+  res.json({ paused: !!(await getKey('emailPaused')) });
 });
 
 // ── POST /api/email-pause — set pause state ───────────────────
-app.post('/api/email-pause', async (req, res) => {
-  const adminToken = process.env.ADMIN_TOKEN || 'admin';
-  if (req.headers['x-admin-token'] !== adminToken) return res.status(403).json({ error: 'Forbidden' });
-  const data = await readData();
+app.post('/api/email-pause', access('audience'), async (req, res) => {
   const pausing = !!req.body.paused;
-  data.emailPaused = pausing;
-  const subs = data.subscribers || {};
+  const wasPaused = !!(await getKey('emailPaused'));
+  await setKey('emailPaused', pausing);
   if (pausing) {
     // Snapshot who is currently active, then pause them all
-    data.emailPausedSnapshot = Object.keys(subs).filter(k => subs[k].active);
-    data.emailPausedSnapshot.forEach(k => { if (subs[k]) subs[k].active = false; });
-    console.log('[Admin] Email PAUSED — ' + data.emailPausedSnapshot.length + ' subscriber(s) paused');
+    const subs = (await getKey('subscribers')) || {};
+    const snapshot = Object.keys(subs).filter(k => subs[k].active);
+    await setKey('emailPausedSnapshot', snapshot);
+    await store.patchSubscribers(Object.fromEntries(snapshot.map(k => [k, { active: false }])));
+    console.log('[Admin] Email PAUSED — ' + snapshot.length + ' subscriber(s) paused');
+    await audit(req, 'email.pause', { before: { paused: wasPaused }, after: { paused: true, pausedSubscribers: snapshot } });
   } else {
     // Restore snapshot subscribers, but also keep anyone manually activated during the pause
-    const snapshot = data.emailPausedSnapshot || [];
-    snapshot.forEach(k => { if (subs[k]) subs[k].active = true; });
+    const snapshot = (await getKey('emailPausedSnapshot')) || [];
+    await store.patchSubscribers(Object.fromEntries(snapshot.map(k => [k, { active: true }])));
     // Anyone already active (manually reactivated during pause) stays active — no change needed
-    data.emailPausedSnapshot = null;
-    const restored = Object.values(subs).filter(s => s.active).length;
+    await setKey('emailPausedSnapshot', null);
+    const restored = Object.values((await getKey('subscribers')) || {}).filter(s => s.active).length;
     console.log('[Admin] Email RESUMED — ' + restored + ' subscriber(s) active');
+    await audit(req, 'email.resume', { before: { paused: wasPaused }, after: { paused: false, resumedSubscribers: snapshot } });
   }
-  await writeData(data);
-  res.json({ ok: true, paused: data.emailPaused });
+  res.json({ ok: true, paused: pausing });
 });
 
 // ── POST /api/teaser-cache — save edited teasers for use on publish ──────
 // Pass `questions` (the draft being edited) to save into the draft-specific cache;
 // pass `date` to save into the live day's cache (used when editing today's already-published quiz).
-app.post('/api/teaser-cache', async (req, res) => {
-  const adminToken = process.env.ADMIN_TOKEN || 'admin';
-  if (req.headers['x-admin-token'] !== adminToken) return res.status(403).json({ error: 'Forbidden' });
+app.post('/api/teaser-cache', access('quiz'), async (req, res) => {
   const { teaserHtml, date, questions } = req.body;
   if (!teaserHtml || (!date && !questions)) return res.status(400).json({ error: 'teaserHtml and (date or questions) required' });
-  const data = await readData();
   if (questions && questions.length) {
-    data.draftTeaserHtml = teaserHtml;
-    data.draftTeaserFingerprint = fingerprintQuestions(questions);
-    await writeData(data);
+    await setKey('draftTeaserHtml', teaserHtml);
+    await setKey('draftTeaserFingerprint', fingerprintQuestions(questions));
     console.log('[Admin] Draft teaser cache updated');
   } else {
-    data.cachedTeaserHtml = teaserHtml;
-    data.cachedTeaserDate = date;
-    await writeData(data);
+    await setKey('cachedTeaserHtml', teaserHtml);
+    await setKey('cachedTeaserDate', date);
     console.log('[Admin] Teaser cache updated for', date);
   }
   res.json({ ok: true });
@@ -2393,7 +2838,7 @@ app.post('/api/teaser-cache', async (req, res) => {
 // ── GET/POST /api/quiz/preview-email — generate teaser preview for admin ──
 // POST body: { questions: [...] } uses draft questions directly
 // GET falls back to most recently published quiz
-app.all('/api/quiz/preview-email', async (req, res) => {
+app.all('/api/quiz/preview-email', access('quiz'), async (req, res) => {
   const siteUrl = process.env.SITE_URL || 'https://dailydispatchquiz.com';
   let questions = null;
   // Always use Eastern date to match client todayStr() and publish flow
@@ -2404,11 +2849,10 @@ app.all('/api/quiz/preview-email', async (req, res) => {
     questions = req.body.questions;
     console.log('[PreviewEmail] Using draft questions:', questions.length);
   } else {
-    const data = await readData();
-    const dates = Object.keys(data.quizzes || {}).sort();
+    const dates = await store.listQuizDates();
     if (!dates.length) return res.json({ html: '<p>No quiz published yet.</p>' });
     dateLabel = dates[dates.length - 1];
-    questions = data.quizzes[dateLabel].questions || [];
+    questions = (await store.getQuiz(dateLabel)).questions || [];
     console.log('[PreviewEmail] Using published quiz:', dateLabel);
   }
 
@@ -2424,7 +2868,7 @@ app.all('/api/quiz/preview-email', async (req, res) => {
       ? buildEmailHtmlWithQ1(siteUrl, dateLabel, 'Subscriber', teaserHtmlToUse, unsubUrl, q1, 'preview-token')
       : buildEmailHtml(siteUrl, dateLabel, 'Subscriber', teaserHtmlToUse, unsubUrl);
 
-  const previewData = await readData();
+  const previewData = await store.getKeys(['draftTeaserHtml', 'draftTeaserFingerprint', 'cachedTeaserHtml', 'cachedTeaserDate']);
 
   // Draft previews (e.g. prepping tomorrow's quiz to Schedule) are cached by a fingerprint of
   // their own questions — NOT by today's date — so they never collide with the live day's
@@ -2440,9 +2884,8 @@ app.all('/api/quiz/preview-email', async (req, res) => {
     const teasers = await generateTeasers(questions);
     const teaserHtml = buildTeaserHtml(teasers);
     const html = buildPreviewHtml(siteUrl, dateLabel, teaserHtml, siteUrl + '/api/unsubscribe?email=example');
-    previewData.draftTeaserHtml = teaserHtml;
-    previewData.draftTeaserFingerprint = fingerprint;
-    await writeData(previewData);
+    await setKey('draftTeaserHtml', teaserHtml);
+    await setKey('draftTeaserFingerprint', fingerprint);
     return res.json({ html, teasers });
   }
 
@@ -2459,47 +2902,65 @@ app.all('/api/quiz/preview-email', async (req, res) => {
   const teasers = await generateTeasers(questions);
   const teaserHtml = buildTeaserHtml(teasers);
   const html = buildPreviewHtml(siteUrl, dateLabel, teaserHtml, siteUrl + '/api/unsubscribe?email=example');
-  previewData.cachedTeaserHtml = teaserHtml;
-  previewData.cachedTeaserDate = dateLabel;
-  await writeData(previewData);
+  await setKey('cachedTeaserHtml', teaserHtml);
+  await setKey('cachedTeaserDate', dateLabel);
   res.json({ html, teasers });
 });
 
+// ── Quiz history ──────────────────────────────────────────────
+// Every published quiz is kept. The lists below are paged, newest first:
+// ?limit=&offset= → { …, total, limit, offset }. Players browse the last
+// ARCHIVE_DISPLAY_DAYS (all of them when unset or 0); the admin list shows
+// everything.
+const ARCHIVE_DISPLAY_DAYS = Number.isNaN(parseInt(process.env.ARCHIVE_DISPLAY_DAYS, 10))
+  ? 0 : parseInt(process.env.ARCHIVE_DISPLAY_DAYS, 10);
+const ARCHIVE_MAX_PAGE = 100;
+
+const pageParams = (query, defaultLimit) => ({
+  limit: Math.min(Math.max(parseInt(query.limit, 10) || defaultLimit, 1), ARCHIVE_MAX_PAGE),
+  offset: Math.max(parseInt(query.offset, 10) || 0, 0)
+});
 
-app.get('/api/quiz/all', async (req, res) => {
-  const data = await readData();
-  res.json({ quizzes: data.quizzes || {} });
+// GET /api/quiz/all — full quizzes (answers included) as { quizzes: { date: quiz } }
+app.get('/api/quiz/all', access('quiz'), async (req, res) => {
+  const { limit, offset } = pageParams(req.query, 14);
+  try {
+    const page = await store.listQuizzes({ limit, offset });
+    res.json({ quizzes: Object.fromEntries(page.quizzes.map(({ date, quiz }) => [date, quiz])), total: page.total, limit, offset });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
 });
 
-// ── GET /api/quiz/archive — return list of available past quiz dates ──
-app.get('/api/quiz/archive', async (req, res) => {
-  const data = await readData();
-  const quizzes = data.quizzes || {};
-  const today = easternToday();
-  // Return all dates except today, sorted newest first, capped at 7
-  const dates = Object.keys(quizzes)
-    .filter(d => d !== today)
-    .sort()
-    .reverse()
-    .slice(0, 7);
-  res.json({ dates });
+// ── GET /api/quiz/archive — past quiz dates players can replay ──
+// Today's quiz isn't in the archive until tomorrow.
+app.get('/api/quiz/archive', access('public'), async (req, res) => {
+  const { limit, offset } = pageParams(req.query, 7);
+  try {
+    const today = easternToday();
+    const page = await store.listQuizzes({
+      since: ARCHIVE_DISPLAY_DAYS ? shiftDay(today, { days: -ARCHIVE_DISPLAY_DAYS }) : null,
+      until: shiftDay(today, { days: -1 }),
+      limit,
+      offset
+    });
+    res.json({ dates: page.quizzes.map(q => q.date), total: page.total, limit, offset });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
 });
 
 // ── GET /api/referral-code — get or create a referral code for a subscriber ──
-app.get('/api/referral-code', async (req, res) => {
+app.get('/api/referral-code', access('public'), async (req, res) => {
   const { email } = req.query;
   if (!email) return res.status(400).json({ error: 'email required' });
   try {
-    const data = await readData();
-    if (!data.subscribers || !data.subscribers[email]) {
-      return res.status(404).json({ error: 'Subscriber not found' });
-    }
-    const sub = data.subscribers[email];
-    if (!sub.referralCode) {
+    const sub = await store.updateSubscriber(email, sub => {
+      if (!sub || sub.referralCode) return null;
       sub.referralCode = Buffer.from(email + Math.random()).toString('base64')
         .replace(/[^a-zA-Z0-9]/g, '').slice(0, 10);
-      await writeData(data);
-    }
+    });
+    if (!sub) return res.status(404).json({ error: 'Subscriber not found' });
     const confirmed = (sub.referrals || []).filter(r => r.playCount >= 1).length;
     res.json({ ok: true, referralCode: sub.referralCode, confirmedReferrals: confirmed, mugWon: !!sub.mugWon });
   } catch (e) {
@@ -2507,44 +2968,99 @@ app.get('/api/referral-code', async (req, res) => {
   }
 });
 
+// ── GET /api/subscriber-badges — leaderboard badges by player ─
+// The public leaderboard only needs to know which players subscribe and
+// which have won a mug — never the emails behind them.
+app.get('/api/subscriber-badges', access('public'), async (req, res) => {
+  try {
+    const badges = {};
+    for (const sub of Object.values((await getKey('subscribers')) || {})) {
+      const key = normPlayerKey(sub.name);
+      if (!key) continue;
+      badges[key] = { mugWon: !!(sub.mugWon || (badges[key] && badges[key].mugWon)) };
+    }
+    res.json({ badges });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
 // ── GET /api/subscribers — return subscriber list for admin ───
-app.get('/api/subscribers', async (req, res) => {
-  const data = await readData();
-  const subs = Object.values(data.subscribers || {})
+app.get('/api/subscribers', access('audience'), async (req, res) => {
+  const subs = Object.values((await getKey('subscribers')) || {})
     .sort((a, b) => new Date(b.subscribedAt) - new Date(a.subscribedAt));
   res.json({ subscribers: subs });
 });
 
 // ── PATCH /api/subscribers/:email — toggle active status ──────
-app.patch('/api/subscribers/:email', async (req, res) => {
+app.patch('/api/subscribers/:email', access('audience'), async (req, res) => {
   const email = decodeURIComponent(req.params.email);
   const { active } = req.body;
   if (typeof active !== 'boolean') return res.status(400).json({ error: 'active (boolean) required' });
-  const data = await readData();
-  if (!data.subscribers || !data.subscribers[email]) return res.status(404).json({ error: 'subscriber not found' });
-  data.subscribers[email].active = active;
-  await writeData(data);
+  let wasActive;
+  const sub = await store.updateSubscriber(email, sub => {
+    if (!sub) return null;
+    wasActive = sub.active;
+    sub.active = active;
+  });
+  if (!sub) return res.status(404).json({ error: 'subscriber not found' });
+  await audit(req, 'subscriber.update', { target: email, before: { active: wasActive ?? null }, after: { active } });
   res.json({ ok: true, email, active });
 });
 
+// ── DELETE /api/subscribers/:email — move a subscriber to the trash ──
+app.delete('/api/subscribers/:email', access('audience'), async (req, res) => {
+  const email = decodeURIComponent(req.params.email);
+  try {
+    const sub = await store.getSubscriber(email);
+    if (!sub) return res.status(404).json({ error: 'subscriber not found' });
+    const trashed = await moveToTrash(req, 'subscriber', email, sub.name ? `${sub.name} <${email}>` : email, sub);
+    await store.deleteSubscriber(email);
+    console.log('[Admin] Subscriber moved to trash:', email);
+    await audit(req, 'subscriber.delete', { target: email, before: sub });
+    res.json({ ok: true, email, trashId: trashed.id });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
 // ── Quiz persistence ──────────────────────────────────────────
 // Save published quiz to server so it survives browser/device changes
-app.post('/api/quiz', async (req, res) => {
-  const { date, quiz, silent } = req.body;
-  if (!date || !quiz) return res.status(400).json({ error: 'date and quiz required' });
-  const data = await readData();
-  if (!data.quizzes) data.quizzes = {};
-  data.quizzes[date] = quiz;
-  // Keep only last 14 days
-  const keys = Object.keys(data.quizzes).sort();
-  if (keys.length > 14) keys.slice(0, keys.length - 14).forEach(k => delete data.quizzes[k]);
-  await writeData(data);
+// Everything the publish email flows below (and checkScheduledPublish)
+// read up front, fetched in one go.
+const PUBLISH_EMAIL_KEYS = [
+  'emailSentDates', 'emailPaused', 'prospectsPaused', 'subscribers', 'prospects',
+  'cachedTeaserHtml', 'cachedTeaserDate', 'draftTeaserHtml', 'forceGroupBUntil',
+  'communityMessage', 'communityMessageLastSent', 'communityImageUrl'
+];
+
+// The editor's review data travels with a draft — held-back questions,
+// fact-check evidence, flagged rewrites, stale-article notes, the source
+// URLs and the difficulty forecast — and stays on the draft record. None
+// of it is part of a published quiz.
+const DRAFT_ONLY_FIELDS = ['heldQuestions', 'factChecks', 'review', 'staleArticles', 'urls', 'difficulty'];
+const withoutDraftFields = quiz => Object.fromEntries(Object.entries(quiz).filter(([k]) => !DRAFT_ONLY_FIELDS.includes(k)));
+
+app.post('/api/quiz', access('quiz'), async (req, res) => {
+  const { date, silent } = req.body;
+  if (!date || !req.body.quiz) return res.status(400).json({ error: 'date and quiz required' });
+  const quiz = withoutDraftFields(req.body.quiz);
+  const previous = await store.getQuiz(date);
+  await store.putQuiz(date, quiz);
+  const questionsOf = q => (q.questions || []).map(x => x.question);
+  await audit(req, 'quiz.publish', {
+    target: date,
+    before: previous ? { questions: questionsOf(previous) } : null,
+    after: { questions: questionsOf(quiz), silent: !!silent }
+  });
+  questionBank.recordPublishedQuiz(date, quiz.questions)
+    .catch(e => console.error('[Bank] Filing quiz failed:', e.message));
 
   // Send notification emails — skipped for silent saves (emergency save, edits, fixes)
   // Also skipped if emails were already sent for this date (prevents double-send on re-publish)
   if (!silent) {
     const siteUrl = process.env.SITE_URL || 'https://your-app.railway.app';
-    const freshData = await readData();
+    const freshData = await store.getKeys(PUBLISH_EMAIL_KEYS);
 
     // Guard: never send twice for the same date
     if (!freshData.emailSentDates) freshData.emailSentDates = [];
@@ -2599,16 +3115,12 @@ app.post('/api/quiz', async (req, res) => {
       const yd = new Date(date + 'T12:00:00');
       yd.setDate(yd.getDate() - 1);
       const yesterday = yd.toISOString().slice(0, 10);
-      const yesterdayProgress = (await getKey('progress') || {})[yesterday] || {};
-      const yesterdayQuiz = (freshData.quizzes || {})[yesterday] || null;
-
-// Load and purge email tokens
-      const tokens = (await getKey('emailTokens')) || {};
-      const tokenCutoff = new Date();
-      tokenCutoff.setDate(tokenCutoff.getDate() - 2);
-      Object.keys(tokens).forEach(t => {
-        if (new Date(tokens[t].date + 'T12:00:00') < tokenCutoff) delete tokens[t];
-      });
+      const yesterdayProgress = await store.getProgressForDate(yesterday);
+      const yesterdayQuiz = await store.getQuiz(yesterday);
+
+// Purge stale email tokens; this send's new ones are collected here
+      await store.pruneTokens('email', dateDaysAgo(2));
+      const tokens = {};
 
       const q1 = quiz.questions && quiz.questions[0];
 
@@ -2680,17 +3192,11 @@ app.post('/api/quiz', async (req, res) => {
       }
 
       // Save updated tokens and subscriber abGroup assignments
-      await setKey('emailTokens', tokens);
-      const subData = await readData();
-      if (subData.subscribers) {
-        updatedSubscribers.forEach(sub => {
-          if (subData.subscribers[sub.email]) {
-            subData.subscribers[sub.email].abGroup = sub.abGroup;
-            if (sub.referralCode) subData.subscribers[sub.email].referralCode = sub.referralCode;
-          }
-        });
-        await writeData(subData);
-      }
+      await store.putTokens('email', tokens);
+      await store.patchSubscribers(Object.fromEntries(updatedSubscribers.map(sub => [sub.email, {
+        abGroup: sub.abGroup,
+        ...(sub.referralCode && { referralCode: sub.referralCode })
+      }])));
 
       await sendEmailBatch(emails);
       sentAnyEmails = true;
@@ -2704,7 +3210,7 @@ app.post('/api/quiz', async (req, res) => {
     if (activeProspects.length > 0) {
       console.log(`[Prospects] Sending quiz email to ${activeProspects.length} prospect(s)…`);
 
-      const tokens = (await getKey('emailTokens')) || {};
+      const tokens = {};
       const q1 = quiz.questions && quiz.questions[0];
       const updatedProspects = [];
 
@@ -2776,32 +3282,21 @@ const prospectEmails = [];
       }
 
     // Save final token state including prospect tokens
-    await setKey('emailTokens', tokens);
+    await store.putTokens('email', tokens);
 
     // Save prospect abGroup assignments
-    const prospectData = await readData();
-
-    if (prospectData.prospects) {
-       updatedProspects.forEach(p => {
-        const key = (p.email || '').toLowerCase().trim();
-
-        if (prospectData.prospects[key]) {
-          prospectData.prospects[key].abGroup = p.abGroup;
-          if (p.referralCode) prospectData.prospects[key].referralCode = p.referralCode;
-       }
-     });
-
-     await writeData(prospectData);
-  }
+    await store.patchProspects(Object.fromEntries(updatedProspects.map(p => [(p.email || '').toLowerCase().trim(), {
+      abGroup: p.abGroup,
+      ...(p.referralCode && { referralCode: p.referralCode })
+    }])));
 
   await sendEmailBatch(prospectEmails);
   sentAnyEmails = true;
     }
     await sendPushNotifications(date);
     if (sentAnyEmails) {
-      freshData.emailSentDates = [...(freshData.emailSentDates || []), date].slice(-30);
-      if (shouldIncludeEditorMessage) freshData.communityMessageLastSent = communityMessage;
-      await writeData(freshData);
+      await store.updateKey('emailSentDates', sent => [...(sent || []), date].slice(-30));
+      if (shouldIncludeEditorMessage) await setKey('communityMessageLastSent', communityMessage);
     }
   } else {
     console.log('Silent save — email notifications skipped.');
@@ -2810,18 +3305,17 @@ const prospectEmails = [];
   res.json({ ok: true });
 });
 
-app.get('/api/quiz', async (req, res) => {
+app.get('/api/quiz', access('public'), async (req, res) => {
   const { date } = req.query;
-  const data = await readData();
-  if (!data.quizzes) return res.json({ quiz: null });
-
-  const dates = Object.keys(data.quizzes).sort();
-  if (dates.length === 0) return res.json({ quiz: null });
+  // Player requests get the answer-free view — see toPlayerQuiz()
+  const view = adminCan(req, 'quiz') ? (quiz => quiz) : toPlayerQuiz;
 
   // Exact date match
-  if (date && data.quizzes[date]) {
-    return res.json({ quiz: data.quizzes[date], date });
-  }
+  const exact = date && await store.getQuiz(date);
+  if (exact) return res.json({ quiz: view(exact), date });
+
+  const dates = await store.listQuizDates();
+  if (dates.length === 0) return res.json({ quiz: null });
 
   // Never serve a previous day's quiz as a fallback — return null so the client shows "not yet published"
   const todayEastern = new Date().toLocaleDateString('en-CA', { timeZone: 'America/New_York' });
@@ -2833,60 +3327,358 @@ app.get('/api/quiz', async (req, res) => {
   if (scheduled) {
     return res.json({ quiz: null, date: null });
   }
-  res.json({ quiz: data.quizzes[mostRecent], date: mostRecent, fallback: true });
+  res.json({ quiz: view(await store.getQuiz(mostRecent)), date: mostRecent, fallback: true });
 });
 
 // ── Anthropic API proxy ───────────────────────────────────────
-app.post('/api/claude', async (req, res) => {
-  const apiKey = process.env.ANTHROPIC_API_KEY;
-  if (!apiKey) {
+// For the admin panel's one-off Claude calls. The body is a Messages API
+// request plus a `task` (see llm.js) that picks the model and labels the
+// usage; the API's reply is passed straight back.
+app.post('/api/claude', access('quiz'), async (req, res) => {
+  const { task = 'replace', model, ...body } = req.body || {};
+  if (!llm.isConfigured()) {
     return res.status(500).json({
       error: { message: 'ANTHROPIC_API_KEY is not set in Railway Variables.' }
     });
   }
+  try {
+    const { status, data } = await llm.createMessage(body, { task });
+    res.status(status).json(data || { error: { message: `Claude API returned HTTP ${status}` } });
+  } catch (e) {
+    const timedOut = /timed out/.test(e.message);
+    res.status(timedOut ? 504 : 502).json({ error: { message: timedOut ? 'Claude API timed out after 90s. Try again.' : 'Proxy error: ' + e.message } });
+  }
+});
+
+// ── LLM usage & budget ────────────────────────────────────────
+// Every call llm.js makes is stored with its feature (task), tokens,
+// latency and estimated cost; outreach.js reports its own calls through
+// /api/outreach/llm-usage. The owner can set a daily and a monthly budget
+// (USD, the `llmBudget` key). Past 80% of either the admin page warns;
+// once one is spent, non-essential calls (llm.NON_ESSENTIAL_TASKS —
+// teasers, outreach drafting) are refused until the day or month rolls
+// over. Quiz generation is never blocked.
+const LLM_BUDGET_WARN_RATIO = 0.8;
+
+llm.onUsage(entry => {
+  store.logLlmUsage({ ...entry, day: easternToday(), source: 'server' })
+    .catch(e => console.error('[LLM] Could not store usage:', e.message));
+});
+
+// 'YYYY-MM-DD' shifted by whole days or months, calendar-wise.
+function shiftDay(day, { days = 0, months = 0 }) {
+  const [y, m, d] = day.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1 + months, d + days)).toISOString().slice(0, 10);
+}
+
+const sumCost = rows => rows.reduce((n, r) => n + (r.costUsd || 0), 0);
+
+// { budget, spend: { today, month }, status: 'ok'|'warn'|'exceeded', reason }
+// — reason is set only when a budget is exceeded.
+async function llmBudgetStatus() {
+  const budget = (await getKey('llmBudget')) || {};
+  const today = easternToday();
+  const rows = await store.summarizeLlmUsage({ since: today.slice(0, 8) + '01', until: today });
+  const spend = { today: sumCost(rows.filter(r => r.day === today)), month: sumCost(rows) };
+  const checks = [
+    ['daily', spend.today, budget.dailyUsd],
+    ['monthly', spend.month, budget.monthlyUsd]
+  ].filter(([, , limit]) => limit > 0);
+  const over = checks.find(([, spent, limit]) => spent >= limit);
+  const near = checks.some(([, spent, limit]) => spent >= limit * LLM_BUDGET_WARN_RATIO);
+  return {
+    budget: { dailyUsd: budget.dailyUsd || null, monthlyUsd: budget.monthlyUsd || null },
+    spend,
+    status: over ? 'exceeded' : near ? 'warn' : 'ok',
+    reason: over ? `$${over[1].toFixed(2)} of the $${over[2].toFixed(2)} ${over[0]} budget spent` : null
+  };
+}
+
+llm.configure({
+  // A store hiccup shouldn't silence teasers — fail open.
+  budgetGuard: () => llmBudgetStatus().then(s => s.reason, e => {
+    console.error('[LLM] Budget check failed:', e.message);
+    return null;
+  })
+});
 
-  const body = JSON.stringify(req.body);
-  const options = {
-    hostname: 'api.anthropic.com',
-    path: '/v1/messages',
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'Content-Length': Buffer.byteLength(body),
-      'x-api-key': apiKey,
-      'anthropic-version': '2023-06-01'
+// ── GET /api/admin/llm-usage — spend by day, month and feature ─
+app.get('/api/admin/llm-usage', access('owner'), async (req, res) => {
+  try {
+    const today = easternToday();
+    const thisMonth = today.slice(0, 7);
+    const rows = await store.summarizeLlmUsage({ since: shiftDay(thisMonth + '-01', { months: -5 }), until: today });
+    const tally = (map, key, r) => {
+      const t = map.get(key) || { calls: 0, inputTokens: 0, outputTokens: 0, latencyMs: 0, costUsd: 0 };
+      t.calls += r.calls;
+      t.inputTokens += r.inputTokens;
+      t.outputTokens += r.outputTokens;
+      t.latencyMs += r.latencyMs;
+      t.costUsd += r.costUsd;
+      map.set(key, t);
+    };
+    const days = new Map(), months = new Map(), features = new Map();
+    const since30 = shiftDay(today, { days: -29 });
+    for (const r of rows) {
+      if (r.day >= since30) tally(days, r.day, r);
+      tally(months, r.day.slice(0, 7), r);
+      if (r.day.startsWith(thisMonth)) tally(features, r.task, r);
     }
+    const list = (map, field) => [...map].map(([k, t]) => ({ [field]: k, ...t, avgLatencyMs: t.calls ? Math.round(t.latencyMs / t.calls) : null }));
+    res.json({
+      ...(await llmBudgetStatus()),
+      warnRatio: LLM_BUDGET_WARN_RATIO,
+      nonEssential: [...llm.NON_ESSENTIAL_TASKS],
+      days: list(days, 'day').reverse(),
+      months: list(months, 'month').reverse(),
+      features: list(features, 'task').sort((a, b) => b.costUsd - a.costUsd)
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// ── POST /api/admin/llm-budget — set daily/monthly budget ─────
+// Body: { dailyUsd, monthlyUsd } — blank or 0 turns that limit off.
+app.post('/api/admin/llm-budget', access('owner'), async (req, res) => {
+  const parse = v => (v === '' || v === null || v === undefined ? null : Number(v));
+  const dailyUsd = parse(req.body.dailyUsd);
+  const monthlyUsd = parse(req.body.monthlyUsd);
+  if ([dailyUsd, monthlyUsd].some(v => v !== null && !(v >= 0))) {
+    return res.status(400).json({ error: 'Budgets must be positive dollar amounts' });
+  }
+  try {
+    const budget = { dailyUsd: dailyUsd || null, monthlyUsd: monthlyUsd || null };
+    const before = (await getKey('llmBudget')) || { dailyUsd: null, monthlyUsd: null };
+    await setKey('llmBudget', budget);
+    console.log(`[Admin] LLM budget set: daily ${budget.dailyUsd ?? 'none'}, monthly ${budget.monthlyUsd ?? 'none'}`);
+    await audit(req, 'llm-budget.update', { before, after: budget });
+    res.json({ ok: true, ...(await llmBudgetStatus()) });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// ── Quiz generation jobs ──────────────────────────────────────
+// POST /api/generate runs the quizGenerator pipeline in the background and
+// returns a job id; the admin page follows it on GET /api/generate/:id/events
+// (Server-Sent Events). Every event is kept on the job, so a page that
+// connects late or reconnects replays what it missed. Jobs live in memory
+// and are forgotten an hour after they finish — the editor saves the draft.
+const generationJobs = new Map();
+const GENERATION_JOB_TTL_MS = 60 * 60 * 1000;
+
+function writeSseEvent(res, event) {
+  res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+}
+
+function emitGenerationEvent(job, type, data) {
+  const event = { id: job.events.length, type, data };
+  job.events.push(event);
+  for (const res of job.listeners) writeSseEvent(res, event);
+  if (type === 'done' || type === 'failed') {
+    for (const res of job.listeners) res.end();
+    job.listeners.clear();
+  }
+}
+
+function finishGenerationJob(job, status) {
+  job.status = status;
+  job.finishedAt = new Date().toISOString();
+  setTimeout(() => generationJobs.delete(job.id), GENERATION_JOB_TTL_MS).unref();
+}
+
+function generationJobSummary(job) {
+  return {
+    id: job.id, status: job.status, startedBy: job.startedBy,
+    startedAt: job.startedAt, finishedAt: job.finishedAt || null,
+    stage: job.stage, result: job.result || null, error: job.error || null
   };
+}
 
-  const proxyReq = https.request(options, (proxyRes) => {
-    res.status(proxyRes.statusCode);
-    proxyRes.pipe(res);
-  });
-  proxyReq.on('error', (err) => {
-    if (!res.headersSent) res.status(502).json({ error: { message: 'Proxy error: ' + err.message } });
-  });
-  proxyReq.setTimeout(90000, () => {
-    proxyReq.destroy(new Error('Anthropic request timeout'));
-    if (!res.headersSent) res.status(504).json({ error: { message: 'Claude API timed out after 90s. Try again.' } });
+// Starts the pipeline as a tracked job. Callers check for a running job
+// first — only one generation runs at a time. job.finished resolves (never
+// rejects) once the job is done or failed.
+function startGenerationJob(input, startedBy) {
+  const job = {
+    id: crypto.randomBytes(8).toString('hex'),
+    status: 'running',
+    startedBy,
+    startedAt: new Date().toISOString(),
+    stage: 'queued',
+    events: [],
+    listeners: new Set()
+  };
+  generationJobs.set(job.id, job);
+  console.log(`[Generate] Job ${job.id} started by ${startedBy || 'admin token'}`);
+
+  job.finished = quizGenerator.generateQuiz(input, {
+    fetchArticle: fetchArticleExcerpt,
+    loadArchive: loadFullArchive,
+    onProgress: ({ stage, message }) => {
+      job.stage = stage;
+      emitGenerationEvent(job, 'progress', { stage, message });
+    }
+  }).then(result => {
+    job.result = {
+      draft: {
+        questions: result.questions, generatedAt: new Date().toISOString(), urls: quizGenerator.toUrlList(input.urls),
+        factChecks: result.factChecks, difficulty: result.difficulty
+      },
+      weakQuestions: result.weakQuestions,
+      replacements: result.replacements,
+      staleArticles: result.staleArticles,
+      articleCount: result.articleCount,
+      rawResponse: result.rawResponse
+    };
+    finishGenerationJob(job, 'done');
+    console.log(`[Generate] Job ${job.id} done: ${result.questions.length} questions`);
+    emitGenerationEvent(job, 'done', job.result);
+  }).catch(e => {
+    job.error = { message: e.message, rawResponse: e.rawResponse || null };
+    finishGenerationJob(job, 'failed');
+    console.error(`[Generate] Job ${job.id} failed:`, e.message);
+    emitGenerationEvent(job, 'failed', job.error);
   });
-  proxyReq.write(body);
-  proxyReq.end();
+  return job;
+}
+
+const runningGenerationJob = () => [...generationJobs.values()].find(j => j.status === 'running');
+
+// ── POST /api/generate — start a generation job ───────────────
+app.post('/api/generate', access('quiz'), async (req, res) => {
+  const running = runningGenerationJob();
+  if (running) return res.status(409).json({ error: 'A quiz is already being generated', jobId: running.id });
+
+  const { articleUrls, manualText, archive } = req.body || {};
+  const urls = req.body && req.body.urls !== undefined ? req.body.urls : await rssService.sourceSites();
+  if (!quizGenerator.toUrlList(urls).length && !quizGenerator.toUrlList(articleUrls).length && !String(manualText || '').trim()) {
+    return res.status(400).json({ error: 'Enable at least one news source — or paste article URLs or text directly.' });
+  }
+  const job = startGenerationJob({ urls, articleUrls, manualText, archive }, req.admin ? req.admin.username : null);
+  res.status(202).json({ ok: true, jobId: job.id });
 });
 
+// ── GET /api/generate/:id — job status and result ─────────────
+app.get('/api/generate/:id', access('quiz'), (req, res) => {
+  const job = generationJobs.get(req.params.id);
+  if (!job) return res.status(404).json({ error: 'No such generation job' });
+  res.json(generationJobSummary(job));
+});
+
+// ── GET /api/generate/:id/events — progress stream (SSE) ──────
+app.get('/api/generate/:id/events', access('quiz'), (req, res) => {
+  const job = generationJobs.get(req.params.id);
+  if (!job) return res.status(404).json({ error: 'No such generation job' });
+
+  res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', 'Connection': 'keep-alive', 'X-Accel-Buffering': 'no' });
+  res.flushHeaders();
+  // EventSource reconnects with the last id it saw — replay only what came after
+  const lastId = parseInt(req.get('Last-Event-ID'), 10);
+  job.events.filter(e => isNaN(lastId) || e.id > lastId).forEach(e => writeSseEvent(res, e));
+  if (job.status !== 'running') return res.end();
+
+  job.listeners.add(res);
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 20000);
+  req.on('close', () => { clearInterval(keepAlive); job.listeners.delete(res); });
+});
+
+// ── Morning draft ─────────────────────────────────────────────
+// Right after the 6am RSS refresh, generate a draft into draftQuiz so the
+// editor starts the day with something to review, and email them a link.
+// Weak questions stay in the draft, flagged, with Claude's rewrite offered
+// alongside in draft.review — the editor decides. Nothing is published or
+// scheduled here. Skipped when the current draft holds questions the editor
+// is working on; MORNING_DRAFT=off turns the job off.
+const isEditorDraft = draft => !!draft && (draft.questions || []).length > 0 && draft.source !== 'scheduled';
+
+async function generateMorningDraft() {
+  if (process.env.MORNING_DRAFT === 'off') return;
+  if (!llm.isConfigured()) { console.log('[MorningDraft] ANTHROPIC_API_KEY not set — skipping.'); return; }
+  if (isEditorDraft(await getKey('draftQuiz'))) { console.log('[MorningDraft] Editor draft in progress — skipping.'); return; }
+  if (runningGenerationJob()) { console.log('[MorningDraft] A generation job is already running — skipping.'); return; }
+
+  const urls = await rssService.sourceSites();
+  const job = startGenerationJob({ urls, refine: 'suggest' }, 'morning draft');
+  await job.finished;
+  if (job.status !== 'done') {
+    await emailMorningDraft(null, job.error.message);
+    return;
+  }
+
+  const { draft, weakQuestions, replacements, staleArticles } = job.result;
+  const review = weakQuestions.map(w => ({
+    question: draft.questions[w.index].question,
+    flags: w.flags,
+    replacement: (replacements.find(r => r.index === w.index) || {}).question || null
+  }));
+  let saved = null;
+  await store.updateKey('draftQuiz', current => {
+    if (isEditorDraft(current)) return current; // the editor got there first while we were generating
+    saved = { ...draft, source: 'scheduled', review, staleArticles, heldQuestions: (current && current.heldQuestions) || [], savedAt: new Date().toISOString() };
+    return saved;
+  });
+  if (!saved) { console.log('[MorningDraft] Editor started a draft during generation — discarded.'); return; }
+  console.log(`[MorningDraft] Saved ${draft.questions.length} questions (${review.length} flagged).`);
+  await emailMorningDraft(saved);
+}
+
+// The 6am refresh failed: no draft from yesterday's stories, but tell the
+// editor why there isn't one.
+async function skipMorningDraft(error) {
+  if (process.env.MORNING_DRAFT === 'off') return;
+  console.log('[MorningDraft] RSS refresh failed — skipping.');
+  await emailMorningDraft(null, `The 6am news refresh failed (${error.message}), so no draft was built from yesterday's stories.`);
+}
+
+// Review email for the morning draft — or, with draft null, the reason
+// there isn't one.
+async function emailMorningDraft(draft, failure) {
+  const editorEmail = process.env.EDITOR_EMAIL;
+  if (!editorEmail) { console.log('[MorningDraft] EDITOR_EMAIL not set — no review email.'); return; }
+  const siteUrl = process.env.SITE_URL || 'https://dailydispatchquiz.com';
+  const reviewUrl = `${siteUrl}/?review=draft`;
+  if (!draft) {
+    await sendEmail(editorEmail, 'Morning quiz draft failed',
+      `<p>This morning's automatic quiz draft could not be generated:</p>
+       <p style="padding:10px;border:1px solid #ddd;background:#f9f9f9;">${escHtml(failure)}</p>
+       <p><a href="${reviewUrl}">Open the admin panel</a> to generate one by hand.</p>`);
+    return;
+  }
+  const flagged = new Map(draft.review.map(r => [r.question, r]));
+  const checks = new Map((draft.factChecks || []).map(c => [c.question, c]));
+  const items = draft.questions.map((q, i) => {
+    const r = flagged.get(q.question);
+    const c = checks.get(q.question);
+    const doubtful = c && c.confidence !== null && c.confidence < quizGenerator.FACT_CHECK_DOUBT_BELOW;
+    return `<li style="margin-bottom:10px;">${escHtml(q.question)}` +
+      (r ? `<br><span style="color:#b22234;font-size:12px;">⚠ ${escHtml(r.flags.join(', '))}${r.replacement ? ' — alternative suggested' : ''}</span>` : '') +
+      (doubtful ? `<br><span style="color:#b22234;font-size:12px;">⚑ Source check ${c.confidence}% — ${escHtml(c.alsoTrue.length ? 'another option is also true' : c.note || c.verdict)}</span>` : '') +
+      '</li>';
+  }).join('');
+  await sendEmail(editorEmail,
+    `Quiz draft ready to review — ${draft.questions.length} questions${draft.review.length ? `, ${draft.review.length} flagged` : ''}`,
+    `<div style="font-family:Arial,sans-serif;font-size:14px;line-height:1.5;">
+       <p>This morning's draft is waiting in the admin panel. Nothing goes live until you publish it.</p>
+       <ol>${items}</ol>
+       ${draft.staleArticles.length ? `<p style="color:#666;">${draft.staleArticles.length} source article(s) may be older than 3 days.</p>` : ''}
+       <p><a href="${reviewUrl}" style="display:inline-block;background:#1a1008;color:#f5f0e8;padding:10px 20px;text-decoration:none;">Review the draft ▸</a></p>
+     </div>`);
+}
 
 // ── POST /api/pwa-session — log that a player launched via installed PWA ──
-app.post('/api/pwa-session', async (req, res) => {
+app.post('/api/pwa-session', access('public'), async (req, res) => {
   const { playerName, date } = req.body || {};
   if (!playerName || !date) return res.status(400).json({ error: 'playerName and date required' });
   try {
     const key = normPlayerKey(playerName);
-    const allProgress = (await getKey('progress')) || {};
-    if (!allProgress[date]) allProgress[date] = {};
-    if (!allProgress[date][key]) allProgress[date][key] = {};
-    allProgress[date][key].pwaSession = true;
-    // First-use casing: don't overwrite a displayName that's already set.
-    if (!allProgress[date][key].displayName) allProgress[date][key].displayName = normDisplayName(playerName);
-    await setKey('progress', allProgress);
+    await store.updateProgress(date, key, record => {
+      record = record || {};
+      record.pwaSession = true;
+      // First-use casing: don't overwrite a displayName that's already set.
+      if (!record.displayName) record.displayName = normDisplayName(playerName);
+      return record;
+    });
     console.log(`[PWA] Session logged: ${playerName} on ${date}`);
     res.json({ ok: true });
   } catch(e) {
@@ -2899,12 +3691,11 @@ app.post('/api/pwa-session', async (req, res) => {
 // ── GET /api/subscriber-name — look up display name for a token ──
 // Used to pre-fill the name field when a player arrives via email link.
 // No date check — just a name lookup, fails silently.
-app.get('/api/subscriber-name', async (req, res) => {
+app.get('/api/subscriber-name', access('public'), async (req, res) => {
   const { tok } = req.query;
   if (!tok) return res.json({ name: '' });
   try {
-    const tokens = (await getKey('emailTokens')) || {};
-    const record = tokens[tok];
+    const record = await store.getToken('email', tok);
     if (!record) return res.json({ name: '' });
     const name = (record.displayName || record.playerKey || '').split('@')[0].trim();
     res.json({ name });
@@ -2915,12 +3706,11 @@ app.get('/api/subscriber-name', async (req, res) => {
 
 // Stored as emailTokens = { token: { email, playerKey, date, usedAt } }
 
-app.post('/api/email-token/validate', async (req, res) => {
+app.post('/api/email-token/validate', access('public'), async (req, res) => {
   const { token, date } = req.body || {};
   if (!token || !date) return res.status(400).json({ error: 'token and date required' });
   try {
-    const tokens = (await getKey('emailTokens')) || {};
-    const record = tokens[token];
+    const record = await store.getToken('email', token);
     if (!record) return res.json({ valid: false, reason: 'invalid' });
     if (record.date !== date) return res.json({ valid: false, reason: 'wrong_date' });
     if (record.usedAt) return res.json({ valid: true, email: record.email, playerKey: record.playerKey, displayName: record.displayName, alreadyUsed: true });
@@ -2930,16 +3720,13 @@ app.post('/api/email-token/validate', async (req, res) => {
   }
 });
 
-app.post('/api/email-token/use', async (req, res) => {
+app.post('/api/email-token/use', access('public'), async (req, res) => {
   const { token, date } = req.body || {};
   if (!token || !date) return res.status(400).json({ error: 'token and date required' });
   try {
-    const tokens = (await getKey('emailTokens')) || {};
-    if (!tokens[token]) return res.status(404).json({ error: 'token not found' });
-    const record = tokens[token];
+    const record = await store.markTokenUsed('email', token);
+    if (!record) return res.status(404).json({ error: 'token not found' });
     const alreadyUsed = !!record.usedAt;
-    tokens[token].usedAt = new Date().toISOString();
-    await setKey('emailTokens', tokens);
     // Log q1_click only on first use
     if (!alreadyUsed && record.group) {
       await logEmailEvent('q1_click', record.email, date, { group: record.group });
@@ -2953,27 +3740,20 @@ app.post('/api/email-token/use', async (req, res) => {
 // ── Email event logging ───────────────────────────────────────
 async function logEmailEvent(event, email, date, meta = {}) {
   try {
-const events = (await getKey('emailEvents')) || [];
-    events.push({ event, email, date, ts: new Date().toISOString(), ...meta });
+    await store.logEmailEvent({ event, email, date, ts: new Date().toISOString(), ...meta });
     // Keep only last 30 days
-    const cutoff = new Date();
-    cutoff.setDate(cutoff.getDate() - 30);
-    const pruned = events.filter(e => new Date(e.date + 'T12:00:00') >= cutoff);
-    await setKey('emailEvents', pruned);
+    await store.pruneEmailEvents(dateDaysAgo(30));
   } catch (e) {
     console.warn('[EmailEvent] log failed:', e.message);
   }
 }
 
 // ── GET /api/email-ab-stats — A/B results for admin panel ────
-app.get('/api/email-ab-stats', async (req, res) => {
-  const adminToken = process.env.ADMIN_TOKEN || 'admin';
-  if (req.headers['x-admin-token'] !== adminToken) return res.status(403).json({ error: 'Forbidden' });
+app.get('/api/email-ab-stats', access('audience'), async (req, res) => {
   const { date } = req.query;
   if (!date) return res.status(400).json({ error: 'date required' });
   try {
-    const allEvents = (await getKey('emailEvents')) || [];
-    const events = allEvents.filter(e => e.date === date);
+    const events = await store.listEmailEvents({ date });
     const groups = { A: { sent: 0, started: 0, completed: 0 }, B: { sent: 0, started: 0, completed: 0 } };
     events.forEach(e => {
       const g = e.group;
@@ -2989,16 +3769,12 @@ app.get('/api/email-ab-stats', async (req, res) => {
 });
 
 // ── GET/POST /api/ab-override — force all emails to Group B until a given date ──
-app.get('/api/ab-override', async (req, res) => {
-  const adminToken = process.env.ADMIN_TOKEN || 'admin';
-  if (req.headers['x-admin-token'] !== adminToken) return res.status(403).json({ error: 'Forbidden' });
+app.get('/api/ab-override', access('audience'), async (req, res) => {
   const until = await getKey('forceGroupBUntil');
   res.json({ forceGroupBUntil: until || null });
 });
 
-app.post('/api/ab-override', async (req, res) => {
-  const adminToken = process.env.ADMIN_TOKEN || 'admin';
-  if (req.headers['x-admin-token'] !== adminToken) return res.status(403).json({ error: 'Forbidden' });
+app.post('/api/ab-override', access('audience'), async (req, res) => {
   const { until } = req.body;
   await setKey('forceGroupBUntil', until || null);
   console.log('[Admin] forceGroupBUntil set to', until || 'null (cleared)');
@@ -3006,45 +3782,42 @@ app.post('/api/ab-override', async (req, res) => {
 });
 
 // ── POST /api/quiz/test-email — send test email to admin, respecting abGroup ───
-app.post('/api/quiz/test-email', async (req, res) => {
-  const adminToken = process.env.ADMIN_TOKEN || 'admin';
-  if (req.headers['x-admin-token'] !== adminToken) return res.status(403).json({ error: 'Forbidden' });
+app.post('/api/quiz/test-email', access('quiz'), async (req, res) => {
 
   const siteUrl = process.env.SITE_URL || 'https://dailydispatchquiz.com';
   const testEmail = process.env.ADMIN_TEST_EMAIL || 'dhconn@gmail.com';
   const date = easternToday();
 
   try {
-    const data = await readData();
     const draftQuestions = Array.isArray(req.body?.questions) && req.body.questions.length ? req.body.questions : null;
-    const quiz = draftQuestions ? { questions: draftQuestions } : (data.quizzes && data.quizzes[date]);
+    const quiz = draftQuestions ? { questions: draftQuestions } : await store.getQuiz(date);
     if (!quiz) return res.status(404).json({ error: draftQuestions ? 'Draft has no questions' : 'No quiz published for today' });
 
     const q1 = quiz.questions && quiz.questions[0];
     if (!q1) return res.status(404).json({ error: 'No questions in today\'s quiz' });
 
     // Look up abGroup from subscriber record, unless the caller forces one (e.g. testing a draft)
-    const subRecord = data.subscribers && data.subscribers[testEmail];
+    const subRecord = await store.getSubscriber(testEmail);
     const forcedGroup = (req.body?.group || '').toUpperCase();
     const group = (forcedGroup === 'A' || forcedGroup === 'B') ? forcedGroup : ((subRecord && subRecord.abGroup) || 'B');
     const displayName = (subRecord && subRecord.name) || 'Player';
     const playerKey = normPlayerKey(displayName);
 
-    const tokens = (await getKey('emailTokens')) || {};
     const token = Buffer.from(testEmail + date + Math.random()).toString('base64')
       .replace(/[^a-zA-Z0-9]/g, '').slice(0, 32);
-    tokens[token] = {
-      email: testEmail,
-      playerKey,
-      displayName,
-      date,
-      group,
-      usedAt: null
-    };
-    await setKey('emailTokens', tokens);
+    await store.putTokens('email', {
+      [token]: {
+        email: testEmail,
+        playerKey,
+        displayName,
+        date,
+        group,
+        usedAt: null
+      }
+    });
 
     const unsubUrl = `${siteUrl}/api/unsubscribe?email=${encodeURIComponent(testEmail)}`;
-    const teaserHtml = data.cachedTeaserHtml || '';
+    const teaserHtml = (await getKey('cachedTeaserHtml')) || '';
 
     let html;
     if (group === 'B') {
@@ -3062,8 +3835,7 @@ app.post('/api/quiz/test-email', async (req, res) => {
     if (!testReferralCode && subRecord) {
       testReferralCode = Buffer.from(testEmail + Math.random()).toString('base64')
         .replace(/[^a-zA-Z0-9]/g, '').slice(0, 10);
-      data.subscribers[testEmail].referralCode = testReferralCode;
-      await writeData(data);
+      await store.patchSubscribers({ [testEmail]: { referralCode: testReferralCode } });
     }
     const testReferralStrip = testReferralCode ? buildReferralStripHtml(buildReferralMailto(siteUrl, testReferralCode)) : '';
     html = html.replace('<!--REFERRAL_STRIP_INSERT_POINT-->', testReferralStrip);
@@ -3079,13 +3851,11 @@ app.post('/api/quiz/test-email', async (req, res) => {
 });
 
 // ── GET /api/admin/referrals — referral stats for admin panel ──
-app.get('/api/admin/referrals', async (req, res) => {
-  const adminToken = process.env.ADMIN_TOKEN || 'admin';
-  if (req.headers['x-admin-token'] !== adminToken) return res.status(403).json({ error: 'Forbidden' });
+app.get('/api/admin/referrals', access('audience'), async (req, res) => {
   try {
-    const data = await readData();
+    const subscribers = (await getKey('subscribers')) || {};
     const results = [];
-    for (const sub of Object.values(data.subscribers || {})) {
+    for (const sub of Object.values(subscribers)) {
       if (!sub.referrals || !sub.referrals.length) continue;
       const confirmed = sub.referrals.filter(r => r.playCount >= 1).length;
       results.push({
@@ -3108,21 +3878,23 @@ app.get('/api/admin/referrals', async (req, res) => {
 });
 
 // ── POST /api/admin/award-mug — mark a player as having won a mug ──
-app.post('/api/admin/award-mug', async (req, res) => {
-  const adminToken = process.env.ADMIN_TOKEN || 'admin';
-  if (req.headers['x-admin-token'] !== adminToken) return res.status(403).json({ error: 'Forbidden' });
+app.post('/api/admin/award-mug', access('audience'), async (req, res) => {
   const { email, reason } = req.body || {};
   if (!email) return res.status(400).json({ error: 'email required' });
   try {
-    const data = await readData();
-    if (!data.subscribers || !data.subscribers[email]) {
-      return res.status(404).json({ error: 'Subscriber not found' });
-    }
-    data.subscribers[email].mugWon = true;
-    data.subscribers[email].mugWonAt = new Date().toISOString();
-    data.subscribers[email].mugWonReason = reason || 'manual';
-    await writeData(data);
+    let before;
+    const sub = await store.updateSubscriber(email, sub => {
+      if (!sub) return null;
+      before = { mugWon: sub.mugWon, mugWonAt: sub.mugWonAt, mugWonReason: sub.mugWonReason };
+      sub.mugWon = true;
+      sub.mugWonAt = new Date().toISOString();
+      sub.mugWonReason = reason || 'manual';
+    });
+    if (!sub) return res.status(404).json({ error: 'Subscriber not found' });
     console.log(`[Mug] Awarded to ${email} — reason: ${reason || 'manual'}`);
+    await audit(req, 'mug.award', {
+      target: email, before, after: { mugWon: sub.mugWon, mugWonAt: sub.mugWonAt, mugWonReason: sub.mugWonReason }
+    });
     res.json({ ok: true });
   } catch (e) {
     res.status(500).json({ error: e.message });
@@ -3130,25 +3902,21 @@ app.post('/api/admin/award-mug', async (req, res) => {
 });
 
 // ── POST /api/admin/sync-progress — sync scores into progress for a date ──
-app.post('/api/admin/sync-progress', async (req, res) => {
-  const adminToken = process.env.ADMIN_TOKEN || 'admin';
-  if (req.headers['x-admin-token'] !== adminToken) return res.status(403).json({ error: 'Forbidden' });
+app.post('/api/admin/sync-progress', access('owner'), async (req, res) => {
   const { date } = req.body || {};
   if (!date) return res.status(400).json({ error: 'date required' });
   try {
-    const data = await readData();
-    const quiz = data.quizzes && data.quizzes[date];
+    const quiz = await store.getQuiz(date);
     if (!quiz) return res.status(404).json({ error: 'Quiz not found for ' + date });
-    const scores = data.scores || {};
-    const allProgress = (await getKey('progress')) || {};
-    if (!allProgress[date]) allProgress[date] = {};
+    const scores = (await getKey('scores')) || {};
     const synced = [];
     for (const [key, player] of Object.entries(scores)) {
       const dayScore = (player.dailyScores || {})[date];
       if (!dayScore) continue;
-      const existing = allProgress[date][key] || {};
-      if (existing.synthetic) {
-        allProgress[date][key] = {
+      await store.updateProgress(date, key, existing => {
+        if (!existing || !existing.synthetic) return null;
+        synced.push(key);
+        return {
           ...existing,
           score: dayScore,
           displayName: player.displayName || key,
@@ -3156,10 +3924,8 @@ app.post('/api/admin/sync-progress', async (req, res) => {
           synthetic: false,
           completed: dayScore >= 10
         };
-        synced.push(key);
-      }
+      });
     }
-    await setKey('progress', allProgress);
     res.json({ ok: true, synced });
   } catch (e) {
     res.status(500).json({ error: e.message });
@@ -3167,17 +3933,13 @@ app.post('/api/admin/sync-progress', async (req, res) => {
 });
 
 // ── GET /api/draft — load draft quiz ──
-app.get('/api/draft', async (req, res) => {
-  const adminToken = process.env.ADMIN_TOKEN || 'admin';
-  if (req.headers['x-admin-token'] !== adminToken) return res.status(403).json({ error: 'Forbidden' });
+app.get('/api/draft', access('quiz'), async (req, res) => {
   const draft = await getKey('draftQuiz');
   res.json({ ok: true, draft: draft || null });
 });
 
 // ── POST /api/draft — save draft quiz ──
-app.post('/api/draft', async (req, res) => {
-  const adminToken = process.env.ADMIN_TOKEN || 'admin';
-  if (req.headers['x-admin-token'] !== adminToken) return res.status(403).json({ error: 'Forbidden' });
+app.post('/api/draft', access('quiz'), async (req, res) => {
   const { quiz } = req.body;
   if (!quiz) return res.status(400).json({ error: 'quiz required' });
   await setKey('draftQuiz', { ...quiz, savedAt: new Date().toISOString() });
@@ -3185,9 +3947,7 @@ app.post('/api/draft', async (req, res) => {
 });
 
 // ── GET /api/quiz/schedule — get current scheduled publish ───
-app.get('/api/quiz/schedule', async (req, res) => {
-  const adminToken = process.env.ADMIN_TOKEN || 'admin';
-  if (req.headers['x-admin-token'] !== adminToken) return res.status(403).json({ error: 'Forbidden' });
+app.get('/api/quiz/schedule', access('quiz'), async (req, res) => {
   try {
     const scheduled = await getKey('scheduledQuiz');
     res.json({ scheduled: scheduled || null });
@@ -3197,9 +3957,7 @@ app.get('/api/quiz/schedule', async (req, res) => {
 });
 
 // ── POST /api/quiz/schedule — save a quiz for scheduled publish ──
-app.post('/api/quiz/schedule', async (req, res) => {
-  const adminToken = process.env.ADMIN_TOKEN || 'admin';
-  if (req.headers['x-admin-token'] !== adminToken) return res.status(403).json({ error: 'Forbidden' });
+app.post('/api/quiz/schedule', access('quiz'), async (req, res) => {
   const { date, quiz, scheduledFor } = req.body;
   if (!date || !quiz || !scheduledFor) return res.status(400).json({ error: 'date, quiz, and scheduledFor required' });
   try {
@@ -3214,7 +3972,7 @@ app.post('/api/quiz/schedule', async (req, res) => {
     // Snapshot this draft's cached teasers (matched by fingerprint) so any edits made during
     // preview travel with the quiz — sourced from the draft-specific cache, not the live day's
     // cachedTeaserHtml, since those are for a different quiz (today's, already sent/publishing).
-    const schedData = await readData();
+    const schedData = await store.getKeys(['draftTeaserHtml', 'draftTeaserFingerprint']);
     const fingerprint = fingerprintQuestions(quiz.questions);
     const snapshotTeaserHtml = schedData.draftTeaserFingerprint === fingerprint
       ? (schedData.draftTeaserHtml || null)
@@ -3227,19 +3985,29 @@ app.post('/api/quiz/schedule', async (req, res) => {
       cachedTeaserHtml: snapshotTeaserHtml
     });
     console.log(`[Schedule] Quiz scheduled for ${scheduledFor} (date: ${date})`);
+    await audit(req, 'quiz.schedule', { target: date, after: { date, scheduledFor } });
     res.json({ ok: true, scheduledFor });
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
 });
 
+// scheduledQuiz for the audit log: everything except the quiz body and
+// teaser HTML, which would bloat every entry.
+function scheduledQuizSummary(scheduled) {
+  if (!scheduled) return null;
+  const { quiz, cachedTeaserHtml, ...rest } = scheduled;
+  return rest;
+}
+
 // ── POST /api/admin/retract-quiz — hide live quiz from players immediately ──
-app.post('/api/admin/retract-quiz', async (req, res) => {
-  const adminToken = process.env.ADMIN_TOKEN || 'admin';
-  if (req.headers['x-admin-token'] !== adminToken) return res.status(403).json({ error: 'Forbidden' });
+app.post('/api/admin/retract-quiz', access('quiz'), async (req, res) => {
   try {
-    await setKey('scheduledQuiz', { retracted: true, retractedAt: new Date().toISOString() });
+    const before = await getKey('scheduledQuiz');
+    const after = { retracted: true, retractedAt: new Date().toISOString() };
+    await setKey('scheduledQuiz', after);
     console.log('[Admin] Quiz retracted — hidden from players');
+    await audit(req, 'quiz.retract', { before: scheduledQuizSummary(before), after });
     res.json({ ok: true });
   } catch (e) {
     res.status(500).json({ error: e.message });
@@ -3247,12 +4015,12 @@ app.post('/api/admin/retract-quiz', async (req, res) => {
 });
 
 // ── POST /api/admin/restore-quiz — undo a retraction, make quiz live again ──
-app.post('/api/admin/restore-quiz', async (req, res) => {
-  const adminToken = process.env.ADMIN_TOKEN || 'admin';
-  if (req.headers['x-admin-token'] !== adminToken) return res.status(403).json({ error: 'Forbidden' });
+app.post('/api/admin/restore-quiz', access('quiz'), async (req, res) => {
   try {
+    const before = await getKey('scheduledQuiz');
     await setKey('scheduledQuiz', null);
     console.log('[Admin] Quiz restored — visible to players');
+    await audit(req, 'quiz.restore', { before: scheduledQuizSummary(before) });
     res.json({ ok: true });
   } catch (e) {
     res.status(500).json({ error: e.message });
@@ -3260,12 +4028,12 @@ app.post('/api/admin/restore-quiz', async (req, res) => {
 });
 
 // ── DELETE /api/quiz/schedule — cancel a scheduled publish ───
-app.delete('/api/quiz/schedule', async (req, res) => {
-  const adminToken = process.env.ADMIN_TOKEN || 'admin';
-  if (req.headers['x-admin-token'] !== adminToken) return res.status(403).json({ error: 'Forbidden' });
+app.delete('/api/quiz/schedule', access('quiz'), async (req, res) => {
   try {
+    const before = await getKey('scheduledQuiz');
     await setKey('scheduledQuiz', null);
     console.log('[Schedule] Scheduled publish cancelled');
+    await audit(req, 'quiz.unschedule', { target: before && before.date || null, before: scheduledQuizSummary(before) });
     res.json({ ok: true });
   } catch (e) {
     res.status(500).json({ error: e.message });
@@ -3273,25 +4041,27 @@ app.delete('/api/quiz/schedule', async (req, res) => {
 });
 
 // ── GET /api/push-vapid-key — send public key to frontend ────
-app.get('/api/push-vapid-key', (req, res) => {
+app.get('/api/push-vapid-key', access('public'), (req, res) => {
   res.json({ publicKey: process.env.VAPID_PUBLIC_KEY || '' });
 });
 
 // ── POST /api/push-subscribe — store a push subscription ─────
-app.post('/api/push-subscribe', async (req, res) => {
+app.post('/api/push-subscribe', access('public'), async (req, res) => {
   const { playerName, subscription } = req.body || {};
   if (!subscription || !subscription.endpoint) {
     return res.status(400).json({ error: 'subscription required' });
   }
   try {
-    const subs = (await getKey('pushSubscriptions')) || {};
     const key = Buffer.from(subscription.endpoint).toString('base64').slice(-40);
-    subs[key] = {
-      subscription,
-      playerName: (playerName || '').trim(),
-      addedAt: new Date().toISOString()
-    };
-    await setKey('pushSubscriptions', subs);
+    const subs = await store.updateKey('pushSubscriptions', subs => {
+      subs = subs || {};
+      subs[key] = {
+        subscription,
+        playerName: (playerName || '').trim(),
+        addedAt: new Date().toISOString()
+      };
+      return subs;
+    });
     console.log(`[Push] Subscription stored for "${playerName || 'unknown'}" — total: ${Object.keys(subs).length}`);
     res.json({ ok: true });
   } catch (e) {
@@ -3301,14 +4071,16 @@ app.post('/api/push-subscribe', async (req, res) => {
 });
 
 // ── POST /api/push-unsubscribe — remove a push subscription ──
-app.post('/api/push-unsubscribe', async (req, res) => {
+app.post('/api/push-unsubscribe', access('public'), async (req, res) => {
   const { endpoint } = req.body || {};
   if (!endpoint) return res.status(400).json({ error: 'endpoint required' });
   try {
-    const subs = (await getKey('pushSubscriptions')) || {};
     const key = Buffer.from(endpoint).toString('base64').slice(-40);
-    delete subs[key];
-    await setKey('pushSubscriptions', subs);
+    await store.updateKey('pushSubscriptions', subs => {
+      subs = subs || {};
+      delete subs[key];
+      return subs;
+    });
     res.json({ ok: true });
   } catch (e) {
     res.status(500).json({ error: e.message });
@@ -3316,11 +4088,7 @@ app.post('/api/push-unsubscribe', async (req, res) => {
 });
 
 // ── GET /api/push-stats — admin: how many push subscribers ───
-app.get('/api/push-stats', async (req, res) => {
-  const adminToken = process.env.ADMIN_TOKEN || 'admin';
-  if (req.headers['x-admin-token'] !== adminToken) {
-    return res.status(403).json({ error: 'Forbidden' });
-  }
+app.get('/api/push-stats', access('audience'), async (req, res) => {
   const subs = (await getKey('pushSubscriptions')) || {};
   res.json({ count: Object.keys(subs).length });
 });
@@ -3354,7 +4122,7 @@ async function sendPushNotifications(date) {
   await Promise.allSettled(
     entries.map(async ([key, record]) => {
       try {
-        await webpush.sendNotification(record.subscription, payload);
+        await outbound.push(record.subscription, payload);
         sent++;
       } catch (e) {
         if (e.statusCode === 410 || e.statusCode === 404) {
@@ -3370,9 +4138,11 @@ async function sendPushNotifications(date) {
   );
 
   if (toRemove.length) {
-    const freshSubs = (await getKey('pushSubscriptions')) || {};
-    toRemove.forEach(k => delete freshSubs[k]);
-    await setKey('pushSubscriptions', freshSubs);
+    await store.updateKey('pushSubscriptions', freshSubs => {
+      freshSubs = freshSubs || {};
+      toRemove.forEach(k => delete freshSubs[k]);
+      return freshSubs;
+    });
   }
 
   console.log(`[Push] Done — sent: ${sent}, failed: ${failed}, expired/removed: ${expired}`);
@@ -3403,11 +4173,7 @@ function reporterEmailPage(title, body) {
 }
 
 // POST /api/outreach/tokens — upload reporter email tokens from outreach.js
-app.post('/api/outreach/tokens', async (req, res) => {
-  const secret = process.env.OUTREACH_SECRET;
-  if (!secret || req.headers['x-outreach-token'] !== secret) {
-    return res.status(403).json({ error: 'Forbidden' });
-  }
+app.post('/api/outreach/tokens', access('outreach'), async (req, res) => {
   const { tokens } = req.body;
   if (!tokens || typeof tokens !== 'object') return res.status(400).json({ error: 'tokens object required' });
   try {
@@ -3421,11 +4187,7 @@ app.post('/api/outreach/tokens', async (req, res) => {
 });
 
 // GET /api/outreach/contact-log — return Railway contact log for local sync
-app.get('/api/outreach/contact-log', async (req, res) => {
-  const secret = process.env.OUTREACH_SECRET;
-  if (!secret || req.headers['x-outreach-token'] !== secret) {
-    return res.status(403).json({ error: 'Forbidden' });
-  }
+app.get('/api/outreach/contact-log', access('outreach'), async (req, res) => {
   try {
     const log = (await getKey('outreachContactLog')) || [];
     res.json({ log });
@@ -3434,14 +4196,45 @@ app.get('/api/outreach/contact-log', async (req, res) => {
   }
 });
 
+// GET /api/outreach/llm-budget — outreach.js checks this before drafting
+app.get('/api/outreach/llm-budget', access('outreach'), async (req, res) => {
+  try {
+    res.json(await llmBudgetStatus());
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// POST /api/outreach/llm-usage — outreach.js reports the Claude calls it made
+app.post('/api/outreach/llm-usage', access('outreach'), async (req, res) => {
+  const { entries } = req.body;
+  if (!Array.isArray(entries)) return res.status(400).json({ error: 'entries array required' });
+  try {
+    const day = easternToday();
+    for (const e of entries) {
+      if (!e || typeof e.task !== 'string') continue;
+      await store.logLlmUsage({
+        ts: e.ts, day, task: e.task, model: e.model,
+        inputTokens: Number(e.inputTokens) || 0, outputTokens: Number(e.outputTokens) || 0,
+        latencyMs: Number.isFinite(e.latencyMs) ? e.latencyMs : null,
+        costUsd: Number.isFinite(e.costUsd) ? e.costUsd : llm.costOf(e.model, Number(e.inputTokens) || 0, Number(e.outputTokens) || 0),
+        source: 'outreach'
+      });
+    }
+    console.log(`[Outreach] ${entries.length} LLM usage record(s) saved`);
+    res.json({ ok: true, count: entries.length });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
 // GET /api/reporter-email?token=XXX — editable send form (token is the auth)
-app.get('/api/reporter-email', async (req, res) => {
+app.get('/api/reporter-email', access('public'), async (req, res) => {
   const { token } = req.query;
   if (!token) return res.status(400).send(reporterEmailPage('Bad Request', '<p>Missing token.</p>'));
-  let tokens;
-  try { tokens = (await getKey('outreachTokens')) || {}; }
+  let entry;
+  try { entry = await store.getToken('outreach', token); }
   catch (e) { return res.status(500).send(reporterEmailPage('Error', '<p>Database error.</p>')); }
-  const entry = tokens[token];
   if (!entry) {
     return res.status(404).send(reporterEmailPage('Link Expired or Already Used', `
       <p style="font-size:15px;">This send link has already been used or has expired.</p>
@@ -3513,13 +4306,12 @@ app.get('/api/reporter-email', async (req, res) => {
 });
 
 // POST /api/reporter-email — send email and log contact
-app.post('/api/reporter-email', async (req, res) => {
+app.post('/api/reporter-email', access('public'), async (req, res) => {
   const { token, subject, body } = req.body;
   if (!token || !body) return res.status(400).json({ error: 'Missing required fields' });
-  let tokens;
-  try { tokens = (await getKey('outreachTokens')) || {}; }
+  let entry;
+  try { entry = await store.getToken('outreach', token); }
   catch (e) { return res.status(500).json({ error: 'Database error' }); }
-  const entry = tokens[token];
   if (!entry) return res.status(409).json({ error: 'Already sent or link expired.' });
   const apiKey  = process.env.RESEND_API_KEY;
   const fromAddr = process.env.FROM_EMAIL || 'David @ Daily Dispatch Quiz <david@dailydispatchquiz.com>';
@@ -3535,8 +4327,8 @@ app.post('/api/reporter-email', async (req, res) => {
         subject: subject || "Your story in today's Daily Dispatch Quiz",
         text: body
       });
-      const req = https.request({
-        hostname: 'api.resend.com', path: '/emails', method: 'POST',
+      const req = outboundRequest(outbound.resendUrl, '/emails', {
+        method: 'POST',
         headers: { 'Authorization': `Bearer ${apiKey}`, 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) }
       }, r => {
         let d = '';
@@ -3552,48 +4344,65 @@ app.post('/api/reporter-email', async (req, res) => {
     return res.status(500).json({ error: 'Send failed: ' + e.message });
   }
   try {
-    const contactLog = (await getKey('outreachContactLog')) || [];
-    let rec = contactLog.find(c => c.email === entry.reporter.email);
-    if (!rec) { rec = { email: entry.reporter.email, contacts: [] }; contactLog.push(rec); }
-    if (!rec.contacts.some(c => c.date === entry.date && c.storyUrl === entry.storyUrl)) {
-      rec.contacts.push({ date: entry.date, storyUrl: entry.storyUrl, storyTopic: entry.topic.topic || '' });
-      await setKey('outreachContactLog', contactLog);
-    }
+    await store.updateKey('outreachContactLog', contactLog => {
+      contactLog = contactLog || [];
+      let rec = contactLog.find(c => c.email === entry.reporter.email);
+      if (!rec) { rec = { email: entry.reporter.email, contacts: [] }; contactLog.push(rec); }
+      if (!rec.contacts.some(c => c.date === entry.date && c.storyUrl === entry.storyUrl)) {
+        rec.contacts.push({ date: entry.date, storyUrl: entry.storyUrl, storyTopic: entry.topic.topic || '' });
+      }
+      return contactLog;
+    });
   } catch (e) { console.error('[OutreachEmail] Contact log failed:', e.message); }
   try {
-    delete tokens[token];
-    await setKey('outreachTokens', tokens);
+    await store.deleteToken('outreach', token);
   } catch (e) { console.error('[OutreachEmail] Token cleanup failed:', e.message); }
   console.log(`[OutreachEmail] Sent to ${entry.reporter.name} (${entry.reporter.email}) — logged`);
   res.json({ ok: true });
 });
 
 // ── Start ─────────────────────────────────────────────────────
-(async () => {
+// Runs when server.js is launched directly. Requiring it instead (from a
+// harness) gives back the app, start() and the outbound hooks without
+// listening or starting any timers — jobs are the timed tasks start()
+// would schedule, for a harness to run when it likes.
+async function start() {
+  if (!ADMIN_TOKEN) {
+    console.error('[Admin] ADMIN_TOKEN is not set. It is required in production (NODE_ENV=production) — set it in the environment and restart.');
+    process.exit(1);
+  }
   try {
-    pool = await createPool();
     await initDb();
     app.listen(PORT, () => {
       console.log(`Daily Dispatch Quiz running on port ${PORT}`);
-      if (process.env.ANTHROPIC_API_KEY) {
-        console.log('✓ Using Anthropic API');
+      if (llm.isConfigured()) {
+        console.log(llm.providerName() === 'anthropic' ? '✓ Using Anthropic API' : `✓ Using LLM provider '${llm.providerName()}'`);
       } else {
         console.log('⚠ WARNING: ANTHROPIC_API_KEY is not set.');
       }
     });
     // Fetch RSS after DB is ready
-    setTimeout(fetchAndCacheRSS, 5000);
-    scheduleNextRefresh();
+    setTimeout(() => fetchAndCacheRSS().catch(e => console.error('RSS: Startup refresh failed:', e.message)), 5000);
+    rssService.startScheduler({ afterRefresh: generateMorningDraft, onRefreshFailed: skipMorningDraft }); // draft from the fresh cache — see Morning draft
     scheduleStreakNudge();
     // scheduleMonthlyWinner(); // TEMPORARILY DISABLED
     setInterval(checkScheduledPublish, 60000); // check every minute
     checkScheduledPublish(); // check immediately on startup in case of server restart
     setInterval(processPendingBylines, 60000);
     processPendingBylines(); // check immediately on startup in case of server restart
+    setInterval(purgeTrash, 60 * 60 * 1000);
+    purgeTrash();
+    questionBank.seedFromHistory().catch(e => console.error('[Bank] Seeding failed:', e.message));
   } catch (err) {
 console.error('DB init failed:', JSON.stringify(err));    process.exit(1);
   }
-})();
+}
+
+if (require.main === module) start();
+module.exports = {
+  app, start, outbound, listRoutePolicies,
+  jobs: { checkScheduledPublish, processPendingBylines, sendStreakNudges }
+};
 
 // ── Email helper (Resend) ─────────────────────────────────────
 // Single email send (used for unsubscribe confirmations etc.)
@@ -3606,8 +4415,8 @@ async function sendEmail(to, subject, html) {
     to: [to], subject, html
   });
   return new Promise((resolve) => {
-    const req = https.request({
-      hostname: 'api.resend.com', path: '/emails', method: 'POST',
+    const req = outboundRequest(outbound.resendUrl, '/emails', {
+      method: 'POST',
       headers: { 'Authorization': `Bearer ${apiKey}`, 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) }
     }, (res) => {
       let data = '';
@@ -3694,8 +4503,8 @@ async function sendEmailBatch(emails) {
     const chunk = chunks[c];
     const body = JSON.stringify(chunk);
     await new Promise((resolve) => {
-      const req = https.request({
-        hostname: 'api.resend.com', path: '/emails/batch', method: 'POST',
+      const req = outboundRequest(outbound.resendUrl, '/emails/batch', {
+        method: 'POST',
         headers: { 'Authorization': `Bearer ${apiKey}`, 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) }
       }, (res) => {
         let data = '';
@@ -3721,7 +4530,7 @@ async function sendEmailBatch(emails) {
 // ── Shared helper: find subscribers + prospects who haven't played today ──
 async function getNonPlayersToday() {
   const today = easternToday();
-  const data = await readData();
+  const data = await store.getKeys(['scores', 'subscribers', 'prospects']);
   const scores = data.scores || {};
 
   const notPlayedSubs = Object.values(data.subscribers || {}).filter(sub => {
@@ -3744,9 +4553,7 @@ async function getNonPlayersToday() {
 }
 
 // ── GET /api/admin/nudge-preview ──────────────────────────────
-app.get('/api/admin/nudge-preview', async (req, res) => {
-  const adminToken = process.env.ADMIN_TOKEN || 'admin';
-  if (req.headers['x-admin-token'] !== adminToken) return res.status(403).json({ error: 'Forbidden' });
+app.get('/api/admin/nudge-preview', access('audience'), async (req, res) => {
   try {
     const { notPlayed } = await getNonPlayersToday();
     res.json({ notPlayed });
@@ -3756,9 +4563,7 @@ app.get('/api/admin/nudge-preview', async (req, res) => {
 });
 
 // ── POST /api/admin/send-nudge ────────────────────────────────
-app.post('/api/admin/send-nudge', async (req, res) => {
-  const adminToken = process.env.ADMIN_TOKEN || 'admin';
-  if (req.headers['x-admin-token'] !== adminToken) return res.status(403).json({ error: 'Forbidden' });
+app.post('/api/admin/send-nudge', access('audience'), async (req, res) => {
   const { subject, message } = req.body;
   if (!subject || !message) return res.status(400).json({ error: 'subject and message required' });
   try {
@@ -3800,14 +4605,12 @@ app.post('/api/admin/send-nudge', async (req, res) => {
   }
 });
 
-app.post('/api/admin/message/bulk', async (req, res) => {
-  const adminToken = process.env.ADMIN_TOKEN || 'admin';
-  if (req.headers['x-admin-token'] !== adminToken) return res.status(403).json({ error: 'Forbidden' });
+app.post('/api/admin/message/bulk', access('audience'), async (req, res) => {
   const { subject, body, recipients, audience } = req.body;
   if (!subject || !body) return res.status(400).json({ error: 'subject and body required' });
 
   const siteUrl = process.env.SITE_URL || 'https://dailydispatchquiz.com';
-  const data = await readData();
+  const data = await store.getKeys(['subscribers', 'prospects']);
 
   let targets;
   if (Array.isArray(recipients) && recipients.length) {
@@ -3868,6 +4671,7 @@ app.post('/api/admin/message/bulk', async (req, res) => {
 
   await sendEmailBatch(emails);
   console.log(`[Admin] Bulk message sent to ${emails.length} recipient(s): "${subject}"`);
+  await audit(req, 'message.bulk', { target: subject, after: { recipients: targets.map(t => t.email) } });
   res.json({ ok: true, message: `Sent to ${emails.length} recipient${emails.length !== 1 ? 's' : ''}` });
 });
 
@@ -3920,7 +4724,7 @@ function buildSubscribePageHtml({ eyebrowNote, iconHtml, headline, subline, acti
 // GET /subscribe — read-only landing page. Never mutates data itself (so link-scanning
 // email security software that prefetches this URL can't silently subscribe anyone) —
 // the actual subscribe only happens via the confirm button's POST to /subscribe/confirm.
-app.get('/subscribe', async (req, res) => {
+app.get('/subscribe', access('public'), async (req, res) => {
   const email = (req.query.email || '').toLowerCase().trim();
   const name  = (req.query.name  || '').trim().slice(0, 40);
   const siteUrl = process.env.SITE_URL || 'https://dailydispatchquiz.com';
@@ -3928,8 +4732,7 @@ app.get('/subscribe', async (req, res) => {
   if (!email || !email.includes('@')) return res.status(400).send('Invalid email address.');
 
   try {
-    const data = await readData();
-    const alreadyActive = data.subscribers && data.subscribers[email]?.active === true;
+    const alreadyActive = (await store.getSubscriber(email))?.active === true;
 
     if (alreadyActive) {
       return res.send(buildSubscribePageHtml({
@@ -3979,22 +4782,19 @@ app.get('/subscribe', async (req, res) => {
 
 // POST /subscribe/confirm — the actual state-changing action, only ever reached via a
 // real click on the confirm button above (never triggered by a GET-only link prefetch/scan).
-app.post('/subscribe/confirm', async (req, res) => {
+app.post('/subscribe/confirm', access('public'), async (req, res) => {
   const email = (req.body?.email || '').toLowerCase().trim();
   const name  = (req.body?.name  || '').trim().slice(0, 40);
   if (!email || !email.includes('@')) return res.status(400).json({ error: 'Invalid email address.' });
 
   try {
-    const data = await readData();
-    if (!data.subscribers) data.subscribers = {};
-    data.subscribers[email] = {
+    await store.updateSubscriber(email, existing => ({
       name,
       email,
-      subscribedAt: data.subscribers[email]?.subscribedAt || new Date().toISOString(),
+      subscribedAt: existing?.subscribedAt || new Date().toISOString(),
       active: true
-    };
-    if (data.prospects && data.prospects[email]) data.prospects[email].active = false;
-    await writeData(data);
+    }));
+    await store.patchProspects({ [email]: { active: false } });
     console.log(`[Subscribe] ${name} <${email}> subscribed via confirmed one-click link`);
     res.json({ ok: true });
   } catch (e) {
@@ -4006,104 +4806,72 @@ app.post('/subscribe/confirm', async (req, res) => {
 // ── Prospects ─────────────────────────────────────────────────
 // Stored as data.prospects = { email: { name, email, addedAt, active } }
 
-app.get('/api/prospects', async (req, res) => {
-  const adminToken = process.env.ADMIN_TOKEN || 'admin';
-  if (req.headers['x-admin-token'] !== adminToken) {
-    return res.status(403).json({ error: 'Forbidden' });
-  }
+app.get('/api/prospects', access('audience'), async (req, res) => {
 
-  const data = await readData();
-  const prospects = Object.values(data.prospects || {})
+  const prospects = Object.values((await getKey('prospects')) || {})
     .filter(p => p.active !== false)
     .sort((a, b) => new Date(b.addedAt) - new Date(a.addedAt));
 
   res.json({ prospects });
 });
 
-app.post('/api/prospects', async (req, res) => {
-  const adminToken = process.env.ADMIN_TOKEN || 'admin';
-  if (req.headers['x-admin-token'] !== adminToken) {
-    return res.status(403).json({ error: 'Forbidden' });
-  }
+app.post('/api/prospects', access('audience'), async (req, res) => {
 
   const { prospects } = req.body;
   if (!Array.isArray(prospects)) {
     return res.status(400).json({ error: 'prospects array required' });
   }
 
-  const data = await readData();
-  if (!data.prospects) data.prospects = {};
-  if (!data.subscribers) data.subscribers = {};
-
+  const subscribers = (await getKey('subscribers')) || {};
   let added = 0, existing = 0;
 
-  for (const { name, email } of prospects) {
-    if (!email || !email.includes('@')) continue;
+  await store.updateKey('prospects', current => {
+    current = current || {};
+    for (const { name, email } of prospects) {
+      if (!email || !email.includes('@')) continue;
 
-    const key = email.toLowerCase().trim();
+      const key = email.toLowerCase().trim();
 
-    // Skip if already an active subscriber
-    if (data.subscribers[key]?.active) { existing++; continue; }
-    if (data.prospects[key] && data.prospects[key].active !== false) { existing++; continue; }
-
-    data.prospects[key] = {
-      name: (name || '').trim().slice(0, 40),
-      email: key,
-      addedAt: new Date().toISOString(),
-      active: true
-    };
-    added++;
-  }
+      // Skip if already an active subscriber
+      if (subscribers[key]?.active) { existing++; continue; }
+      if (current[key] && current[key].active !== false) { existing++; continue; }
 
-  await writeData(data);
+      current[key] = {
+        name: (name || '').trim().slice(0, 40),
+        email: key,
+        addedAt: new Date().toISOString(),
+        active: true
+      };
+      added++;
+    }
+    return current;
+  });
   console.log(`[Prospects] Imported ${added} new, ${existing} existing`);
   res.json({ ok: true, added, existing });
 });
 
-app.get('/api/prospect-pause', async (req, res) => {
-  const data = await readData();
-  res.json({ paused: !!data.prospectsPaused });
+app.get('/api/prospect-pause', access('audience'), async (req, res) => {
+  res.json({ paused: !!(await getKey('prospectsPaused')) });
 });
 
-app.post('/api/prospect-pause', async (req, res) => {
-  const adminToken = process.env.ADMIN_TOKEN || 'admin';
-  if (req.headers['x-admin-token'] !== adminToken) {
-    return res.status(403).json({ error: 'Forbidden' });
-  }
+app.post('/api/prospect-pause', access('audience'), async (req, res) => {
 
   const { paused } = req.body;
-  const data = await readData();
-  data.prospectsPaused = !!paused;
-  await writeData(data);
-  res.json({ ok: true, paused: data.prospectsPaused });
+  await setKey('prospectsPaused', !!paused);
+  res.json({ ok: true, paused: !!paused });
 });
 
-app.delete('/api/prospects/:email', async (req, res) => {
-  const adminToken = process.env.ADMIN_TOKEN || 'admin';
-  if (req.headers['x-admin-token'] !== adminToken) {
-    return res.status(403).json({ error: 'Forbidden' });
-  }
+app.delete('/api/prospects/:email', access('audience'), async (req, res) => {
 
   const email = decodeURIComponent(req.params.email).toLowerCase().trim();
-  const data = await readData();
-
-  if (data.prospects && data.prospects[email]) {
-    data.prospects[email].active = false;
-    await writeData(data);
-  }
+  await store.patchProspects({ [email]: { active: false } });
 
   res.json({ ok: true });
 });
 
-app.delete('/api/prospects', async (req, res) => {
-  const adminToken = process.env.ADMIN_TOKEN || 'admin';
-  if (req.headers['x-admin-token'] !== adminToken) {
-    return res.status(403).json({ error: 'Forbidden' });
-  }
+app.delete('/api/prospects', access('audience'), async (req, res) => {
 
-  const data = await readData();
-  data.prospects = {};
-  await writeData(data);
+  await setKey('prospects', {});
   res.json({ ok: true });
 });
 
@@ -4123,8 +4891,8 @@ function calcStreak(dailyScores) {
 // ── Streak nudge emails — 7pm Eastern daily ───────────────────
 async function sendStreakNudges() {
   const today = easternToday();
-  const data = await readData();
-  if (!data.quizzes || !data.quizzes[today]) { console.log('[StreakNudge] No quiz today — skipping.'); return; }
+  if (!(await store.getQuiz(today))) { console.log('[StreakNudge] No quiz today — skipping.'); return; }
+  const data = await store.getKeys(['emailPaused', 'subscribers', 'scores']);
   if (data.emailPaused) { console.log('[StreakNudge] Emails paused — skipping.'); return; }
   const subscribers = data.subscribers || {};
   const scores = data.scores || {};
@@ -4198,7 +4966,7 @@ async function announceMonthlyWinner() {
     }
     await setKey('monthlyWinnerAnnounced_' + monthPrefix, true);
 
-    const data = await readData();
+    const data = await store.getKeys(['scores', 'subscribers', 'prospects']);
     const scores = data.scores || {};
     const siteUrl = process.env.SITE_URL || 'https://dailydispatchquiz.com';
 
@@ -4231,25 +4999,31 @@ async function announceMonthlyWinner() {
     const winners = entries.filter(e => e.monthlyScore === topScore);
 
     // Award mug to winner(s)
+    const mugPatches = {};
     for (const winner of winners) {
-      data.subscribers[winner.email].mugWon = true;
-      data.subscribers[winner.email].mugWonAt = new Date().toISOString();
-      data.subscribers[winner.email].mugWonReason = `monthly_${monthPrefix}`;
+      mugPatches[winner.email] = {
+        mugWon: true,
+        mugWonAt: new Date().toISOString(),
+        mugWonReason: `monthly_${monthPrefix}`
+      };
       console.log(`[MonthlyWinner] 🏆 ${winner.displayName} (${winner.email}) — ${winner.monthlyScore} pts`);
     }
+    await store.patchSubscribers(mugPatches);
 
     // Store winner for leaderboard display
-    if (!data.monthlyWinners) data.monthlyWinners = [];
-    for (const winner of winners) {
-      data.monthlyWinners.push({
-        month: monthPrefix,
-        monthName,
-        playerName: winner.displayName,
-        score: winner.monthlyScore,
-        announcedAt: new Date().toISOString()
-      });
-    }
-    await writeData(data);
+    await store.updateKey('monthlyWinners', monthlyWinners => {
+      monthlyWinners = monthlyWinners || [];
+      for (const winner of winners) {
+        monthlyWinners.push({
+          month: monthPrefix,
+          monthName,
+          playerName: winner.displayName,
+          score: winner.monthlyScore,
+          announcedAt: new Date().toISOString()
+        });
+      }
+      return monthlyWinners;
+    });
 
     // Send winner email(s)
     for (const winner of winners) {
@@ -4341,20 +5115,17 @@ async function checkScheduledPublish() {
       return;
     }
 
-    const { quiz } = scheduled;
-    const date = new Date().toLocaleDateString('en-CA', { timeZone: 'America/New_York' });    const data = await readData();
-    if (!data.quizzes) data.quizzes = {};
-    if (data.quizzes[date]) {
+    const quiz = withoutDraftFields(scheduled.quiz);
+    const date = new Date().toLocaleDateString('en-CA', { timeZone: 'America/New_York' });
+    if (!(await store.addQuiz(date, quiz))) {
       console.log(`[Schedule] Quiz already published for ${date} — skipping overwrite, sending emails only.`);
     } else {
-      data.quizzes[date] = quiz;
+      questionBank.recordPublishedQuiz(date, quiz.questions)
+        .catch(e => console.error('[Bank] Filing quiz failed:', e.message));
     }
-    const keys = Object.keys(data.quizzes).sort();
-    if (keys.length > 14) keys.slice(0, keys.length - 14).forEach(k => delete data.quizzes[k]);
-    await writeData(data);
 
     const siteUrl = process.env.SITE_URL || 'https://dailydispatchquiz.com';
-    const freshData = await readData();
+    const freshData = await store.getKeys(PUBLISH_EMAIL_KEYS);
 
     if (!freshData.emailSentDates) freshData.emailSentDates = [];
     if (freshData.emailSentDates.includes(date)) {
@@ -4402,15 +5173,11 @@ async function checkScheduledPublish() {
       const yd = new Date(date + 'T12:00:00');
       yd.setDate(yd.getDate() - 1);
       const yesterday = yd.toISOString().slice(0, 10);
-      const yesterdayProgress = (await getKey('progress') || {})[yesterday] || {};
-      const yesterdayQuiz = (freshData.quizzes || {})[yesterday] || null;
-
-      const tokens = (await getKey('emailTokens')) || {};
-      const tokenCutoff = new Date();
-      tokenCutoff.setDate(tokenCutoff.getDate() - 2);
-      Object.keys(tokens).forEach(t => {
-        if (new Date(tokens[t].date + 'T12:00:00') < tokenCutoff) delete tokens[t];
-      });
+      const yesterdayProgress = await store.getProgressForDate(yesterday);
+      const yesterdayQuiz = await store.getQuiz(yesterday);
+
+      await store.pruneTokens('email', dateDaysAgo(2));
+      const tokens = {};
 
       const q1 = quiz.questions && quiz.questions[0];
       const updatedSubscribers = [];
@@ -4460,17 +5227,11 @@ async function checkScheduledPublish() {
         });
       }
 
-      await setKey('emailTokens', tokens);
-      const subData = await readData();
-      if (subData.subscribers) {
-        updatedSubscribers.forEach(sub => {
-          if (subData.subscribers[sub.email]) {
-            subData.subscribers[sub.email].abGroup = sub.abGroup;
-            if (sub.referralCode) subData.subscribers[sub.email].referralCode = sub.referralCode;
-          }
-        });
-        await writeData(subData);
-      }
+      await store.putTokens('email', tokens);
+      await store.patchSubscribers(Object.fromEntries(updatedSubscribers.map(sub => [sub.email, {
+        abGroup: sub.abGroup,
+        ...(sub.referralCode && { referralCode: sub.referralCode })
+      }])));
       await sendEmailBatch(emails);
       sentAnyEmails = true;
     }
@@ -4480,7 +5241,7 @@ async function checkScheduledPublish() {
       : Object.values(freshData.prospects || {}).filter(p => p.active !== false);
 
     if (activeProspects.length > 0) {
-      const tokens = (await getKey('emailTokens')) || {};
+      const tokens = {};
       const q1 = quiz.questions && quiz.questions[0];
       const updatedProspects = [];
       const prospectEmails = [];
@@ -4530,24 +5291,18 @@ async function checkScheduledPublish() {
         });
       }
 
-      await setKey('emailTokens', tokens);
-      const prospectData = await readData();
-      if (prospectData.prospects) {
-        updatedProspects.forEach(p => {
-          const k = (p.email || '').toLowerCase().trim();
-          if (prospectData.prospects[k]) prospectData.prospects[k].abGroup = p.abGroup;
-        });
-        await writeData(prospectData);
-      }
+      await store.putTokens('email', tokens);
+      await store.patchProspects(Object.fromEntries(updatedProspects.map(p => [
+        (p.email || '').toLowerCase().trim(), { abGroup: p.abGroup }
+      ])));
       await sendEmailBatch(prospectEmails);
       sentAnyEmails = true;
     }
 
     await sendPushNotifications(date);
     if (sentAnyEmails) {
-      freshData.emailSentDates = [...(freshData.emailSentDates || []), date].slice(-30);
-      if (shouldIncludeEditorMessage) freshData.communityMessageLastSent = communityMessage;
-      await writeData(freshData);
+      await store.updateKey('emailSentDates', sent => [...(sent || []), date].slice(-30));
+      if (shouldIncludeEditorMessage) await setKey('communityMessageLastSent', communityMessage);
     }
     console.log(`[Schedule] Publish complete for ${date}`);
   } catch (e) {
@@ -4601,19 +5356,17 @@ function scheduleStreakNudge() {
 // ── Message board ─────────────────────────────────────────────
 // Posts stored as data.posts = [{ id, playerName, text, createdAt, deleted }]
 
-app.get('/api/posts', async (req, res) => {
-  const data = await readData();
-  const posts = (data.posts || []).filter(p => !p.deleted);
+app.get('/api/posts', access('public'), async (req, res) => {
+  const posts = ((await getKey('posts')) || []).filter(p => !p.deleted);
   res.json({ posts });
 });
 
-app.post('/api/posts', async (req, res) => {
+app.post('/api/posts', access('public'), async (req, res) => {
   const { playerName, text, isEditorReply, replyTo } = req.body;
+  if (isEditorReply && !adminCan(req, 'community')) return res.status(403).json({ error: 'Forbidden' });
   if (!playerName || !playerName.trim()) return res.status(400).json({ error: 'Player name required.' });
   if (!text || !text.trim()) return res.status(400).json({ error: 'Message text required.' });
   if (text.length > 500) return res.status(400).json({ error: 'Message too long (500 char max).' });
-  const data = await readData();
-  if (!data.posts) data.posts = [];
   const post = {
     id: Date.now().toString(),
     playerName: playerName.trim().slice(0, 40),
@@ -4622,9 +5375,11 @@ app.post('/api/posts', async (req, res) => {
     ...(isEditorReply && { isEditorReply: true }),
     ...(replyTo && { replyTo })
   };
-  data.posts.unshift(post); // newest first
-  if (data.posts.length > 200) data.posts = data.posts.slice(0, 200); // cap at 200
-  await writeData(data);
+  await store.updateKey('posts', posts => {
+    posts = posts || [];
+    posts.unshift(post); // newest first
+    return posts.length > 200 ? posts.slice(0, 200) : posts; // cap at 200
+  });
   // ── Notify admin of new community post ──
   try {
     const adminEmail = process.env.EDITOR_EMAIL || 'your@email.com';
@@ -4654,39 +5409,47 @@ app.post('/api/posts', async (req, res) => {
   res.json({ ok: true, post });
 });
 
-app.delete('/api/posts/:id', async (req, res) => {
-  const data = await readData();
-  const post = (data.posts || []).find(p => p.id === req.params.id);
-  if (!post) return res.status(404).json({ error: 'Post not found.' });
-  post.deleted = true;
-  await writeData(data);
-  res.json({ ok: true });
+app.delete('/api/posts/:id', access('community'), async (req, res) => {
+  let found = null;
+  await store.updateKey('posts', posts => {
+    const post = (posts || []).find(p => p.id === req.params.id && !p.deleted);
+    if (post) { post.deleted = true; found = post; }
+    return posts;
+  });
+  if (!found) return res.status(404).json({ error: 'Post not found.' });
+  const trashed = await moveToTrash(req, 'post', found.id, `${found.playerName}: ${String(found.text || '').slice(0, 60)}`, null);
+  await audit(req, 'post.delete', { target: found.id, before: { deleted: false }, after: { deleted: true } });
+  res.json({ ok: true, trashId: trashed.id });
 });
 
-app.patch('/api/posts/:id', async (req, res) => {
+app.patch('/api/posts/:id', access('community'), async (req, res) => {
   const { text } = req.body;
   if (!text || !text.trim()) return res.status(400).json({ error: 'Text required.' });
   if (text.length > 500) return res.status(400).json({ error: 'Message too long.' });
-  const data = await readData();
-  const post = (data.posts || []).find(p => p.id === req.params.id);
-  if (!post) return res.status(404).json({ error: 'Post not found.' });
-  post.text = text.trim();
-  post.editedAt = new Date().toISOString();
-  await writeData(data);
+  let found = null;
+  await store.updateKey('posts', posts => {
+    const post = (posts || []).find(p => p.id === req.params.id);
+    if (post) {
+      found = { text: post.text };
+      post.text = text.trim();
+      post.editedAt = new Date().toISOString();
+    }
+    return posts;
+  });
+  if (!found) return res.status(404).json({ error: 'Post not found.' });
+  await audit(req, 'post.edit', { target: req.params.id, before: found, after: { text: text.trim() } });
   res.json({ ok: true });
 });
 
 // ── Contact the Editor ────────────────────────────────────────
 // Messages stored as data.messages = [{ id, playerName, text, createdAt, read }]
 
-app.post('/api/contact', async (req, res) => {
+app.post('/api/contact', access('public'), async (req, res) => {
   const { playerName, text } = req.body;
   if (!playerName || !playerName.trim()) return res.status(400).json({ error: 'Player name required.' });
   if (!text || !text.trim()) return res.status(400).json({ error: 'Message required.' });
   if (text.length > 1000) return res.status(400).json({ error: 'Message too long (1000 char max).' });
 
-  const data = await readData();
-  if (!data.messages) data.messages = [];
   const msg = {
     id: Date.now().toString(),
     playerName: playerName.trim().slice(0, 40),
@@ -4694,8 +5457,7 @@ app.post('/api/contact', async (req, res) => {
     createdAt: new Date().toISOString(),
     read: false
   };
-  data.messages.unshift(msg);
-  await writeData(data);
+  await store.updateKey('messages', messages => [msg, ...(messages || [])]);
 
   // Forward to editor's email
   const editorEmail = process.env.EDITOR_EMAIL;
@@ -4715,14 +5477,15 @@ app.post('/api/contact', async (req, res) => {
   res.json({ ok: true });
 });
 
-app.get('/api/messages', async (req, res) => {
-  const data = await readData();
-  res.json({ messages: data.messages || [] });
+app.get('/api/messages', access('community'), async (req, res) => {
+  res.json({ messages: (await getKey('messages')) || [] });
 });
 
-app.post('/api/messages/:id/read', async (req, res) => {
-  const data = await readData();
-  const msg = (data.messages || []).find(m => m.id === req.params.id);
-  if (msg) { msg.read = true; await writeData(data); }
+app.post('/api/messages/:id/read', access('community'), async (req, res) => {
+  await store.updateKey('messages', messages => {
+    const msg = (messages || []).find(m => m.id === req.params.id);
+    if (msg) msg.read = true;
+    return messages;
+  });
   res.json({ ok: true });
 });
\ No newline at end of file
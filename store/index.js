@@ -0,0 +1,29 @@
+'use strict';
+
+const path = require('path');
+
+// ── Backend selection ─────────────────────────────────────────
+// Every backend exports the same functions (getKey/setKey/updateKey plus
+// the row-level helpers), so the rest of the app never knows which one
+// it's talking to. STORE_BACKEND picks it:
+//
+//   postgres  (default) the production database — see postgres.js
+//   memory    plain objects in this process; empty on every boot
+//   file      the memory backend, saved to STORE_FILE after each write
+//             (default ./.data/store.json) and reloaded at startup. Keep it
+//             under a dot-directory: express.static serves the app folder
+//             but skips dotfiles.
+//
+// memory/file are for running the app locally or in CI with no database.
+// They hold one process's data only — never point two servers at them.
+const backend = (process.env.STORE_BACKEND || 'postgres').trim().toLowerCase();
+
+if (backend === 'postgres') {
+  module.exports = require('./postgres');
+} else if (backend === 'memory') {
+  module.exports = require('./memory').createMemoryStore();
+} else if (backend === 'file') {
+  module.exports = require('./memory').createMemoryStore({ file: process.env.STORE_FILE || path.join('.data', 'store.json') });
+} else {
+  throw new Error(`Unknown STORE_BACKEND '${backend}' — expected postgres, memory or file`);
+}
@@ -0,0 +1,605 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+// ── In-memory store ───────────────────────────────────────────
+// The same API as postgres.js, kept in the legacy blob shapes: state.scores
+// is exactly what getKey('scores') returns, state.progress[date][key] is a
+// progress record, and so on, so each row-level helper is a few lines of
+// object access. Records are normalised on write the way the Postgres
+// row conversion would, and copied on the way in and out so a caller can
+// never mutate stored state behind the store's back.
+//
+// All writes go through one queue. updateKey()/updateProgress() callbacks
+// may await, and no other write runs until they finish — the same
+// guarantee the Postgres locks give. As there, a callback must not write
+// to the store itself (it would wait on its own turn).
+
+// Table-backed keys read as an empty map/array rather than null, as they
+// do in Postgres.
+const TABLE_DEFAULTS = {
+  scores: () => ({}), progress: () => ({}), emailEvents: () => [], auditLog: () => [], llmUsage: () => [],
+  questionOutcomes: () => ({}), questionBank: () => ({}), newsSources: () => ({}), subscribers: () => ({}), prospects: () => ({}), quizzes: () => ({}),
+  emailTokens: () => ({}), outreachTokens: () => ({})
+};
+const KEYED_MAPS = ['subscribers', 'prospects', 'quizzes', 'emailTokens', 'outreachTokens'];
+const TOKEN_KEYS = { email: 'emailTokens', outreach: 'outreachTokens' };
+
+const copy = v => (v === undefined || v === null ? null : JSON.parse(JSON.stringify(v)));
+const byKey = ([a], [b]) => (a < b ? -1 : a > b ? 1 : 0);
+const sortKeys = obj => Object.fromEntries(Object.entries(obj || {}).sort(byKey));
+const isRecord = v => !!v && typeof v === 'object';
+
+// JS twin of normPlayerKey() in server.js.
+const normName = s => String(s ?? '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+// What Postgres' `data->>'field'` would give: text, or null for a missing key.
+function fieldText(v) {
+  if (v === undefined || v === null) return null;
+  return typeof v === 'object' ? JSON.stringify(v) : String(v);
+}
+
+// ── Record normalisation ──────────────────────────────────────
+// Mirrors the row ⇄ legacy-shape round trip in postgres.js, so a record
+// reads back the same whichever backend stored it.
+
+function normPlayer(playerKey, p) {
+  const { displayName, allTime, maxStreak, dailyScores, ...extra } = p;
+  const player = { ...extra, displayName: displayName || playerKey, allTime: Math.round(Number(allTime) || 0), dailyScores: {} };
+  if (Number.isFinite(Number(maxStreak)) && maxStreak !== null) player.maxStreak = Math.round(Number(maxStreak));
+  for (const [date, score] of Object.entries(dailyScores || {}).sort(byKey)) {
+    player.dailyScores[date] = Math.round(Number(score) || 0);
+  }
+  return player;
+}
+
+function normAnswers(answers) {
+  const list = [];
+  for (const [qKey, a] of Object.entries(answers || {})) {
+    if (!/^q\d+$/.test(qKey) || !a) continue;
+    const answer = {};
+    if (Number.isInteger(a.chosen)) answer.chosen = a.chosen;
+    if (typeof a.correct === 'boolean') answer.correct = a.correct;
+    if (Number.isFinite(Number(a.pts)) && a.pts !== null) answer.pts = Math.round(Number(a.pts));
+    list.push([parseInt(qKey.slice(1), 10), answer]);
+  }
+  list.sort((x, y) => x[0] - y[0]);
+  return Object.fromEntries(list.map(([qIdx, answer]) => ['q' + qIdx, answer]));
+}
+
+function normProgress(record) {
+  const { score, completed, currentQ, synthetic, displayName, updatedAt, answers, ...extra } = record;
+  const out = {
+    ...extra,
+    score: Number.isFinite(Number(score)) ? Math.round(Number(score)) : null,
+    completed: !!completed,
+    synthetic: !!synthetic
+  };
+  if (displayName !== undefined && displayName !== null) out.displayName = displayName;
+  if (updatedAt !== undefined && updatedAt !== null) out.updatedAt = updatedAt;
+  if (Number.isInteger(currentQ)) out.currentQ = currentQ;
+  const normalised = normAnswers(answers);
+  if (Number.isInteger(currentQ) || Object.keys(normalised).length) out.answers = normalised;
+  return out;
+}
+
+function normEvent(e, id) {
+  const { id: _id, event, email, date, ts, ...meta } = e;
+  return { ...meta, id, event, email: email ?? null, date: date ?? null, ts: ts || new Date().toISOString() };
+}
+
+// ── Factory ───────────────────────────────────────────────────
+// createMemoryStore() gives an empty store; each call is independent, so
+// tests can start from a clean slate. With { file } the whole state is
+// loaded from that JSON file if it exists and rewritten (temp file +
+// rename) after every write.
+function createMemoryStore({ file } = {}) {
+  const filePath = file ? path.resolve(file) : null;
+  let state = {};
+  if (filePath && fs.existsSync(filePath)) state = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  let nextEventId = 1 + Math.max(0, ...(state.emailEvents || []).map(e => Number(e.id) || 0));
+  let nextAuditId = 1 + Math.max(0, ...(state.auditLog || []).map(e => e.id));
+
+  // Live reference to a key's stored value, creating table defaults on demand.
+  function table(key) {
+    if (state[key] === undefined && TABLE_DEFAULTS[key]) state[key] = TABLE_DEFAULTS[key]();
+    return state[key];
+  }
+
+  function save() {
+    if (!filePath) return;
+    try {
+      const tmp = filePath + '.tmp';
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(tmp, JSON.stringify(state));
+      fs.renameSync(tmp, filePath);
+    } catch (e) { console.error('Store file write error', filePath, e.message); }
+  }
+
+  let queue = Promise.resolve();
+  function write(fn) {
+    const run = queue.then(async () => {
+      const result = await fn();
+      save();
+      return result;
+    });
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  // ── Primitive key/value helpers ─────────────────────────────
+  function readValue(key) {
+    const value = table(key);
+    if (key === 'scores' || key === 'progress' || KEYED_MAPS.includes(key)) return copy(sortKeys(value));
+    return copy(value);
+  }
+
+  function writeValue(key, value) {
+    const v = copy(value);
+    if (key === 'scores') {
+      state.scores = {};
+      for (const [playerKey, p] of Object.entries(v || {})) if (isRecord(p)) state.scores[playerKey] = normPlayer(playerKey, p);
+    } else if (key === 'progress') {
+      state.progress = {};
+      for (const [date, players] of Object.entries(v || {})) {
+        for (const [playerKey, record] of Object.entries(players || {})) {
+          if (isRecord(record)) (state.progress[date] = state.progress[date] || {})[playerKey] = normProgress(record);
+        }
+      }
+    } else if (key === 'emailEvents') {
+      // Same rule as the Postgres adapter: events keep their id, ids missing
+      // from the array are dropped, events without one are appended.
+      const list = Array.isArray(v) ? v.filter(isRecord) : [];
+      const keep = new Set(list.filter(e => e.id !== undefined).map(e => String(e.id)));
+      state.emailEvents = [
+        ...table('emailEvents').filter(e => keep.has(String(e.id))),
+        ...list.filter(e => e.id === undefined).map(e => normEvent(e, nextEventId++))
+      ];
+    } else if (KEYED_MAPS.includes(key)) {
+      state[key] = Object.fromEntries(Object.entries(v || {}).filter(([, entry]) => isRecord(entry)));
+    } else {
+      state[key] = v;
+    }
+  }
+
+  async function initDb() {
+    console.log(filePath
+      ? `DB: file store ready at ${filePath}.`
+      : 'DB: in-memory store ready — nothing is persisted.');
+  }
+
+  async function getKey(key) {
+    return readValue(key);
+  }
+
+  async function getKeys(keys) {
+    const out = {};
+    for (const k of keys) {
+      const value = readValue(k);
+      if (value !== null) out[k] = value;
+    }
+    return out;
+  }
+
+  async function setKey(key, value) {
+    await write(() => writeValue(key, value));
+    return true;
+  }
+
+  async function updateKey(key, fn) {
+    return write(async () => {
+      const current = readValue(key);
+      const returned = await fn(current);
+      const next = returned === undefined ? current : returned;
+      writeValue(key, next);
+      return next;
+    });
+  }
+
+  // ── Players & daily results ─────────────────────────────────
+  async function getPlayer(playerKey) {
+    return copy(table('scores')[playerKey]);
+  }
+
+  async function recordDailyScore(playerKey, date, score, { displayName, maxStreak } = {}) {
+    return write(() => {
+      const scores = table('scores');
+      const player = scores[playerKey] || { displayName: displayName || playerKey, allTime: 0, dailyScores: {} };
+      player.dailyScores[date] = Math.round(Number(score) || 0);
+      player.allTime = Object.values(player.dailyScores).reduce((sum, s) => sum + s, 0);
+      if (Number.isFinite(maxStreak)) player.maxStreak = Math.max(player.maxStreak || 0, maxStreak);
+      scores[playerKey] = normPlayer(playerKey, player);
+      return copy(scores[playerKey]);
+    });
+  }
+
+  async function deletePlayer(playerKey) {
+    return write(() => {
+      const scores = table('scores');
+      const player = scores[playerKey];
+      if (!player) return null;
+      delete scores[playerKey];
+      return copy(player);
+    });
+  }
+
+  async function getProgress(date, playerKey) {
+    return copy((table('progress')[date] || {})[playerKey]);
+  }
+
+  async function getProgressForDate(date) {
+    return copy(sortKeys(table('progress')[date]));
+  }
+
+  function putProgressRecord(date, playerKey, record) {
+    const progress = table('progress');
+    (progress[date] = progress[date] || {})[playerKey] = normProgress(copy(record));
+  }
+
+  async function updateProgress(date, playerKey, fn) {
+    return write(async () => {
+      const current = await getProgress(date, playerKey);
+      const returned = await fn(current);
+      const next = returned === undefined ? current : returned;
+      if (next) putProgressRecord(date, playerKey, next);
+      return next || null;
+    });
+  }
+
+  async function saveProgress(date, playerKey, record) {
+    await updateProgress(date, playerKey, () => record);
+  }
+
+  async function lockAnswer(date, playerKey, qIdx, { chosen, correct, pts }, displayName) {
+    return write(() => {
+      const now = new Date().toISOString();
+      const record = copy((table('progress')[date] || {})[playerKey]) || { updatedAt: now };
+      record.score = record.score ?? 0;
+      record.currentQ = record.currentQ ?? 0;
+      record.displayName = record.displayName ?? displayName;
+      record.answers = record.answers || {};
+      if (record.answers['q' + qIdx]) {
+        putProgressRecord(date, playerKey, record);
+        return false;
+      }
+      record.answers['q' + qIdx] = { chosen, correct, pts };
+      if (!record.completed) {
+        record.synthetic = false;
+        record.updatedAt = now;
+        record.score = Object.values(record.answers).reduce((sum, a) => sum + (Number(a.pts) || 0), 0);
+      }
+      putProgressRecord(date, playerKey, record);
+      return true;
+    });
+  }
+
+  async function pruneProgress({ dropBefore, detailBefore }) {
+    await write(() => {
+      const progress = table('progress');
+      for (const date of Object.keys(progress)) {
+        if (date < dropBefore) { delete progress[date]; continue; }
+        if (date >= detailBefore) continue;
+        for (const [playerKey, r] of Object.entries(progress[date])) {
+          progress[date][playerKey] = normProgress({ score: r.score, completed: r.completed, synthetic: r.synthetic, displayName: r.displayName });
+        }
+      }
+    });
+  }
+
+  // ── Quizzes ─────────────────────────────────────────────────
+  async function getQuiz(date) {
+    return copy(table('quizzes')[date]);
+  }
+
+  async function listQuizDates() {
+    return Object.keys(table('quizzes')).sort();
+  }
+
+  async function putQuiz(date, quiz) {
+    await write(() => { table('quizzes')[date] = copy(quiz); });
+  }
+
+  async function addQuiz(date, quiz) {
+    return write(() => {
+      const quizzes = table('quizzes');
+      if (quizzes[date]) return false;
+      quizzes[date] = copy(quiz);
+      return true;
+    });
+  }
+
+  async function listQuizzes({ since = null, until = null, limit = null, offset = 0 } = {}) {
+    const quizzes = table('quizzes');
+    const dates = Object.keys(quizzes).filter(d => (!since || d >= since) && (!until || d <= until)).sort().reverse();
+    const page = dates.slice(offset, limit === null ? undefined : offset + limit);
+    return { quizzes: page.map(date => ({ date, quiz: copy(quizzes[date]) })), total: dates.length };
+  }
+
+  // ── Subscribers & prospects ─────────────────────────────────
+  function sortedContacts(tableKey) {
+    return Object.entries(table(tableKey)).sort(byKey).map(([, record]) => record);
+  }
+
+  async function getContact(tableKey, email) {
+    return copy(table(tableKey)[email]);
+  }
+
+  async function putContact(tableKey, email, record) {
+    await write(() => { table(tableKey)[email] = copy(record); });
+  }
+
+  async function updateContact(tableKey, email, fn) {
+    return write(async () => {
+      const current = copy(table(tableKey)[email]);
+      const returned = await fn(current);
+      const next = returned === undefined ? current : returned;
+      if (!next) return current;
+      table(tableKey)[email] = copy(next);
+      return next;
+    });
+  }
+
+  async function patchContacts(tableKey, patches) {
+    const entries = Object.entries(patches || {});
+    if (!entries.length) return;
+    await write(() => {
+      const contacts = table(tableKey);
+      for (const [email, patch] of entries) {
+        if (contacts[email]) contacts[email] = { ...contacts[email], ...copy(patch) };
+      }
+    });
+  }
+
+  async function deleteContact(tableKey, email) {
+    await write(() => { delete table(tableKey)[email]; });
+  }
+
+  async function findContact(tableKey, field, value) {
+    return copy(sortedContacts(tableKey).find(c => fieldText(c[field]) === String(value)));
+  }
+
+  async function findSubscriberByPlayerKey(playerKey, { activeOnly = false } = {}) {
+    return copy(sortedContacts('subscribers').find(s =>
+      normName(s.name) === playerKey && (!activeOnly || fieldText(s.active) === 'true')
+    ));
+  }
+
+  async function findReferrer(playerKey) {
+    return copy(sortedContacts('subscribers').find(s =>
+      (Array.isArray(s.referrals) ? s.referrals : []).some(ref => ref && (
+        fieldText(ref.email) === playerKey || (fieldText(ref.name) && normName(ref.name) === playerKey)
+      ))
+    ));
+  }
+
+  async function promoteProspect(email, subscriber) {
+    return write(() => {
+      const subscribers = table('subscribers');
+      if (subscribers[email]) return false;
+      subscribers[email] = copy(subscriber);
+      delete table('prospects')[email];
+      return true;
+    });
+  }
+
+  // ── Email events ────────────────────────────────────────────
+  async function logEmailEvent(event) {
+    await write(() => { table('emailEvents').push(normEvent(copy(event), nextEventId++)); });
+  }
+
+  async function listEmailEvents({ date } = {}) {
+    const events = table('emailEvents');
+    return copy(date ? events.filter(e => e.date === date) : events);
+  }
+
+  async function pruneEmailEvents(before) {
+    await write(() => {
+      state.emailEvents = table('emailEvents').filter(e => e.date === null || e.date >= before);
+    });
+  }
+
+  // ── Audit log ───────────────────────────────────────────────
+  async function logAuditEntry(entry) {
+    const { id, ts, actor, action, target, ...data } = copy(entry);
+    await write(() => {
+      table('auditLog').push({ ...data, id: nextAuditId++, ts: ts || new Date().toISOString(), actor: actor ?? null, action, target: target ?? null });
+    });
+  }
+
+  async function listAuditEntries({ actor, action, q, since, until, beforeId, limit = 100 } = {}) {
+    const needle = q ? String(q).toLowerCase() : null;
+    const out = [];
+    const log = table('auditLog');
+    for (let i = log.length - 1; i >= 0 && out.length < limit; i--) {
+      const e = log[i];
+      if (actor && e.actor !== actor) continue;
+      if (action && e.action !== action) continue;
+      if (since && e.ts < since) continue;
+      if (until && e.ts >= until) continue;
+      if (beforeId && e.id >= Number(beforeId)) continue;
+      if (needle) {
+        const { id, ts, actor: _a, action: _b, target, ...data } = e;
+        if (!String(target ?? '').toLowerCase().includes(needle) && !JSON.stringify(data).toLowerCase().includes(needle)) continue;
+      }
+      out.push(e);
+    }
+    return copy(out);
+  }
+
+  // ── LLM usage ───────────────────────────────────────────────
+  async function logLlmUsage(entry) {
+    const { ts, day, task, model, inputTokens, outputTokens, latencyMs, costUsd, source } = entry;
+    await write(() => {
+      table('llmUsage').push({
+        ts: ts || new Date().toISOString(), day, task, model: model ?? null, inputTokens: inputTokens || 0,
+        outputTokens: outputTokens || 0, latencyMs: latencyMs ?? null, costUsd: costUsd ?? null, source: source ?? null
+      });
+    });
+  }
+
+  async function summarizeLlmUsage({ since, until } = {}) {
+    const groups = new Map();
+    for (const e of table('llmUsage')) {
+      if ((since && e.day < since) || (until && e.day > until)) continue;
+      const k = [e.day, e.task, e.model].join('\u0000');
+      const g = groups.get(k) || { day: e.day, task: e.task, model: e.model, calls: 0, inputTokens: 0, outputTokens: 0, latencyMs: 0, costUsd: 0 };
+      g.calls++;
+      g.inputTokens += e.inputTokens;
+      g.outputTokens += e.outputTokens;
+      g.latencyMs += e.latencyMs || 0;
+      g.costUsd += e.costUsd || 0;
+      groups.set(k, g);
+    }
+    return [...groups.values()].sort((a, b) =>
+      a.day.localeCompare(b.day) || a.task.localeCompare(b.task) || String(a.model).localeCompare(String(b.model)));
+  }
+
+  // ── Question outcomes ───────────────────────────────────────
+  // Keyed 'date/qIdx'.
+  async function recordQuestionOutcomes(date, outcomes) {
+    if (!outcomes.length) return;
+    await write(() => {
+      const rows = table('questionOutcomes');
+      for (const { qIdx, question, correct } of copy(outcomes)) {
+        const key = `${date}/${qIdx}`;
+        const row = rows[key] || (rows[key] = { date, qIdx, question, correct: 0, wrong: 0 });
+        row.question = question;
+        row.updatedAt = new Date().toISOString();
+        if (correct) row.correct++; else row.wrong++;
+      }
+    });
+  }
+
+  async function listQuestionOutcomes() {
+    return Object.values(table('questionOutcomes'))
+      .sort((a, b) => a.date.localeCompare(b.date) || a.qIdx - b.qIdx)
+      .map(({ date, qIdx, question, correct, wrong }) => copy({ date, qIdx, question, correct, wrong }));
+  }
+
+  // ── Question bank ───────────────────────────────────────────
+  // Search is a plain every-word substring match rather than Postgres'
+  // stemmed full-text search — close enough for local runs.
+  const BANK_TAG_FILTERS = ['topic', 'neighborhood', 'outlet', 'difficulty', 'shelfLife'];
+  const bankEntry = ({ searchText, ...entry }) => copy(entry);
+
+  async function getBankEntry(id) {
+    const row = table('questionBank')[id];
+    return row ? bankEntry(row) : null;
+  }
+
+  async function putBankEntry(entry) {
+    await write(() => { table('questionBank')[entry.id] = copy(entry); });
+  }
+
+  async function deleteBankEntry(id) {
+    await write(() => { delete table('questionBank')[id]; });
+  }
+
+  async function listBankEntriesUsedOn(date) {
+    return Object.values(table('questionBank')).filter(e => (e.uses || []).some(u => u.date === date)).map(bankEntry);
+  }
+
+  async function searchBank({ q, starred, limit = 50, offset = 0, ...tags } = {}) {
+    const terms = String(q || '').toLowerCase().split(/\s+/).filter(Boolean);
+    const hits = Object.values(table('questionBank')).filter(e => {
+      const text = String(e.searchText || '').toLowerCase();
+      if (!terms.every(t => text.includes(t))) return false;
+      if (BANK_TAG_FILTERS.some(f => tags[f] && fieldText((e.tags || {})[f]) !== tags[f])) return false;
+      return starred === undefined || !!e.starred === !!starred;
+    });
+    const inQuestion = e => terms.filter(t => e.question.toLowerCase().includes(t)).length;
+    hits.sort((a, b) => inQuestion(b) - inQuestion(a) || b.updatedAt.localeCompare(a.updatedAt));
+    return { entries: hits.slice(offset, offset + limit).map(bankEntry), total: hits.length };
+  }
+
+  async function listBankTagValues() {
+    const entries = Object.values(table('questionBank'));
+    return Object.fromEntries(BANK_TAG_FILTERS.map(f => [f,
+      [...new Set(entries.map(e => fieldText((e.tags || {})[f])).filter(Boolean))].sort()]));
+  }
+
+  // ── News sources ────────────────────────────────────────────
+  async function listNewsSources() {
+    return Object.values(table('newsSources'))
+      .sort((a, b) => (b.priority || 0) - (a.priority || 0) || a.name.localeCompare(b.name))
+      .map(copy);
+  }
+
+  async function getNewsSource(id) {
+    return copy(table('newsSources')[id]);
+  }
+
+  async function putNewsSource(source) {
+    await write(() => { table('newsSources')[source.id] = copy(source); });
+  }
+
+  async function deleteNewsSource(id) {
+    await write(() => { delete table('newsSources')[id]; });
+  }
+
+  // ── Tokens ──────────────────────────────────────────────────
+  async function getToken(kind, token) {
+    return copy(table(TOKEN_KEYS[kind])[token]);
+  }
+
+  async function putTokens(kind, tokens) {
+    const entries = Object.entries(tokens || {});
+    if (!entries.length) return;
+    await write(() => {
+      const map = table(TOKEN_KEYS[kind]);
+      for (const [token, record] of entries) map[token] = copy(record);
+    });
+  }
+
+  async function deleteToken(kind, token) {
+    await write(() => { delete table(TOKEN_KEYS[kind])[token]; });
+  }
+
+  async function pruneTokens(kind, before) {
+    await write(() => {
+      const map = table(TOKEN_KEYS[kind]);
+      for (const [token, record] of Object.entries(map)) {
+        if (record.date !== undefined && record.date !== null && record.date < before) delete map[token];
+      }
+    });
+  }
+
+  async function markTokenUsed(kind, token) {
+    return write(() => {
+      const record = table(TOKEN_KEYS[kind])[token];
+      if (!record) return null;
+      const before = copy(record);
+      if (!record.usedAt) record.usedAt = new Date().toISOString();
+      return before;
+    });
+  }
+
+  return {
+    initDb, getKey, getKeys, setKey, updateKey,
+    getPlayer, recordDailyScore, deletePlayer,
+    getProgress, getProgressForDate, updateProgress, saveProgress, lockAnswer, pruneProgress,
+    getQuiz, listQuizDates, listQuizzes, putQuiz, addQuiz,
+    getSubscriber: email => getContact('subscribers', email),
+    putSubscriber: (email, subscriber) => putContact('subscribers', email, subscriber),
+    updateSubscriber: (email, fn) => updateContact('subscribers', email, fn),
+    patchSubscribers: patches => patchContacts('subscribers', patches),
+    deleteSubscriber: email => deleteContact('subscribers', email),
+    findSubscriber: (field, value) => findContact('subscribers', field, value),
+    findSubscriberByPlayerKey, findReferrer,
+    getProspect: email => getContact('prospects', email),
+    putProspect: (email, prospect) => putContact('prospects', email, prospect),
+    patchProspects: patches => patchContacts('prospects', patches),
+    findProspect: (field, value) => findContact('prospects', field, value),
+    promoteProspect,
+    logEmailEvent, listEmailEvents, pruneEmailEvents,
+    logAuditEntry, listAuditEntries,
+    logLlmUsage, summarizeLlmUsage,
+    recordQuestionOutcomes, listQuestionOutcomes,
+    getBankEntry, putBankEntry, deleteBankEntry, listBankEntriesUsedOn, searchBank, listBankTagValues,
+    listNewsSources, getNewsSource, putNewsSource, deleteNewsSource,
+    getToken, putTokens, deleteToken, pruneTokens, markTokenUsed
+  };
+}
+
+module.exports = { createMemoryStore };
@@ -0,0 +1,1295 @@
+'use strict';
+
+const { Pool } = require('pg');
+
+// ── Postgres connection ───────────────────────────────────────
+function createPool() {
+  const base = {
+    ssl: { rejectUnauthorized: false },
+    connectionTimeoutMillis: 5000,
+    idleTimeoutMillis: 30000,
+    max: 20
+  };
+  // If individual PG* vars are present (Railway injects them; set them locally too),
+  // let pg read them directly — avoids URL-parsing issues with special chars in passwords.
+  if (process.env.PGHOST) return new Pool(base);
+
+  const url = process.env.DATABASE_URL;
+  if (!url) return new Pool(base);
+  try {
+    const withoutScheme = url.replace(/^postgres(?:ql)?:\/\//, '');
+    const atIdx = withoutScheme.lastIndexOf('@');
+    const userPass = withoutScheme.slice(0, atIdx);
+    const hostDb = withoutScheme.slice(atIdx + 1);
+    const colonIdx = userPass.indexOf(':');
+    const user = decodeURIComponent(userPass.slice(0, colonIdx));
+    const password = decodeURIComponent(userPass.slice(colonIdx + 1));
+    const slashIdx = hostDb.indexOf('/');
+    const [host, portStr] = hostDb.slice(0, slashIdx).split(':');
+    const database = hostDb.slice(slashIdx + 1).split('?')[0];
+    return new Pool({ ...base, user, password, host, port: portStr ? parseInt(portStr) : 5432, database });
+  } catch (e) {
+    return new Pool({ ...base, connectionString: url });
+  }
+}
+
+const pool = createPool();
+
+async function withTransaction(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (e) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+// ── Key locks ─────────────────────────────────────────────────
+// Writes to a key run inside a transaction holding an advisory lock named
+// after that key (released automatically at COMMIT/ROLLBACK). Whole-value
+// writes — setKey() and updateKey() — take it exclusively; the row-level
+// helpers further down take it shared, so they run alongside each other
+// but never land in the middle of a whole-value read-modify-write.
+async function lockKey(client, key, { shared = false } = {}) {
+  await client.query(
+    shared ? 'SELECT pg_advisory_xact_lock_shared(hashtext($1))' : 'SELECT pg_advisory_xact_lock(hashtext($1))',
+    [key]
+  );
+}
+
+// ── Schema ────────────────────────────────────────────────────
+// store(key, value JSONB) still holds the small config-style keys (sites,
+// posts, blocklist, scheduledQuiz …). Anything that grows per player, per
+// day or per email lives in its own table instead, so a write touches the
+// rows it changes rather than rewriting one ever-growing blob.
+//
+//   players        one row per normalised player key (scores[key])
+//   daily_results  one row per player per quiz date — the leaderboard score
+//                  (scores[key].dailyScores[date]) and/or that day's
+//                  progress record (progress[date][key]); either half can
+//                  be absent
+//   answers        one row per player per date per question submitted
+//   subscribers, prospects, quizzes, email_events
+//   tokens         emailTokens and outreachTokens, told apart by `kind`
+//   audit_log      one row per admin action (see logAuditEntry)
+//   llm_usage      one row per Claude call (see logLlmUsage)
+//   question_outcomes  correct/wrong tallies per published question, kept forever
+//   question_bank  every published or starred question, tagged and searchable
+//   news_sources   the feeds the RSS refresh reads, with per-source settings
+//
+// Dates are the app's 'YYYY-MM-DD' strings, stored as TEXT so they round
+// trip exactly. Fields the app adds that don't have a column yet ride
+// along in each row's JSONB (`extra` / `data`) rather than being dropped.
+async function initDb() {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS store (
+      key TEXT PRIMARY KEY,
+      value JSONB NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS players (
+      player_key   TEXT PRIMARY KEY,
+      display_name TEXT NOT NULL,
+      all_time     INTEGER NOT NULL DEFAULT 0,
+      max_streak   INTEGER,
+      extra        JSONB NOT NULL DEFAULT '{}'
+    );
+
+    CREATE TABLE IF NOT EXISTS daily_results (
+      player_key     TEXT NOT NULL,
+      quiz_date      TEXT NOT NULL,
+      score          INTEGER,
+      has_progress   BOOLEAN NOT NULL DEFAULT FALSE,
+      progress_score INTEGER,
+      completed      BOOLEAN NOT NULL DEFAULT FALSE,
+      current_q      INTEGER,
+      synthetic      BOOLEAN NOT NULL DEFAULT FALSE,
+      display_name   TEXT,
+      updated_at     TEXT,
+      extra          JSONB NOT NULL DEFAULT '{}',
+      PRIMARY KEY (player_key, quiz_date)
+    );
+    CREATE INDEX IF NOT EXISTS daily_results_date_idx ON daily_results (quiz_date);
+
+    CREATE TABLE IF NOT EXISTS answers (
+      player_key TEXT NOT NULL,
+      quiz_date  TEXT NOT NULL,
+      q_idx      INTEGER NOT NULL,
+      chosen     INTEGER,
+      correct    BOOLEAN,
+      pts        INTEGER,
+      PRIMARY KEY (player_key, quiz_date, q_idx)
+    );
+    CREATE INDEX IF NOT EXISTS answers_date_idx ON answers (quiz_date, q_idx);
+
+    CREATE TABLE IF NOT EXISTS subscribers (
+      email TEXT PRIMARY KEY,
+      name  TEXT,
+      data  JSONB NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS subscribers_referral_code_idx ON subscribers ((data->>'referralCode'));
+
+    CREATE TABLE IF NOT EXISTS prospects (
+      email TEXT PRIMARY KEY,
+      name  TEXT,
+      data  JSONB NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS prospects_referral_code_idx ON prospects ((data->>'referralCode'));
+
+    CREATE TABLE IF NOT EXISTS quizzes (
+      quiz_date TEXT PRIMARY KEY,
+      data      JSONB NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS email_events (
+      id        BIGSERIAL PRIMARY KEY,
+      event     TEXT NOT NULL,
+      email     TEXT,
+      quiz_date TEXT,
+      ts        TEXT NOT NULL,
+      meta      JSONB NOT NULL DEFAULT '{}'
+    );
+    CREATE INDEX IF NOT EXISTS email_events_date_idx ON email_events (quiz_date, event);
+
+    CREATE TABLE IF NOT EXISTS tokens (
+      token     TEXT PRIMARY KEY,
+      kind      TEXT NOT NULL,
+      email     TEXT,
+      quiz_date TEXT,
+      used_at   TEXT,
+      data      JSONB NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS tokens_kind_date_idx ON tokens (kind, quiz_date);
+    CREATE INDEX IF NOT EXISTS tokens_kind_email_idx ON tokens (kind, email);
+
+    CREATE TABLE IF NOT EXISTS audit_log (
+      id     BIGSERIAL PRIMARY KEY,
+      ts     TEXT NOT NULL,
+      actor  TEXT,
+      action TEXT NOT NULL,
+      target TEXT,
+      data   JSONB NOT NULL DEFAULT '{}'
+    );
+    CREATE INDEX IF NOT EXISTS audit_log_action_idx ON audit_log (action, id);
+
+    CREATE TABLE IF NOT EXISTS llm_usage (
+      id            BIGSERIAL PRIMARY KEY,
+      ts            TEXT NOT NULL,
+      day           TEXT NOT NULL,
+      task          TEXT NOT NULL,
+      model         TEXT,
+      input_tokens  INTEGER NOT NULL DEFAULT 0,
+      output_tokens INTEGER NOT NULL DEFAULT 0,
+      latency_ms    INTEGER,
+      cost_usd      DOUBLE PRECISION,
+      source        TEXT
+    );
+    CREATE INDEX IF NOT EXISTS llm_usage_day_idx ON llm_usage (day);
+
+    CREATE TABLE IF NOT EXISTS question_outcomes (
+      quiz_date  TEXT NOT NULL,
+      q_idx      INTEGER NOT NULL,
+      question   JSONB NOT NULL,
+      correct    INTEGER NOT NULL DEFAULT 0,
+      wrong      INTEGER NOT NULL DEFAULT 0,
+      updated_at TEXT,
+      PRIMARY KEY (quiz_date, q_idx)
+    );
+
+    CREATE TABLE IF NOT EXISTS question_bank (
+      id          TEXT PRIMARY KEY,
+      question    TEXT NOT NULL,
+      data        JSONB NOT NULL,
+      tags        JSONB NOT NULL DEFAULT '{}',
+      starred     BOOLEAN NOT NULL DEFAULT FALSE,
+      note        TEXT NOT NULL DEFAULT '',
+      uses        JSONB NOT NULL DEFAULT '[]',
+      search_text TEXT NOT NULL DEFAULT '',
+      created_at  TEXT NOT NULL,
+      updated_at  TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS question_bank_search_idx ON question_bank USING GIN (to_tsvector('english', search_text));
+    CREATE INDEX IF NOT EXISTS question_bank_uses_idx ON question_bank USING GIN (uses jsonb_path_ops);
+
+    CREATE TABLE IF NOT EXISTS news_sources (
+      id         TEXT PRIMARY KEY,
+      name       TEXT NOT NULL,
+      site       TEXT NOT NULL DEFAULT '',
+      feed_urls  JSONB NOT NULL DEFAULT '[]',
+      mode       TEXT NOT NULL DEFAULT 'keyword',
+      cap        INTEGER NOT NULL DEFAULT 15,
+      priority   INTEGER NOT NULL DEFAULT 0,
+      enabled    BOOLEAN NOT NULL DEFAULT TRUE,
+      notes      TEXT NOT NULL DEFAULT '',
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    );
+  `);
+  console.log('DB: store and entity tables ready.');
+  await migrateBlobsToTables();
+}
+
+// ── Row ⇄ legacy-shape conversion ─────────────────────────────
+// The rest of the app still thinks in the old blob shapes, so every table
+// has a pair of converters. Both the blob adapters below and the targeted
+// data-access functions use them, which keeps the two views identical.
+
+function playerFromRows(row, dailyRows) {
+  const player = { ...row.extra, displayName: row.display_name, allTime: row.all_time, dailyScores: {} };
+  if (row.max_streak !== null) player.maxStreak = row.max_streak;
+  for (const d of dailyRows) player.dailyScores[d.quiz_date] = d.score;
+  return player;
+}
+
+function qIdxFromKey(qKey) {
+  return /^q\d+$/.test(qKey) ? parseInt(qKey.slice(1), 10) : null;
+}
+
+// A progress record's `answers` map is present for any record that still
+// carries detail (currentQ set, or answers on file). Records whose detail
+// was pruned after two days come back as { score, completed, displayName,
+// synthetic } exactly as they were stored.
+function progressFromRows(row, answerRows) {
+  const record = { ...row.extra, score: row.progress_score, completed: row.completed, synthetic: row.synthetic };
+  if (row.display_name !== null) record.displayName = row.display_name;
+  if (row.updated_at !== null) record.updatedAt = row.updated_at;
+  if (row.current_q !== null) record.currentQ = row.current_q;
+  if (row.current_q !== null || answerRows.length) {
+    record.answers = {};
+    for (const a of answerRows) {
+      const answer = {};
+      if (a.chosen !== null) answer.chosen = a.chosen;
+      if (a.correct !== null) answer.correct = a.correct;
+      if (a.pts !== null) answer.pts = a.pts;
+      record.answers['q' + a.q_idx] = answer;
+    }
+  }
+  return record;
+}
+
+function progressToRow(playerKey, date, record) {
+  const { score, completed, currentQ, synthetic, displayName, updatedAt, answers, ...extra } = record || {};
+  return {
+    player_key: playerKey,
+    quiz_date: date,
+    progress_score: Number.isFinite(Number(score)) ? Math.round(Number(score)) : null,
+    completed: !!completed,
+    current_q: Number.isInteger(currentQ) ? currentQ : null,
+    synthetic: !!synthetic,
+    display_name: displayName ?? null,
+    updated_at: updatedAt ?? null,
+    extra
+  };
+}
+
+function answersToRows(playerKey, date, answers) {
+  const rows = [];
+  for (const [qKey, a] of Object.entries(answers || {})) {
+    const qIdx = qIdxFromKey(qKey);
+    if (qIdx === null || !a) continue;
+    rows.push({
+      player_key: playerKey,
+      quiz_date: date,
+      q_idx: qIdx,
+      chosen: Number.isInteger(a.chosen) ? a.chosen : null,
+      correct: typeof a.correct === 'boolean' ? a.correct : null,
+      pts: Number.isFinite(Number(a.pts)) && a.pts !== null ? Math.round(Number(a.pts)) : null
+    });
+  }
+  return rows;
+}
+
+const PROGRESS_COLUMNS = `player_key TEXT, quiz_date TEXT, progress_score INTEGER, completed BOOLEAN,
+  current_q INTEGER, synthetic BOOLEAN, display_name TEXT, updated_at TEXT, extra JSONB`;
+const ANSWER_COLUMNS = 'player_key TEXT, quiz_date TEXT, q_idx INTEGER, chosen INTEGER, correct BOOLEAN, pts INTEGER';
+
+async function upsertProgressRows(client, rows) {
+  await client.query(`
+    INSERT INTO daily_results (player_key, quiz_date, has_progress, progress_score, completed, current_q,
+                               synthetic, display_name, updated_at, extra)
+    SELECT player_key, quiz_date, TRUE, progress_score, completed, current_q,
+           synthetic, display_name, updated_at, COALESCE(extra, '{}')
+    FROM jsonb_to_recordset($1::jsonb) AS x(${PROGRESS_COLUMNS})
+    ON CONFLICT (player_key, quiz_date) DO UPDATE SET
+      has_progress = TRUE, progress_score = EXCLUDED.progress_score, completed = EXCLUDED.completed,
+      current_q = EXCLUDED.current_q, synthetic = EXCLUDED.synthetic, display_name = EXCLUDED.display_name,
+      updated_at = EXCLUDED.updated_at, extra = EXCLUDED.extra
+    WHERE (daily_results.has_progress, daily_results.progress_score, daily_results.completed, daily_results.current_q,
+           daily_results.synthetic, daily_results.display_name, daily_results.updated_at, daily_results.extra)
+      IS DISTINCT FROM
+          (TRUE, EXCLUDED.progress_score, EXCLUDED.completed, EXCLUDED.current_q,
+           EXCLUDED.synthetic, EXCLUDED.display_name, EXCLUDED.updated_at, EXCLUDED.extra)
+  `, [JSON.stringify(rows)]);
+}
+
+async function upsertAnswerRows(client, rows) {
+  await client.query(`
+    INSERT INTO answers (player_key, quiz_date, q_idx, chosen, correct, pts)
+    SELECT player_key, quiz_date, q_idx, chosen, correct, pts
+    FROM jsonb_to_recordset($1::jsonb) AS x(${ANSWER_COLUMNS})
+    ON CONFLICT (player_key, quiz_date, q_idx) DO UPDATE SET
+      chosen = EXCLUDED.chosen, correct = EXCLUDED.correct, pts = EXCLUDED.pts
+    WHERE (answers.chosen, answers.correct, answers.pts)
+      IS DISTINCT FROM (EXCLUDED.chosen, EXCLUDED.correct, EXCLUDED.pts)
+  `, [JSON.stringify(rows)]);
+}
+
+const CLEAR_PROGRESS = `has_progress = FALSE, progress_score = NULL, completed = FALSE, current_q = NULL,
+  synthetic = FALSE, display_name = NULL, updated_at = NULL, extra = '{}'`;
+
+// ── Blob adapters for table-backed keys ───────────────────────
+// getKey()/setKey() on these keys read and write the tables, so code that
+// still works on whole blobs keeps behaving exactly as before. A blob write
+// upserts only the rows that actually changed and deletes the rows the
+// blob no longer contains — it's still last-writer-wins for the blob as a
+// whole, so hot paths should use the targeted functions further down.
+
+// Plain keyed JSON tables: one row per map entry, the entry itself in `data`.
+const KEYED_TABLES = {
+  subscribers: { table: 'subscribers', keyCol: 'email', cols: { name: v => v.name ?? null } },
+  prospects: { table: 'prospects', keyCol: 'email', cols: { name: v => v.name ?? null } },
+  quizzes: { table: 'quizzes', keyCol: 'quiz_date', cols: {} },
+  emailTokens: {
+    table: 'tokens', keyCol: 'token', scope: { kind: 'email' },
+    cols: { email: v => v.email ?? null, quiz_date: v => v.date ?? null, used_at: v => v.usedAt ?? null }
+  },
+  outreachTokens: {
+    table: 'tokens', keyCol: 'token', scope: { kind: 'outreach' },
+    cols: { email: v => v.email ?? null, quiz_date: v => v.date ?? null, used_at: v => v.usedAt ?? null }
+  }
+};
+
+function scopeClause(scope, firstParam) {
+  const entries = Object.entries(scope || {});
+  return {
+    sql: entries.map(([col], i) => `${col} = $${firstParam + i}`).join(' AND ') || 'TRUE',
+    params: entries.map(([, v]) => v)
+  };
+}
+
+async function readKeyed(client, spec) {
+  const where = scopeClause(spec.scope, 1);
+  const r = await client.query(
+    `SELECT ${spec.keyCol} AS k, data FROM ${spec.table} WHERE ${where.sql} ORDER BY ${spec.keyCol}`,
+    where.params
+  );
+  const map = {};
+  for (const row of r.rows) map[row.k] = row.data;
+  return map;
+}
+
+async function writeKeyed(client, spec, map) {
+  const entries = Object.entries(map || {}).filter(([, v]) => v && typeof v === 'object');
+  const scope = spec.scope || {};
+  const cols = [spec.keyCol, ...Object.keys(scope), ...Object.keys(spec.cols), 'data'];
+  const rows = entries.map(([k, v]) => {
+    const row = { [spec.keyCol]: k, ...scope, data: v };
+    for (const [col, fn] of Object.entries(spec.cols)) row[col] = fn(v);
+    return row;
+  });
+  const colTypes = cols.map(c => `${c} ${c === 'data' ? 'JSONB' : 'TEXT'}`).join(', ');
+  const updates = cols.filter(c => c !== spec.keyCol).map(c => `${c} = EXCLUDED.${c}`).join(', ');
+  await client.query(`
+    INSERT INTO ${spec.table} (${cols.join(', ')})
+    SELECT ${cols.join(', ')} FROM jsonb_to_recordset($1::jsonb) AS x(${colTypes})
+    ON CONFLICT (${spec.keyCol}) DO UPDATE SET ${updates}
+    WHERE ${spec.table}.data IS DISTINCT FROM EXCLUDED.data
+  `, [JSON.stringify(rows)]);
+  const where = scopeClause(scope, 2);
+  await client.query(
+    `DELETE FROM ${spec.table} WHERE ${where.sql} AND ${spec.keyCol} <> ALL($1::text[])`,
+    [entries.map(([k]) => k), ...where.params]
+  );
+}
+
+async function readScores(client) {
+  const players = await client.query('SELECT * FROM players ORDER BY player_key');
+  const daily = await client.query(
+    'SELECT player_key, quiz_date, score FROM daily_results WHERE score IS NOT NULL ORDER BY quiz_date'
+  );
+  const byPlayer = {};
+  for (const d of daily.rows) (byPlayer[d.player_key] = byPlayer[d.player_key] || []).push(d);
+  const scores = {};
+  for (const row of players.rows) scores[row.player_key] = playerFromRows(row, byPlayer[row.player_key] || []);
+  return scores;
+}
+
+async function writeScores(client, scores) {
+  const players = [];
+  const daily = [];
+  for (const [playerKey, p] of Object.entries(scores || {})) {
+    if (!p || typeof p !== 'object') continue;
+    const { displayName, allTime, maxStreak, dailyScores, ...extra } = p;
+    players.push({
+      player_key: playerKey,
+      display_name: displayName || playerKey,
+      all_time: Math.round(Number(allTime) || 0),
+      max_streak: Number.isFinite(Number(maxStreak)) && maxStreak !== null ? Math.round(Number(maxStreak)) : null,
+      extra
+    });
+    for (const [date, score] of Object.entries(dailyScores || {})) {
+      daily.push({ player_key: playerKey, quiz_date: date, score: Math.round(Number(score) || 0) });
+    }
+  }
+  await client.query(`
+    INSERT INTO players (player_key, display_name, all_time, max_streak, extra)
+    SELECT player_key, display_name, all_time, max_streak, COALESCE(extra, '{}')
+    FROM jsonb_to_recordset($1::jsonb)
+      AS x(player_key TEXT, display_name TEXT, all_time INTEGER, max_streak INTEGER, extra JSONB)
+    ON CONFLICT (player_key) DO UPDATE SET
+      display_name = EXCLUDED.display_name, all_time = EXCLUDED.all_time,
+      max_streak = EXCLUDED.max_streak, extra = EXCLUDED.extra
+    WHERE (players.display_name, players.all_time, players.max_streak, players.extra)
+      IS DISTINCT FROM (EXCLUDED.display_name, EXCLUDED.all_time, EXCLUDED.max_streak, EXCLUDED.extra)
+  `, [JSON.stringify(players)]);
+  await client.query('DELETE FROM players WHERE player_key <> ALL($1::text[])', [players.map(p => p.player_key)]);
+
+  await client.query(`
+    INSERT INTO daily_results (player_key, quiz_date, score)
+    SELECT player_key, quiz_date, score
+    FROM jsonb_to_recordset($1::jsonb) AS x(player_key TEXT, quiz_date TEXT, score INTEGER)
+    ON CONFLICT (player_key, quiz_date) DO UPDATE SET score = EXCLUDED.score
+    WHERE daily_results.score IS DISTINCT FROM EXCLUDED.score
+  `, [JSON.stringify(daily)]);
+  await client.query(`
+    UPDATE daily_results d SET score = NULL
+    WHERE d.score IS NOT NULL AND NOT EXISTS (
+      SELECT 1 FROM jsonb_to_recordset($1::jsonb) AS x(player_key TEXT, quiz_date TEXT)
+      WHERE x.player_key = d.player_key AND x.quiz_date = d.quiz_date
+    )
+  `, [JSON.stringify(daily)]);
+  await client.query('DELETE FROM daily_results WHERE score IS NULL AND NOT has_progress');
+}
+
+async function readAllProgress(client) {
+  const rows = await client.query('SELECT * FROM daily_results WHERE has_progress ORDER BY quiz_date, player_key');
+  const answers = await client.query('SELECT * FROM answers ORDER BY quiz_date, player_key, q_idx');
+  const answersFor = {};
+  for (const a of answers.rows) {
+    const k = a.quiz_date + '|' + a.player_key;
+    (answersFor[k] = answersFor[k] || []).push(a);
+  }
+  const progress = {};
+  for (const row of rows.rows) {
+    if (!progress[row.quiz_date]) progress[row.quiz_date] = {};
+    progress[row.quiz_date][row.player_key] = progressFromRows(row, answersFor[row.quiz_date + '|' + row.player_key] || []);
+  }
+  return progress;
+}
+
+async function writeAllProgress(client, progress) {
+  const rows = [];
+  const answerRows = [];
+  for (const [date, players] of Object.entries(progress || {})) {
+    for (const [playerKey, record] of Object.entries(players || {})) {
+      if (!record || typeof record !== 'object') continue;
+      rows.push(progressToRow(playerKey, date, record));
+      answerRows.push(...answersToRows(playerKey, date, record.answers));
+    }
+  }
+  await upsertProgressRows(client, rows);
+  await client.query(`
+    UPDATE daily_results d SET ${CLEAR_PROGRESS}
+    WHERE d.has_progress AND NOT EXISTS (
+      SELECT 1 FROM jsonb_to_recordset($1::jsonb) AS x(player_key TEXT, quiz_date TEXT)
+      WHERE x.player_key = d.player_key AND x.quiz_date = d.quiz_date
+    )
+  `, [JSON.stringify(rows)]);
+  await client.query('DELETE FROM daily_results WHERE score IS NULL AND NOT has_progress');
+
+  await upsertAnswerRows(client, answerRows);
+  await client.query(`
+    DELETE FROM answers a WHERE NOT EXISTS (
+      SELECT 1 FROM jsonb_to_recordset($1::jsonb) AS x(player_key TEXT, quiz_date TEXT, q_idx INTEGER)
+      WHERE x.player_key = a.player_key AND x.quiz_date = a.quiz_date AND x.q_idx = a.q_idx
+    )
+  `, [JSON.stringify(answerRows)]);
+}
+
+// emailEvents is an append-mostly array. Each event comes back with its
+// row `id`; on write, events without one are inserted and ids missing
+// from the array are deleted (that's how the 30-day prune lands).
+async function readEmailEvents(client) {
+  const r = await client.query('SELECT * FROM email_events ORDER BY id');
+  return r.rows.map(row => ({ ...row.meta, id: Number(row.id), event: row.event, email: row.email, date: row.quiz_date, ts: row.ts }));
+}
+
+async function writeEmailEvents(client, events) {
+  const list = Array.isArray(events) ? events : [];
+  const keep = list.filter(e => e && e.id !== undefined).map(e => String(e.id));
+  await client.query('DELETE FROM email_events WHERE id::text <> ALL($1::text[])', [keep]);
+  const fresh = list.filter(e => e && e.id === undefined).map(emailEventToRow);
+  if (fresh.length) await insertEmailEventRows(client, fresh);
+}
+
+function emailEventToRow(e) {
+  const { id, event, email, date, ts, ...meta } = e;
+  return { event, email: email ?? null, quiz_date: date ?? null, ts: ts || new Date().toISOString(), meta };
+}
+
+async function insertEmailEventRows(client, rows) {
+  await client.query(`
+    INSERT INTO email_events (event, email, quiz_date, ts, meta)
+    SELECT event, email, quiz_date, ts, COALESCE(meta, '{}')
+    FROM jsonb_to_recordset($1::jsonb) AS x(event TEXT, email TEXT, quiz_date TEXT, ts TEXT, meta JSONB)
+  `, [JSON.stringify(rows)]);
+}
+
+const TABLE_ADAPTERS = {
+  scores: { read: readScores, write: writeScores },
+  progress: { read: readAllProgress, write: writeAllProgress },
+  emailEvents: { read: readEmailEvents, write: writeEmailEvents }
+};
+for (const [key, spec] of Object.entries(KEYED_TABLES)) {
+  TABLE_ADAPTERS[key] = { read: client => readKeyed(client, spec), write: (client, map) => writeKeyed(client, spec, map) };
+}
+
+// ── Blob → table migration ────────────────────────────────────
+// Runs on every boot and is a no-op once done. Each legacy blob still in
+// the store table is written through its adapter, then renamed to
+// 'migrated:<key>' in the same transaction — kept as a backup, invisible
+// to the app. A failure rolls that key back and leaves its blob in place.
+async function migrateBlobsToTables() {
+  for (const key of Object.keys(TABLE_ADAPTERS)) {
+    const r = await pool.query('SELECT value FROM store WHERE key=$1', [key]);
+    if (!r.rows.length) continue;
+    await withTransaction(async client => {
+      await TABLE_ADAPTERS[key].write(client, r.rows[0].value);
+      await client.query(
+        'INSERT INTO store(key,value) VALUES($1,$2) ON CONFLICT(key) DO UPDATE SET value=$2',
+        ['migrated:' + key, JSON.stringify(r.rows[0].value)]
+      );
+      await client.query('DELETE FROM store WHERE key=$1', [key]);
+    });
+    console.log(`DB: migrated '${key}' blob into its table.`);
+  }
+}
+
+// ── Primitive key/value helpers ───────────────────────────────
+async function getKey(key) {
+  try {
+    const adapter = TABLE_ADAPTERS[key];
+    if (adapter) return await adapter.read(pool);
+    const r = await pool.query('SELECT value FROM store WHERE key=$1', [key]);
+    return r.rows.length ? r.rows[0].value : null;
+  } catch (e) { console.error('getKey error', key, e.message); return null; }
+}
+
+// Several keys at once, as { key: value } with unset keys left out.
+async function getKeys(keys) {
+  const values = await Promise.all(keys.map(getKey));
+  const out = {};
+  keys.forEach((k, i) => { if (values[i] !== null) out[k] = values[i]; });
+  return out;
+}
+
+async function writeValue(client, key, value) {
+  const adapter = TABLE_ADAPTERS[key];
+  if (adapter) return adapter.write(client, value);
+  await client.query(
+    'INSERT INTO store(key,value) VALUES($1,$2) ON CONFLICT(key) DO UPDATE SET value=$2',
+    [key, JSON.stringify(value)]
+  );
+}
+
+async function setKey(key, value) {
+  try {
+    await withTransaction(async client => {
+      await lockKey(client, key);
+      await writeValue(client, key, value);
+    });
+    return true;
+  } catch (e) { console.error('setKey error', key, e.message); return false; }
+}
+
+// ── Atomic read-modify-write ──────────────────────────────────
+// updateKey(key, fn) reads the current value (null if unset) under the
+// key's exclusive lock — plus SELECT … FOR UPDATE on the store row — and
+// writes back whatever fn returns, or the value fn mutated in place if it
+// returns undefined. Concurrent updates to the same key queue up instead
+// of overwriting each other. If fn throws, nothing is written and the
+// error propagates. Resolves to the value written.
+//
+// fn runs while a pooled connection is held, so keep it to in-memory work:
+// no HTTP calls, and no store calls on the same key (they'd wait on the
+// lock fn is holding).
+async function updateKey(key, fn) {
+  return withTransaction(async client => {
+    await lockKey(client, key);
+    let current;
+    if (TABLE_ADAPTERS[key]) {
+      current = await TABLE_ADAPTERS[key].read(client);
+    } else {
+      const r = await client.query('SELECT value FROM store WHERE key=$1 FOR UPDATE', [key]);
+      current = r.rows.length ? r.rows[0].value : null;
+    }
+    const returned = await fn(current);
+    const next = returned === undefined ? current : returned;
+    await writeValue(client, key, next);
+    return next;
+  });
+}
+
+// ── Players & daily results ───────────────────────────────────
+// Targeted row-level access for the leaderboard and progress hot paths.
+// Each call touches one player's rows, so concurrent finishers no longer
+// overwrite each other's records.
+
+async function getPlayer(playerKey, client = pool) {
+  const r = await client.query('SELECT * FROM players WHERE player_key=$1', [playerKey]);
+  if (!r.rows.length) return null;
+  const daily = await client.query(
+    'SELECT quiz_date, score FROM daily_results WHERE player_key=$1 AND score IS NOT NULL ORDER BY quiz_date',
+    [playerKey]
+  );
+  return playerFromRows(r.rows[0], daily.rows);
+}
+
+// Sets one day's leaderboard score, creating the player if needed, and
+// recomputes allTime from the daily rows. maxStreak only ever rises.
+// Returns the updated player in the scores[key] shape.
+async function recordDailyScore(playerKey, date, score, { displayName, maxStreak } = {}) {
+  return withTransaction(async client => {
+    await lockKey(client, 'scores', { shared: true });
+    await client.query(
+      'INSERT INTO players (player_key, display_name) VALUES ($1, $2) ON CONFLICT (player_key) DO NOTHING',
+      [playerKey, displayName || playerKey]
+    );
+    await client.query(`
+      INSERT INTO daily_results (player_key, quiz_date, score) VALUES ($1, $2, $3)
+      ON CONFLICT (player_key, quiz_date) DO UPDATE SET score = EXCLUDED.score
+    `, [playerKey, date, Math.round(Number(score) || 0)]);
+    await client.query(`
+      UPDATE players SET all_time = (
+        SELECT COALESCE(SUM(score), 0) FROM daily_results WHERE player_key = $1 AND score IS NOT NULL
+      ) WHERE player_key = $1
+    `, [playerKey]);
+    if (Number.isFinite(maxStreak)) {
+      await client.query(
+        'UPDATE players SET max_streak = GREATEST(COALESCE(max_streak, 0), $2) WHERE player_key = $1',
+        [playerKey, maxStreak]
+      );
+    }
+    return getPlayer(playerKey, client);
+  });
+}
+
+// Removes a player and their leaderboard scores. Progress records on the
+// same rows are kept. Returns the deleted player, or null.
+async function deletePlayer(playerKey) {
+  return withTransaction(async client => {
+    await lockKey(client, 'scores', { shared: true });
+    const player = await getPlayer(playerKey, client);
+    if (!player) return null;
+    await client.query('DELETE FROM players WHERE player_key=$1', [playerKey]);
+    await client.query('UPDATE daily_results SET score = NULL WHERE player_key=$1', [playerKey]);
+    await client.query('DELETE FROM daily_results WHERE player_key=$1 AND NOT has_progress', [playerKey]);
+    return player;
+  });
+}
+
+async function getProgress(date, playerKey, client = pool) {
+  const r = await client.query(
+    'SELECT * FROM daily_results WHERE quiz_date=$1 AND player_key=$2 AND has_progress',
+    [date, playerKey]
+  );
+  if (!r.rows.length) return null;
+  const answers = await client.query(
+    'SELECT * FROM answers WHERE quiz_date=$1 AND player_key=$2 ORDER BY q_idx',
+    [date, playerKey]
+  );
+  return progressFromRows(r.rows[0], answers.rows);
+}
+
+async function getProgressForDate(date) {
+  const rows = await pool.query('SELECT * FROM daily_results WHERE quiz_date=$1 AND has_progress', [date]);
+  const answers = await pool.query('SELECT * FROM answers WHERE quiz_date=$1 ORDER BY player_key, q_idx', [date]);
+  const answersFor = {};
+  for (const a of answers.rows) (answersFor[a.player_key] = answersFor[a.player_key] || []).push(a);
+  const day = {};
+  for (const row of rows.rows) day[row.player_key] = progressFromRows(row, answersFor[row.player_key] || []);
+  return day;
+}
+
+async function writeProgressRecord(client, date, playerKey, record) {
+  await upsertProgressRows(client, [progressToRow(playerKey, date, record)]);
+  const answerRows = answersToRows(playerKey, date, record.answers);
+  await upsertAnswerRows(client, answerRows);
+  await client.query(
+    'DELETE FROM answers WHERE quiz_date=$1 AND player_key=$2 AND q_idx <> ALL($3::int[])',
+    [date, playerKey, answerRows.map(a => a.q_idx)]
+  );
+}
+
+// Read-modify-write of one player's progress record for a date. The
+// daily_results row is held FOR UPDATE while fn runs, so a lockAnswer() or
+// another update for the same player waits rather than being overwritten.
+// fn gets the current record (null if none) and returns the record to
+// store — or undefined to store the one it mutated, or null to leave
+// things as they were. The leaderboard score on the same row is untouched.
+// Resolves to the stored record (null if nothing was stored).
+async function updateProgress(date, playerKey, fn) {
+  return withTransaction(async client => {
+    await lockKey(client, 'progress', { shared: true });
+    // Make sure there's a row to lock, even for a player's first save.
+    await client.query(
+      'INSERT INTO daily_results (player_key, quiz_date) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+      [playerKey, date]
+    );
+    await client.query(
+      'SELECT 1 FROM daily_results WHERE player_key=$1 AND quiz_date=$2 FOR UPDATE',
+      [playerKey, date]
+    );
+    const current = await getProgress(date, playerKey, client);
+    const returned = await fn(current);
+    const next = returned === undefined ? current : returned;
+    if (next) await writeProgressRecord(client, date, playerKey, next);
+    else {
+      await client.query(
+        'DELETE FROM daily_results WHERE player_key=$1 AND quiz_date=$2 AND score IS NULL AND NOT has_progress',
+        [playerKey, date]
+      );
+    }
+    return next || null;
+  });
+}
+
+// Replaces one player's progress record for a date outright.
+async function saveProgress(date, playerKey, record) {
+  await updateProgress(date, playerKey, () => record);
+}
+
+// Records a first submission for one question. Returns false (and changes
+// nothing) if that question was already answered — submissions are final.
+// Creates a bare progress record if the player doesn't have one yet.
+async function lockAnswer(date, playerKey, qIdx, { chosen, correct, pts }, displayName) {
+  return withTransaction(async client => {
+    await lockKey(client, 'progress', { shared: true });
+    await client.query(`
+      INSERT INTO daily_results (player_key, quiz_date, has_progress, progress_score, current_q, display_name, updated_at)
+      VALUES ($1, $2, TRUE, 0, 0, $3, $4)
+      ON CONFLICT (player_key, quiz_date) DO UPDATE SET
+        has_progress = TRUE,
+        progress_score = COALESCE(daily_results.progress_score, 0),
+        current_q = COALESCE(daily_results.current_q, 0),
+        display_name = COALESCE(daily_results.display_name, EXCLUDED.display_name)
+    `, [playerKey, date, displayName, new Date().toISOString()]);
+    const inserted = await client.query(`
+      INSERT INTO answers (player_key, quiz_date, q_idx, chosen, correct, pts) VALUES ($1, $2, $3, $4, $5, $6)
+      ON CONFLICT (player_key, quiz_date, q_idx) DO NOTHING
+    `, [playerKey, date, qIdx, chosen, correct, pts]);
+    if (!inserted.rowCount) return false;
+    await client.query(`
+      UPDATE daily_results SET synthetic = FALSE, updated_at = $3, progress_score = (
+        SELECT COALESCE(SUM(pts), 0) FROM answers WHERE player_key = $1 AND quiz_date = $2
+      ) WHERE player_key = $1 AND quiz_date = $2 AND NOT completed
+    `, [playerKey, date, new Date().toISOString()]);
+    return true;
+  });
+}
+
+// Drops progress records dated before `dropBefore` (their leaderboard
+// scores stay) and strips answer detail from those before `detailBefore`,
+// leaving { score, completed, displayName, synthetic }.
+async function pruneProgress({ dropBefore, detailBefore }) {
+  await withTransaction(async client => {
+    await lockKey(client, 'progress', { shared: true });
+    await client.query(`UPDATE daily_results SET ${CLEAR_PROGRESS} WHERE has_progress AND quiz_date < $1`, [dropBefore]);
+    await client.query('DELETE FROM daily_results WHERE score IS NULL AND NOT has_progress');
+    await client.query(`
+      UPDATE daily_results SET current_q = NULL, updated_at = NULL, extra = '{}'
+      WHERE has_progress AND quiz_date < $1 AND (current_q IS NOT NULL OR updated_at IS NOT NULL OR extra <> '{}')
+    `, [detailBefore]);
+    await client.query('DELETE FROM answers WHERE quiz_date < $1', [detailBefore]);
+  });
+}
+
+// ── Quizzes ───────────────────────────────────────────────────
+async function getQuiz(date) {
+  const r = await pool.query('SELECT data FROM quizzes WHERE quiz_date=$1', [date]);
+  return r.rows.length ? r.rows[0].data : null;
+}
+
+async function listQuizDates() {
+  const r = await pool.query('SELECT quiz_date FROM quizzes ORDER BY quiz_date');
+  return r.rows.map(row => row.quiz_date);
+}
+
+async function putQuiz(date, quiz) {
+  await withTransaction(async client => {
+    await lockKey(client, 'quizzes', { shared: true });
+    await client.query(
+      'INSERT INTO quizzes (quiz_date, data) VALUES ($1, $2) ON CONFLICT (quiz_date) DO UPDATE SET data = EXCLUDED.data',
+      [date, JSON.stringify(quiz)]
+    );
+  });
+}
+
+// Inserts the quiz only if that date has none yet. Returns true if it did.
+async function addQuiz(date, quiz) {
+  return withTransaction(async client => {
+    await lockKey(client, 'quizzes', { shared: true });
+    const r = await client.query(
+      'INSERT INTO quizzes (quiz_date, data) VALUES ($1, $2) ON CONFLICT (quiz_date) DO NOTHING',
+      [date, JSON.stringify(quiz)]
+    );
+    return r.rowCount > 0;
+  });
+}
+
+// Quizzes newest first, as { quizzes: [{ date, quiz }], total }. since and
+// until bound the dates (inclusive); without a limit every match comes back.
+// total is counted separately so a page past the end still reports it.
+async function listQuizzes({ since = null, until = null, limit = null, offset = 0 } = {}) {
+  const where = '($1::text IS NULL OR quiz_date >= $1) AND ($2::text IS NULL OR quiz_date <= $2)';
+  const [page, count] = await Promise.all([
+    pool.query(`SELECT quiz_date, data FROM quizzes WHERE ${where} ORDER BY quiz_date DESC LIMIT $3 OFFSET $4`, [since, until, limit, offset]),
+    pool.query(`SELECT COUNT(*) AS total FROM quizzes WHERE ${where}`, [since, until])
+  ]);
+  return { quizzes: page.rows.map(row => ({ date: row.quiz_date, quiz: row.data })), total: Number(count.rows[0].total) };
+}
+
+// ── Subscribers & prospects ───────────────────────────────────
+// Both tables share a shape (email, name, data), so each helper takes the
+// table name internally and is exported under a subscriber/prospect name.
+const CONTACT_KEYS = { subscribers: 'subscribers', prospects: 'prospects' };
+
+async function getContact(table, email, client = pool) {
+  const r = await client.query(`SELECT data FROM ${table} WHERE email=$1`, [email]);
+  return r.rows.length ? r.rows[0].data : null;
+}
+
+async function writeContact(client, table, email, record) {
+  await client.query(`
+    INSERT INTO ${table} (email, name, data) VALUES ($1, $2, $3)
+    ON CONFLICT (email) DO UPDATE SET name = EXCLUDED.name, data = EXCLUDED.data
+  `, [email, record.name ?? null, JSON.stringify(record)]);
+}
+
+async function putContact(table, email, record) {
+  await withTransaction(async client => {
+    await lockKey(client, CONTACT_KEYS[table], { shared: true });
+    await writeContact(client, table, email, record);
+  });
+}
+
+// Same contract as updateProgress(): fn gets the row (or null) with the
+// row locked, and returns the new record, undefined to keep its in-place
+// changes, or null to write nothing. Resolves to the stored record.
+async function updateContact(table, email, fn) {
+  return withTransaction(async client => {
+    await lockKey(client, CONTACT_KEYS[table], { shared: true });
+    const r = await client.query(`SELECT data FROM ${table} WHERE email=$1 FOR UPDATE`, [email]);
+    const current = r.rows.length ? r.rows[0].data : null;
+    const returned = await fn(current);
+    const next = returned === undefined ? current : returned;
+    if (!next) return current;
+    await writeContact(client, table, email, next);
+    return next;
+  });
+}
+
+// Shallow-merges { email: fields } into existing rows in one statement;
+// emails with no row are skipped.
+async function patchContacts(table, patches) {
+  const rows = Object.entries(patches || {}).map(([email, patch]) => ({ email, patch }));
+  if (!rows.length) return;
+  await withTransaction(async client => {
+    await lockKey(client, CONTACT_KEYS[table], { shared: true });
+    await client.query(`
+      UPDATE ${table} t SET data = t.data || x.patch, name = COALESCE(x.patch->>'name', t.name)
+      FROM jsonb_to_recordset($1::jsonb) AS x(email TEXT, patch JSONB)
+      WHERE t.email = x.email
+    `, [JSON.stringify(rows)]);
+  });
+}
+
+async function deleteContact(table, email) {
+  await withTransaction(async client => {
+    await lockKey(client, CONTACT_KEYS[table], { shared: true });
+    await client.query(`DELETE FROM ${table} WHERE email=$1`, [email]);
+  });
+}
+
+// First row (by email) whose top-level `field` equals `value`.
+async function findContact(table, field, value) {
+  const r = await pool.query(
+    `SELECT data FROM ${table} WHERE data->>$1 = $2 ORDER BY email LIMIT 1`,
+    [field, String(value)]
+  );
+  return r.rows.length ? r.rows[0].data : null;
+}
+
+// SQL twin of normPlayerKey() in server.js.
+const NORM_NAME_SQL = name => `lower(btrim(regexp_replace(COALESCE(${name}, ''), '\\s+', ' ', 'g')))`;
+
+// The subscriber whose name maps to this player key, if any.
+async function findSubscriberByPlayerKey(playerKey, { activeOnly = false } = {}) {
+  const r = await pool.query(`
+    SELECT data FROM subscribers
+    WHERE ${NORM_NAME_SQL("data->>'name'")} = $1 ${activeOnly ? "AND (data->>'active')::boolean IS TRUE" : ''}
+    ORDER BY email LIMIT 1
+  `, [playerKey]);
+  return r.rows.length ? r.rows[0].data : null;
+}
+
+// The subscriber who referred this player, matched on the referral's
+// email or normalised name.
+async function findReferrer(playerKey) {
+  const r = await pool.query(`
+    SELECT s.data FROM subscribers s, jsonb_array_elements(COALESCE(s.data->'referrals', '[]'::jsonb)) AS ref
+    WHERE ref->>'email' = $1 OR (ref->>'name' <> '' AND ${NORM_NAME_SQL("ref->>'name'")} = $1)
+    ORDER BY s.email LIMIT 1
+  `, [playerKey]);
+  return r.rows.length ? r.rows[0].data : null;
+}
+
+// Moves a prospect into subscribers with the given record, unless that
+// email is already subscribed. Returns true if it moved.
+async function promoteProspect(email, subscriber) {
+  return withTransaction(async client => {
+    await lockKey(client, 'subscribers', { shared: true });
+    await lockKey(client, 'prospects', { shared: true });
+    const inserted = await client.query(`
+      INSERT INTO subscribers (email, name, data) VALUES ($1, $2, $3)
+      ON CONFLICT (email) DO NOTHING
+    `, [email, subscriber.name ?? null, JSON.stringify(subscriber)]);
+    if (!inserted.rowCount) return false;
+    await client.query('DELETE FROM prospects WHERE email=$1', [email]);
+    return true;
+  });
+}
+
+const getSubscriber = email => getContact('subscribers', email);
+const putSubscriber = (email, subscriber) => putContact('subscribers', email, subscriber);
+const updateSubscriber = (email, fn) => updateContact('subscribers', email, fn);
+const patchSubscribers = patches => patchContacts('subscribers', patches);
+const deleteSubscriber = email => deleteContact('subscribers', email);
+const findSubscriber = (field, value) => findContact('subscribers', field, value);
+const getProspect = email => getContact('prospects', email);
+const putProspect = (email, prospect) => putContact('prospects', email, prospect);
+const patchProspects = patches => patchContacts('prospects', patches);
+const findProspect = (field, value) => findContact('prospects', field, value);
+
+// ── Email events ──────────────────────────────────────────────
+async function logEmailEvent(event) {
+  await withTransaction(async client => {
+    await lockKey(client, 'emailEvents', { shared: true });
+    await insertEmailEventRows(client, [emailEventToRow(event)]);
+  });
+}
+
+async function listEmailEvents({ date } = {}) {
+  const r = date
+    ? await pool.query('SELECT * FROM email_events WHERE quiz_date=$1 ORDER BY id', [date])
+    : await pool.query('SELECT * FROM email_events ORDER BY id');
+  return r.rows.map(row => ({ ...row.meta, id: Number(row.id), event: row.event, email: row.email, date: row.quiz_date, ts: row.ts }));
+}
+
+async function pruneEmailEvents(before) {
+  await withTransaction(async client => {
+    await lockKey(client, 'emailEvents', { shared: true });
+    await client.query('DELETE FROM email_events WHERE quiz_date < $1', [before]);
+  });
+}
+
+// ── Audit log ─────────────────────────────────────────────────
+// Append-only. An entry is { ts, actor, action, target, ...rest }; the
+// rest (role, payload, changes) rides in `data`.
+function auditEntryFromRow(row) {
+  return { ...row.data, id: Number(row.id), ts: row.ts, actor: row.actor, action: row.action, target: row.target };
+}
+
+async function logAuditEntry(entry) {
+  const { id, ts, actor, action, target, ...data } = entry;
+  await pool.query(
+    'INSERT INTO audit_log (ts, actor, action, target, data) VALUES ($1, $2, $3, $4, $5)',
+    [ts || new Date().toISOString(), actor ?? null, action, target ?? null, JSON.stringify(data)]
+  );
+}
+
+// Newest first. Every filter is optional: exact actor/action, ts range
+// (ISO strings, `until` exclusive), `q` as a case-insensitive substring of
+// the target or anything in the entry's data, and `beforeId` to page back.
+async function listAuditEntries({ actor, action, q, since, until, beforeId, limit = 100 } = {}) {
+  const where = [];
+  const params = [];
+  const add = (sql, value) => { params.push(value); where.push(sql.replace(/\?/g, '$' + params.length)); };
+  if (actor) add('actor = ?', actor);
+  if (action) add('action = ?', action);
+  if (since) add('ts >= ?', since);
+  if (until) add('ts < ?', until);
+  if (beforeId) add('id < ?', beforeId);
+  if (q) add('(target ILIKE ? OR data::text ILIKE ?)', '%' + String(q).replace(/[\\%_]/g, '\\$&') + '%');
+  params.push(limit);
+  const r = await pool.query(
+    `SELECT * FROM audit_log ${where.length ? 'WHERE ' + where.join(' AND ') : ''} ORDER BY id DESC LIMIT $${params.length}`,
+    params
+  );
+  return r.rows.map(auditEntryFromRow);
+}
+
+// ── LLM usage ─────────────────────────────────────────────────
+// Append-only, one row per Claude call. `day` is the caller's quiz day
+// ('YYYY-MM-DD', Eastern) so spend lines up with the quiz it paid for.
+async function logLlmUsage(entry) {
+  await pool.query(
+    `INSERT INTO llm_usage (ts, day, task, model, input_tokens, output_tokens, latency_ms, cost_usd, source)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+    [entry.ts || new Date().toISOString(), entry.day, entry.task, entry.model ?? null, entry.inputTokens || 0,
+     entry.outputTokens || 0, entry.latencyMs ?? null, entry.costUsd ?? null, entry.source ?? null]
+  );
+}
+
+// Totals per day, task and model for days in [since, until] (both
+// optional, inclusive): [{ day, task, model, calls, inputTokens,
+// outputTokens, latencyMs, costUsd }], latencyMs being the sum.
+async function summarizeLlmUsage({ since, until } = {}) {
+  const where = [];
+  const params = [];
+  if (since) { params.push(since); where.push(`day >= $${params.length}`); }
+  if (until) { params.push(until); where.push(`day <= $${params.length}`); }
+  const r = await pool.query(
+    `SELECT day, task, model, COUNT(*)::int AS calls, SUM(input_tokens)::int AS input_tokens,
+            SUM(output_tokens)::int AS output_tokens, COALESCE(SUM(latency_ms), 0)::int AS latency_ms,
+            COALESCE(SUM(cost_usd), 0)::float AS cost_usd
+       FROM llm_usage ${where.length ? 'WHERE ' + where.join(' AND ') : ''}
+      GROUP BY day, task, model ORDER BY day, task, model`,
+    params
+  );
+  return r.rows.map(row => ({
+    day: row.day, task: row.task, model: row.model, calls: row.calls,
+    inputTokens: row.input_tokens, outputTokens: row.output_tokens, latencyMs: row.latency_ms, costUsd: row.cost_usd
+  }));
+}
+
+// ── Question outcomes ─────────────────────────────────────────
+// How many players got each published question right and wrong. The
+// per-player `dist` key is pruned after two days; these tallies aren't.
+// Each row keeps a snapshot of the question as it was played, so the
+// numbers still mean something once the quiz is edited or pruned.
+// outcomes: [{ qIdx, question, correct }], one per graded answer.
+async function recordQuestionOutcomes(date, outcomes) {
+  const byIdx = new Map();
+  for (const { qIdx, question, correct } of outcomes) {
+    const row = byIdx.get(qIdx) || { q_idx: qIdx, question, correct: 0, wrong: 0 };
+    if (correct) row.correct++; else row.wrong++;
+    byIdx.set(qIdx, row);
+  }
+  if (!byIdx.size) return;
+  await pool.query(`
+    INSERT INTO question_outcomes (quiz_date, q_idx, question, correct, wrong, updated_at)
+    SELECT $1, q_idx, question, correct, wrong, $2
+    FROM jsonb_to_recordset($3::jsonb) AS x(q_idx INTEGER, question JSONB, correct INTEGER, wrong INTEGER)
+    ON CONFLICT (quiz_date, q_idx) DO UPDATE SET
+      question = EXCLUDED.question, updated_at = EXCLUDED.updated_at,
+      correct = question_outcomes.correct + EXCLUDED.correct, wrong = question_outcomes.wrong + EXCLUDED.wrong
+  `, [date, new Date().toISOString(), JSON.stringify([...byIdx.values()])]);
+}
+
+// Oldest first: [{ date, qIdx, question, correct, wrong }].
+async function listQuestionOutcomes() {
+  const r = await pool.query('SELECT * FROM question_outcomes ORDER BY quiz_date, q_idx');
+  return r.rows.map(row => ({ date: row.quiz_date, qIdx: row.q_idx, question: row.question, correct: row.correct, wrong: row.wrong }));
+}
+
+// ── Question bank ─────────────────────────────────────────────
+// See questionBank.js for the entry shape. search_text is written by the
+// caller (entry.searchText) and matched with Postgres full-text search.
+const BANK_TAG_FILTERS = ['topic', 'neighborhood', 'outlet', 'difficulty', 'shelfLife'];
+
+function bankEntryFromRow(row) {
+  return {
+    id: row.id, question: row.question, data: row.data, tags: row.tags, starred: row.starred,
+    note: row.note, uses: row.uses, createdAt: row.created_at, updatedAt: row.updated_at
+  };
+}
+
+async function getBankEntry(id) {
+  const r = await pool.query('SELECT * FROM question_bank WHERE id=$1', [id]);
+  return r.rows.length ? bankEntryFromRow(r.rows[0]) : null;
+}
+
+async function putBankEntry(entry) {
+  await pool.query(`
+    INSERT INTO question_bank (id, question, data, tags, starred, note, uses, search_text, created_at, updated_at)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+    ON CONFLICT (id) DO UPDATE SET
+      question = EXCLUDED.question, data = EXCLUDED.data, tags = EXCLUDED.tags, starred = EXCLUDED.starred,
+      note = EXCLUDED.note, uses = EXCLUDED.uses, search_text = EXCLUDED.search_text, updated_at = EXCLUDED.updated_at
+  `, [entry.id, entry.question, JSON.stringify(entry.data), JSON.stringify(entry.tags || {}), !!entry.starred,
+      entry.note || '', JSON.stringify(entry.uses || []), entry.searchText || '', entry.createdAt, entry.updatedAt]);
+}
+
+async function deleteBankEntry(id) {
+  await pool.query('DELETE FROM question_bank WHERE id=$1', [id]);
+}
+
+async function listBankEntriesUsedOn(date) {
+  const r = await pool.query('SELECT * FROM question_bank WHERE uses @> $1::jsonb', [JSON.stringify([{ date }])]);
+  return r.rows.map(bankEntryFromRow);
+}
+
+// Filters (all optional): q — full-text over question, options,
+// explanation, tags and note; any tag field for an exact match; starred.
+// Best text match first, otherwise most recently updated. Resolves to
+// { entries, total }.
+async function searchBank({ q, starred, limit = 50, offset = 0, ...tags } = {}) {
+  const where = [];
+  const params = [];
+  const add = (sql, value) => { params.push(value); where.push(sql.replace(/\?/g, '$' + params.length)); };
+  let order = 'updated_at DESC';
+  if (q) {
+    params.push(q);
+    const p = '$' + params.length;
+    params.push('%' + String(q).replace(/[\\%_]/g, '\\$&') + '%');
+    where.push(`(to_tsvector('english', search_text) @@ websearch_to_tsquery('english', ${p}) OR search_text ILIKE $${params.length})`);
+    order = `ts_rank(to_tsvector('english', search_text), websearch_to_tsquery('english', ${p})) DESC, ${order}`;
+  }
+  for (const field of BANK_TAG_FILTERS) {
+    if (tags[field]) add(`tags->>'${field}' = ?`, tags[field]);
+  }
+  if (starred !== undefined) add('starred = ?', !!starred);
+  params.push(limit, offset);
+  const r = await pool.query(`
+    SELECT *, COUNT(*) OVER() AS total FROM question_bank
+    ${where.length ? 'WHERE ' + where.join(' AND ') : ''}
+    ORDER BY ${order}
+    LIMIT $${params.length - 1} OFFSET $${params.length}
+  `, params);
+  return { entries: r.rows.map(bankEntryFromRow), total: r.rows.length ? Number(r.rows[0].total) : 0 };
+}
+
+// Every value in use per tag field, for the search filters.
+async function listBankTagValues() {
+  const r = await pool.query(`
+    SELECT key, array_agg(DISTINCT value ORDER BY value) AS vals
+    FROM question_bank, jsonb_each_text(tags)
+    WHERE value IS NOT NULL AND value <> ''
+    GROUP BY key
+  `);
+  return Object.fromEntries(BANK_TAG_FILTERS.map(f => [f, (r.rows.find(row => row.key === f) || { vals: [] }).vals]));
+}
+
+// ── News sources ──────────────────────────────────────────────
+// See rssService.js for what each setting does.
+function newsSourceFromRow(row) {
+  return {
+    id: row.id, name: row.name, site: row.site, feedUrls: row.feed_urls, mode: row.mode, cap: row.cap,
+    priority: row.priority, enabled: row.enabled, notes: row.notes, createdAt: row.created_at, updatedAt: row.updated_at
+  };
+}
+
+// Highest priority first, then by name.
+async function listNewsSources() {
+  const r = await pool.query('SELECT * FROM news_sources ORDER BY priority DESC, name');
+  return r.rows.map(newsSourceFromRow);
+}
+
+async function getNewsSource(id) {
+  const r = await pool.query('SELECT * FROM news_sources WHERE id=$1', [id]);
+  return r.rows.length ? newsSourceFromRow(r.rows[0]) : null;
+}
+
+async function putNewsSource(source) {
+  await pool.query(`
+    INSERT INTO news_sources (id, name, site, feed_urls, mode, cap, priority, enabled, notes, created_at, updated_at)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+    ON CONFLICT (id) DO UPDATE SET
+      name = EXCLUDED.name, site = EXCLUDED.site, feed_urls = EXCLUDED.feed_urls, mode = EXCLUDED.mode, cap = EXCLUDED.cap,
+      priority = EXCLUDED.priority, enabled = EXCLUDED.enabled, notes = EXCLUDED.notes, updated_at = EXCLUDED.updated_at
+  `, [source.id, source.name, source.site || '', JSON.stringify(source.feedUrls || []), source.mode, source.cap,
+      source.priority || 0, source.enabled !== false, source.notes || '', source.createdAt, source.updatedAt]);
+}
+
+async function deleteNewsSource(id) {
+  await pool.query('DELETE FROM news_sources WHERE id=$1', [id]);
+}
+
+// ── Tokens ────────────────────────────────────────────────────
+const TOKEN_KEYS = { email: 'emailTokens', outreach: 'outreachTokens' };
+
+async function getToken(kind, token) {
+  const r = await pool.query('SELECT data FROM tokens WHERE kind=$1 AND token=$2', [kind, token]);
+  return r.rows.length ? r.rows[0].data : null;
+}
+
+// Adds or replaces tokens of one kind from a { token: record } map,
+// leaving every other token alone.
+async function putTokens(kind, tokens) {
+  const spec = KEYED_TABLES[TOKEN_KEYS[kind]];
+  const rows = Object.entries(tokens || {}).map(([token, v]) => {
+    const row = { token, kind, data: v };
+    for (const [col, fn] of Object.entries(spec.cols)) row[col] = fn(v);
+    return row;
+  });
+  if (!rows.length) return;
+  await withTransaction(async client => {
+    await lockKey(client, TOKEN_KEYS[kind], { shared: true });
+    await client.query(`
+      INSERT INTO tokens (token, kind, email, quiz_date, used_at, data)
+      SELECT token, kind, email, quiz_date, used_at, data
+      FROM jsonb_to_recordset($1::jsonb) AS x(token TEXT, kind TEXT, email TEXT, quiz_date TEXT, used_at TEXT, data JSONB)
+      ON CONFLICT (token) DO UPDATE SET
+        kind = EXCLUDED.kind, email = EXCLUDED.email, quiz_date = EXCLUDED.quiz_date,
+        used_at = EXCLUDED.used_at, data = EXCLUDED.data
+    `, [JSON.stringify(rows)]);
+  });
+}
+
+async function deleteToken(kind, token) {
+  await withTransaction(async client => {
+    await lockKey(client, TOKEN_KEYS[kind], { shared: true });
+    await client.query('DELETE FROM tokens WHERE kind=$1 AND token=$2', [kind, token]);
+  });
+}
+
+// Drops tokens of one kind issued for quiz dates before `before`.
+async function pruneTokens(kind, before) {
+  await withTransaction(async client => {
+    await lockKey(client, TOKEN_KEYS[kind], { shared: true });
+    await client.query('DELETE FROM tokens WHERE kind=$1 AND quiz_date < $2', [kind, before]);
+  });
+}
+
+// Stamps usedAt on first use only. Returns the record as it was before
+// this call (so callers can tell a first use from a repeat), or null.
+async function markTokenUsed(kind, token) {
+  return withTransaction(async client => {
+    await lockKey(client, TOKEN_KEYS[kind], { shared: true });
+    const r = await client.query('SELECT data FROM tokens WHERE kind=$1 AND token=$2 FOR UPDATE', [kind, token]);
+    if (!r.rows.length) return null;
+    const before = r.rows[0].data;
+    if (!before.usedAt) {
+      const usedAt = new Date().toISOString();
+      await client.query(
+        'UPDATE tokens SET used_at=$3, data = data || jsonb_build_object(\'usedAt\', $3::text) WHERE kind=$1 AND token=$2',
+        [kind, token, usedAt]
+      );
+    }
+    return before;
+  });
+}
+
+module.exports = {
+  pool, initDb, getKey, getKeys, setKey, updateKey,
+  getPlayer, recordDailyScore, deletePlayer,
+  getProgress, getProgressForDate, updateProgress, saveProgress, lockAnswer, pruneProgress,
+  getQuiz, listQuizDates, listQuizzes, putQuiz, addQuiz,
+  getSubscriber, putSubscriber, updateSubscriber, patchSubscribers, deleteSubscriber,
+  findSubscriber, findSubscriberByPlayerKey, findReferrer,
+  getProspect, putProspect, patchProspects, findProspect, promoteProspect,
+  logEmailEvent, listEmailEvents, pruneEmailEvents,
+  logAuditEntry, listAuditEntries,
+  logLlmUsage, summarizeLlmUsage,
+  recordQuestionOutcomes, listQuestionOutcomes,
+  getBankEntry, putBankEntry, deleteBankEntry, listBankEntriesUsedOn, searchBank, listBankTagValues,
+  listNewsSources, getNewsSource, putNewsSource, deleteNewsSource,
+  getToken, putTokens, deleteToken, pruneTokens, markTokenUsed
+};
@@ -0,0 +1,77 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { bootApp, fixtureReply } = require('./harness');
+
+// nested-article.html is a trimmed copy of a Banner story page: story
+// cards before the article and after it, a card inside it, and ad and
+// figure <div>s inside its article-body. The old extractor stopped at the
+// first </article> (a story card in the top rail) and the -body fallback
+// at the first </div>.
+const ARTICLES = path.join(__dirname, 'fixtures', 'articles');
+const NESTED = fs.readFileSync(path.join(ARTICLES, 'nested-article.html'), 'utf8');
+const PAYWALLED = '<html><body><article><h1>Council votes on budget</h1><p>Subscribe to keep reading.</p></article></body></html>';
+
+const FIRST_PARAGRAPH = 'The Federal Transit Administration has approved $110 million in early engineering money for the Red Line';
+const LAST_PARAGRAPH = 'Construction is expected to begin in 2028, and the state says the first trains could carry riders by 2036.';
+
+// A verify reply from the Claude stand-in with the given judgements
+const verifyReply = judged => ({ ...fixtureReply('verify'), content: [{ type: 'text', text: JSON.stringify(judged) }] });
+
+test('article text', async t => {
+  const h = await bootApp();
+  const pages = http.createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(req.url === '/nested' ? NESTED : PAYWALLED);
+  });
+  await new Promise(resolve => pages.listen(0, '127.0.0.1', resolve));
+  const site = `http://127.0.0.1:${pages.address().port}`;
+  t.after(() => { pages.close(); h.close(); });
+
+  // Loaded after bootApp() so llm.js sees the stand-in's URL
+  const { extractArticleText, fetchArticleExcerpt } = require('../articleText');
+  const { verifyQuestions } = require('../quizGenerator');
+
+  await t.test('keeps the whole story from a nested layout', () => {
+    const text = extractArticleText(NESTED);
+    assert.ok(text.startsWith('A rendering of a Red Line station'), text.slice(0, 80));
+    assert.ok(text.includes(FIRST_PARAGRAPH));
+    assert.ok(text.includes('“This is the furthest the project has ever gotten,” said Transportation Secretary Paul Wiedefeld.'));
+    assert.ok(text.endsWith(LAST_PARAGRAPH), text.slice(-80));
+    for (const elsewhere of ['Camden Yards lease', 'electric buses', 'Read more', 'morning newsletter', 'Politics & Power', 'All rights reserved', 'dataLayer']) {
+      assert.ok(!text.includes(elsewhere), `${elsewhere} is not part of the story`);
+    }
+  });
+
+  await t.test('the fact check reads to the end of the article', async t => {
+    const warnings = [];
+    t.mock.method(console, 'warn', (...args) => warnings.push(args.join(' ')));
+    h.anthropic.reply = () => verifyReply([
+      { q: 1, verdict: 'supported', confidence: 90, evidence: [LAST_PARAGRAPH], alsoTrue: [] }
+    ]);
+    const question = (text, options, sourceUrl) => ({ question: text, options, correctIndex: 1, sourceUrl });
+    const checks = await verifyQuestions([
+      question('When is Red Line construction expected to begin?', ['2026', '2028', '2030', '2036'], `${site}/nested`),
+      question('How did the City Council vote on the budget?', ['Against', 'For', 'It abstained', 'It delayed'], `${site}/paywalled`)
+    ], { fetchArticle: fetchArticleExcerpt });
+
+    assert.equal(checks[0].verdict, 'supported');
+    assert.equal(checks[0].confidence, 90);
+    assert.deepEqual(checks[0].evidence, [LAST_PARAGRAPH]);
+    assert.equal(checks[0].answerInText, true);
+
+    // The paywalled page is too short to check — and says which it was
+    assert.equal(checks[1].verdict, 'unverifiable');
+    assert.equal(checks[1].note, 'Source article could not be fetched');
+    assert.ok(warnings.some(w => w.includes('[Article] Only') && w.includes(`${site}/paywalled`)), warnings.join('\n'));
+    assert.ok(warnings.some(w => w.includes('[FactCheck] No article text to check against') && w.includes(`${site}/paywalled`)), warnings.join('\n'));
+    assert.ok(!warnings.some(w => w.includes(`${site}/nested`)), warnings.join('\n'));
+
+    const prompt = h.anthropic.requests.at(-1).messages[0].content;
+    assert.ok(JSON.stringify(prompt).includes('Construction is expected to begin in 2028'));
+  });
+});
@@ -0,0 +1,70 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { bootApp, easternDay, sampleQuiz } = require('./harness');
+
+test('admin changes are audited', async t => {
+  const h = await bootApp();
+  t.after(h.close);
+
+  // The newest entry for action, as GET /api/admin/audit returns it
+  async function lastEntry(action) {
+    const res = await h.call('GET', `/api/admin/audit?action=${action}`, { admin: true });
+    assert.equal(res.status, 200);
+    assert.ok(res.body.actions.includes(action), `${action} is not in AUDIT_ACTIONS`);
+    assert.ok(res.body.entries.length, `no ${action} entry`);
+    return res.body.entries[0];
+  }
+  const changes = entry => Object.fromEntries(entry.changes.map(c => [c.path, [c.before, c.after]]));
+
+  await t.test('publishing a quiz', async () => {
+    const date = easternDay(-1);
+    await h.call('POST', '/api/quiz', { admin: true, body: { date, quiz: sampleQuiz(date), silent: true } });
+    const entry = await lastEntry('quiz.publish');
+    assert.equal(entry.target, date);
+    assert.equal(entry.actor, 'admin token');
+
+    const edited = sampleQuiz(date);
+    edited.questions[0].question = 'A corrected first question?';
+    await h.call('POST', '/api/quiz', { admin: true, body: { date, quiz: edited, silent: true } });
+    const [before, after] = changes(await lastEntry('quiz.publish')).questions;
+    assert.equal(before[0], `Question 1 for ${date}?`);
+    assert.equal(after[0], 'A corrected first question?');
+  });
+
+  await t.test('creating, changing and deleting an editor account', async () => {
+    await h.call('POST', '/api/admin/users', { admin: true, body: { username: 'robin', password: 'correct horse battery' } });
+    const created = await lastEntry('admin-user.create');
+    assert.equal(created.target, 'robin');
+    assert.equal(created.payload.body.password, '[redacted]');
+
+    await h.call('POST', '/api/admin/users', { admin: true, body: { username: 'robin', role: 'owner' } });
+    assert.deepEqual(changes(await lastEntry('admin-user.update')), { role: ['editor', 'owner'] });
+
+    await h.call('POST', '/api/admin/users', { admin: true, body: { username: 'robin', password: 'another long password' } });
+    assert.deepEqual(changes(await lastEntry('admin-user.update')), { passwordReset: [false, true] });
+
+    assert.equal((await h.call('DELETE', '/api/admin/users/robin', { admin: true })).status, 200);
+    const deleted = await lastEntry('admin-user.delete');
+    assert.equal(deleted.target, 'robin');
+    assert.equal(deleted.changes[0].before.role, 'owner');
+  });
+
+  await t.test('pausing a subscriber', async () => {
+    await h.call('POST', '/api/subscribe', { body: { name: 'Pat', email: 'pat@example.com' } });
+    await h.call('PATCH', '/api/subscribers/pat%40example.com', { admin: true, body: { active: false } });
+    const entry = await lastEntry('subscriber.update');
+    assert.equal(entry.target, 'pat@example.com');
+    assert.deepEqual(changes(entry), { active: [true, false] });
+  });
+
+  await t.test('editing a community post', async () => {
+    await h.call('POST', '/api/posts', { body: { playerName: 'Sam', text: 'Great quiz tday' } });
+    const [post] = (await h.call('GET', '/api/posts')).body.posts;
+    await h.call('PATCH', `/api/posts/${post.id}`, { admin: true, body: { text: 'Great quiz today' } });
+    const entry = await lastEntry('post.edit');
+    assert.equal(entry.target, post.id);
+    assert.deepEqual(changes(entry), { text: ['Great quiz tday', 'Great quiz today'] });
+  });
+});
@@ -0,0 +1,102 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { bootApp, easternDay, sampleQuiz } = require('./harness');
+const { createMemoryStore } = require('../store/memory');
+
+// Fifty players finishing the same quiz at the same moment. Every write
+// they make either lands on a shared key (quizStarts, shareClicks) or on
+// their own rows, and none of them may be lost to another's.
+const PLAYERS = Array.from({ length: 50 }, (_, i) => `Finisher ${i + 1}`);
+const POINTS = [10, 10, 20, 20, 30, 50];
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+// The store calls one finisher's requests make, in the order the routes
+// make them. Each updateKey() callback yields before returning, the way a
+// slow database round trip would, so unserialised updates would overwrite
+// each other.
+async function finish(store, date, name) {
+  const key = name.toLowerCase();
+  await store.updateKey('quizStarts', async starts => {
+    starts = starts || {};
+    const count = starts[date] || 0;
+    await tick();
+    return { ...starts, [date]: count + 1 };
+  });
+  for (const [qIdx, pts] of POINTS.entries()) {
+    assert.equal(await store.lockAnswer(date, key, qIdx, { chosen: 1, correct: true, pts }, name), true);
+  }
+  await store.updateProgress(date, key, current => ({ ...current, completed: true, currentQ: 6, score: current.score + 10 }));
+  await store.recordDailyScore(key, date, 150, { displayName: name, maxStreak: 1 });
+  await store.updateKey('shareClicks', async clicks => {
+    const next = [...(clicks || [])];
+    await tick();
+    return [...next, { platform: 'copy', date, playerName: name, ts: new Date().toISOString() }];
+  });
+}
+
+async function assertAllLanded(store, date) {
+  assert.equal((await store.getKey('quizStarts'))[date], PLAYERS.length);
+  const clicks = (await store.getKey('shareClicks')).filter(c => c.date === date);
+  assert.deepEqual(clicks.map(c => c.playerName).sort(), [...PLAYERS].sort());
+  const progress = await store.getProgressForDate(date);
+  assert.deepEqual(Object.keys(progress).sort(), PLAYERS.map(n => n.toLowerCase()).sort());
+  for (const record of Object.values(progress)) {
+    assert.equal(record.completed, true);
+    assert.equal(record.score, 150);
+    assert.equal(Object.keys(record.answers).length, POINTS.length);
+  }
+  for (const name of PLAYERS) {
+    assert.equal((await store.getPlayer(name.toLowerCase())).dailyScores[date], 150, name);
+  }
+}
+
+test('fifty players finishing at once all land', async t => {
+  await t.test('through the app, on the memory store', async () => {
+    const h = await bootApp();
+    t.after(h.close);
+    const date = easternDay(-1);
+    assert.equal((await h.call('POST', '/api/quiz', { admin: true, body: { date, quiz: sampleQuiz(date), silent: true } })).status, 200);
+
+    await Promise.all(PLAYERS.map(async playerName => {
+      assert.equal((await h.call('POST', '/api/quiz-start', { body: { date } })).status, 200);
+      await Promise.all(POINTS.map((_, qIdx) => h.call('POST', '/api/grade', { body: { date, qIdx, chosenIndex: 1, playerName } })));
+      const answers = Object.fromEntries(POINTS.map((_, i) => ['q' + i, { chosen: 1 }]));
+      const progress = await h.call('POST', '/api/progress', { body: { playerName, date, progress: { answers, completed: true, currentQ: 6 } } });
+      assert.equal(progress.body.validatedScore, 150);
+      const scores = await h.call('POST', '/api/scores', { body: { playerName, date, score: 150, completed: true } });
+      assert.equal(scores.status, 200);
+      assert.equal((await h.call('POST', '/api/share-click', { body: { platform: 'copy', date, playerName } })).body.ok, true);
+    }));
+
+    await assertAllLanded(h.store, date);
+    const { body } = await h.call('GET', '/api/scores');
+    assert.equal(Object.values(body.scores).filter(p => p.dailyScores[date] === 150).length, PLAYERS.length);
+  });
+
+  await t.test('on a fresh memory store', async () => {
+    const store = createMemoryStore();
+    await store.initDb();
+    await Promise.all(PLAYERS.map(name => finish(store, '2000-01-01', name)));
+    await assertAllLanded(store, '2000-01-01');
+  });
+
+  // Writes real rows: point DATABASE_URL at a scratch database. The test
+  // uses a date from 1999 and removes what it wrote afterwards.
+  await t.test('on Postgres', { skip: !process.env.DATABASE_URL && 'DATABASE_URL not set' }, async () => {
+    const store = require('../store/postgres');
+    const date = '1999-12-31';
+    await store.initDb();
+    try {
+      await Promise.all(PLAYERS.map(name => finish(store, date, name)));
+      await assertAllLanded(store, date);
+    } finally {
+      await store.updateKey('quizStarts', starts => { delete (starts || {})[date]; return starts; });
+      await store.updateKey('shareClicks', clicks => (clicks || []).filter(c => c.date !== date));
+      for (const name of PLAYERS) await store.deletePlayer(name.toLowerCase());
+      await store.pruneProgress({ dropBefore: '2000-01-01', detailBefore: '2000-01-01' });
+      await store.pool.end();
+    }
+  });
+});
@@ -0,0 +1,24 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { bootApp } = require('./harness');
+
+// Every Resend call goes through outboundRequest; one real send through
+// the stand-in proves the transport is wired up.
+test('a player message reaches the editor through Resend', async t => {
+  const h = await bootApp();
+  t.after(h.close);
+
+  const res = await h.call('POST', '/api/contact', { body: { playerName: 'Pat', text: 'Question 3 has a typo' } });
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body, { ok: true });
+
+  assert.equal(h.emails.length, 1);
+  const [email] = h.emails;
+  assert.equal(email.path, '/emails');
+  assert.equal(email.auth, 'Bearer test-resend-key');
+  assert.deepEqual(email.to, ['editor@example.com']);
+  assert.equal(email.subject, 'Quiz message from Pat');
+  assert.match(email.html, /Question 3 has a typo/);
+});
@@ -0,0 +1,55 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { bootApp } = require('./harness');
+
+const HOUR_MS = 60 * 60 * 1000;
+const START = Date.parse('2026-10-01T11:00:00Z');
+
+const source = { id: 'banner', name: 'The Baltimore Banner', priority: 2, feedUrls: ['https://banner.test/feed'] };
+const read = local => [{ sourceId: source.id, feedUrl: source.feedUrls[0], total: 20, local }];
+
+test('feed health at hourly refreshes', async t => {
+  const h = await bootApp();
+  t.after(h.close);
+  // Loaded after bootApp() so the store is the memory one
+  const feedHealth = require('../feedHealth');
+
+  // Files an hourly refresh for each entry of locals, starting `from` hours
+  // after START; resolves with every alert raised along the way
+  async function refreshHourly(from, locals) {
+    const alerts = [];
+    for (const [i, local] of locals.entries()) {
+      const at = new Date(START + (from + i) * HOUR_MS).toISOString();
+      alerts.push(...await feedHealth.recordRefresh([source], read(local), at));
+    }
+    return alerts;
+  }
+
+  await t.test('a quiet night is not an alert', async () => {
+    const alerts = await refreshHourly(0, [5, 0, 0, 0, 0, 0, 0, 0, 0, 3]);
+    assert.deepEqual(alerts, []);
+  });
+
+  await t.test('the editor hears once the source has been quiet for ALERT_AFTER_HOURS', async () => {
+    assert.equal(feedHealth.ALERT_AFTER_HOURS, 48);
+    // Quiet from hour 10: hours 10–57 are 47 hours apart, hour 58 is 48
+    assert.deepEqual(await refreshHourly(10, new Array(48).fill(0)), []);
+    const alerts = await refreshHourly(58, [0, 0, 0]);
+    assert.equal(alerts.length, 1);
+    assert.equal(alerts[0].quietHours, 48);
+    assert.equal(alerts[0].emptyRuns, 49);
+
+    const [row] = await feedHealth.healthReport([source], new Date(START + 60 * HOUR_MS).toISOString());
+    assert.equal(row.quietHours, 50);
+    assert.equal(row.alertedAt, new Date(START + 58 * HOUR_MS).toISOString());
+  });
+
+  await t.test('history keeps the last week of reads, not the last 30', async () => {
+    await refreshHourly(61, new Array(24 * 8).fill(1));
+    const runs = (await h.store.getKey('feedHealth')).feeds[source.feedUrls[0]].runs;
+    assert.equal(runs.length, 7 * 24 + 1);
+    assert.equal(Date.parse(runs.at(-1).at) - Date.parse(runs[0].at), 7 * 24 * HOUR_MS);
+  });
+});
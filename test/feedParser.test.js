@@ -0,0 +1,107 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { parseFeed, createFeedParser } = require('../feedParser');
+const { parseRSS } = require('./fixtures/legacyParseRSS');
+
+// Each feed in fixtures/feeds is a trimmed copy in the shape its outlet
+// publishes (WordPress, Arc, an Atom CMS, RSS 1.0), plus one broken feed.
+// <name>.json next to it holds the items feedParser should produce.
+const FEEDS = path.join(__dirname, 'fixtures', 'feeds');
+const read = name => fs.readFileSync(path.join(FEEDS, name), 'utf8');
+const expected = name => JSON.parse(read(name.replace(/\.\w+$/, '.json')));
+const fixtures = fs.readdirSync(FEEDS).filter(f => !f.endsWith('.json'));
+
+// What the old regex parser got wrong, field by field: [item, field, old, new]
+const LEGACY_DIFFERENCES = {
+  'baltimore-banner.rss': [
+    [0, 'link', 'https://www.thebaltimorebanner.com/sports/orioles/camden-yards-lease-deal-ABCDEF1234/?cmpid=rss&amp;ref=feed',
+      'https://www.thebaltimorebanner.com/sports/orioles/camden-yards-lease-deal-ABCDEF1234/'],
+    [0, 'author', 'Jane Doe and John Roe', 'Jane Doe, John Roe'],
+    [1, 'title', 'Baltimore County schools&amp;#8217; new start times: what parents should know',
+      'Baltimore County schools’ new start times: what parents should know']
+  ],
+  'baltimore-brew.rss': [
+    [0, 'title', 'Board of Estimates approves $4.2 million for Druid Hill Park&#8217;s reservoir path',
+      'Board of Estimates approves $4.2 million for Druid Hill Park’s reservoir path'],
+    [0, 'link', 'https://baltimorebrew.com/2026/10/19/board-of-estimates-druid-hill-reservoir-path/?utm_source=rss&#038;utm_medium=rss&#038;utm_campaign=board-of-estimates-druid-hill-reservoir-path',
+      'https://baltimorebrew.com/2026/10/19/board-of-estimates-druid-hill-reservoir-path/'],
+    [1, 'title', 'Ex-DPW official says &#8220;nobody checked&#8221; the Back River meters',
+      'Ex-DPW official says “nobody checked” the Back River meters'],
+    [1, 'link', 'https://baltimorebrew.com/2026/10/18/back-river-meters/?utm_source=rss&#038;utm_medium=rss&#038;utm_campaign=back-river-meters',
+      'https://baltimorebrew.com/2026/10/18/back-river-meters/']
+  ],
+  'broken.rss': [
+    [0, 'author', 'By Chris Olsen', 'Chris Olsen']
+  ],
+  'maryland-matters.rdf': [
+    [0, 'pubDate', '', '2026-10-19T09:15:00-04:00'],
+    [1, 'link', '', 'https://marylandmatters.org/2026/10/18/port-funding/'],
+    [1, 'pubDate', '', '2026-10-18'],
+    [1, 'author', 'Josh Kurtz; Danielle J. Brown', 'Josh Kurtz, Danielle J. Brown']
+  ],
+  'wypr.atom': [
+    [0, 'title', 'Light Rail service resumes after &lt;em&gt;weeklong&lt;/em&gt; suspension',
+      'Light Rail service resumes after weeklong suspension'],
+    [0, 'link', 'https://www.wypr.org/api/entries/light-rail-resumes',
+      'https://www.wypr.org/wypr-news/2026-10-19/light-rail-service-resumes'],
+    [0, 'author', 'Emily Hofstaedter', 'Emily Hofstaedter, Wambui Kamau']
+  ]
+};
+
+for (const name of fixtures) {
+  test(name, async t => {
+    const xml = read(name);
+    const want = expected(name);
+
+    await t.test('parses to the expected items', () => {
+      assert.deepEqual(parseFeed(xml).items, want);
+    });
+
+    await t.test('gives the same items however the input is split', () => {
+      for (const size of [1, 7, 64]) {
+        const items = [];
+        const parser = createFeedParser({ onItem: item => items.push(item) });
+        for (let i = 0; i < xml.length; i += size) parser.write(xml.slice(i, i + size));
+        assert.deepEqual(parser.end().items, []);
+        assert.deepEqual(items, want, `chunks of ${size}`);
+      }
+    });
+
+    await t.test('differs from the old parser only where the old one was wrong', () => {
+      const old = parseRSS(xml);
+      assert.equal(old.length, want.length);
+      const differences = [];
+      want.forEach((item, i) => {
+        for (const field of ['title', 'link', 'pubDate', 'author']) {
+          if (old[i][field] !== item[field]) differences.push([i, field, old[i][field], item[field]]);
+        }
+      });
+      assert.deepEqual(differences, LEGACY_DIFFERENCES[name]);
+    });
+  });
+}
+
+test('the broken feed keeps what it can', () => {
+  const feed = parseFeed(read('broken.rss'));
+  assert.equal(feed.title, 'South Baltimore News & Notes');
+  // The bare & and the unclosed <p> and <br> don't stop the parse …
+  assert.equal(feed.items[0].title, 'Federal Hill & Riverside: parking rules change Nov. 1');
+  assert.equal(feed.items[0].description, 'Residents will need new permits. Signs go up next week.');
+  // … a date that doesn't parse is kept as written but not trusted …
+  assert.equal(feed.items[1].pubDate, 'not a date');
+  assert.equal(feed.items[1].published, null);
+  // … and the item cut off by the end of the file is dropped
+  assert.deepEqual(feed.items.map(i => i.title), ['Federal Hill & Riverside: parking rules change Nov. 1', 'Cross Street Market adds three vendors']);
+});
+
+test('media and dc elements are read by namespace, not by prefix', () => {
+  // The same Banner item with its namespaces bound to other prefixes
+  const xml = read('baltimore-banner.rss')
+    .replace('xmlns:media=', 'xmlns:m=').replace('xmlns:dc=', 'xmlns:purl=')
+    .replace(/<(\/?)media:/g, '<$1m:').replace(/<(\/?)dc:/g, '<$1purl:');
+  assert.deepEqual(parseFeed(xml).items, expected('baltimore-banner.rss'));
+});
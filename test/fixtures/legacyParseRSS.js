@@ -0,0 +1,35 @@
+'use strict';
+
+// The regex parseRSS() rssService.js used before feedParser.js, kept
+// verbatim so feedParser.test.js can show what changed for each fixture.
+
+function parseRSS(xml) {
+  const items = [];
+  // Match both RSS <item> and Atom <entry> tags
+  const itemRegex = /<(?:item|entry)[\s>]([\s\S]*?)<\/(?:item|entry)>/gi;
+  let match;
+  while ((match = itemRegex.exec(xml)) !== null) {
+    const block = match[1];
+    const get = (tag) => {
+      const m = block.match(new RegExp(`<${tag}[^>]*><!\\[CDATA\\[([\\s\\S]*?)\\]\\]></${tag}>`, 'i'))
+        || block.match(new RegExp(`<${tag}[^>]*>([\\s\\S]*?)</${tag}>`, 'i'));
+      return m ? m[1].replace(/<[^>]+>/g, '').trim() : '';
+    };
+    const title       = get('title');
+    const description = get('description') || get('summary') || get('content');
+    const link        = get('link')
+      || (block.match(/<link[^>]+href="([^"]+)"/i)  || [])[1]
+      || (block.match(/<guid[^>]*>([^<]+)<\/guid>/i) || [])[1]
+      || (block.match(/href="(https?:\/\/[^"]+)"/)   || [])[1]
+      || '';
+    const pubDate = get('pubDate') || get('published') || get('updated') || '';
+    const author  = get('author') || get('dc:creator') || get('media:credit') || '';
+
+    if (title) {
+      items.push({ title, description: description.slice(0, 2000), link, pubDate, author });
+    }
+  }
+  return items;
+}
+
+module.exports = { parseRSS };
@@ -0,0 +1,86 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { bootApp, easternDay, sampleQuiz } = require('./harness');
+
+test('grading', async t => {
+  const h = await bootApp({ QUIZ_STARTS_PER_IP: '3' });
+  t.after(h.close);
+  const today = easternDay();
+  const yesterday = easternDay(-1);
+  await h.store.putQuiz(today, sampleQuiz(today));
+  await h.store.putQuiz(yesterday, sampleQuiz(yesterday));
+  const start = playerName => h.call('POST', '/api/quiz-start', { body: { date: today, playerName } });
+
+  await t.test("won't grade today's quiz anonymously", async () => {
+    for (const playerName of [undefined, '', '  ']) {
+      const res = await h.call('POST', '/api/grade', { body: { date: today, qIdx: 0, chosenIndex: 2, playerName } });
+      assert.equal(res.status, 400);
+      assert.equal(res.body.correctIndex, undefined);
+      assert.equal(res.body.explanation, undefined);
+    }
+  });
+
+  await t.test("won't grade today's quiz for a name that hasn't started it", async () => {
+    const res = await h.call('POST', '/api/grade', { body: { date: today, qIdx: 0, chosenIndex: 2, playerName: 'Throwaway' } });
+    assert.equal(res.status, 403);
+    assert.equal(res.body.startRequired, true);
+    assert.equal(res.body.correctIndex, undefined);
+    assert.equal(await h.store.getProgress(today, 'throwaway'), null);
+    assert.deepEqual(await h.store.listQuestionOutcomes(), []);
+  });
+
+  await t.test("locks a named player's answer before revealing it", async () => {
+    assert.equal((await start('Pat')).status, 200);
+    const res = await h.call('POST', '/api/grade', { body: { date: today, qIdx: 0, chosenIndex: 2, playerName: 'Pat' } });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.correct, false);
+    assert.equal(res.body.correctIndex, 1);
+    const progress = await h.store.getProgress(today, 'pat');
+    assert.deepEqual(progress.answers.q0, { chosen: 2, correct: false, pts: 3 });
+
+    // A second try can't change what was locked
+    await h.call('POST', '/api/grade', { body: { date: today, qIdx: 0, chosenIndex: 1, playerName: 'Pat' } });
+    assert.equal((await h.store.getProgress(today, 'pat')).answers.q0.chosen, 2);
+  });
+
+  await t.test('grades past quizzes anonymously without recording anything', async () => {
+    const res = await h.call('POST', '/api/grade', { body: { date: yesterday, qIdx: 5, chosenIndex: 1, playerName: '' } });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.correct, true);
+    assert.equal(res.body.pts, 50);
+    assert.equal(res.body.correctIndex, 1);
+    assert.deepEqual(await h.store.getProgressForDate(yesterday), {});
+  });
+
+  await t.test('question outcomes count each locked answer once', async () => {
+    const qIdx = 2;
+    for (const [playerName, chosenIndex] of [['Lee', 1], ['Sam', 3]]) {
+      await start(playerName);
+      await h.call('POST', '/api/grade', { body: { date: today, qIdx, chosenIndex, playerName } });
+      // The answer again, as postAnswerDist and then finishQuiz send it
+      for (let i = 0; i < 2; i++) {
+        await h.call('POST', '/api/answers', { body: { date: today, playerName, answers: [{ qIdx, chosenIndex }] } });
+      }
+    }
+    // A replay and an anonymous post change nothing
+    await h.call('POST', '/api/grade', { body: { date: today, qIdx, chosenIndex: 0, playerName: 'Lee' } });
+    await h.call('POST', '/api/answers', { body: { date: today, answers: [{ qIdx, chosenIndex: 1 }] } });
+
+    const { correct, wrong } = (await h.store.listQuestionOutcomes()).find(o => o.date === today && o.qIdx === qIdx);
+    assert.deepEqual({ correct, wrong }, { correct: 1, wrong: 1 });
+    const dist = await h.call('GET', `/api/answers?date=${today}`);
+    assert.deepEqual(dist.body.q2, { correct: 1, wrong: 1 });
+  });
+
+  await t.test('limits how many new players one address can start', async () => {
+    // Pat, Lee and Sam used up this address's three
+    const refused = await start('Fourth');
+    assert.equal(refused.status, 429);
+    assert.equal(await h.store.getProgress(today, 'fourth'), null);
+    // A player who has already started can always come back
+    assert.deepEqual((await start('Pat')).body, { ok: true, resumed: true });
+    assert.equal((await h.call('GET', `/api/quiz-starts?date=${today}`, { admin: true })).body.starts, 3);
+  });
+});
@@ -0,0 +1,172 @@
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const webpush = require('web-push');
+
+// ── Test harness ──────────────────────────────────────────────
+// Boots server.js in this process on the in-memory store, with local
+// stand-ins for everything it talks to outside:
+//   Resend     an HTTP server at RESEND_API_URL; every email it's handed is
+//              kept in harness.emails as { path, from, to, subject, html, text }
+//   Anthropic  an HTTP server at ANTHROPIC_API_URL answering /v1/messages;
+//              harness.anthropic.reply(body) picks the reply (by default the
+//              checked-in fixture for the task, guessed from the prompt);
+//              harness.anthropic.requests holds every request body
+//   push       outbound.push, recorded in harness.pushes
+// server.js and the store are loaded once per process, and node --test
+// runs each file in its own process: call bootApp() once per file, and
+// group that file's cases as subtests.
+
+const FIXTURES = path.join(__dirname, '..', 'fixtures', 'llm');
+
+function listen(server) {
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`)));
+}
+
+function readBody(req) {
+  return new Promise(resolve => {
+    let data = '';
+    req.on('data', c => data += c);
+    req.on('end', () => resolve(data));
+  });
+}
+
+// Which checked-in fixture answers a request, judged from its prompt
+const TASK_HINTS = [
+  ['teasers', /teaser lines/],
+  ['bank-tags', /Tag these Baltimore news quiz questions/],
+  ['verify', /MARKED CORRECT:/]
+];
+
+function taskOf(body) {
+  const prompt = JSON.stringify(body.messages || '');
+  const hit = TASK_HINTS.find(([, re]) => re.test(prompt));
+  return hit ? hit[0] : 'questions';
+}
+
+function fixtureReply(task) {
+  return JSON.parse(fs.readFileSync(path.join(FIXTURES, task + '.json'), 'utf8')).response;
+}
+
+async function startFakeResend(emails) {
+  const server = http.createServer(async (req, res) => {
+    const body = JSON.parse(await readBody(req) || 'null');
+    const sent = req.url === '/emails/batch' ? body : [body];
+    for (const email of sent) {
+      emails.push({ path: req.url, auth: req.headers.authorization, ...email, to: [].concat(email.to) });
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(req.url === '/emails/batch' ? { data: sent.map((_, i) => ({ id: 'batch-' + i })) } : { id: 'email-' + emails.length }));
+  });
+  return { server, url: await listen(server) };
+}
+
+async function startFakeAnthropic(anthropic) {
+  const server = http.createServer(async (req, res) => {
+    const body = JSON.parse(await readBody(req) || 'null');
+    anthropic.requests.push(body);
+    const reply = await anthropic.reply(body);
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(reply));
+  });
+  return { server, url: await listen(server) };
+}
+
+// YYYY-MM-DD in Baltimore, offset by days — the server's easternToday()
+function easternDay(offset = 0) {
+  return new Date(Date.now() + offset * 86400000).toLocaleDateString('en-CA', { timeZone: 'America/New_York' });
+}
+
+// A six-question quiz (five plus the bonus); the right answer is always B
+function sampleQuiz(date) {
+  const difficulties = ['easy', 'easy', 'medium', 'medium', 'hard', 'bonus'];
+  return {
+    date,
+    questions: difficulties.map((difficulty, i) => ({
+      question: `Question ${i + 1} for ${date}?`,
+      options: ['A', 'B', 'C', 'D'],
+      correctIndex: 1,
+      explanation: `Explanation ${i + 1}`,
+      difficulty,
+      sourceUrl: `https://www.thebaltimorebanner.com/story-${i + 1}`
+    }))
+  };
+}
+
+// env: extra environment for server.js, set before it's required
+async function bootApp(env = {}) {
+  const emails = [];
+  const pushes = [];
+  const anthropic = {
+    requests: [],
+    reply: body => fixtureReply(taskOf(body))
+  };
+  const resend = await startFakeResend(emails);
+  const claude = await startFakeAnthropic(anthropic);
+  const vapid = webpush.generateVAPIDKeys();
+
+  Object.assign(process.env, {
+    NODE_ENV: 'test',
+    STORE_BACKEND: 'memory',
+    ADMIN_TOKEN: 'test-admin-token',
+    RESEND_API_KEY: 'test-resend-key',
+    RESEND_API_URL: resend.url,
+    ANTHROPIC_API_KEY: 'test-anthropic-key',
+    ANTHROPIC_API_URL: claude.url,
+    LLM_PROVIDER: 'anthropic',
+    VAPID_PUBLIC_KEY: vapid.publicKey,
+    VAPID_PRIVATE_KEY: vapid.privateKey,
+    EDITOR_EMAIL: 'editor@example.com',
+    SITE_URL: 'http://quiz.test'
+  }, env);
+
+  const server = require('../server');
+  const store = require('../store');
+  server.outbound.push = async (subscription, payload) => {
+    pushes.push({ endpoint: subscription.endpoint, payload: JSON.parse(payload) });
+    return { statusCode: 201 };
+  };
+  await store.initDb();
+  const listener = http.createServer(server.app);
+  const base = await listen(listener);
+
+  // fetch against the app; admin: true adds the x-admin-token header
+  async function call(method, urlPath, { body, admin = false, headers = {} } = {}) {
+    const res = await fetch(base + urlPath, {
+      method,
+      headers: {
+        ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+        ...(admin ? { 'x-admin-token': process.env.ADMIN_TOKEN } : {}),
+        ...headers
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+    const text = await res.text();
+    let json = null;
+    try { json = JSON.parse(text); } catch (e) { /* not JSON */ }
+    return { status: res.status, body: json, text };
+  }
+
+  // Resolves once count emails have arrived, or rejects after timeoutMs
+  async function waitForEmails(count, timeoutMs = 5000) {
+    const deadline = Date.now() + timeoutMs;
+    while (emails.length < count) {
+      if (Date.now() > deadline) throw new Error(`Expected ${count} emails, got ${emails.length}`);
+      await new Promise(r => setTimeout(r, 20));
+    }
+    return emails;
+  }
+
+  function close() {
+    for (const s of [listener, resend.server, claude.server]) {
+      s.closeAllConnections();
+      s.close();
+    }
+  }
+
+  return { app: server.app, server, store, base, call, emails, pushes, anthropic, waitForEmails, close };
+}
+
+module.exports = { bootApp, fixtureReply, taskOf, easternDay, sampleQuiz };
@@ -0,0 +1,184 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { bootApp, taskOf, easternDay, sampleQuiz } = require('./harness');
+
+// One run of the daily cycle against the stand-ins: readers subscribe,
+// a quiz is published and played, Bylines are awarded, a reader
+// unsubscribes, the next quiz goes out on schedule and the evening
+// streak nudge fires. Every email is checked as it would have gone out.
+
+const FROM = 'David @ Daily Dispatch Quiz <david@dailydispatchquiz.com>';
+const SUBJECTS = {
+  Monday:    'Start off the week by climbing the Baltimore news Leaderboard',
+  Tuesday:   "Can you beat today's Baltimore news quiz?",
+  Wednesday: "6 questions about today's Baltimore headlines",
+  Thursday:  "Think you know today's Baltimore news?",
+  Friday:    "Friday - I'm in love, with the Daily Dispatch News Quiz",
+  Saturday:  'A very special Saturday Dispatch News Quiz is live',
+  Sunday:    "It's Sunday - relax and play the (90-second) Balt. News Quiz"
+};
+const quizSubject = date => SUBJECTS[new Date(date + 'T12:00:00').toLocaleDateString('en-US', { weekday: 'long' })];
+
+// Takes the emails sent so far, sorted by recipient, and clears the outbox
+function drain(h) {
+  const sent = h.emails.splice(0).sort((a, b) => a.to[0].localeCompare(b.to[0]));
+  return sent;
+}
+const envelope = ({ from, to, subject }) => ({ from, to, subject });
+
+test('the daily cycle, end to end', async t => {
+  const h = await bootApp();
+  t.after(h.close);
+  const days = [-3, -2, -1, 0].map(easternDay);
+  const [threeAgo, twoAgo, yesterday, today] = days;
+
+  // Plays a whole quiz the way the client does: started, each answer
+  // graded (and locked) as it's given, then the finished progress and score
+  async function play(playerName, date, choices) {
+    assert.equal((await h.call('POST', '/api/quiz-start', { body: { date, playerName } })).status, 200);
+    for (const [qIdx, chosenIndex] of choices.entries()) {
+      const graded = await h.call('POST', '/api/grade', { body: { date, qIdx, chosenIndex, playerName } });
+      assert.equal(graded.status, 200);
+    }
+    const answers = Object.fromEntries(choices.map((chosen, i) => ['q' + i, { chosen }]));
+    const progress = await h.call('POST', '/api/progress', { body: { playerName, date, progress: { answers, completed: true, currentQ: 6 } } });
+    assert.equal(progress.status, 200);
+    const scores = await h.call('POST', '/api/scores', { body: { playerName, date, score: progress.body.validatedScore, completed: true } });
+    assert.equal(scores.status, 200);
+    return progress.body.validatedScore;
+  }
+
+  await t.test('subscribing sends a welcome email', async () => {
+    for (const [name, email] of [['Pat', 'pat@example.com'], ['Sam', 'sam@example.com'], ['Quinn', 'quinn@example.com']]) {
+      const res = await h.call('POST', '/api/subscribe', { body: { name, email } });
+      assert.deepEqual(res.body, { ok: true, alreadySubscribed: false });
+    }
+    await h.waitForEmails(3);
+    const sent = drain(h);
+    assert.deepEqual(sent.map(envelope), ['pat', 'quinn', 'sam'].map(name => ({
+      from: FROM, to: [`${name}@example.com`], subject: 'Welcome to the Daily Dispatch Quiz! 🏆'
+    })));
+    for (const email of sent) {
+      assert.match(email.html, new RegExp(`http://quiz\\.test/api/unsubscribe\\?email=${encodeURIComponent(email.to[0])}`));
+    }
+
+    const again = await h.call('POST', '/api/subscribe', { body: { name: 'Pat', email: 'pat@example.com' } });
+    assert.equal(again.body.alreadySubscribed, true);
+    assert.equal(h.emails.length, 0);
+  });
+
+  await t.test('publishing emails every subscriber and pushes once', async () => {
+    const push = await h.call('POST', '/api/push-subscribe', {
+      body: { playerName: 'Pat', subscription: { endpoint: 'https://push.example/pat', keys: { p256dh: 'x', auth: 'y' } } }
+    });
+    assert.equal(push.status, 200);
+
+    // The streak days before yesterday go in quietly
+    for (const date of [threeAgo, twoAgo]) {
+      const res = await h.call('POST', '/api/quiz', { admin: true, body: { date, quiz: sampleQuiz(date), silent: true } });
+      assert.equal(res.status, 200);
+    }
+    assert.equal(h.emails.length, 0);
+
+    const unauthorized = await h.call('POST', '/api/quiz', { body: { date: yesterday, quiz: sampleQuiz(yesterday) } });
+    assert.equal(unauthorized.status, 403);
+
+    const res = await h.call('POST', '/api/quiz', { admin: true, body: { date: yesterday, quiz: sampleQuiz(yesterday) } });
+    assert.equal(res.status, 200);
+    const sent = drain(h);
+    assert.deepEqual(sent.map(envelope), ['pat', 'quinn', 'sam'].map(name => ({
+      from: FROM, to: [`${name}@example.com`], subject: quizSubject(yesterday)
+    })));
+    for (const email of sent) {
+      assert.equal(email.path, '/emails/batch');
+      assert.match(email.html, new RegExp(`/api/unsubscribe\\?email=${encodeURIComponent(email.to[0])}`));
+      // Group A gets the teasers (from the Claude stand-in), group B the first question
+      const { abGroup } = await h.store.getSubscriber(email.to[0]);
+      assert.match(email.html, abGroup === 'A' ? /A landmark's long wait/ : new RegExp(`Question 1 for ${yesterday}\\?`));
+    }
+    assert.equal(h.anthropic.requests.filter(r => taskOf(r) === 'teasers').length, 1);
+    assert.deepEqual(h.pushes.map(p => [p.endpoint, p.payload.title]), [['https://push.example/pat', 'Daily Dispatch Quiz']]);
+
+    // Publishing the same date again never re-sends
+    await h.call('POST', '/api/quiz', { admin: true, body: { date: yesterday, quiz: sampleQuiz(yesterday) } });
+    assert.equal(h.emails.length, 0);
+    assert.equal(h.pushes.length, 1);
+  });
+
+  await t.test('progress and scores are graded on the server', async () => {
+    // Sam plays all three days, getting the bonus wrong yesterday; Pat only yesterday, perfectly
+    assert.equal(await play('Sam', threeAgo, [1, 1, 1, 1, 1, 1]), 150);
+    assert.equal(await play('Sam', twoAgo, [1, 1, 1, 1, 1, 1]), 150);
+    assert.equal(await play('Sam', yesterday, [1, 1, 1, 1, 1, 0]), 113);
+    assert.equal(await play('Pat', yesterday, [1, 1, 1, 1, 1, 1]), 150);
+
+    // A client claiming more than it was graded is clamped
+    const inflated = await h.call('POST', '/api/scores', { body: { playerName: 'Sam', date: yesterday, score: 150 } });
+    assert.equal(inflated.status, 200);
+
+    const { body } = await h.call('GET', '/api/scores');
+    assert.deepEqual(body.scores.sam.dailyScores, { [threeAgo]: 150, [twoAgo]: 150, [yesterday]: 113 });
+    assert.deepEqual(body.scores.pat.dailyScores, { [yesterday]: 150 });
+    assert.equal(body.scores.sam.allTime, 413);
+  });
+
+  await t.test('a perfect score earns a Byline', async () => {
+    await h.server.jobs.processPendingBylines();
+    const { body } = await h.call('GET', `/api/bylines?month=${yesterday.slice(0, 7)}`);
+    const lifetime = Object.fromEntries(Object.entries(body.byPlayer).map(([key, p]) => [key, p.lifetimeCount]));
+    // Sam's perfect days three and two days ago count too — the job
+    // catches up on every day it hasn't processed
+    assert.deepEqual(lifetime, { pat: 1, sam: 2 });
+  });
+
+  await t.test('unsubscribing stops the quiz emails', async () => {
+    const res = await h.call('GET', '/api/unsubscribe?email=quinn%40example.com');
+    assert.equal(res.status, 200);
+    assert.match(res.text, /You've been unsubscribed/);
+    assert.equal(h.emails.length, 0);
+  });
+
+  await t.test('a scheduled quiz goes out when its time comes', async () => {
+    const quiz = sampleQuiz(today);
+    const scheduled = await h.call('POST', '/api/quiz/schedule', {
+      admin: true, body: { date: today, quiz, scheduledFor: new Date(Date.now() + 60000).toISOString() }
+    });
+    assert.equal(scheduled.status, 200);
+    await h.server.jobs.checkScheduledPublish();
+    assert.equal(h.emails.length, 0, 'nothing goes out early');
+
+    await h.store.updateKey('scheduledQuiz', s => ({ ...s, scheduledFor: new Date(Date.now() - 1000).toISOString() }));
+    await h.server.jobs.checkScheduledPublish();
+    const sent = drain(h);
+    assert.deepEqual(sent.map(envelope), ['pat', 'sam'].map(name => ({
+      from: FROM, to: [`${name}@example.com`], subject: quizSubject(today)
+    })));
+    for (const email of sent) {
+      assert.match(email.html, /YESTERDAY'S BYLINES — PERFECT 150/);
+      assert.match(email.html, /<p style="font-size:14px;color:#1a1008;margin:0;">Pat<\/p>/);
+    }
+    assert.equal(h.pushes.length, 2);
+
+    const live = await h.call('GET', `/api/quiz?date=${today}`);
+    assert.equal(live.body.quiz.questions.length, 6);
+    assert.equal(live.body.quiz.questions[0].correctIndex, undefined);
+    assert.equal((await h.call('GET', '/api/quiz/schedule', { admin: true })).body.scheduled, null);
+
+    await h.server.jobs.checkScheduledPublish();
+    assert.equal(h.emails.length, 0, 'and only once');
+  });
+
+  await t.test('the streak nudge reaches only players whose streak is at risk', async () => {
+    await h.server.jobs.sendStreakNudges();
+    const sent = drain(h);
+    assert.deepEqual(sent.map(envelope), [{ from: FROM, to: ['sam@example.com'], subject: 'Your 3-day streak is on the line' }]);
+    assert.match(sent[0].html, /3 days in a row, Sam\./);
+
+    // Once Sam has played today there's nobody left to nudge
+    await play('Sam', today, [1, 1, 1, 1, 1, 1]);
+    await h.server.jobs.sendStreakNudges();
+    assert.equal(h.emails.length, 0);
+  });
+});
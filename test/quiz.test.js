@@ -0,0 +1,74 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { bootApp, easternDay, sampleQuiz } = require('./harness');
+
+const DRAFT_ONLY_FIELDS = ['heldQuestions', 'factChecks', 'review', 'staleArticles', 'urls', 'difficulty'];
+
+// A draft as the generator hands it to the editor, review data and all
+function fullDraft(date) {
+  const quiz = sampleQuiz(date);
+  quiz.questions[0].pubDate = '2026-10-01T12:00:00Z';
+  return {
+    ...quiz,
+    publishDate: date,
+    heldQuestions: [{ question: 'Held back?', options: ['A', 'B', 'C', 'D'], correctIndex: 2, explanation: 'Held' }],
+    factChecks: [{ q: 1, verdict: 'supported', confidence: 90, evidence: ['The answer is B.'], alsoTrue: ['C'] }],
+    review: [{ index: 2, reason: 'Ambiguous', replacement: { question: 'Rewritten?', options: ['A', 'B', 'C', 'D'], correctIndex: 3 } }],
+    staleArticles: [{ url: 'https://www.thebaltimorebanner.com/old', pubDate: '2026-09-01' }],
+    urls: ['https://www.thebaltimorebanner.com/story-1'],
+    difficulty: { predicted: 'medium' }
+  };
+}
+
+// What a player should see of fullDraft(date): dates, and per question
+// only what renders it
+function playerView(date) {
+  const draft = fullDraft(date);
+  return {
+    date,
+    publishDate: date,
+    questions: draft.questions.map(({ question, options, image, sourceUrl, difficulty, pubDate }) =>
+      JSON.parse(JSON.stringify({ question, options, image, sourceUrl, difficulty, pubDate })))
+  };
+}
+
+test('publishing a draft', async t => {
+  const h = await bootApp();
+  t.after(h.close);
+
+  const today = easternDay(0);
+  await t.test('a scheduled draft publishes without its review data', async () => {
+    const scheduledFor = new Date(Date.now() - 60000).toISOString();
+    const res = await h.call('POST', '/api/quiz/schedule', { admin: true, body: { date: today, quiz: fullDraft(today), scheduledFor } });
+    assert.equal(res.status, 200);
+    await h.server.jobs.checkScheduledPublish();
+
+    const stored = await h.store.getQuiz(today);
+    assert.ok(stored, 'quiz was published');
+    for (const field of DRAFT_ONLY_FIELDS) assert.ok(!(field in stored), `${field} was published`);
+  });
+
+  await t.test('players get only what renders the quiz', async () => {
+    for (const path of [`/api/quiz?date=${today}`, '/api/quiz/latest']) {
+      const res = await h.call('GET', path);
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.quiz, playerView(today), path);
+      assert.ok(!res.text.includes('correctIndex'), `${path} leaks an answer`);
+    }
+  });
+
+  await t.test('a draft published by hand is stored without its review data', async () => {
+    const date = easternDay(-1);
+    const res = await h.call('POST', '/api/quiz', { admin: true, body: { date, quiz: fullDraft(date), silent: true } });
+    assert.equal(res.status, 200);
+
+    const admin = await h.call('GET', `/api/quiz?date=${date}`, { admin: true });
+    assert.equal(admin.body.quiz.questions[0].correctIndex, 1);
+    assert.ok(!('factChecks' in admin.body.quiz), 'fact-check evidence was published');
+    for (const field of DRAFT_ONLY_FIELDS) assert.ok(!(field in admin.body.quiz), `${field} was published`);
+
+    assert.deepEqual((await h.call('GET', `/api/quiz?date=${date}`)).body.quiz, playerView(date));
+  });
+});
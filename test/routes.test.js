@@ -0,0 +1,90 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { bootApp } = require('./harness');
+
+// Every route declares who may call it (see access() in server.js). These
+// are the ones anybody may call; adding to this list is a decision to
+// make in review, not a side effect of adding a route.
+const PUBLIC_ROUTES = [
+  'GET /',
+  'POST /api/admin/login',
+  'POST /api/admin/logout',
+  'GET /api/admin/session',
+  'POST /api/answers',
+  'GET /api/answers',
+  'GET /api/bylines',
+  'GET /api/check-name',
+  'POST /api/contact',
+  'POST /api/email-token/use',
+  'POST /api/email-token/validate',
+  'POST /api/grade',
+  'GET /api/monthly-winners',
+  'GET /api/posts',
+  'POST /api/posts',
+  'GET /api/progress',
+  'POST /api/progress',
+  'GET /api/prospect-invite',
+  'POST /api/prospect-invite/confirm',
+  'GET /api/push-vapid-key',
+  'POST /api/push-subscribe',
+  'POST /api/push-unsubscribe',
+  'POST /api/pwa-session',
+  'GET /api/quiz',
+  'GET /api/quiz/archive',
+  'GET /api/quiz/latest',
+  'GET /api/quiz/reveal',
+  'POST /api/quiz-start',
+  'POST /api/referral',
+  'GET /api/referral-code',
+  'GET /api/reporter-email',
+  'POST /api/reporter-email',
+  'GET /api/rss',
+  'GET /api/scores',
+  'POST /api/scores',
+  'POST /api/share-click',
+  'POST /api/subscribe',
+  'GET /api/subscriber-badges',
+  'GET /api/subscriber-name',
+  'GET /api/unsubscribe',
+  'GET /subscribe',
+  'POST /subscribe/confirm'
+];
+
+const label = route => `${route.method} ${route.path}`;
+
+test('route access policies', async t => {
+  const h = await bootApp({ OUTREACH_SECRET: 'test-outreach-secret' });
+  t.after(h.close);
+  const routes = h.server.listRoutePolicies();
+
+  await t.test('every route declares a policy', () => {
+    assert.ok(routes.length > 100, `only ${routes.length} routes found`);
+    assert.deepEqual(routes.filter(r => !r.access).map(label), []);
+    // A mounted Router's routes wouldn't go through the access() check
+    assert.deepEqual(h.app._router.stack.filter(layer => layer.name === 'router').map(layer => String(layer.regexp)), []);
+  });
+
+  await t.test('exactly the expected routes are public', () => {
+    const publicRoutes = routes.filter(r => r.access === 'public').map(label).sort();
+    assert.deepEqual(publicRoutes, [...PUBLIC_ROUTES].sort());
+  });
+
+  await t.test('a route without a policy is refused at startup', () => {
+    assert.throws(() => h.app.post('/api/unguarded', (req, res) => res.json({ ok: true })), /has no access policy/);
+    assert.throws(() => h.app.get('/api/unguarded', (req, res) => res.json({ ok: true })), /has no access policy/);
+  });
+
+  await t.test('every other route turns away a caller without credentials', async () => {
+    const guarded = routes.filter(r => r.access !== 'public');
+    const open = [];
+    for (const route of guarded) {
+      const method = route.method === 'ALL' ? 'GET' : route.method;
+      const urlPath = route.path.replace(/:(\w+)/g, 'test-$1');
+      const res = await h.call(method, urlPath, method === 'GET' ? {} : { body: {} });
+      if (res.status !== 403) open.push(`${label(route)} → ${res.status}`);
+    }
+    assert.deepEqual(open, []);
+  });
+});
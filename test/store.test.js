@@ -0,0 +1,40 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryStore } = require('../store/memory');
+const { sampleQuiz } = require('./harness');
+
+// Paging through quizzes: total is every match, whichever page was asked for
+async function checkQuizPaging(store) {
+  const all = await store.listQuizzes();
+  assert.equal(all.total, all.quizzes.length);
+
+  const first = await store.listQuizzes({ limit: 2 });
+  assert.equal(first.total, all.total);
+  assert.deepEqual(first.quizzes.map(q => q.date), all.quizzes.slice(0, 2).map(q => q.date));
+
+  const pastTheEnd = await store.listQuizzes({ limit: 2, offset: all.total + 5 });
+  assert.deepEqual(pastTheEnd, { quizzes: [], total: all.total });
+}
+
+test('listQuizzes', async t => {
+  await t.test('on the memory store', async () => {
+    const store = createMemoryStore();
+    await store.initDb();
+    for (const date of ['2026-10-15', '2026-10-16', '2026-10-17']) await store.putQuiz(date, sampleQuiz(date));
+    await checkQuizPaging(store);
+    assert.equal((await store.listQuizzes({ since: '2026-10-16', offset: 10 })).total, 2);
+  });
+
+  // Writes no quizzes, so any database will do
+  await t.test('on Postgres', { skip: !process.env.DATABASE_URL && 'DATABASE_URL not set' }, async () => {
+    const store = require('../store/postgres');
+    try {
+      await store.initDb();
+      await checkQuizPaging(store);
+    } finally {
+      await store.pool.end();
+    }
+  });
+});